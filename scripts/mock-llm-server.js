@@ -0,0 +1,315 @@
+/**
+ * 🧪 Mock LLM Server - Servidor local de IA para testes offline
+ *
+ * Responde de forma determinística às oito seções do relatório IA
+ * e ao plano de consulta do chat "Pergunte aos dados",
+ * nos três formatos de API suportados pelo LLMProvider:
+ * - OpenAI-compatible: POST /chat/completions e /v1/chat/completions
+ * - Ollama:            POST /api/chat
+ * - Anthropic:         POST /v1/messages
+ *
+ * Com "stream": true, a resposta é enviada palavra a palavra
+ * (SSE para OpenAI/Anthropic, NDJSON para Ollama).
+ * Pseudônimos presentes no prompt (CLIENTE_001...) são citados na resposta.
+ * Prompts com "FORMATO DE RESPOSTA (JSON)" recebem um plano de ações em JSON.
+ *
+ * Uso:
+ *   npm run mock:llm                 (porta padrão 8787)
+ *   MOCK_LLM_PORT=9000 npm run mock:llm
+ *   MOCK_LLM_DELAY=80 npm run mock:llm   (ms entre trechos no streaming)
+ *
+ * No .env:
+ *   VITE_AI_PROVIDER=mock
+ *
+ * @author Carlos Antonio de Oliveira Piquet
+ * @version 1.0.0
+ */
+
+import http from 'node:http';
+
+const PORT = Number(process.env.MOCK_LLM_PORT) || 8787;
+const STREAM_DELAY = Number(process.env.MOCK_LLM_DELAY ?? 30);
+
+/**
+ * Identifica a seção do relatório pela persona do prompt
+ * A ordem importa: "CONSULTOR ESTRATÉGICO DE NEGÓCIOS" antes de "CONSULTOR ESTRATÉGICO"
+ */
+const SECTION_MATCHERS = [
+    { section: 'executive', pattern: /ANALISTA C-LEVEL/ },
+    { section: 'trends', pattern: /tendências e padrões temporais/i },
+    { section: 'recommendations', pattern: /CONSULTOR ESTRATÉGICO DE NEGÓCIOS/ },
+    { section: 'opportunities', pattern: /oportunidades de crescimento/i },
+    { section: 'risks', pattern: /ANALISTA DE RISCOS/ },
+    { section: 'performance', pattern: /ANALISTA DE PERFORMANCE/ },
+    { section: 'predictions', pattern: /CIENTISTA DE DADOS/ },
+    { section: 'action_plan', pattern: /GERENTE DE PROJETOS/ }
+];
+
+const SECTION_RESPONSES = {
+    executive: '**Sumário Executivo (mock)**\n\nReceita estável no período analisado.\n\n- Descoberta 1: concentração de receita nos 3 principais produtos\n- Descoberta 2: clientes recorrentes sustentam a margem\n- Descoberta 3: sazonalidade no segundo semestre\n\n**Recomendação crítica:** reativar clientes inativos nos próximos 30 dias.',
+    trends: '**Tendências (mock)**\n\n- Crescimento de 4,2% nos últimos 3 meses\n- Pico sazonal em dezembro\n- Nenhuma anomalia crítica detectada',
+    opportunities: '**Oportunidades (mock)**\n\n- Upsell para clientes Champions: potencial de R$ 25.000,00\n- Cross-sell dos pares mais frequentes: potencial de R$ 12.000,00\n- Prioridade: Alta | ROI esperado: 180%',
+    risks: '**Riscos (mock)**\n\n- Severidade Alta: 12% dos clientes em risco de churn\n- Severidade Média: concentração de 45% da receita em 3 produtos\n- Mitigação: campanha de retenção e diversificação do mix',
+    performance: '**Performance (mock)**\n\n- Top performer: produto líder com 22% da receita\n- Underperformers: 5 produtos abaixo de 1% da receita\n- Meta SMART: aumentar ticket médio em 8% no trimestre',
+    recommendations: '**Recomendações (mock)**\n\n1. CURTO PRAZO: campanha de reativação (P0)\n2. MÉDIO PRAZO: revisão do mix de produtos (P1)\n3. LONGO PRAZO: novos canais de venda (P2)',
+    predictions: '**Previsões (mock)**\n\n- Próximo mês: R$ 105.000,00 (confiança 75%)\n- Próximo trimestre: R$ 320.000,00 (confiança 65%)\n- Cenários: otimista +10%, pessimista -8%',
+    action_plan: '**Plano de Ação (mock)**\n\n**AÇÕES IMEDIATAS (Esta Semana):**\n1. Contatar clientes em risco alto\n   - Responsável sugerido: Comercial\n   - Tempo estimado: 3 dias\n   - Resultado esperado: 20% de reativação'
+};
+
+const FALLBACK_RESPONSE = '**Resposta mock**\n\nSeção não identificada no prompt.';
+
+/**
+ * Plano de consulta do chat "Pergunte aos dados"
+ * Usa as colunas listadas no prompt: ranking da primeira coluna de entidade pela primeira coluna monetária
+ */
+function buildMockQueryPlan(prompt) {
+    const columns = [...prompt.matchAll(/^- "(.+?)" \((\w+)\)/gm)].map(([, name, type]) => ({ name, type }));
+    const groupBy = columns.find(c => ['employee', 'product', 'client', 'category'].includes(c.type));
+    const metric = columns.find(c => c.type === 'currency') || columns.find(c => c.type === 'number');
+
+    return JSON.stringify({
+        operation: groupBy ? 'top_n' : 'aggregate',
+        groupBy: groupBy ? groupBy.name : null,
+        metric: metric ? metric.name : null,
+        aggregate: metric ? 'sum' : 'count',
+        limit: 5,
+        order: 'desc',
+        dateRange: null,
+        filters: []
+    });
+}
+
+/**
+ * Plano de ações estruturado (recomendações e plano de ação em modo JSON)
+ * Prazos contados a partir da data informada no prompt; usa o primeiro KPI listado
+ */
+function buildMockActionPlan(prompt, section) {
+    const today = prompt.match(/Hoje é (\d{4}-\d{2}-\d{2})/)?.[1] || new Date().toISOString().slice(0, 10);
+    const metric = prompt.match(/KPIs disponíveis para "metric":\n- ([\w-]+):/)?.[1] || null;
+    const client = prompt.match(/\bCLIENTE_\d+\b/)?.[0];
+    const addDays = days => {
+        const date = new Date(`${today}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    };
+
+    return JSON.stringify({
+        summary: `${section === 'action_plan' ? 'Plano de ação' : 'Recomendações'} (mock) com foco em retenção e mix de produtos.`,
+        actions: [
+            {
+                title: client ? `Contatar ${client} e demais clientes em risco alto` : 'Contatar clientes em risco alto',
+                owner: 'Comercial',
+                deadline: addDays(30),
+                priority: 'critical',
+                horizon: 'curto',
+                kpi: { name: 'Clientes reativados', metric: null, target: 20, unit: 'percentage' },
+                expectedImpact: 'Reativar 20% dos clientes em risco',
+                impactValue: 15000
+            },
+            {
+                title: 'Revisar o mix de produtos',
+                owner: 'Produto',
+                deadline: addDays(120),
+                priority: 'high',
+                horizon: 'medio',
+                kpi: { name: 'Receita total', metric, target: 120000, unit: 'revenue' },
+                expectedImpact: 'Aumentar a receita em 10%',
+                impactValue: 12000
+            },
+            {
+                title: 'Abrir novo canal de vendas online',
+                owner: 'Diretoria',
+                deadline: addDays(300),
+                priority: 'medium',
+                horizon: 'longo',
+                kpi: { name: 'Pedidos no novo canal', metric: null, target: 500, unit: 'quantity' },
+                expectedImpact: '500 pedidos no primeiro ano',
+                impactValue: null
+            }
+        ]
+    });
+}
+
+/**
+ * Resolve o texto de resposta a partir das mensagens recebidas
+ * @param {Array} messages
+ * @returns {{section: string, content: string}}
+ */
+function resolveResponse(messages = []) {
+    const prompt = messages
+        .filter(m => m.role === 'user')
+        .map(m => (typeof m.content === 'string' ? m.content : JSON.stringify(m.content)))
+        .join('\n');
+
+    const isQueryPlanner = messages.some(m => typeof m.content === 'string' && /TRADUTOR DE CONSULTAS/.test(m.content));
+    if (isQueryPlanner) {
+        return { section: 'query_plan', content: buildMockQueryPlan(prompt) };
+    }
+
+    const match = SECTION_MATCHERS.find(({ pattern }) => pattern.test(prompt));
+    const section = match ? match.section : 'unknown';
+
+    if (/FORMATO DE RESPOSTA \(JSON\)/.test(prompt)) {
+        return { section, content: buildMockActionPlan(prompt, section) };
+    }
+
+    return {
+        section,
+        content: (SECTION_RESPONSES[section] || FALLBACK_RESPONSE) + mentionPseudonyms(prompt)
+    };
+}
+
+/**
+ * Cita os pseudônimos recebidos (CLIENTE_001...), para testar a restauração dos nomes
+ */
+function mentionPseudonyms(prompt) {
+    const pseudonyms = [...new Set(prompt.match(/\b(?:CLIENTE|FUNCIONARIO|EMAIL|TELEFONE|CPF|CNPJ)_\d+\b/g) || [])];
+    if (pseudonyms.length === 0) return '';
+
+    return `\n\n- Destaques citados: ${pseudonyms.slice(0, 3).join(', ')}`;
+}
+
+/**
+ * Formata a resposta no formato de cada protocolo
+ */
+const FORMATTERS = {
+    openai: (content, body) => ({
+        id: 'chatcmpl-mock',
+        object: 'chat.completion',
+        model: body.model || 'mock-model',
+        choices: [
+            {
+                index: 0,
+                message: { role: 'assistant', content },
+                finish_reason: 'stop'
+            }
+        ],
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    }),
+    ollama: (content, body) => ({
+        model: body.model || 'mock-model',
+        message: { role: 'assistant', content },
+        done: true
+    }),
+    anthropic: (content, body) => ({
+        id: 'msg_mock',
+        type: 'message',
+        role: 'assistant',
+        model: body.model || 'mock-model',
+        content: [{ type: 'text', text: content }],
+        stop_reason: 'end_turn'
+    })
+};
+
+/**
+ * Formata os eventos de streaming de cada protocolo
+ * - chunk: linha(s) com um trecho de texto
+ * - end: linha(s) finais que encerram o stream
+ */
+const STREAM_FORMATTERS = {
+    openai: {
+        contentType: 'text/event-stream',
+        chunk: text => `data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: text } }] })}\n\n`,
+        end: () => 'data: [DONE]\n\n'
+    },
+    ollama: {
+        contentType: 'application/x-ndjson',
+        chunk: (text, body) => `${JSON.stringify({ model: body.model || 'mock-model', message: { role: 'assistant', content: text }, done: false })}\n`,
+        end: body => `${JSON.stringify({ model: body.model || 'mock-model', done: true })}\n`
+    },
+    anthropic: {
+        contentType: 'text/event-stream',
+        chunk: text => `event: content_block_delta\ndata: ${JSON.stringify({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } })}\n\n`,
+        end: () => `event: message_stop\ndata: ${JSON.stringify({ type: 'message_stop' })}\n\n`
+    }
+};
+
+const ROUTES = {
+    '/chat/completions': 'openai',
+    '/v1/chat/completions': 'openai',
+    '/api/chat': 'ollama',
+    '/v1/messages': 'anthropic'
+};
+
+function setCorsHeaders(res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', '*');
+}
+
+function sendJSON(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(payload));
+}
+
+/**
+ * Envia o conteúdo em trechos (palavra a palavra), com atraso entre eles
+ * Interrompe se o cliente fechar a conexão (cancelamento)
+ */
+async function sendStream(res, protocol, content, body) {
+    const formatter = STREAM_FORMATTERS[protocol];
+    const chunks = content.match(/\S+\s*|\s+/g) || [];
+    let aborted = false;
+    res.on('close', () => { aborted = !res.writableFinished; });
+
+    res.writeHead(200, {
+        'Content-Type': `${formatter.contentType}; charset=utf-8`,
+        'Cache-Control': 'no-cache'
+    });
+
+    for (const text of chunks) {
+        if (aborted) return;
+        res.write(formatter.chunk(text, body));
+        await new Promise(resolve => setTimeout(resolve, STREAM_DELAY));
+    }
+
+    res.end(formatter.end(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => resolve(raw));
+        req.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    setCorsHeaders(res);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const protocol = ROUTES[new URL(req.url, 'http://localhost').pathname];
+    if (req.method !== 'POST' || !protocol) {
+        sendJSON(res, 404, { error: 'Rota não encontrada' });
+        return;
+    }
+
+    let body;
+    try {
+        body = JSON.parse(await readBody(req));
+    } catch {
+        sendJSON(res, 400, { error: 'JSON inválido' });
+        return;
+    }
+
+    const { section, content } = resolveResponse(body.messages);
+    console.log(`🧪 [${protocol}] seção: ${section}${body.stream ? ' (stream)' : ''}`);
+
+    if (body.stream) {
+        await sendStream(res, protocol, content, body);
+        return;
+    }
+
+    sendJSON(res, 200, FORMATTERS[protocol](content, body));
+});
+
+server.listen(PORT, () => {
+    console.log(`🧪 Mock LLM server ouvindo em http://localhost:${PORT}`);
+});
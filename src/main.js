@@ -6,65 +6,86 @@
  */
 
 import { FileUploadManager } from './modules/FileUploadManager.js';
-import { ExcelParser } from './modules/ExcelParser.js';
-import { JSONParser } from './modules/JSONParser.js';
-import { XMLParser } from './modules/XMLParser.js';
+import { XMLParser, XML_PRESETS } from './modules/XMLParser.js';
 import { GoogleSheetsParser } from './modules/GoogleSheetsParser.js';
-import { ColumnTypeDetector } from './modules/ColumnTypeDetector.js';
-import { DataValidator } from './modules/DataValidator.js';
-import { AnalyticsEngine } from './modules/AnalyticsEngine.js';
+import { APIConnector, PaginationType } from './modules/APIConnector.js';
+import { JSONParser } from './modules/JSONParser.js';
+import { ExcelParser } from './modules/ExcelParser.js';
+import { SQLiteParser } from './modules/SQLiteParser.js';
+import { DatasetCombiner, CombineMode, JoinType, DEFAULT_SOURCE_COLUMN } from './modules/DatasetCombiner.js';
+import { DataWorkspace } from './modules/DataWorkspace.js';
+import { ColumnMappingProfiles, matchProfileColumns } from './modules/ColumnMappingProfiles.js';
+import { DataValidator, CleaningAction, FillMethod, CaseMode, COERCE_TYPES } from './modules/DataValidator.js';
+import { CleaningRecipes, parseRecipe } from './modules/CleaningRecipes.js';
+import { DialectDetector, DateOrder, CSV_DELIMITERS, CSV_QUOTE_CHARS, CSV_ENCODINGS } from './modules/DialectDetector.js';
 import { ChartGenerator } from './modules/ChartGenerator.js';
-import { InsightsGenerator } from './modules/InsightsGenerator.js';
 import { ExportManager } from './modules/ExportManager.js';
-import { ProcessingStatus } from './types/enums.js';
+import { AnalysisJob } from './modules/AnalysisJob.js';
+import { ProcessingStatus, ColumnTypeLabels } from './types/enums.js';
+import { normalizeHeader } from './utils/text.js';
 import { UIManager } from './ui/UIManager.js';
 // Módulos de Análise Avançada
-import { MLEngine } from './modules/MLEngine.js';
-import { RFMAnalyzer } from './modules/RFMAnalyzer.js';
-import { CohortAnalyzer } from './modules/CohortAnalyzer.js';
-import { CorrelationAnalyzer } from './modules/CorrelationAnalyzer.js';
-import { GeoAnalyzer } from './modules/GeoAnalyzer.js';
-import { MarketBasketAnalyzer } from './modules/MarketBasketAnalyzer.js';
-import { ChurnAnalyzer } from './modules/ChurnAnalyzer.js';
-import { TimeSeriesAnalyzer } from './modules/TimeSeriesAnalyzer.js';
 import { FilterManager } from './modules/FilterManager.js';
 import { DashboardCustomizer } from './modules/DashboardCustomizer.js';
 import { AlertsManager } from './modules/AlertsManager.js';
 import { AdvancedChartsHelper } from './modules/AdvancedChartsHelper.js';
-import { AIReportGenerator } from './modules/AIReportGenerator.js';
+import { AIReportGenerator, PROMPT_VERSION } from './modules/AIReportGenerator.js';
+import { AIReportCache } from './modules/AIReportCache.js';
+import { ReportDiff } from './modules/ReportDiff.js';
+import { PRIORITY_LABELS, actionToGoalConfig, formatTarget } from './modules/ActionPlanSchema.js';
+import { DataChatAssistant } from './modules/DataChatAssistant.js';
 // Novos Módulos v3.0
 import { TemplateManager } from './modules/TemplateManager.js';
-import { GoalsManager } from './modules/GoalsManager.js';
+import { GoalsManager, kpiValuesById } from './modules/GoalsManager.js';
 
 class BIAnalyticsPro {
   constructor() {
     this.uploadManager = new FileUploadManager();
+    this.xmlParser = new XMLParser();
     this.excelParser = new ExcelParser();
+    this.dialectDetector = new DialectDetector();
     this.jsonParser = new JSONParser();
-    this.xmlParser = new XMLParser();
+    this.sqliteParser = new SQLiteParser();
     this.googleSheetsParser = new GoogleSheetsParser();
-    this.typeDetector = new ColumnTypeDetector();
-    this.validator = new DataValidator();
+    this.apiConnector = new APIConnector();
     this.uiManager = new UIManager();
     
-    // Análises Avançadas
-    this.mlEngine = new MLEngine();
-    this.rfmAnalyzer = new RFMAnalyzer();
-    this.cohortAnalyzer = new CohortAnalyzer();
-    this.correlationAnalyzer = new CorrelationAnalyzer();
-    this.geoAnalyzer = new GeoAnalyzer();
-    this.marketBasketAnalyzer = new MarketBasketAnalyzer();
-    this.churnAnalyzer = new ChurnAnalyzer();
-    this.timeSeriesAnalyzer = new TimeSeriesAnalyzer();
+    // Google Sheets importado: { url, sheetId, selection, tabs, importedAt, checkedAt, diff }
+    this.sheetsSource = null;
+    this.sheetsRefreshTimer = null;
+    this.sheetsRefreshing = false;
+    
+    // Espaço de trabalho com vários arquivos (mantido entre análises)
+    this.workspace = new DataWorkspace({
+      uploadManager: this.uploadManager,
+      excelParser: this.excelParser,
+      xmlParser: this.xmlParser
+    });
+    this.workspaceOptions = { mode: CombineMode.APPEND, mainId: null, keys: {}, type: JoinType.LEFT };
     
     // Gerenciadores
     this.filterManager = new FilterManager();
     this.dashboardCustomizer = new DashboardCustomizer();
     this.alertsManager = new AlertsManager();
     this.aiReportGenerator = new AIReportGenerator();
+    this.aiReportStream = null;
+    this.analysisJob = null;
+    this.aiReportCache = new AIReportCache();
+    this.dataChat = new DataChatAssistant(this.aiReportGenerator);
     this.templateManager = new TemplateManager();
     this.goalsManager = new GoalsManager();
     
+    // Perfis de mapeamento de colunas (tipos e papéis escolhidos pelo usuário)
+    this.mappingProfiles = new ColumnMappingProfiles();
+    this.mappingProfile = null;
+    this.analysisInput = null;
+    
+    // Workbench de limpeza e receitas: etapas aplicadas, cabeçalhos originais e receita reaplicada
+    this.dataValidator = new DataValidator();
+    this.cleaningRecipes = new CleaningRecipes();
+    this.cleaning = null;
+    this.validationSuggestions = {};
+    
     this.currentData = null;
     this.currentFormat = null;
     this.columnMetadata = null;
@@ -73,7 +94,10 @@ class BIAnalyticsPro {
     this.insights = null;
     this.exportManager = null;
     this.advancedAnalytics = null;
+    this.sampling = null;
+    this.dataSource = null;
     this.currentTemplate = null;
+    this.templateMapping = {};
     
     this.status = ProcessingStatus.IDLE;
     
@@ -102,6 +126,20 @@ class BIAnalyticsPro {
       fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
     }
     
+    // Colar um intervalo copiado de uma planilha (Ctrl+V na tela de upload ou botão)
+    document.getElementById('paste-btn')?.addEventListener('click', () => this.pasteFromClipboard());
+    document.addEventListener('paste', (e) => {
+      const uploadVisible = !document.getElementById('upload-section')?.classList.contains('hidden');
+      const editing = e.target.closest?.('input, textarea, [contenteditable="true"]');
+      if (!uploadVisible || editing) return;
+      
+      const text = e.clipboardData?.getData('text/plain');
+      if (text) {
+        e.preventDefault();
+        this.handlePastedText(text);
+      }
+    });
+    
     // Google Sheets import
     const importSheetsBtn = document.getElementById('import-sheets-btn');
     const sheetsUrlInput = document.getElementById('sheets-url');
@@ -116,6 +154,24 @@ class BIAnalyticsPro {
       });
     }
     
+    // Google Sheets: atualização automática (intervalo salvo no layout do dashboard)
+    document.getElementById('sheets-refresh-interval')?.addEventListener('change', (e) => {
+      this.setSheetsAutoRefresh(Number(e.target.value) || null);
+    });
+    document.getElementById('sheets-refresh-btn')?.addEventListener('click', () => this.refreshGoogleSheets());
+    
+    // Conector de API REST/JSON
+    this.setupAPIConnectorForm();
+    
+    // Espaço de trabalho com vários arquivos
+    const workspaceInput = document.getElementById('workspace-input');
+    document.getElementById('workspace-add-btn')?.addEventListener('click', () => workspaceInput?.click());
+    workspaceInput?.addEventListener('change', async (e) => {
+      await this.addWorkspaceFiles(e.target.files);
+      e.target.value = '';
+    });
+    this.setupWorkspacePanel();
+    
     // Tabs para alternar entre upload de arquivo e URL
     const tabBtns = document.querySelectorAll('.tab-btn');
     tabBtns.forEach(btn => {
@@ -149,7 +205,11 @@ class BIAnalyticsPro {
       uploadCard.addEventListener('drop', (e) => {
         e.preventDefault();
         uploadCard.classList.remove('drag-over');
-        if (e.dataTransfer.files.length > 0) {
+        if (e.dataTransfer.files.length > 1) {
+          // Vários arquivos: vão para o espaço de trabalho
+          document.querySelector('.tab-btn[data-tab="workspace"]')?.click();
+          this.addWorkspaceFiles(e.dataTransfer.files);
+        } else if (e.dataTransfer.files.length > 0) {
           this.handleFile(e.dataTransfer.files[0]);
         }
       });
@@ -161,6 +221,7 @@ class BIAnalyticsPro {
     document.getElementById('export-csv-btn')?.addEventListener('click', () => this.exportToCSV());
     document.getElementById('new-analysis-btn')?.addEventListener('click', () => this.reset());
     document.getElementById('retry-btn')?.addEventListener('click', () => this.reset());
+    document.getElementById('cancel-analysis-btn')?.addEventListener('click', () => this.cancelAnalysis());
     
     // AI Report button
     document.getElementById('ai-report-btn')?.addEventListener('click', () => this.generateAIReport());
@@ -168,9 +229,26 @@ class BIAnalyticsPro {
     // Templates button
     document.getElementById('templates-btn')?.addEventListener('click', () => this.showTemplatesModal());
     
+    // Assistente de mapeamento de colunas
+    document.getElementById('mapping-btn')?.addEventListener('click', () => this.showColumnMappingModal());
+    
+    // Workbench de limpeza de dados
+    document.getElementById('cleaning-btn')?.addEventListener('click', () => this.showCleaningModal());
+    
     // Goals button
     document.getElementById('goals-btn')?.addEventListener('click', () => this.showGoalsModal());
     
+    // Ask your data button
+    document.getElementById('ask-data-btn')?.addEventListener('click', () => this.showDataChatModal());
+    
+    // Criar meta a partir de uma ação do relatório IA
+    document.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-create-goal]');
+      if (button && !button.disabled) {
+        this.createGoalFromAction(button);
+      }
+    });
+    
     // Progress listener
     window.addEventListener('upload-progress', (e) => {
       this.uiManager.updateProgress(e.detail.progress);
@@ -202,172 +280,99 @@ class BIAnalyticsPro {
       const uploadResult = await this.uploadManager.uploadFile(file);
       this.currentFormat = uploadResult.format;
       
-      // ETAPA 2: Parsing baseado no formato
-      this.status = ProcessingStatus.READING;
-      this.uiManager.updateStep(1, 'completed', 'Leitura concluída!');
-      this.uiManager.updateStep(2, 'processing', 'Detectando colunas...');
-      
-      await this.delay(500);
-      
-      // Parse dados baseado no formato do arquivo
-      let parseResult;
-      switch (this.currentFormat) {
-        case 'excel': {
-          this.excelParser.readWorkbook(uploadResult.data);
-          const sheetData = this.excelParser.getFirstValidSheet();
-          parseResult = {
-            data: sheetData.data,
-            metadata: sheetData.metadata
-          };
-          break;
+      // XML depende do DOMParser, que não existe no worker: é convertido aqui
+      let input = { format: this.currentFormat, payload: uploadResult.data };
+      if (this.currentFormat === 'xml') {
+        const xmlDoc = this.xmlParser.parseDocument(uploadResult.data);
+        const preset = this.xmlParser.detectPreset(xmlDoc);
+        const recordPaths = this.xmlParser.listRecordPaths(xmlDoc);
+        
+        // NF-e ou vários elementos repetidos: o usuário confirma quais elementos viram linhas
+        let xmlOptions = {};
+        if (preset || recordPaths.length > 1) {
+          xmlOptions = await this.showXMLPickerModal(recordPaths, preset);
+          if (!xmlOptions) {
+            this.reset();
+            return;
+          }
         }
-          
-        case 'json':
-          parseResult = await this.jsonParser.parseJSON(uploadResult.data);
-          if (!parseResult.success) {
-            throw new Error(parseResult.error);
+        
+        const parseResult = await this.xmlParser.parseXML(xmlDoc, xmlOptions);
+        if (!parseResult.success) {
+          throw new Error(parseResult.error);
+        }
+        input = { data: parseResult.data, columnHints: parseResult.metadata.columnHints };
+        
+        if (parseResult.metadata.preset) {
+          const { label } = XML_PRESETS[parseResult.metadata.preset];
+          this.uiManager.showToast(`🧾 ${label}: ${parseResult.data.length.toLocaleString('pt-BR')} itens importados`, 'success');
+        }
+      }
+      
+      // SQLite: o usuário escolhe a tabela; as linhas são lidas aqui (sql.js) e seguem já convertidas
+      if (this.currentFormat === 'sqlite') {
+        await this.sqliteParser.open(uploadResult.data);
+        try {
+          const tables = this.sqliteParser.listTables().filter(table => table.headers.length > 0);
+          if (tables.length === 0) {
+            throw new Error('Nenhuma tabela encontrada no banco SQLite');
           }
-          break;
           
-        case 'xml':
-          parseResult = await this.xmlParser.parseXML(uploadResult.data);
-          if (!parseResult.success) {
-            throw new Error(parseResult.error);
+          const table = tables.length > 1 ? await this.showSQLiteTableModal(tables) : tables[0].name;
+          if (!table) {
+            this.reset();
+            return;
           }
-          break;
           
-        case 'csv': {
-          // CSV é processado via Papa Parse (já incluído no ExcelParser)
-          this.excelParser.readWorkbook(uploadResult.data);
-          const csvData = this.excelParser.getFirstValidSheet();
-          parseResult = {
-            data: csvData.data,
-            metadata: csvData.metadata
-          };
-          break;
+          const { data, metadata } = this.sqliteParser.readTable(table);
+          input = { data, columnHints: metadata.columnFormats };
+        } finally {
+          this.sqliteParser.close();
         }
-          
-        default:
-          throw new Error(`Formato não suportado: ${this.currentFormat}`);
       }
       
-      this.currentData = parseResult.data;
-      
-      if (!this.currentData || this.currentData.length === 0) {
-        throw new Error('Nenhum dado encontrado no arquivo');
+      // JSON com vários arrays de registros: o usuário escolhe qual analisar e quais arrays filhos expandir
+      if (this.currentFormat === 'json') {
+        const arrays = this.jsonParser.listArrays(this.jsonParser.parseText(uploadResult.data).data);
+        
+        if (arrays.length > 1) {
+          const selection = await this.showJSONPickerModal(arrays);
+          if (!selection) {
+            this.reset();
+            return;
+          }
+          input.jsonOptions = selection;
+        }
       }
       
-      // ETAPA 3: Detecção de tipos
-      this.status = ProcessingStatus.DETECTING;
-      const columnCount = Object.keys(this.currentData[0] || {}).length;
-      this.uiManager.updateStep(2, 'completed', `${columnCount} colunas detectadas!`);
-      this.uiManager.updateStep(3, 'processing', 'Validando dados...');
-      
-      await this.delay(500);
-      
-      const headers = Object.keys(this.currentData[0] || {});
-      this.columnMetadata = this.typeDetector.detectAllColumns(
-        this.currentData,
-        headers
-      );
-      
-      // ETAPA 4: Validação
-      this.status = ProcessingStatus.VALIDATING;
-      const validation = this.validator.validate(this.currentData, this.columnMetadata);
-      
-      if (validation.warnings.length > 0) {
-        console.warn('Avisos de validação:', validation.warnings);
+      // Excel com várias abas: o usuário escolhe quais analisar e como combiná-las
+      if (this.currentFormat === 'excel') {
+        const sheets = this.excelParser.listSheets(uploadResult.data)
+          .filter(sheet => sheet.rowCount > 0 && sheet.headers.length > 0);
+        
+        if (sheets.length > 1) {
+          const selection = await this.showSheetPickerModal(sheets);
+          if (!selection) {
+            this.reset();
+            return;
+          }
+          input.sheets = selection;
+        }
+        input.excelOptions = this.getExcelOptions();
       }
       
-      // Limpar dados se necessário
-      this.currentData = this.validator.cleanData(this.currentData, ['remove_empty_rows']);
-      
-      this.uiManager.updateStep(3, 'completed', 'Dados validados!');
-      this.uiManager.updateStep(4, 'processing', 'Gerando análises...');
-      
-      await this.delay(500);
-      
-      // ETAPA 5: Análise
-      this.status = ProcessingStatus.ANALYZING;
-      const analyticsEngine = new AnalyticsEngine(this.currentData, this.columnMetadata);
-      this.analytics = analyticsEngine.analyzeAll();
-      
-      this.uiManager.updateStep(4, 'completed', `${this.analytics.kpis.length} KPIs gerados!`);
-      this.uiManager.updateStep(5, 'processing', 'Criando insights...');
-      
-      await this.delay(500);
-      
-      // ETAPA 6: Insights
-      this.status = ProcessingStatus.GENERATING_INSIGHTS;
-      const insightsGenerator = new InsightsGenerator(
-        this.currentData,
-        this.columnMetadata,
-        this.analytics
-      );
-      this.insights = insightsGenerator.generateAll();
-      this.analytics.insights = this.insights;
-      
-      // Gerar gráficos
-      const chartGenerator = new ChartGenerator(
-        this.currentData,
-        this.columnMetadata,
-        this.analytics
-      );
-      this.charts = chartGenerator.generateAll();
-      
-      this.uiManager.updateStep(5, 'completed', `${this.insights.length} insights criados!`);
-      
-      await this.delay(500);
-      
-      // ETAPA 6.5: Análises Avançadas
-      console.log('🔬 Executando análises avançadas...');
-      this.advancedAnalytics = {
-        ml: this.mlEngine.analyzeAll(this.currentData, this.columnMetadata, this.analytics),
-        rfm: this.rfmAnalyzer.analyze(this.currentData, this.columnMetadata),
-        cohort: this.cohortAnalyzer.analyze(this.currentData, this.columnMetadata),
-        correlation: this.correlationAnalyzer.analyze(this.currentData, this.columnMetadata),
-        geo: this.geoAnalyzer.analyze(this.currentData, this.columnMetadata),
-        marketBasket: this.marketBasketAnalyzer.analyze(this.currentData, this.columnMetadata),
-        churn: this.churnAnalyzer.analyze(this.currentData, this.columnMetadata),
-        timeSeries: this.timeSeriesAnalyzer.analyze(this.currentData, this.columnMetadata, this.analytics)
-      };
-      
-      // Inicializar gerenciadores
-      this.filterManager.initialize(this.currentData);
-      this.dashboardCustomizer.initialize();
-      this.alertsManager.initialize();
-      
-      // Avaliar alertas
-      const newAlerts = this.alertsManager.evaluateRules({
-        processedData: this.currentData,
-        columnMetadata: this.columnMetadata,
-        analytics: this.analytics,
-        churn: this.advancedAnalytics.churn,
-        insights: this.insights
-      });
-      
-      console.log(`✅ ${newAlerts.length} alerta(s) gerado(s)`);
-      
-      // ETAPA 6.7: Sugerir e aplicar template automaticamente
-      console.log('🎯 Sugerindo template...');
-      const templateSuggestion = this.suggestTemplate();
-      if (templateSuggestion && templateSuggestion.confidence !== 'low') {
-        console.log(`✨ Template "${templateSuggestion.template.name}" aplicado automaticamente!`);
-        this.applyTemplate(templateSuggestion.templateId);
+      // CSV: confirma o delimitador, a codificação e os formatos de número e data detectados
+      if (this.currentFormat === 'csv') {
+        const dialect = await this.showCSVDialectModal(file, await this.dialectDetector.detectFile(file));
+        if (!dialect) {
+          this.reset();
+          return;
+        }
+        input.dialect = dialect;
       }
       
-      // ETAPA 6.8: Criar metas automáticas baseadas na análise
-      console.log('📈 Criando metas automáticas...');
-      this.createAutoGoals();
-      
-      await this.delay(1000);
-      
-      // ETAPA 7: Exibir dashboard
-      this.status = ProcessingStatus.COMPLETED;
-      this.displayDashboard();
-      
-      // Criar export manager
-      this.exportManager = new ExportManager(this.currentData, this.analytics, this.charts);
+      // ETAPAS 2-6: parsing, detecção, validação e análises em segundo plano
+      await this.runAnalysis(input);
       
     } catch (error) {
       this.handleError(error);
@@ -375,1162 +380,3384 @@ class BIAnalyticsPro {
   }
 
   /**
-   * Exibe o dashboard final
+   * Lê a área de transferência (botão "Colar dados")
    */
-  displayDashboard() {
-    this.uiManager.showDashboard();
-    
-    // Renderizar KPIs
-    this.uiManager.renderKPIs(this.analytics.kpis);
-    
-    // Renderizar Insights
-    this.uiManager.renderInsights(this.insights);
-    
-    // Renderizar Gráficos
-    this.uiManager.renderCharts(this.charts);
-    
-    // Renderizar Análises Avançadas
-    this.displayAdvancedAnalytics();
-    
-    // Renderizar Tabela
-    this.uiManager.renderDataTable(this.currentData, this.columnMetadata);
-    
-    // Mostrar alertas se houver
-    this.displayAlerts();
-    
-    console.log('✅ Dashboard renderizado com sucesso!');
+  async pasteFromClipboard() {
+    try {
+      const text = await navigator.clipboard.readText();
+      await this.handlePastedText(text);
+    } catch (error) {
+      this.uiManager.showToast('⚠️ Não foi possível ler a área de transferência. Use Ctrl+V nesta tela', 'warning');
+    }
   }
-  
+
   /**
-   * Exibe análises avançadas
+   * Processa um intervalo colado de uma planilha (Excel, Google Sheets, LibreOffice)
+   * O texto segue como um arquivo TSV (ver FileUploadManager.createPastedFile),
+   * passando pela pré-visualização do CSV
+   * @param {string} text
    */
-  displayAdvancedAnalytics() {
-    if (!this.advancedAnalytics) return;
-    
-    const container = document.getElementById('advanced-analytics-container') || 
-                     this.createAdvancedAnalyticsContainer();
-    
-    container.innerHTML = '<h2>📊 Análises Avançadas</h2>';
-    
-    // Machine Learning
-    if (this.advancedAnalytics.ml.predictions?.length > 0) {
-      this.displayMLAnalysis(container);
-    }
-    
-    // RFM
-    if (this.advancedAnalytics.rfm.available) {
-      this.displayRFMAnalysis(container);
+  async handlePastedText(text) {
+    if (!text.trim()) {
+      this.uiManager.showToast('⚠️ A área de transferência está vazia', 'warning');
+      return;
     }
     
-    // Cohort
-    if (this.advancedAnalytics.cohort.available) {
-      this.displayCohortAnalysis(container);
-    }
+    await this.handleFile(this.uploadManager.createPastedFile(text));
+  }
+
+  /**
+   * Opções de leitura do Excel marcadas na tela de upload
+   * @returns {Object} { excludeHiddenRows, excludeSubtotalRows } (ver ExcelParser)
+   */
+  getExcelOptions() {
+    return {
+      excludeHiddenRows: Boolean(document.getElementById('exclude-hidden-rows')?.checked),
+      excludeSubtotalRows: Boolean(document.getElementById('exclude-subtotal-rows')?.checked)
+    };
+  }
+
+  /**
+   * Executa o processamento em um Web Worker (AnalysisJob) e monta o dashboard
+   * @param {Object} input - { format, payload } ou { data } (ver AnalysisPipeline.run)
+   * @returns {Promise<boolean>} false se a análise foi cancelada
+   */
+  async runAnalysis(input) {
+    this.analysisJob?.cancel();
     
-    // Correlation
-    if (this.advancedAnalytics.correlation.available) {
-      this.displayCorrelationAnalysis(container);
-    }
+    // Perfis de mapeamento salvos: o de mesmos cabeçalhos define os tipos das colunas
+    // Receitas salvas: a dos mesmos cabeçalhos é reaplicada antes da análise
+    const job = new AnalysisJob({
+      mappingProfiles: this.mappingProfiles.list(),
+      recipes: this.cleaningRecipes.list(),
+      ...input
+    });
+    this.analysisJob = job;
     
-    // Geographic
-    if (this.advancedAnalytics.geo.available) {
-      this.displayGeoAnalysis(container);
-    }
+    this.uiManager.showProcessingSection();
+    this.uiManager.updateProgress(0, 'analysis-progress');
     
-    // Market Basket
-    if (this.advancedAnalytics.marketBasket.available) {
-      this.displayMarketBasketAnalysis(container);
-    }
+    job.addEventListener('progress', ({ detail }) => {
+      if (detail.phase) this.status = detail.phase;
+      this.uiManager.updateStep(detail.step, detail.status, detail.message);
+      this.uiManager.updateProgress(detail.progress, 'analysis-progress');
+    });
     
-    // Churn
-    if (this.advancedAnalytics.churn.available) {
-      this.displayChurnAnalysis(container);
+    let result;
+    try {
+      result = await job.start().done;
+    } catch (error) {
+      if (error.name === 'AbortError') return false;
+      throw error;
+    } finally {
+      if (this.analysisJob === job) this.analysisJob = null;
     }
     
-    // Time Series
-    if (this.advancedAnalytics.timeSeries.available) {
-      this.displayTimeSeriesAnalysis(container);
-    }
+    // Entrada guardada para refazer a análise após o assistente de mapeamento
+    this.analysisInput = input;
+    this.applyAnalysisResult(result);
+    return true;
   }
-  
+
   /**
-   * Cria container para análises avançadas
+   * Adiciona arquivos ao espaço de trabalho
+   * @param {FileList|Array<File>} files
    */
-  createAdvancedAnalyticsContainer() {
-    const container = document.createElement('div');
-    container.id = 'advanced-analytics-container';
-    container.className = 'section';
+  async addWorkspaceFiles(files) {
+    const { added, errors } = await this.workspace.addFiles(files);
     
-    const chartsSection = document.getElementById('charts-container');
-    if (chartsSection && chartsSection.parentNode) {
-      chartsSection.parentNode.insertBefore(container, chartsSection.nextSibling);
-    } else {
-      const dashboardSection = document.getElementById('dashboard-section');
-      if (dashboardSection) {
-        const containerDiv = dashboardSection.querySelector('.container');
-        if (containerDiv) {
-          containerDiv.appendChild(container);
-        }
-      }
+    errors.forEach(({ name, error }) => {
+      this.uiManager.showToast(`❌ ${name}: ${error}`, 'error');
+    });
+    if (added.length > 0) {
+      this.uiManager.showToast(`🗂️ ${added.length} arquivo(s) adicionado(s) ao espaço de trabalho`, 'success');
     }
     
-    return container;
+    this.renderWorkspace();
   }
   
   /**
-   * Exibe análise de Machine Learning
+   * Eventos do painel do espaço de trabalho (delegados: o painel é redesenhado a cada mudança)
    */
-  displayMLAnalysis(container) {
-    const section = document.createElement('div');
-    section.className = 'analysis-section';
-    section.innerHTML = `
-      <h3>🤖 Machine Learning - Previsões</h3>
-      <div class="ml-predictions"></div>
-    `;
-    container.appendChild(section);
+  setupWorkspacePanel() {
+    const panel = document.getElementById('workspace-panel');
+    if (!panel) return;
     
-    const mlData = this.advancedAnalytics.ml;
-    const predictionsDiv = section.querySelector('.ml-predictions');
+    panel.addEventListener('click', (e) => {
+      const removeButton = e.target.closest('[data-workspace-remove]');
+      if (removeButton) {
+        this.workspace.remove(Number(removeButton.dataset.workspaceRemove));
+        this.renderWorkspace();
+        return;
+      }
+      
+      const action = e.target.closest('[data-workspace-action]')?.dataset.workspaceAction;
+      if (action === 'analyze') {
+        this.analyzeWorkspace();
+      } else if (action === 'clear') {
+        this.workspace.clear();
+        this.workspaceOptions.keys = {};
+        this.renderWorkspace();
+      }
+    });
     
-    if (mlData.predictions.length > 0) {
-      const pred = mlData.predictions[0];
-      predictionsDiv.innerHTML = `
-        <p><strong>Modelo:</strong> ${pred.method}</p>
-        <p><strong>Precisão (R²):</strong> ${(pred.accuracy * 100).toFixed(1)}%</p>
-        <p><strong>Previsões próximos 3 períodos:</strong></p>
-        <ul>
-          ${pred.predictions.map(p => `
-            <li>${p.month}: R$ ${p.predicted.toFixed(2)} (Confiança: ${p.confidence.toFixed(1)}%)</li>
-          `).join('')}
-        </ul>
-      `;
-    }
+    panel.addEventListener('change', (e) => {
+      const { name, value, dataset } = e.target;
+      const options = this.workspaceOptions;
+      
+      if (name === 'workspace-mode') {
+        options.mode = value;
+      } else if (name === 'workspace-main') {
+        options.mainId = Number(value);
+        options.keys = {};
+      } else if (name === 'workspace-type') {
+        options.type = value;
+      } else if (dataset.keySide) {
+        const id = Number(dataset.keyFile);
+        options.keys[id] = { ...options.keys[id], [dataset.keySide]: value };
+        return;
+      }
+      
+      this.renderWorkspace();
+    });
   }
   
   /**
-   * Exibe análise RFM
+   * Desenha a lista de arquivos do espaço de trabalho e as opções de combinação
    */
-  displayRFMAnalysis(container) {
-    const section = document.createElement('div');
-    section.className = 'analysis-section';
-    section.innerHTML = `
-      <h3>🎯 Análise RFM - Segmentação de Clientes</h3>
-      <div class="rfm-segments"></div>
-      <canvas id="rfm-chart" width="400" height="300"></canvas>
-    `;
-    container.appendChild(section);
+  renderWorkspace() {
+    const panel = document.getElementById('workspace-panel');
+    if (!panel) return;
     
-    const rfmData = this.advancedAnalytics.rfm;
-    const segmentsDiv = section.querySelector('.rfm-segments');
+    const entries = this.workspace.getEntries();
+    panel.classList.toggle('hidden', entries.length === 0);
+    if (entries.length === 0) {
+      panel.innerHTML = '';
+      return;
+    }
     
-    segmentsDiv.innerHTML = `
-      <p><strong>Total de Clientes:</strong> ${rfmData.metrics.totalClients}</p>
-      <p><strong>Segmentos Identificados:</strong></p>
-      <ul>
-        ${rfmData.segments.slice(0, 5).map(s => `
-          <li><span style="color: ${s.color}">⬤</span> ${s.name}: ${s.count} cliente(s)</li>
+    const options = this.workspaceOptions;
+    const main = entries.find(entry => entry.id === options.mainId) || entries[0];
+    options.mainId = main.id;
+    
+    const rowsLabel = (entry) => entry.rowCount !== null ? `${entry.rowCount.toLocaleString('pt-BR')} linhas · ` : '';
+    const keyOptions = (headers, selected) => headers.map(header => `
+      <option value="${this.escapeHTML(header)}" ${header === selected ? 'selected' : ''}>${this.escapeHTML(header)}</option>
+    `).join('');
+    
+    // Colunas-chave de cada arquivo de consulta: sugere a coluna comum com o principal
+    const combiner = new DatasetCombiner();
+    const joinRows = entries.filter(entry => entry !== main).map(entry => {
+      const current = options.keys[entry.id];
+      if (!current || !main.headers.includes(current.leftKey) || !entry.headers.includes(current.rightKey)) {
+        const [suggestion] = combiner.suggestJoinKeys(main.headers, entry.headers);
+        options.keys[entry.id] = suggestion || { leftKey: main.headers[0], rightKey: entry.headers[0] };
+      }
+      const { leftKey, rightKey } = options.keys[entry.id];
+      
+      return `
+        <div class="workspace-join-row">
+          <span>${this.escapeHTML(entry.name)}</span>
+          <select data-key-file="${entry.id}" data-key-side="leftKey">${keyOptions(main.headers, leftKey)}</select>
+          <span>=</span>
+          <select data-key-file="${entry.id}" data-key-side="rightKey">${keyOptions(entry.headers, rightKey)}</select>
+        </div>
+      `;
+    }).join('');
+    
+    panel.innerHTML = `
+      <ul class="workspace-files">
+        ${entries.map(entry => `
+          <li class="workspace-file">
+            <span class="workspace-format">${entry.format.toUpperCase()}</span>
+            <strong>${this.escapeHTML(entry.name)}</strong>
+            <span>${rowsLabel(entry)}${entry.headers.length} colunas · ${this.uploadManager.formatFileSize(entry.size)}</span>
+            <button class="modal-close" data-workspace-remove="${entry.id}" title="Remover">&times;</button>
+          </li>
         `).join('')}
       </ul>
+      
+      ${entries.length < 2 ? '<p class="history-hint">Adicione pelo menos mais um arquivo para combinar.</p>' : `
+        <div class="sheet-modes">
+          <label class="sheet-mode">
+            <input type="radio" name="workspace-mode" value="${CombineMode.APPEND}" ${options.mode !== CombineMode.JOIN ? 'checked' : ''}>
+            <strong>Empilhar arquivos</strong>
+            <span>Junta as linhas; colunas com nomes equivalentes são conciliadas</span>
+          </label>
+          <label class="sheet-mode">
+            <input type="radio" name="workspace-mode" value="${CombineMode.JOIN}" ${options.mode === CombineMode.JOIN ? 'checked' : ''}>
+            <strong>Cruzar arquivos</strong>
+            <span>Traz colunas dos demais arquivos pela coluna-chave, como um PROCV</span>
+          </label>
+        </div>
+        
+        ${options.mode === CombineMode.JOIN ? `
+          <div class="sheet-join">
+            <label>Arquivo principal
+              <select name="workspace-main">
+                ${entries.map(entry => `<option value="${entry.id}" ${entry === main ? 'selected' : ''}>${this.escapeHTML(entry.name)}</option>`).join('')}
+              </select>
+            </label>
+            <label>Linhas sem correspondência
+              <select name="workspace-type">
+                <option value="${JoinType.LEFT}" ${options.type === JoinType.LEFT ? 'selected' : ''}>Manter (colunas da consulta ficam vazias)</option>
+                <option value="${JoinType.INNER}" ${options.type === JoinType.INNER ? 'selected' : ''}>Descartar</option>
+              </select>
+            </label>
+          </div>
+          <div class="workspace-joins">
+            <p class="history-hint">Coluna-chave no principal = coluna-chave no arquivo de consulta:</p>
+            ${joinRows}
+          </div>
+        ` : ''}
+      `}
+      
+      <div class="sheet-picker-actions">
+        <button class="btn-secondary" data-workspace-action="clear">Limpar</button>
+        <button class="btn-primary" data-workspace-action="analyze" ${entries.length < 2 ? 'disabled' : ''}>📊 Analisar Conjunto</button>
+      </div>
     `;
-    
-    // Criar gráfico RFM
-    setTimeout(() => {
-      AdvancedChartsHelper.createRFMSegmentsChart(rfmData, 'rfm-chart');
-    }, 100);
   }
   
   /**
-   * Exibe análise de Coorte
+   * Combina os arquivos do espaço de trabalho e roda a análise
    */
-  displayCohortAnalysis(container) {
-    const section = document.createElement('div');
-    section.className = 'analysis-section';
-    section.innerHTML = `
-      <h3>📅 Análise de Coorte - Retenção</h3>
-      <canvas id="cohort-chart" width="600" height="300"></canvas>
-    `;
-    container.appendChild(section);
-    
-    setTimeout(() => {
-      AdvancedChartsHelper.createCohortRetentionChart(
-        this.advancedAnalytics.cohort,
-        'cohort-chart'
-      );
-    }, 100);
-  }
-  
-  /**
-   * Exibe análise de Correlação
-   */
-  displayCorrelationAnalysis(container) {
-    const section = document.createElement('div');
-    section.className = 'analysis-section';
-    section.innerHTML = `
-      <h3>🔗 Correlações entre Variáveis</h3>
-      <div class="correlation-list"></div>
-    `;
-    container.appendChild(section);
+  async analyzeWorkspace() {
+    let input;
+    try {
+      input = { ...this.workspace.toPipelineInput(this.workspaceOptions), excelOptions: this.getExcelOptions() };
+    } catch (error) {
+      this.uiManager.showToast(`⚠️ ${error.message}`, 'warning');
+      return;
+    }
     
-    const corrData = this.advancedAnalytics.correlation;
-    const listDiv = section.querySelector('.correlation-list');
+    const entries = this.workspace.getEntries();
+    const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
     
-    if (corrData.significant.length > 0) {
-      listDiv.innerHTML = `
-        <p><strong>Top Correlações Significativas:</strong></p>
-        <ul>
-          ${corrData.significant.slice(0, 5).map(c => `
-            <li>${c.variable1} ↔ ${c.variable2}: <strong>${c.coefficient.toFixed(3)}</strong> (${c.strength})</li>
-          `).join('')}
-        </ul>
-      `;
-    } else {
-      listDiv.innerHTML = '<p>Nenhuma correlação forte detectada</p>';
+    try {
+      this.currentFormat = 'workspace';
+      this.uiManager.showFileInfo(`${entries.length} arquivos`, this.uploadManager.formatFileSize(totalSize));
+      this.uiManager.showProcessingSection();
+      await this.runAnalysis(input);
+    } catch (error) {
+      this.handleError(error);
     }
   }
-  
+
   /**
-   * Exibe análise Geográfica
+   * Seletor de abas: uma aba, abas empilhadas ou duas abas cruzadas por coluna-chave
+   * @param {Array<Object>} sheets - Abas com dados [{ name, headers, rowCount }] (ExcelParser.listSheets)
+   * @returns {Promise<Object|null>} { mode, sheets, joins, type } ou null se o usuário cancelar
    */
-  displayGeoAnalysis(container) {
-    const section = document.createElement('div');
-    section.className = 'analysis-section';
-    section.innerHTML = `
-      <h3>🗺️ Distribuição Geográfica</h3>
-      <canvas id="geo-chart" width="600" height="400"></canvas>
-    `;
-    container.appendChild(section);
+  showSheetPickerModal(sheets) {
+    const combiner = new DatasetCombiner();
+    const sheetInfo = (sheet) => `${sheet.rowCount.toLocaleString('pt-BR')} linhas · ${sheet.headers.length} colunas`;
+    const sheetOptions = (selected) => sheets.map((sheet, index) => `
+      <option value="${index}" ${index === selected ? 'selected' : ''}>${this.escapeHTML(sheet.name)}</option>
+    `).join('');
+    const sheetItems = (type) => sheets.map((sheet, index) => `
+      <label class="sheet-item">
+        <input type="${type}" name="sheet-${type}" value="${index}" ${index === 0 ? 'checked' : ''}>
+        <strong>${this.escapeHTML(sheet.name)}</strong>
+        <span>${sheetInfo(sheet)}</span>
+      </label>
+    `).join('');
     
-    setTimeout(() => {
-      AdvancedChartsHelper.createGeoChart(this.advancedAnalytics.geo, 'geo-chart');
-    }, 100);
-  }
-  
-  /**
-   * Exibe análise Market Basket
-   */
-  displayMarketBasketAnalysis(container) {
-    const section = document.createElement('div');
-    section.className = 'analysis-section';
-    section.innerHTML = `
-      <h3>🛒 Market Basket - Produtos Associados</h3>
-      <div class="basket-combos"></div>
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>📑 Abas da Planilha</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body">
+          <p class="history-hint">Este arquivo tem ${sheets.length} abas com dados. Escolha como analisá-las:</p>
+          
+          <div class="sheet-modes">
+            <label class="sheet-mode">
+              <input type="radio" name="sheet-mode" value="${CombineMode.SINGLE}" checked>
+              <strong>Uma aba</strong>
+              <span>Analisa somente a aba escolhida</span>
+            </label>
+            <label class="sheet-mode">
+              <input type="radio" name="sheet-mode" value="${CombineMode.APPEND}">
+              <strong>Empilhar abas</strong>
+              <span>Junta as linhas de abas com as mesmas colunas (ex.: Jan, Fev, Mar)</span>
+            </label>
+            <label class="sheet-mode">
+              <input type="radio" name="sheet-mode" value="${CombineMode.JOIN}">
+              <strong>Cruzar abas</strong>
+              <span>Traz colunas de outra aba pela coluna-chave, como um PROCV (ex.: Vendas × Clientes)</span>
+            </label>
+          </div>
+          
+          <div class="sheet-panel" data-mode="${CombineMode.SINGLE}">
+            ${sheetItems('radio')}
+          </div>
+          
+          <div class="sheet-panel hidden" data-mode="${CombineMode.APPEND}">
+            ${sheetItems('checkbox')}
+          </div>
+          
+          <div class="sheet-panel sheet-join hidden" data-mode="${CombineMode.JOIN}">
+            <label>Aba principal
+              <select id="join-left-sheet">${sheetOptions(0)}</select>
+            </label>
+            <label>Coluna-chave
+              <select id="join-left-key"></select>
+            </label>
+            <label>Aba de consulta
+              <select id="join-right-sheet">${sheetOptions(1)}</select>
+            </label>
+            <label>Coluna-chave
+              <select id="join-right-key"></select>
+            </label>
+            <label class="sheet-join-type">Linhas sem correspondência
+              <select id="join-type">
+                <option value="${JoinType.LEFT}">Manter (colunas da consulta ficam vazias)</option>
+                <option value="${JoinType.INNER}">Descartar</option>
+              </select>
+            </label>
+          </div>
+          
+          <p class="sheet-picker-error hidden"></p>
+          
+          <div class="sheet-picker-actions">
+            <button class="btn-secondary" data-sheet-action="cancel">Cancelar</button>
+            <button class="btn-primary" data-sheet-action="confirm">📊 Analisar</button>
+          </div>
+        </div>
+      </div>
     `;
-    container.appendChild(section);
     
-    const basketData = this.advancedAnalytics.marketBasket;
-    const combosDiv = section.querySelector('.basket-combos');
+    document.body.appendChild(modal);
     
-    if (basketData.topCombos?.length > 0) {
-      combosDiv.innerHTML = `
-        <p><strong>Top Combinações:</strong></p>
-        <ul>
-          ${basketData.topCombos.slice(0, 5).map(c => `
-            <li><strong>${c.combo}</strong><br/>${c.description}</li>
-          `).join('')}
-        </ul>
-      `;
-    } else {
-      combosDiv.innerHTML = '<p>Poucas associações encontradas</p>';
-    }
-  }
-  
-  /**
-   * Exibe análise de Churn
-   */
-  displayChurnAnalysis(container) {
-    const section = document.createElement('div');
-    section.className = 'analysis-section';
-    section.innerHTML = `
-      <h3>⚠️ Análise de Churn</h3>
-      <div class="churn-stats"></div>
-      <canvas id="churn-chart" width="600" height="300"></canvas>
-    `;
-    container.appendChild(section);
+    const $ = (selector) => modal.querySelector(selector);
+    const currentMode = () => $('input[name="sheet-mode"]:checked').value;
     
-    const churnData = this.advancedAnalytics.churn;
-    const statsDiv = section.querySelector('.churn-stats');
+    // Colunas-chave: preenche com os cabeçalhos e pré-seleciona a coluna comum às duas abas
+    const updateJoinKeys = () => {
+      const left = sheets[$('#join-left-sheet').value];
+      const right = sheets[$('#join-right-sheet').value];
+      const [suggestion] = combiner.suggestJoinKeys(left.headers, right.headers);
+      const keyOptions = (headers, selected) => headers.map(header => `
+        <option value="${this.escapeHTML(header)}" ${header === selected ? 'selected' : ''}>${this.escapeHTML(header)}</option>
+      `).join('');
+      
+      $('#join-left-key').innerHTML = keyOptions(left.headers, suggestion?.leftKey);
+      $('#join-right-key').innerHTML = keyOptions(right.headers, suggestion?.rightKey);
+    };
+    updateJoinKeys();
+    $('#join-left-sheet').addEventListener('change', updateJoinKeys);
+    $('#join-right-sheet').addEventListener('change', updateJoinKeys);
     
-    statsDiv.innerHTML = `
-      <p><strong>Taxa de Churn:</strong> <span style="color: ${churnData.metrics.churnRate > '30%' ? '#dc2626' : '#059669'}">${churnData.metrics.churnRate}</span></p>
-      <p><strong>Clientes em Alto Risco:</strong> ${churnData.metrics.highRiskCount}</p>
-    `;
+    modal.querySelectorAll('input[name="sheet-mode"]').forEach(input => {
+      input.addEventListener('change', () => {
+        modal.querySelectorAll('.sheet-panel').forEach(panel => {
+          panel.classList.toggle('hidden', panel.dataset.mode !== currentMode());
+        });
+        $('.sheet-picker-error').classList.add('hidden');
+      });
+    });
     
-    setTimeout(() => {
-      AdvancedChartsHelper.createChurnScoreChart(churnData, 'churn-chart');
-    }, 100);
+    const buildSelection = () => {
+      const mode = currentMode();
+      
+      if (mode === CombineMode.APPEND) {
+        const selected = [...modal.querySelectorAll('input[name="sheet-checkbox"]:checked')];
+        if (selected.length < 2) throw new Error('Selecione pelo menos duas abas para empilhar');
+        return { mode, sheets: selected.map(input => sheets[input.value].name) };
+      }
+      
+      if (mode === CombineMode.JOIN) {
+        const left = sheets[$('#join-left-sheet').value];
+        const right = sheets[$('#join-right-sheet').value];
+        if (left === right) throw new Error('Escolha abas diferentes para cruzar');
+        return {
+          mode,
+          sheets: [left.name, right.name],
+          joins: [{ leftKey: $('#join-left-key').value, rightKey: $('#join-right-key').value }],
+          type: $('#join-type').value
+        };
+      }
+      
+      return { mode, sheets: [sheets[$('input[name="sheet-radio"]:checked').value].name] };
+    };
+    
+    return new Promise(resolve => {
+      const close = (selection) => {
+        modal.remove();
+        resolve(selection);
+      };
+      
+      $('.modal-close').addEventListener('click', () => close(null));
+      $('[data-sheet-action="cancel"]').addEventListener('click', () => close(null));
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) close(null);
+      });
+      
+      $('[data-sheet-action="confirm"]').addEventListener('click', () => {
+        try {
+          close(buildSelection());
+        } catch (error) {
+          const message = $('.sheet-picker-error');
+          message.textContent = error.message;
+          message.classList.remove('hidden');
+        }
+      });
+    });
   }
-  
+
   /**
-   * Exibe análise de Série Temporal
+   * Modal de escolha dos registros de um JSON com vários arrays
+   * @param {Array<Object>} arrays - Resultado de JSONParser.listArrays
+   * @returns {Promise<Object|null>} { path, explode } ou null se cancelado
    */
-  displayTimeSeriesAnalysis(container) {
-    const section = document.createElement('div');
-    section.className = 'analysis-section';
-    section.innerHTML = `
-      <h3>📈 Série Temporal - Tendências e Padrões</h3>
-      <div class="timeseries-info"></div>
+  showJSONPickerModal(arrays) {
+    const count = (value) => value.toLocaleString('pt-BR');
+    const columnsPreview = (columns) => columns.slice(0, 6).join(', ') + (columns.length > 6 ? '…' : '');
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>🧩 Registros do JSON</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body">
+          <p class="history-hint">Este JSON tem ${arrays.length} listas de registros. Escolha qual analisar:</p>
+          
+          <div class="sheet-panel">
+            ${arrays.map((entry, index) => `
+              <label class="sheet-item">
+                <input type="radio" name="json-path" value="${index}" ${index === 0 ? 'checked' : ''}>
+                <strong><code>${this.escapeHTML(entry.path)}</code></strong>
+                <span>${count(entry.count)} registros</span>
+                <small class="json-columns">${this.escapeHTML(columnsPreview(entry.columns))}</small>
+              </label>
+            `).join('')}
+          </div>
+          
+          <div class="json-explode hidden">
+            <p class="history-hint">Expandir em linhas (uma linha por item, repetindo os campos do registro):</p>
+            <div class="sheet-panel"></div>
+          </div>
+          
+          <div class="sheet-picker-actions">
+            <button class="btn-secondary" data-json-action="cancel">Cancelar</button>
+            <button class="btn-primary" data-json-action="confirm">📊 Analisar</button>
+          </div>
+        </div>
+      </div>
     `;
-    container.appendChild(section);
     
-    const tsData = this.advancedAnalytics.timeSeries;
-    const infoDiv = section.querySelector('.timeseries-info');
+    document.body.appendChild(modal);
     
-    if (tsData.patterns?.length > 0) {
-      infoDiv.innerHTML = `
-        <p><strong>Padrões Detectados:</strong></p>
-        <ul>
-          ${tsData.patterns.map(p => `
-            <li><strong>${p.description}</strong> - ${p.type === 'trend' ? p.magnitude : p.coefficient || ''}</li>
-          `).join('')}
-        </ul>
-      `;
-    }
-  }
-  
-  /**
-   * Exibe alertas
-   */
-  displayAlerts() {
-    const unreadAlerts = this.alertsManager.getUnreadAlerts();
+    const $ = (selector) => modal.querySelector(selector);
+    const selected = () => arrays[$('input[name="json-path"]:checked').value];
     
-    if (unreadAlerts.length > 0) {
-      console.log(`🔔 ${unreadAlerts.length} novo(s) alerta(s)`);
+    // Arrays filhos do array escolhido (ex.: itens de cada pedido)
+    const updateExplode = () => {
+      const { childArrays } = selected();
+      $('.json-explode').classList.toggle('hidden', childArrays.length === 0);
+      $('.json-explode .sheet-panel').innerHTML = childArrays.map(child => `
+        <label class="sheet-item">
+          <input type="checkbox" name="json-explode" value="${this.escapeHTML(child.column)}">
+          <strong>${this.escapeHTML(child.column)}</strong>
+          <span>${count(child.count)} itens</span>
+        </label>
+      `).join('');
+    };
+    updateExplode();
+    modal.querySelectorAll('input[name="json-path"]').forEach(input => {
+      input.addEventListener('change', updateExplode);
+    });
+    
+    return new Promise(resolve => {
+      const close = (selection) => {
+        modal.remove();
+        resolve(selection);
+      };
       
-      // Mostrar badge ou notificação visual
-      const alertBadge = document.getElementById('alert-badge');
-      if (alertBadge) {
-        alertBadge.textContent = unreadAlerts.length;
-        alertBadge.style.display = 'block';
-      }
-    }
+      $('.modal-close').addEventListener('click', () => close(null));
+      $('[data-json-action="cancel"]').addEventListener('click', () => close(null));
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) close(null);
+      });
+      $('[data-json-action="confirm"]').addEventListener('click', () => {
+        close({
+          path: selected().path,
+          explode: [...modal.querySelectorAll('input[name="json-explode"]:checked')].map(input => input.value)
+        });
+      });
+    });
   }
 
   /**
-   * Exporta para PDF
+   * Modal de escolha da tabela do banco SQLite
+   * @param {Array<Object>} tables - [{ name, kind, rowCount, headers }] (ver SQLiteParser.listTables)
+   * @returns {Promise<string|null>} Nome da tabela ou null se cancelado
    */
-  async exportToPDF() {
-    if (!this.exportManager) return;
+  showSQLiteTableModal(tables) {
+    const count = (value) => value.toLocaleString('pt-BR');
+    const columnsPreview = (columns) => columns.slice(0, 6).join(', ') + (columns.length > 6 ? '…' : '');
+    const firstWithData = Math.max(0, tables.findIndex(table => table.rowCount > 0));
     
-    try {
-      this.uiManager.showLoading('Gerando PDF...');
-      await this.exportManager.exportToPDF();
-      this.uiManager.hideLoading();
-      this.uiManager.showSuccess('PDF exportado com sucesso!');
-    } catch (error) {
-      this.uiManager.hideLoading();
-      this.uiManager.showError('Erro ao exportar PDF: ' + error.message);
-    }
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>🗄️ Tabelas do banco</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body">
+          <p class="history-hint">Este banco tem ${tables.length} tabelas. Escolha qual analisar:</p>
+          
+          <div class="sheet-panel">
+            ${tables.map((table, index) => `
+              <label class="sheet-item">
+                <input type="radio" name="sqlite-table" value="${index}" ${index === firstWithData ? 'checked' : ''}>
+                <strong>${table.kind === 'view' ? '👁️ ' : ''}${this.escapeHTML(table.name)}</strong>
+                <span>${count(table.rowCount)} linhas</span>
+                <small class="json-columns">${this.escapeHTML(columnsPreview(table.headers))}</small>
+              </label>
+            `).join('')}
+          </div>
+          
+          <div class="sheet-picker-actions">
+            <button class="btn-secondary" data-sqlite-action="cancel">Cancelar</button>
+            <button class="btn-primary" data-sqlite-action="confirm">📊 Analisar</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    const $ = (selector) => modal.querySelector(selector);
+    
+    return new Promise(resolve => {
+      const close = (selection) => {
+        modal.remove();
+        resolve(selection);
+      };
+      
+      $('.modal-close').addEventListener('click', () => close(null));
+      $('[data-sqlite-action="cancel"]').addEventListener('click', () => close(null));
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) close(null);
+      });
+      $('[data-sqlite-action="confirm"]').addEventListener('click', () => {
+        close(tables[$('input[name="sqlite-table"]:checked').value].name);
+      });
+    });
   }
 
   /**
-   * Exporta para Excel
+   * Modal de escolha dos registros do XML: preset detectado (ex.: NF-e), caminhos de
+   * elementos repetidos ou um XPath digitado pelo usuário
+   * @param {Array<Object>} recordPaths - [{ path, count, columns }] (ver XMLParser.listRecordPaths)
+   * @param {string|null} preset - Preset detectado (chave de XML_PRESETS)
+   * @returns {Promise<Object|null>} { recordPath, preset } (ver XMLParser.parseXML) ou null se cancelado
    */
-  exportToExcel() {
-    if (!this.exportManager) return;
+  showXMLPickerModal(recordPaths, preset) {
+    const count = (value) => value.toLocaleString('pt-BR');
+    const columnsPreview = (columns) => columns.slice(0, 6).join(', ') + (columns.length > 6 ? '…' : '');
     
-    try {
-      this.exportManager.exportToExcel();
-      this.uiManager.showSuccess('Excel exportado com sucesso!');
-    } catch (error) {
-      this.uiManager.showError('Erro ao exportar Excel: ' + error.message);
-    }
-  }
-
-  /**
-   * Exporta para CSV
-   */
-  exportToCSV() {
-    if (!this.exportManager) return;
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>🧩 Registros do XML</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body">
+          <p class="history-hint">Escolha quais elementos do XML viram linhas da tabela:</p>
+          
+          <div class="sheet-panel">
+            ${preset ? `
+              <label class="sheet-item">
+                <input type="radio" name="xml-record" value="preset" checked>
+                <strong>🧾 ${this.escapeHTML(XML_PRESETS[preset].label)}</strong>
+                <small class="json-columns">Um item por linha, com emitente, destinatário e impostos</small>
+              </label>
+            ` : ''}
+            ${recordPaths.map((entry, index) => `
+              <label class="sheet-item">
+                <input type="radio" name="xml-record" value="${index}" ${!preset && index === 0 ? 'checked' : ''}>
+                <strong><code>${this.escapeHTML(entry.path)}</code></strong>
+                <span>${count(entry.count)} registros</span>
+                <small class="json-columns">${this.escapeHTML(columnsPreview(entry.columns))}</small>
+              </label>
+            `).join('')}
+            <label class="sheet-item">
+              <input type="radio" name="xml-record" value="xpath" ${!preset && recordPaths.length === 0 ? 'checked' : ''}>
+              <strong>Outro caminho (XPath)</strong>
+              <input type="text" class="xml-xpath" placeholder="//venda ou /pedidos/pedido[@status='pago']">
+            </label>
+          </div>
+          
+          <div class="sheet-picker-actions">
+            <button class="btn-secondary" data-xml-action="cancel">Cancelar</button>
+            <button class="btn-primary" data-xml-action="confirm">📊 Analisar</button>
+          </div>
+        </div>
+      </div>
+    `;
     
-    try {
-      this.exportManager.exportToCSV();
-      this.uiManager.showSuccess('CSV exportado com sucesso!');
-    } catch (error) {
-      this.uiManager.showError('Erro ao exportar CSV: ' + error.message);
-    }
-  }
-
-  /**
-   * Reseta a aplicação
-   */
-  reset() {
-    this.currentData = null;
-    this.columnMetadata = null;
-    this.analytics = null;
-    this.charts = null;
-    this.insights = null;
-    this.exportManager = null;
-    this.status = ProcessingStatus.IDLE;
+    document.body.appendChild(modal);
     
-    this.uploadManager.clear();
-    this.uiManager.reset();
+    const $ = (selector) => modal.querySelector(selector);
     
-    // Limpar input
-    const fileInput = document.getElementById('file-input');
-    if (fileInput) fileInput.value = '';
-  }
-
-  /**
-   * Gera relatório detalhado com IA
-   */
-  async generateAIReport() {
-    if (!this.currentData || !this.analytics) {
-      alert('⚠️ Nenhuma análise disponível. Por favor, faça upload de uma planilha primeiro.');
-      return;
-    }
-
-    // TEMPORÁRIO: Funcionalidade em desenvolvimento
-    // TODO: Descomentar código abaixo quando configurar API Key
-    this.showDevelopmentMessage();
-    return;
-
-    /* 
-    // ==== CÓDIGO DA IA (MANTER PARA ATIVAR DEPOIS) ====
-    const button = document.getElementById('ai-report-btn');
-    if (button) {
-      button.disabled = true;
-      button.innerHTML = '<span class="spinner"></span> Gerando Relatório com IA...';
-    }
-
-    try {
-      console.log('🤖 Iniciando geração de relatório com IA...');
+    // Digitar um caminho seleciona a opção "Outro caminho"
+    $('.xml-xpath').addEventListener('input', () => {
+      $('input[name="xml-record"][value="xpath"]').checked = true;
+    });
+    
+    return new Promise(resolve => {
+      const close = (selection) => {
+        modal.remove();
+        resolve(selection);
+      };
       
-      // Gerar relatório completo com IA
-      const aiReport = await this.aiReportGenerator.generateComprehensiveReport(
-        this.currentData,
-        this.analytics,
-        this.advancedAnalytics
-      );
-
-      console.log('✅ Relatório IA gerado:', aiReport);
-
-      // Exibir relatório na interface
-      this.displayAIReport(aiReport);
-
-      // Habilitar exportação do relatório
-      this.enableAIReportExport(aiReport);
-
-    } catch (error) {
-      console.error('Erro ao gerar relatório com IA:', error);
-      alert(`Erro ao gerar relatório: ${error.message}`);
-    } finally {
-      if (button) {
-        button.disabled = false;
-        button.innerHTML = '🤖 Gerar Relatório com IA';
-      }
-    }
-    */
+      $('.modal-close').addEventListener('click', () => close(null));
+      $('[data-xml-action="cancel"]').addEventListener('click', () => close(null));
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) close(null);
+      });
+      $('[data-xml-action="confirm"]').addEventListener('click', () => {
+        const choice = $('input[name="xml-record"]:checked')?.value;
+        
+        if (choice === 'preset') {
+          close({ preset });
+        } else if (choice === 'xpath') {
+          const recordPath = $('.xml-xpath').value.trim();
+          if (!recordPath) {
+            $('.xml-xpath').focus();
+            return;
+          }
+          close({ recordPath, preset: null });
+        } else if (choice !== undefined) {
+          close({ recordPath: recordPaths[choice].path, preset: null });
+        }
+      });
+    });
   }
 
   /**
-   * Exibe mensagem de funcionalidade em desenvolvimento
+   * Modal de ajuste do CSV: mostra as primeiras linhas lidas com o dialeto detectado
+   * e permite trocar delimitador, aspas, codificação, separador decimal e ordem das datas
+   * @param {File} file
+   * @param {Object} detected - Dialeto detectado (ver DialectDetector)
+   * @returns {Promise<Object|null>} Dialeto escolhido ou null se cancelado
    */
-  showDevelopmentMessage() {
-    const container = document.getElementById('ai-report-container') || this.createAIReportContainer();
+  showCSVDialectModal(file, detected) {
+    const options = (id, items, selected) => `
+      <select id="${id}">
+        ${items.map(item => `
+          <option value="${this.escapeHTML(item.value)}" ${item.value === selected ? 'selected' : ''}>${this.escapeHTML(item.label)}</option>
+        `).join('')}
+      </select>
+    `;
     
-    container.innerHTML = `
-      <div class="ai-report" style="text-align: center; padding: 4rem 2rem;">
-        <div style="font-size: 5rem; margin-bottom: 1rem;">🚧</div>
-        <h2 style="color: #667eea; font-size: 2.5rem; margin-bottom: 1rem;">
-          Funcionalidade em Desenvolvimento
-        </h2>
-        <p style="font-size: 1.2rem; color: #64748b; margin-bottom: 2rem; max-width: 600px; margin-left: auto; margin-right: auto;">
-          Os <strong>Relatórios Inteligentes com IA</strong> estão temporariamente desativados.<br>
-          Esta funcionalidade premium estará disponível em breve com análises de nível profissional sênior.
-        </p>
-        
-        <div style="background: linear-gradient(135deg, #667eea15 0%, #764ba215 100%); border-radius: 12px; padding: 2rem; max-width: 700px; margin: 2rem auto; text-align: left;">
-          <h3 style="color: #667eea; margin-bottom: 1rem;">📊 O que você terá quando ativar:</h3>
-          <ul style="list-style: none; padding: 0;">
-            <li style="padding: 0.5rem 0; font-size: 1.1rem;">✅ Sumário Executivo para C-Level</li>
-            <li style="padding: 0.5rem 0; font-size: 1.1rem;">✅ Análise Profunda de Tendências</li>
-            <li style="padding: 0.5rem 0; font-size: 1.1rem;">✅ Oportunidades de Crescimento com ROI</li>
-            <li style="padding: 0.5rem 0; font-size: 1.1rem;">✅ Análise de Riscos e Ameaças</li>
-            <li style="padding: 0.5rem 0; font-size: 1.1rem;">✅ Performance e Benchmarking</li>
-            <li style="padding: 0.5rem 0; font-size: 1.1rem;">✅ Recomendações Estratégicas</li>
-            <li style="padding: 0.5rem 0; font-size: 1.1rem;">✅ Previsões Futuras</li>
-            <li style="padding: 0.5rem 0; font-size: 1.1rem;">✅ Plano de Ação Detalhado</li>
-          </ul>
-        </div>
-
-        <div style="margin-top: 2rem; padding: 1.5rem; background: #f8fafc; border-radius: 8px; max-width: 600px; margin-left: auto; margin-right: auto;">
-          <p style="color: #1e293b; font-weight: 600; margin-bottom: 0.5rem;">💡 Enquanto isso, aproveite:</p>
-          <p style="color: #64748b;">
-            • 14 módulos de análise avançada já ativos<br>
-            • Machine Learning, RFM, Churn, Cohort<br>
-            • Gráficos interativos e insights automáticos<br>
-            • Exportação profissional em PDF/Excel
-          </p>
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>🔎 Formato do CSV</h2>
+          <button class="modal-close">&times;</button>
         </div>
-
-        <div style="margin-top: 2rem; font-size: 0.9rem; color: #94a3b8;">
-          <p>Desenvolvido por <strong>Carlos Antonio de Oliveira Piquet</strong></p>
-          <p>carlospiquet.projetos@gmail.com</p>
+        <div class="modal-body">
+          <p class="history-hint">Confira as primeiras linhas de "${this.escapeHTML(file.name)}" e ajuste o formato se algo estiver errado:</p>
+          
+          <div class="sheet-join csv-dialect-options">
+            <label>Delimitador ${options('csv-delimiter', CSV_DELIMITERS, detected.delimiter)}</label>
+            <label>Aspas ${options('csv-quote', CSV_QUOTE_CHARS, detected.quoteChar)}</label>
+            <label>Codificação ${options('csv-encoding', CSV_ENCODINGS, detected.encoding)}</label>
+            <label>Números ${options('csv-decimal', [
+              { value: ',', label: 'Vírgula decimal (1.234,56)' },
+              { value: '.', label: 'Ponto decimal (1,234.56)' }
+            ], detected.decimalSeparator)}</label>
+            <label class="sheet-join-type">Datas ${options('csv-date-order', [
+              { value: DateOrder.DMY, label: 'Dia/mês/ano (31/12/2024)' },
+              { value: DateOrder.MDY, label: 'Mês/dia/ano (12/31/2024)' },
+              { value: DateOrder.YMD, label: 'Ano-mês-dia (2024-12-31)' }
+            ], detected.dateOrder)}</label>
+          </div>
+          
+          <div class="table-wrapper csv-preview"></div>
+          
+          <div class="sheet-picker-actions">
+            <button class="btn-secondary" data-csv-action="cancel">Cancelar</button>
+            <button class="btn-primary" data-csv-action="confirm">📊 Analisar</button>
+          </div>
         </div>
       </div>
     `;
-
-    // Scroll suave até a mensagem
-    container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    
+    document.body.appendChild(modal);
+    
+    const $ = (selector) => modal.querySelector(selector);
+    const currentDialect = () => {
+      const decimalSeparator = $('#csv-decimal').value;
+      return {
+        delimiter: $('#csv-delimiter').value,
+        quoteChar: $('#csv-quote').value,
+        encoding: $('#csv-encoding').value,
+        decimalSeparator,
+        thousandsSeparator: decimalSeparator === ',' ? '.' : ',',
+        dateOrder: $('#csv-date-order').value
+      };
+    };
+    
+    // Pré-visualização com os valores já normalizados (números com ponto decimal, datas AAAA-MM-DD)
+    let previewId = 0;
+    const updatePreview = async () => {
+      const id = ++previewId;
+      const { headers, rows } = await this.dialectDetector.preview(file, currentDialect());
+      if (id !== previewId) return;
+      
+      $('.csv-preview').innerHTML = `
+        <table class="data-table">
+          <thead><tr>${headers.map(header => `<th>${this.escapeHTML(header)}</th>`).join('')}</tr></thead>
+          <tbody>
+            ${rows.map(row => `<tr>${headers.map((_, index) => `<td>${this.escapeHTML(row[index])}</td>`).join('')}</tr>`).join('')}
+          </tbody>
+        </table>
+      `;
+    };
+    updatePreview();
+    modal.querySelectorAll('.csv-dialect-options select').forEach(select => {
+      select.addEventListener('change', updatePreview);
+    });
+    
+    return new Promise(resolve => {
+      const close = (dialect) => {
+        modal.remove();
+        resolve(dialect);
+      };
+      
+      $('.modal-close').addEventListener('click', () => close(null));
+      $('[data-csv-action="cancel"]').addEventListener('click', () => close(null));
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) close(null);
+      });
+      $('[data-csv-action="confirm"]').addEventListener('click', () => close(currentDialect()));
+    });
   }
 
   /**
-   * Exibe relatório de IA na interface
+   * Cancela a análise em andamento e volta para a tela de upload
    */
-  displayAIReport(report) {
-    const container = document.getElementById('ai-report-container') || this.createAIReportContainer();
+  cancelAnalysis() {
+    if (!this.analysisJob) return;
     
-    container.innerHTML = `
-      <div class="ai-report">
-        <div class="ai-report-header">
-          <h2>🤖 Relatório Inteligente com IA</h2>
-          <p class="report-meta">
-            ID: ${report.reportId} | 
-            Gerado em: ${new Date(report.timestamp).toLocaleString('pt-BR')}
-          </p>
-          <button id="export-ai-report-btn" class="export-btn">
-            📄 Exportar Relatório IA
-          </button>
-        </div>
-
-        ${this.renderReportSection(report.sections.executiveSummary)}
-        ${this.renderReportSection(report.sections.trends)}
-        ${this.renderReportSection(report.sections.opportunities)}
-        ${this.renderReportSection(report.sections.risks)}
-        ${this.renderReportSection(report.sections.performance)}
-        ${this.renderReportSection(report.sections.recommendations)}
-        ${this.renderReportSection(report.sections.predictions)}
-        ${this.renderReportSection(report.sections.actionPlan)}
-      </div>
-    `;
-
-    // Scroll suave até o relatório
-    container.scrollIntoView({ behavior: 'smooth', block: 'start' });
-
-    // Adicionar listener para exportação
-    document.getElementById('export-ai-report-btn')?.addEventListener('click', () => {
-      this.exportAIReport(report);
-    });
+    this.analysisJob.cancel();
+    this.analysisJob = null;
+    this.reset();
+    this.status = ProcessingStatus.CANCELLED;
+    this.uiManager.showToast('⏹️ Análise cancelada', 'info');
   }
 
   /**
-   * Renderiza uma seção do relatório
+   * Aplica o resultado do AnalysisPipeline e inicializa o dashboard
+   * @param {Object} result - { data, columnMetadata, validation, analytics, insights, advancedAnalytics, sampling }
    */
-  renderReportSection(section) {
-    if (!section) return '';
-
-    const priorityClass = section.priority || 'normal';
-    const severityClass = section.severity ? `severity-${section.severity.toLowerCase()}` : '';
-
-    return `
-      <div class="report-section ${priorityClass} ${severityClass}">
-        <h3>${section.title}</h3>
-        <div class="section-content">
-          ${this.formatMarkdownToHTML(section.content)}
-        </div>
-        ${section.insights ? this.renderInsights(section.insights) : ''}
-        ${section.charts ? this.renderChartPlaceholders(section.charts) : ''}
-      </div>
-    `;
+  applyAnalysisResult(result) {
+    this.currentData = result.data;
+    this.columnMetadata = result.columnMetadata;
+    this.analytics = result.analytics;
+    this.insights = result.insights;
+    this.advancedAnalytics = result.advancedAnalytics;
+    this.sampling = result.sampling || null;
+    this.dataSource = result.source || null;
+    const profile = result.mappingProfile && this.mappingProfiles.get(result.mappingProfile.id);
+    this.mappingProfile = profile ? matchProfileColumns(profile, result.columnMetadata.map(col => col.name)) : null;
+    this.validationSuggestions = result.validation.suggestions || {};
+    this.cleaning = result.cleaning || null;
+    
+    if (result.validation.warnings.length > 0) {
+      console.warn('Avisos de validação:', result.validation.warnings);
+    }
+    
+    // Gráficos são gerados aqui: a configuração do Chart.js tem funções (callbacks)
+    const chartGenerator = new ChartGenerator(
+      this.currentData,
+      this.columnMetadata,
+      this.analytics
+    );
+    this.charts = chartGenerator.generateAll();
+    
+    // Inicializar gerenciadores
+    this.filterManager.initialize(this.currentData);
+    this.dataChat.initialize(this.currentData, this.columnMetadata);
+    this.aiReportGenerator.setDataset(this.currentData, this.columnMetadata);
+    this.dashboardCustomizer.initialize();
+    this.alertsManager.initialize();
+    
+    // Avaliar alertas
+    const newAlerts = this.alertsManager.evaluateRules({
+      processedData: this.currentData,
+      columnMetadata: this.columnMetadata,
+      analytics: this.analytics,
+      churn: this.advancedAnalytics.churn,
+      insights: this.insights
+    });
+    
+    console.log(`✅ ${newAlerts.length} alerta(s) gerado(s)`);
+    
+    // Perfil de mapeamento salvo: template e papéis escolhidos pelo usuário
+    if (this.mappingProfile) {
+      this.uiManager.showToast(`🧭 Mapeamento "${this.mappingProfile.name}" aplicado`, 'info');
+    }
+    
+    // Receita reaplicada: avisar das etapas que não valem para as colunas deste arquivo
+    const recipe = this.cleaning?.recipe;
+    if (recipe) {
+      this.uiManager.showToast(`📜 Receita "${recipe.name}" reaplicada (${this.cleaning.steps.length} etapa(s))`, 'info');
+    }
+    if (recipe?.skipped.length > 0) {
+      const skipped = recipe.skipped.map(step => `${step.description} (${step.reason})`).join('; ');
+      this.uiManager.showToast(`⚠️ Receita "${recipe.name}": ${recipe.skipped.length} etapa(s) não se aplicam às colunas deste arquivo: ${skipped}`, 'warning');
+    }
+    if (this.mappingProfile?.templateId) {
+      this.applyTemplate(this.mappingProfile.templateId, this.mappingProfile.roles);
+    } else {
+      // Sugerir e aplicar template automaticamente
+      console.log('🎯 Sugerindo template...');
+      const templateSuggestion = this.suggestTemplate();
+      if (templateSuggestion && templateSuggestion.confidence !== 'low') {
+        console.log(`✨ Template "${templateSuggestion.template.name}" aplicado automaticamente!`);
+        this.applyTemplate(templateSuggestion.templateId);
+      }
+    }
+    
+    // Criar metas automáticas baseadas na análise
+    console.log('📈 Criando metas automáticas...');
+    this.createAutoGoals();
+    
+    // Exibir dashboard
+    this.status = ProcessingStatus.COMPLETED;
+    this.displayDashboard();
+    
+    // Criar export manager
+    this.exportManager = new ExportManager(this.currentData, this.analytics, this.charts);
+    
+    // CSV grande: KPIs sobre o arquivo inteiro, demais análises sobre a amostra
+    if (this.sampling?.sampled) {
+      const total = this.sampling.totalRows.toLocaleString('pt-BR');
+      const sample = this.sampling.sampleRows.toLocaleString('pt-BR');
+      this.uiManager.showToast(this.sampling.estimated
+        ? `🧹 Limpeza aplicada à amostra de ${sample} de ${total} linhas; KPIs e análises calculados sobre a amostra`
+        : `📊 KPIs calculados sobre ${total} linhas; gráficos e análises avançadas sobre amostra de ${sample}`, 'info');
+    }
+    
+    // Excel: linhas ocultas e de subtotal deixadas de fora para não somar em dobro
+    if (result.excludedRows) {
+      const { hidden, subtotal } = result.excludedRows;
+      const parts = [
+        hidden > 0 && `${hidden} oculta(s)/filtrada(s)`,
+        subtotal > 0 && `${subtotal} de subtotal`
+      ].filter(Boolean);
+      this.uiManager.showToast(`🙈 Linhas ignoradas: ${parts.join(' e ')}`, 'info');
+    }
+    
+    // Cruzamento: quantas linhas encontraram correspondência em cada tabela de consulta
+    const lookups = (this.dataSource?.lineage || []).filter(entry => entry.role === 'consulta');
+    if (lookups.length > 0) {
+      const unmatched = lookups.some(entry => entry.unmatched > 0);
+      const summary = lookups
+        .map(entry => `${entry.matched} de ${entry.matched + entry.unmatched} em "${entry.name}"`)
+        .join('; ');
+      this.uiManager.showToast(`🔗 Correspondências: ${summary}`, unmatched ? 'warning' : 'success');
+    }
+    
+    // Tipos detectados com pouca confiança: revisar no assistente de mapeamento
+    const uncertain = this.columnMetadata.filter(col => col.lowConfidence);
+    if (uncertain.length > 0) {
+      const names = uncertain.map(col => `"${col.name}"`).join(', ');
+      this.uiManager.showToast(`🧭 Tipo incerto em ${uncertain.length} coluna(s): ${names}. Revise em "Mapear Colunas"`, 'warning');
+    }
   }
 
   /**
-   * Converte Markdown para HTML (básico)
+   * Exibe o dashboard final
    */
-  formatMarkdownToHTML(text) {
-    if (!text) return '';
-
-    return text
-      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>') // Negrito
-      .replace(/\*(.+?)\*/g, '<em>$1</em>') // Itálico
-      .replace(/^### (.+)$/gm, '<h4>$3</h4>') // H4
-      .replace(/^## (.+)$/gm, '<h3>$1</h3>') // H3
-      .replace(/^# (.+)$/gm, '<h2>$1</h2>') // H2
-      .replace(/^- (.+)$/gm, '<li>$1</li>') // Lista
-      .replace(/(<li>.*<\/li>)/s, '<ul>$1</ul>') // Envolver lista
-      .replace(/\n\n/g, '</p><p>') // Parágrafos
-      .replace(/^(.+)$/gm, '<p>$1</p>'); // Wrap em parágrafos
+  displayDashboard() {
+    this.uiManager.showDashboard();
+    
+    // Renderizar KPIs (CSV grande limpo só na amostra: valores estimados)
+    this.uiManager.renderKPIs(this.analytics.kpis, this.sampling?.estimated
+      ? `⚠️ Estimativas sobre uma amostra de ${this.sampling.sampleRows.toLocaleString('pt-BR')} de ${this.sampling.totalRows.toLocaleString('pt-BR')} linhas: a limpeza tem etapas que dependem de todas as linhas (média, mediana ou outliers)`
+      : null);
+    
+    // Renderizar Insights
+    this.uiManager.renderInsights(this.insights);
+    
+    // Renderizar Gráficos
+    this.uiManager.renderCharts(this.charts);
+    
+    // Renderizar Análises Avançadas
+    this.displayAdvancedAnalytics();
+    
+    // Renderizar origem dos dados (abas/arquivos combinados) e tabela
+    this.uiManager.renderLineage(this.dataSource);
+    this.uiManager.renderDataTable(this.currentData, this.columnMetadata);
+    
+    // Mostrar alertas se houver
+    this.displayAlerts();
+    
+    console.log('✅ Dashboard renderizado com sucesso!');
   }
-
+  
   /**
-   * Renderiza insights adicionais
+   * Exibe análises avançadas
    */
-  renderInsights(insights) {
-    if (!insights || insights.length === 0) return '';
-
-    return `
-      <div class="section-insights">
-        ${insights.map(insight => `
-          <div class="insight-item ${insight.type}">
-            ${insight.message}
-          </div>
-        `).join('')}
-      </div>
+  displayAdvancedAnalytics() {
+    if (!this.advancedAnalytics) return;
+    
+    const container = document.getElementById('advanced-analytics-container') || 
+                     this.createAdvancedAnalyticsContainer();
+    
+    container.innerHTML = '<h2>📊 Análises Avançadas</h2>';
+    
+    // Machine Learning
+    if (this.advancedAnalytics.ml.predictions?.length > 0) {
+      this.displayMLAnalysis(container);
+    }
+    
+    // RFM
+    if (this.advancedAnalytics.rfm.available) {
+      this.displayRFMAnalysis(container);
+    }
+    
+    // Cohort
+    if (this.advancedAnalytics.cohort.available) {
+      this.displayCohortAnalysis(container);
+    }
+    
+    // Correlation
+    if (this.advancedAnalytics.correlation.available) {
+      this.displayCorrelationAnalysis(container);
+    }
+    
+    // Geographic
+    if (this.advancedAnalytics.geo.available) {
+      this.displayGeoAnalysis(container);
+    }
+    
+    // Market Basket
+    if (this.advancedAnalytics.marketBasket.available) {
+      this.displayMarketBasketAnalysis(container);
+    }
+    
+    // Churn
+    if (this.advancedAnalytics.churn.available) {
+      this.displayChurnAnalysis(container);
+    }
+    
+    // Time Series
+    if (this.advancedAnalytics.timeSeries.available) {
+      this.displayTimeSeriesAnalysis(container);
+    }
+  }
+  
+  /**
+   * Cria container para análises avançadas
+   */
+  createAdvancedAnalyticsContainer() {
+    const container = document.createElement('div');
+    container.id = 'advanced-analytics-container';
+    container.className = 'section';
+    
+    const chartsSection = document.getElementById('charts-container');
+    if (chartsSection && chartsSection.parentNode) {
+      chartsSection.parentNode.insertBefore(container, chartsSection.nextSibling);
+    } else {
+      const dashboardSection = document.getElementById('dashboard-section');
+      if (dashboardSection) {
+        const containerDiv = dashboardSection.querySelector('.container');
+        if (containerDiv) {
+          containerDiv.appendChild(container);
+        }
+      }
+    }
+    
+    return container;
+  }
+  
+  /**
+   * Exibe análise de Machine Learning
+   */
+  displayMLAnalysis(container) {
+    const section = document.createElement('div');
+    section.className = 'analysis-section';
+    section.innerHTML = `
+      <h3>🤖 Machine Learning - Previsões</h3>
+      <div class="ml-predictions"></div>
     `;
+    container.appendChild(section);
+    
+    const mlData = this.advancedAnalytics.ml;
+    const predictionsDiv = section.querySelector('.ml-predictions');
+    
+    if (mlData.predictions.length > 0) {
+      const pred = mlData.predictions[0];
+      predictionsDiv.innerHTML = `
+        <p><strong>Modelo:</strong> ${pred.method}</p>
+        <p><strong>Precisão (R²):</strong> ${(pred.accuracy * 100).toFixed(1)}%</p>
+        <p><strong>Previsões próximos 3 períodos:</strong></p>
+        <ul>
+          ${pred.predictions.map(p => `
+            <li>${p.month}: R$ ${p.predicted.toFixed(2)} (Confiança: ${p.confidence.toFixed(1)}%)</li>
+          `).join('')}
+        </ul>
+      `;
+    }
   }
-
+  
   /**
-   * Renderiza placeholders para gráficos
+   * Exibe análise RFM
    */
-  renderChartPlaceholders(charts) {
-    return `
-      <div class="section-charts">
-        ${charts.map(chart => `
-          <div class="chart-placeholder" data-chart-type="${chart}">
-            📊 Gráfico: ${chart}
-          </div>
+  displayRFMAnalysis(container) {
+    const section = document.createElement('div');
+    section.className = 'analysis-section';
+    section.innerHTML = `
+      <h3>🎯 Análise RFM - Segmentação de Clientes</h3>
+      <div class="rfm-segments"></div>
+      <canvas id="rfm-chart" width="400" height="300"></canvas>
+    `;
+    container.appendChild(section);
+    
+    const rfmData = this.advancedAnalytics.rfm;
+    const segmentsDiv = section.querySelector('.rfm-segments');
+    
+    segmentsDiv.innerHTML = `
+      <p><strong>Total de Clientes:</strong> ${rfmData.metrics.totalClients}</p>
+      <p><strong>Segmentos Identificados:</strong></p>
+      <ul>
+        ${rfmData.segments.slice(0, 5).map(s => `
+          <li><span style="color: ${s.color}">⬤</span> ${s.name}: ${s.count} cliente(s)</li>
         `).join('')}
-      </div>
+      </ul>
+    `;
+    
+    // Criar gráfico RFM
+    setTimeout(() => {
+      AdvancedChartsHelper.createRFMSegmentsChart(rfmData, 'rfm-chart');
+    }, 100);
+  }
+  
+  /**
+   * Exibe análise de Coorte
+   */
+  displayCohortAnalysis(container) {
+    const section = document.createElement('div');
+    section.className = 'analysis-section';
+    section.innerHTML = `
+      <h3>📅 Análise de Coorte - Retenção</h3>
+      <canvas id="cohort-chart" width="600" height="300"></canvas>
+    `;
+    container.appendChild(section);
+    
+    setTimeout(() => {
+      AdvancedChartsHelper.createCohortRetentionChart(
+        this.advancedAnalytics.cohort,
+        'cohort-chart'
+      );
+    }, 100);
+  }
+  
+  /**
+   * Exibe análise de Correlação
+   */
+  displayCorrelationAnalysis(container) {
+    const section = document.createElement('div');
+    section.className = 'analysis-section';
+    section.innerHTML = `
+      <h3>🔗 Correlações entre Variáveis</h3>
+      <div class="correlation-list"></div>
+    `;
+    container.appendChild(section);
+    
+    const corrData = this.advancedAnalytics.correlation;
+    const listDiv = section.querySelector('.correlation-list');
+    
+    if (corrData.significant.length > 0) {
+      listDiv.innerHTML = `
+        <p><strong>Top Correlações Significativas:</strong></p>
+        <ul>
+          ${corrData.significant.slice(0, 5).map(c => `
+            <li>${c.variable1} ↔ ${c.variable2}: <strong>${c.coefficient.toFixed(3)}</strong> (${c.strength})</li>
+          `).join('')}
+        </ul>
+      `;
+    } else {
+      listDiv.innerHTML = '<p>Nenhuma correlação forte detectada</p>';
+    }
+  }
+  
+  /**
+   * Exibe análise Geográfica
+   */
+  displayGeoAnalysis(container) {
+    const section = document.createElement('div');
+    section.className = 'analysis-section';
+    section.innerHTML = `
+      <h3>🗺️ Distribuição Geográfica</h3>
+      <canvas id="geo-chart" width="600" height="400"></canvas>
+    `;
+    container.appendChild(section);
+    
+    setTimeout(() => {
+      AdvancedChartsHelper.createGeoChart(this.advancedAnalytics.geo, 'geo-chart');
+    }, 100);
+  }
+  
+  /**
+   * Exibe análise Market Basket
+   */
+  displayMarketBasketAnalysis(container) {
+    const section = document.createElement('div');
+    section.className = 'analysis-section';
+    section.innerHTML = `
+      <h3>🛒 Market Basket - Produtos Associados</h3>
+      <div class="basket-combos"></div>
+    `;
+    container.appendChild(section);
+    
+    const basketData = this.advancedAnalytics.marketBasket;
+    const combosDiv = section.querySelector('.basket-combos');
+    
+    if (basketData.topCombos?.length > 0) {
+      combosDiv.innerHTML = `
+        <p><strong>Top Combinações:</strong></p>
+        <ul>
+          ${basketData.topCombos.slice(0, 5).map(c => `
+            <li><strong>${c.combo}</strong><br/>${c.description}</li>
+          `).join('')}
+        </ul>
+      `;
+    } else {
+      combosDiv.innerHTML = '<p>Poucas associações encontradas</p>';
+    }
+  }
+  
+  /**
+   * Exibe análise de Churn
+   */
+  displayChurnAnalysis(container) {
+    const section = document.createElement('div');
+    section.className = 'analysis-section';
+    section.innerHTML = `
+      <h3>⚠️ Análise de Churn</h3>
+      <div class="churn-stats"></div>
+      <canvas id="churn-chart" width="600" height="300"></canvas>
+    `;
+    container.appendChild(section);
+    
+    const churnData = this.advancedAnalytics.churn;
+    const statsDiv = section.querySelector('.churn-stats');
+    
+    statsDiv.innerHTML = `
+      <p><strong>Taxa de Churn:</strong> <span style="color: ${churnData.metrics.churnRate > '30%' ? '#dc2626' : '#059669'}">${churnData.metrics.churnRate}</span></p>
+      <p><strong>Clientes em Alto Risco:</strong> ${churnData.metrics.highRiskCount}</p>
     `;
+    
+    setTimeout(() => {
+      AdvancedChartsHelper.createChurnScoreChart(churnData, 'churn-chart');
+    }, 100);
+  }
+  
+  /**
+   * Exibe análise de Série Temporal
+   */
+  displayTimeSeriesAnalysis(container) {
+    const section = document.createElement('div');
+    section.className = 'analysis-section';
+    section.innerHTML = `
+      <h3>📈 Série Temporal - Tendências e Padrões</h3>
+      <div class="timeseries-info"></div>
+    `;
+    container.appendChild(section);
+    
+    const tsData = this.advancedAnalytics.timeSeries;
+    const infoDiv = section.querySelector('.timeseries-info');
+    
+    if (tsData.patterns?.length > 0) {
+      infoDiv.innerHTML = `
+        <p><strong>Padrões Detectados:</strong></p>
+        <ul>
+          ${tsData.patterns.map(p => `
+            <li><strong>${p.description}</strong> - ${p.type === 'trend' ? p.magnitude : p.coefficient || ''}</li>
+          `).join('')}
+        </ul>
+      `;
+    }
+  }
+  
+  /**
+   * Exibe alertas
+   */
+  displayAlerts() {
+    const unreadAlerts = this.alertsManager.getUnreadAlerts();
+    
+    if (unreadAlerts.length > 0) {
+      console.log(`🔔 ${unreadAlerts.length} novo(s) alerta(s)`);
+      
+      // Mostrar badge ou notificação visual
+      const alertBadge = document.getElementById('alert-badge');
+      if (alertBadge) {
+        alertBadge.textContent = unreadAlerts.length;
+        alertBadge.style.display = 'block';
+      }
+    }
+  }
+
+  /**
+   * Exporta para PDF
+   */
+  async exportToPDF() {
+    if (!this.exportManager) return;
+    
+    try {
+      this.uiManager.showLoading('Gerando PDF...');
+      await this.exportManager.exportToPDF();
+      this.uiManager.hideLoading();
+      this.uiManager.showSuccess('PDF exportado com sucesso!');
+    } catch (error) {
+      this.uiManager.hideLoading();
+      this.uiManager.showError('Erro ao exportar PDF: ' + error.message);
+    }
+  }
+
+  /**
+   * Exporta para Excel
+   */
+  exportToExcel() {
+    if (!this.exportManager) return;
+    
+    try {
+      this.exportManager.exportToExcel();
+      this.uiManager.showSuccess('Excel exportado com sucesso!');
+    } catch (error) {
+      this.uiManager.showError('Erro ao exportar Excel: ' + error.message);
+    }
+  }
+
+  /**
+   * Exporta para CSV
+   */
+  exportToCSV() {
+    if (!this.exportManager) return;
+    
+    try {
+      this.exportManager.exportToCSV();
+      this.uiManager.showSuccess('CSV exportado com sucesso!');
+    } catch (error) {
+      this.uiManager.showError('Erro ao exportar CSV: ' + error.message);
+    }
+  }
+
+  /**
+   * Reseta a aplicação
+   */
+  reset() {
+    this.analysisJob?.cancel();
+    this.analysisJob = null;
+    this.setAIReportStream(null);
+    this.currentData = null;
+    this.columnMetadata = null;
+    this.analytics = null;
+    this.charts = null;
+    this.insights = null;
+    this.exportManager = null;
+    this.sampling = null;
+    this.dataSource = null;
+    this.status = ProcessingStatus.IDLE;
+    
+    this.sheetsSource = null;
+    this.scheduleSheetsRefresh();
+    this.renderSheetsRefresh();
+    
+    this.uploadManager.clear();
+    this.uiManager.reset();
+    
+    // Limpar input
+    const fileInput = document.getElementById('file-input');
+    if (fileInput) fileInput.value = '';
+  }
+
+  /**
+   * Gera relatório detalhado com IA
+   */
+  async generateAIReport({ force = false } = {}) {
+    if (!this.currentData || !this.analytics) {
+      alert('⚠️ Nenhuma análise disponível. Por favor, faça upload de uma planilha primeiro.');
+      return;
+    }
+
+    const button = document.getElementById('ai-report-btn');
+    if (button) {
+      button.disabled = true;
+      button.innerHTML = '<span class="spinner"></span> Gerando Relatório com IA...';
+    }
+
+    try {
+      // Encerrar relatório anterior ainda em geração
+      this.setAIReportStream(null);
+
+      // Reaproveitar o relatório se dados, análises e prompts não mudaram
+      const cacheKey = this.getAIReportCacheKey();
+      if (!force) {
+        const cached = await this.aiReportCache.find(cacheKey.cacheKey, this.aiReportGenerator.getSource());
+        if (cached) {
+          console.log('📦 Relatório IA carregado do cache:', cached.id);
+          this.displayCachedAIReport(cached, '📦 Relatório recuperado do cache: os dados e as análises não mudaram desde a geração.');
+          this.enableAIReportExport(cached.report);
+          return;
+        }
+      }
+
+      console.log('🤖 Iniciando geração de relatório com IA...');
+
+      // Gerar relatório em streaming, seção por seção
+      const stream = this.aiReportGenerator.streamComprehensiveReport(
+        this.currentData,
+        this.analytics,
+        this.advancedAnalytics
+      );
+      this.setAIReportStream(stream);
+
+      // Guardar no cache/histórico a cada conclusão (inclusive após refazer seções)
+      stream.addEventListener('complete', (event) => {
+        this.aiReportCache.save(event.detail.report, cacheKey, { datasetName: this.getDatasetName() });
+      });
+
+      // Exibir seções na interface à medida que são geradas
+      this.displayAIReport(stream);
+
+      const aiReport = await stream.done;
+      console.log('✅ Relatório IA gerado:', aiReport);
+
+      // Habilitar exportação do relatório
+      this.enableAIReportExport(aiReport);
+
+    } catch (error) {
+      console.error('Erro ao gerar relatório com IA:', error);
+      alert(`Erro ao gerar relatório: ${error.message}`);
+    } finally {
+      if (button) {
+        button.disabled = false;
+        button.innerHTML = '🤖 Relatório IA';
+      }
+    }
+  }
+
+  /**
+   * Exibe relatório de IA na interface
+   * As seções são preenchidas à medida que o texto chega do stream
+   * @param {AIReportStream} stream
+   */
+  displayAIReport(stream) {
+    const container = document.getElementById('ai-report-container') || this.createAIReportContainer();
+    
+    container.innerHTML = `
+      <div class="ai-report">
+        <div class="ai-report-header">
+          <h2>🤖 Relatório Inteligente com IA</h2>
+          <p class="report-meta">
+            ID: ${stream.reportId} | 
+            Gerado em: ${new Date().toLocaleString('pt-BR')}
+          </p>
+          ${this.aiReportGenerator.isConfigured() ? '' : `
+            <p class="report-meta">
+              📝 Análise local baseada em regras. Configure um provedor de IA no .env para análises com IA.
+            </p>
+          `}
+          ${this.aiReportGenerator.isConfigured() && this.aiReportGenerator.redactor.getSummary() ? `
+            <p class="report-meta">
+              🔒 Dados pessoais enviados como pseudônimos: ${this.aiReportGenerator.redactor.getSummary()}.
+            </p>
+          ` : ''}
+          ${this.renderAIReportActions()}
+        </div>
+
+        ${this.aiReportGenerator.getSections().map(section => this.renderStreamingSection(section)).join('')}
+      </div>
+    `;
+
+    // Scroll suave até o relatório
+    container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    // Exportação usa o relatório no estado atual
+    this.bindAIReportActions(() => stream.getReport());
+
+    // A leitura dos eventos termina no "complete"; uma seção refeita depois disso
+    // é acompanhada por uma nova leitura a partir do retry
+    let reading = false;
+    const read = async (from) => {
+      reading = true;
+      try {
+        await this.consumeAIReportStream(stream, container, from);
+      } finally {
+        reading = false;
+      }
+    };
+
+    // Cancelar / refazer seções individualmente
+    container.querySelector('.ai-report')?.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-section-action]');
+      if (!button) return;
+
+      const key = button.closest('[data-section-key]')?.dataset.sectionKey;
+      if (button.dataset.sectionAction === 'cancel') stream.cancelSection(key);
+      if (button.dataset.sectionAction === 'retry') {
+        const from = stream.history.length;
+        stream.retrySection(key);
+        if (!reading) read(from);
+      }
+    });
+
+    read(0);
+  }
+
+  /**
+   * Troca o stream do relatório IA, encerrando o anterior
+   * (cancela as seções em andamento e termina a leitura dos eventos)
+   * @param {AIReportStream|null} stream
+   */
+  setAIReportStream(stream) {
+    if (this.aiReportStream && this.aiReportStream !== stream) {
+      this.aiReportStream.close();
+    }
+    this.aiReportStream = stream;
+  }
+
+  /**
+   * Exibe um relatório já gerado (cache ou histórico), sem chamar a IA
+   * @param {Object} record - Registro do AIReportCache
+   * @param {string} note - Aviso exibido no cabeçalho
+   */
+  displayCachedAIReport(record, note) {
+    const container = document.getElementById('ai-report-container') || this.createAIReportContainer();
+    const { report } = record;
+
+    container.innerHTML = `
+      <div class="ai-report">
+        <div class="ai-report-header">
+          <h2>🤖 Relatório Inteligente com IA</h2>
+          <p class="report-meta">
+            ID: ${report.reportId} | 
+            Gerado em: ${new Date(report.timestamp).toLocaleString('pt-BR')}
+          </p>
+          <p class="report-meta">${note}</p>
+          ${this.renderAIReportActions({ regenerate: true })}
+        </div>
+
+        ${this.aiReportGenerator.getSections().map(section => this.renderReportSection(report.sections[section.key])).join('')}
+      </div>
+    `;
+
+    container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    this.bindAIReportActions(() => report);
+  }
+
+  /**
+   * Botões do cabeçalho do relatório
+   */
+  renderAIReportActions({ regenerate = false } = {}) {
+    return `
+      <div class="ai-report-actions">
+        <button id="export-ai-report-btn" class="export-btn">
+          📄 Exportar Relatório IA
+        </button>
+        ${regenerate ? `
+          <button id="regenerate-ai-report-btn" class="export-btn">
+            🔄 Gerar Novamente
+          </button>
+        ` : ''}
+        <button id="ai-report-history-btn" class="export-btn">
+          🕘 Histórico
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * @param {Function} getReport - Retorna o relatório a exportar
+   */
+  bindAIReportActions(getReport) {
+    document.getElementById('export-ai-report-btn')?.addEventListener('click', () => {
+      this.exportAIReport(getReport());
+    });
+    document.getElementById('regenerate-ai-report-btn')?.addEventListener('click', () => {
+      this.generateAIReport({ force: true });
+    });
+    document.getElementById('ai-report-history-btn')?.addEventListener('click', () => {
+      this.showAIReportHistoryModal();
+    });
+  }
+
+  /**
+   * Chave de cache do relatório para os dados, tipos de coluna, análises e configuração dos prompts atuais
+   */
+  getAIReportCacheKey() {
+    return this.aiReportCache.buildKey({
+      data: this.currentData,
+      columnMetadata: this.columnMetadata,
+      analytics: this.analytics,
+      promptConfig: this.aiReportGenerator.getPromptConfig(),
+      promptVersion: PROMPT_VERSION
+    });
+  }
+
+  /**
+   * Nome exibido no histórico para o conjunto de dados atual
+   */
+  getDatasetName() {
+    if (this.dataSource?.kind === 'files') {
+      return this.dataSource.lineage.map(entry => entry.name).join(' + ');
+    }
+    return this.uploadManager.currentFile?.name || this.currentFormat || 'Dados importados';
+  }
+
+  /**
+   * Histórico de relatórios do conjunto de dados atual
+   * Permite abrir, excluir e comparar duas versões
+   */
+  async showAIReportHistoryModal() {
+    if (!this.currentData || !this.analytics) return;
+
+    const records = await this.aiReportCache.listByDataset(this.getAIReportCacheKey().datasetFingerprint);
+    const modes = { ai: '🤖 IA', local: '📝 Local' };
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+      <div class="modal-content modal-large">
+        <div class="modal-header">
+          <h2>🕘 Histórico de Relatórios</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body">
+          ${!this.aiReportCache.isAvailable() ? `
+            <p class="empty-state">Histórico indisponível: o navegador não permite armazenamento local (IndexedDB).</p>
+          ` : records.length === 0 ? `
+            <p class="empty-state">Nenhum relatório gerado para estes dados ainda.</p>
+          ` : `
+            <p class="history-hint">Selecione duas versões para comparar.</p>
+            <div class="report-history-list">
+              ${records.map(record => `
+                <div class="history-item" data-id="${record.id}">
+                  <label>
+                    <input type="checkbox" class="history-select" value="${record.id}">
+                    <strong>${new Date(record.createdAt).toLocaleString('pt-BR')}</strong>
+                  </label>
+                  <span>${this.escapeHTML(record.datasetName)}</span>
+                  <span>${modes[record.mode] || record.mode} · ${this.escapeHTML(record.provider)} / ${this.escapeHTML(record.model)}</span>
+                  <span class="history-actions">
+                    <button class="section-action-btn" data-history-action="open">Abrir</button>
+                    <button class="section-action-btn" data-history-action="delete">Excluir</button>
+                  </span>
+                </div>
+              `).join('')}
+            </div>
+            <button class="btn-primary" id="compare-reports-btn" disabled>🔀 Comparar Selecionados</button>
+          `}
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) modal.remove();
+    });
+
+    const findRecord = (id) => records.find(record => record.id === id);
+    const selected = () => [...modal.querySelectorAll('.history-select:checked')].map(input => findRecord(input.value));
+    const compareButton = modal.querySelector('#compare-reports-btn');
+
+    modal.querySelectorAll('.history-select').forEach(input => {
+      input.addEventListener('change', () => {
+        compareButton.disabled = selected().length !== 2;
+      });
+    });
+
+    compareButton?.addEventListener('click', () => {
+      const [newer, older] = selected();
+      modal.remove();
+      this.showAIReportDiffModal(older, newer);
+    });
+
+    modal.querySelectorAll('[data-history-action]').forEach(button => {
+      button.addEventListener('click', async () => {
+        const record = findRecord(button.closest('.history-item').dataset.id);
+
+        if (button.dataset.historyAction === 'open') {
+          this.setAIReportStream(null);
+          this.displayCachedAIReport(record, `🕘 Versão do histórico de ${new Date(record.createdAt).toLocaleString('pt-BR')}.`);
+          this.enableAIReportExport(record.report);
+          modal.remove();
+        } else {
+          await this.aiReportCache.delete(record.id);
+          modal.remove();
+          this.showAIReportHistoryModal();
+        }
+      });
+    });
+  }
+
+  /**
+   * Comparação lado a lado entre duas versões do relatório
+   * @param {Object} older - Registro mais antigo (esquerda)
+   * @param {Object} newer - Registro mais recente (direita)
+   */
+  showAIReportDiffModal(older, newer) {
+    const diff = ReportDiff.compare(older.report, newer.report);
+    const olderDate = new Date(older.createdAt).toLocaleString('pt-BR');
+    const newerDate = new Date(newer.createdAt).toLocaleString('pt-BR');
+    const statusLabels = {
+      changed: 'Alterada',
+      unchanged: 'Sem alterações',
+      added: 'Nova',
+      removed: 'Removida'
+    };
+
+    const summary = [
+      `${diff.summary.changed} seção(ões) alterada(s)`,
+      `${diff.summary.unchanged} sem alterações`
+    ];
+    if (diff.summary.added) summary.push(`${diff.summary.added} nova(s)`);
+    if (diff.summary.removed) summary.push(`${diff.summary.removed} removida(s)`);
+
+    const renderCell = (line) => `
+      <td class="diff-cell diff-${line ? line.type : 'empty'}">${line ? this.escapeHTML(line.text) : ''}</td>
+    `;
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+      <div class="modal-content modal-large">
+        <div class="modal-header">
+          <h2>🔀 Comparação de Relatórios</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body">
+          <p class="history-hint">${summary.join(', ')}</p>
+          ${diff.sections.map(section => `
+            <details class="diff-section diff-section-${section.status}" ${section.status === 'unchanged' ? '' : 'open'}>
+              <summary>
+                ${this.escapeHTML(section.title)}
+                <span class="diff-badge">${statusLabels[section.status]}</span>
+              </summary>
+              <table class="diff-table">
+                <thead>
+                  <tr><th>${olderDate}</th><th>${newerDate}</th></tr>
+                </thead>
+                <tbody>
+                  ${section.rows.map(row => `<tr>${renderCell(row.left)}${renderCell(row.right)}</tr>`).join('')}
+                </tbody>
+              </table>
+            </details>
+          `).join('')}
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) modal.remove();
+    });
+  }
+
+  /**
+   * Atualiza as seções do relatório a partir dos eventos do stream
+   * Termina no "complete" do stream (ou ao ser encerrado)
+   * @param {number} from - Índice do histórico de eventos a partir do qual ler
+   */
+  async consumeAIReportStream(stream, container, from = 0) {
+    const findSection = (key) => container.querySelector(`[data-section-key="${key}"]`);
+
+    for await (const { type, detail } of stream.events(from)) {
+      const element = detail.key ? findSection(detail.key) : null;
+
+      switch (type) {
+        case 'section-start':
+          if (!element) break;
+          element.outerHTML = this.renderStreamingSection(
+            this.aiReportGenerator.getSections().find(section => section.key === detail.key)
+          );
+          break;
+
+        case 'section-token':
+          if (!element) break;
+          element.querySelector('.section-content').innerHTML = this.formatMarkdownToHTML(detail.content);
+          break;
+
+        case 'section-complete':
+          if (!element) break;
+          element.outerHTML = this.renderReportSection(detail.section, detail.key);
+          break;
+
+        case 'section-cancelled':
+        case 'section-error':
+          if (!element) break;
+          element.classList.remove('streaming');
+          element.classList.add(type === 'section-error' ? 'failed' : 'cancelled');
+          element.querySelector('.section-controls').outerHTML = this.renderSectionControls(
+            type === 'section-error' ? 'error' : 'cancelled'
+          );
+          break;
+      }
+    }
+  }
+
+  /**
+   * Renderiza uma seção ainda em geração (placeholder)
+   */
+  renderStreamingSection(section) {
+    return `
+      <div class="report-section normal streaming" data-section-key="${section.key}">
+        <h3>${section.title}</h3>
+        ${this.renderSectionControls('streaming')}
+        <div class="section-content">
+          <p class="section-placeholder">⏳ Gerando análise...</p>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Renderiza status e botões de cancelar / refazer de uma seção
+   * @param {string} status - streaming | done | cancelled | error
+   */
+  renderSectionControls(status) {
+    const labels = {
+      streaming: '⏳ Gerando...',
+      done: '✅ Concluída',
+      cancelled: '⏹️ Cancelada',
+      error: '❌ Erro na geração'
+    };
+
+    return `
+      <div class="section-controls">
+        <span class="section-status">${labels[status]}</span>
+        ${status === 'streaming'
+          ? '<button class="section-action-btn" data-section-action="cancel">⏹️ Cancelar</button>'
+          : '<button class="section-action-btn" data-section-action="retry">🔄 Refazer</button>'}
+      </div>
+    `;
+  }
+
+  /**
+   * Renderiza uma seção do relatório
+   * @param {Object} section
+   * @param {string} key - Chave da seção no stream (habilita os controles)
+   */
+  renderReportSection(section, key = null) {
+    if (!section) return '';
+
+    const priorityClass = section.priority || 'normal';
+    const severityClass = section.severity ? `severity-${section.severity.toLowerCase()}` : '';
+
+    return `
+      <div class="report-section ${priorityClass} ${severityClass}"${key ? ` data-section-key="${key}"` : ''}>
+        <h3>${section.title}</h3>
+        ${key ? this.renderSectionControls('done') : ''}
+        <div class="section-content">
+          ${section.actions ? this.renderActionCards(section) : this.formatMarkdownToHTML(section.content)}
+        </div>
+        ${section.insights ? this.renderInsights(section.insights) : ''}
+        ${section.charts ? this.renderChartPlaceholders(section.charts) : ''}
+        ${section.promptUsage ? this.renderPromptUsage(section.promptUsage) : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Renderiza as ações estruturadas (ActionPlanSchema) com o botão de criar meta
+   */
+  renderActionCards(section) {
+    return `
+      ${section.summary ? `<p>${this.escapeHTML(section.summary)}</p>` : ''}
+      <div class="action-cards">
+        ${section.actions.map(action => `
+          <div class="action-card priority-${action.priority}">
+            <div class="action-card-header">
+              <strong>${this.escapeHTML(action.title)}</strong>
+              <span class="action-priority">${PRIORITY_LABELS[action.priority]}</span>
+            </div>
+            <ul class="action-details">
+              <li>👤 Responsável: ${this.escapeHTML(action.owner)}</li>
+              <li>📅 Prazo: ${new Date(`${action.deadline}T00:00:00`).toLocaleDateString('pt-BR')}</li>
+              <li>📏 KPI: ${this.escapeHTML(action.kpi.name)} — meta ${formatTarget(action.kpi)}</li>
+              <li>💰 Impacto esperado: ${this.escapeHTML(action.expectedImpact)}${action.impactValue ? ` (${formatTarget({ target: action.impactValue, unit: 'revenue' })})` : ''}</li>
+            </ul>
+            <button class="btn-secondary action-goal-btn" data-create-goal="${this.escapeHTML(JSON.stringify(actionToGoalConfig(action)))}">
+              🎯 Criar meta
+            </button>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Cria uma meta a partir do botão de uma ação recomendada
+   * @param {HTMLElement} button - Botão com data-create-goal
+   */
+  createGoalFromAction(button) {
+    const config = JSON.parse(button.dataset.createGoal);
+    const [year, month, day] = config.endDate.split('-').map(Number);
+
+    this.createGoal({ ...config, endDate: new Date(year, month - 1, day, 23, 59, 59) });
+
+    button.disabled = true;
+    button.textContent = '✅ Meta criada';
+  }
+
+  /**
+   * Informa os dados cortados do prompt para caber no limite de tokens
+   */
+  renderPromptUsage(usage) {
+    if (!usage.omitted || usage.omitted.length === 0) return '';
+
+    const actions = {
+      truncated: 'parcialmente enviado',
+      summarized: 'resumido',
+      omitted: 'omitido'
+    };
+
+    return `
+      <div class="section-prompt-usage">
+        ✂️ Dados reduzidos para caber no limite de ${usage.maxTokens.toLocaleString('pt-BR')} tokens do prompt:
+        ${usage.omitted.map(block => `${block.label} (${actions[block.action]}: ${block.keptLines} de ${block.totalLines} linhas)`).join('; ')}
+      </div>
+    `;
+  }
+
+  /**
+   * Converte Markdown para HTML (básico)
+   */
+  formatMarkdownToHTML(text) {
+    if (!text) return '';
+
+    return text
+      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>') // Negrito
+      .replace(/\*(.+?)\*/g, '<em>$1</em>') // Itálico
+      .replace(/^### (.+)$/gm, '<h4>$3</h4>') // H4
+      .replace(/^## (.+)$/gm, '<h3>$1</h3>') // H3
+      .replace(/^# (.+)$/gm, '<h2>$1</h2>') // H2
+      .replace(/^- (.+)$/gm, '<li>$1</li>') // Lista
+      .replace(/(<li>.*<\/li>)/s, '<ul>$1</ul>') // Envolver lista
+      .replace(/\n\n/g, '</p><p>') // Parágrafos
+      .replace(/^(.+)$/gm, '<p>$1</p>'); // Wrap em parágrafos
+  }
+
+  /**
+   * Renderiza insights adicionais
+   */
+  renderInsights(insights) {
+    if (!insights || insights.length === 0) return '';
+
+    return `
+      <div class="section-insights">
+        ${insights.map(insight => `
+          <div class="insight-item ${insight.type}">
+            ${insight.message}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Renderiza placeholders para gráficos
+   */
+  renderChartPlaceholders(charts) {
+    return `
+      <div class="section-charts">
+        ${charts.map(chart => `
+          <div class="chart-placeholder" data-chart-type="${chart}">
+            📊 Gráfico: ${chart}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Cria container para relatório IA
+   */
+  createAIReportContainer() {
+    const container = document.createElement('div');
+    container.id = 'ai-report-container';
+    container.className = 'ai-report-container';
+    
+    const dashboardSection = document.getElementById('dashboard-section');
+    if (dashboardSection) {
+      const containerDiv = dashboardSection.querySelector('.container');
+      if (containerDiv) {
+        containerDiv.appendChild(container);
+      } else {
+        dashboardSection.appendChild(container);
+      }
+    } else {
+      document.body.appendChild(container);
+    }
+    
+    return container;
+  }
+
+  /**
+   * Habilita exportação do relatório IA
+   */
+  enableAIReportExport(report) {
+    this.currentAIReport = report;
+  }
+
+  /**
+   * Exporta relatório IA para PDF
+   */
+  async exportAIReport(report) {
+    try {
+      const button = document.getElementById('export-ai-report-btn');
+      if (button) {
+        button.disabled = true;
+        button.textContent = '⏳ Gerando PDF...';
+      }
+
+      // Verificar se jsPDF está disponível
+      if (!window.jspdf) {
+        throw new Error('Biblioteca jsPDF não carregada. Recarregue a página e tente novamente.');
+      }
+
+      // Criar PDF do relatório IA
+      const { jsPDF } = window.jspdf;
+      const doc = new jsPDF();
+      
+      let yPosition = 20;
+      const pageHeight = doc.internal.pageSize.height;
+      const margin = 20;
+      const lineHeight = 7;
+      const maxWidth = 170;
+
+      // Título
+      doc.setFontSize(18);
+      doc.setFont(undefined, 'bold');
+      doc.text('Relatorio Inteligente com IA', margin, yPosition);
+      yPosition += 10;
+
+      // Metadados
+      doc.setFontSize(10);
+      doc.setFont(undefined, 'normal');
+      doc.text(`ID: ${report.reportId}`, margin, yPosition);
+      yPosition += 5;
+      doc.text(`Gerado em: ${new Date(report.timestamp).toLocaleString('pt-BR')}`, margin, yPosition);
+      yPosition += 15;
+
+      // Processar seções
+      const sections = Object.values(report.sections);
+      for (const section of sections) {
+        if (!section) continue;
+
+        // Verificar espaço na página
+        if (yPosition > pageHeight - 40) {
+          doc.addPage();
+          yPosition = 20;
+        }
+
+        // Título da seção
+        doc.setFontSize(14);
+        doc.setFont(undefined, 'bold');
+        const sectionTitle = section.title?.replace(/[^\x20-\x7E]/g, '') || 'Secao';
+        doc.text(sectionTitle, margin, yPosition);
+        yPosition += lineHeight + 3;
+
+        // Conteúdo
+        doc.setFontSize(10);
+        doc.setFont(undefined, 'normal');
+        
+        // Limpar conteúdo de caracteres especiais e formatação Markdown
+        const content = (section.content || '')
+          .replace(/\*\*/g, '')
+          .replace(/\*/g, '')
+          .replace(/#{1,6}\s/g, '')
+          .replace(/[^\x20-\x7E\n\r]/g, '')
+          .trim();
+        
+        if (content) {
+          const lines = doc.splitTextToSize(content, maxWidth);
+          
+          for (const line of lines) {
+            if (yPosition > pageHeight - margin) {
+              doc.addPage();
+              yPosition = 20;
+            }
+            doc.text(line, margin, yPosition);
+            yPosition += lineHeight;
+          }
+        }
+        
+        yPosition += 10; // Espaço entre seções
+      }
+
+      // Salvar PDF
+      const filename = `Relatorio_IA_${report.reportId}_${Date.now()}.pdf`;
+      doc.save(filename);
+
+      // Feedback de sucesso
+      this.uiManager.showToast(`✅ Relatório exportado: ${filename}`, 'success');
+
+    } catch (error) {
+      console.error('Erro ao exportar relatório:', error);
+      this.uiManager.showToast(`❌ Erro ao exportar: ${error.message}`, 'error');
+    } finally {
+      const button = document.getElementById('export-ai-report-btn');
+      if (button) {
+        button.disabled = false;
+        button.textContent = '📄 Exportar Relatório IA';
+      }
+    }
+  }
+
+  /**
+   * 🎯 TEMPLATES E METAS
+   */
+
+  /**
+   * Aplicar template de análise
+   * @param {string} templateId
+   * @param {Object} roles - Papéis escolhidos no assistente de mapeamento { [papel]: coluna }
+   */
+  applyTemplate(templateId, roles = {}) {
+    if (!this.currentData || !this.columnMetadata) {
+      this.uiManager.showToast('⚠️ Carregue dados antes de aplicar um template', 'warning');
+      return;
+    }
+
+    const result = this.templateManager.applyTemplate(templateId, this.currentData, roles);
+    
+    if (result.success) {
+      this.currentTemplate = result.template;
+      this.templateMapping = result.mappedColumns;
+      
+      // Atualizar UI com informações do template
+      console.log(`✅ Template "${result.template.name}" ${result.template.icon} aplicado!`);
+      
+      // Mostrar notificação visual
+      this.uiManager.showToast(
+        `✅ Template "${result.template.name}" aplicado com sucesso!`, 
+        'success'
+      );
+      
+      // Mostrar KPIs e insights sugeridos no console
+      console.log('📊 KPIs recomendados:', result.kpis);
+      console.log('💡 Insights sugeridos:', result.insights);
+      console.log('🔗 Colunas mapeadas:', result.mappedColumns);
+      
+      // Atualizar dashboard com foco no template
+      this.updateDashboardWithTemplate(result);
+      
+      return result;
+    } else {
+      const missingColumns = result.validation.missing.join(', ');
+      this.uiManager.showToast(
+        `❌ Template requer colunas: ${missingColumns}`, 
+        'error'
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Atualizar dashboard com informações do template
+   */
+  updateDashboardWithTemplate(templateResult) {
+    // Adicionar indicador visual do template ativo
+    const actionsBar = document.querySelector('.actions-bar');
+    if (actionsBar) {
+      // Remover indicador anterior se existir
+      const oldIndicator = actionsBar.querySelector('.template-indicator');
+      if (oldIndicator) oldIndicator.remove();
+      
+      // Adicionar novo indicador
+      const indicator = document.createElement('div');
+      indicator.className = 'template-indicator';
+      indicator.innerHTML = `
+        <span class="template-badge" style="background: ${templateResult.template.color}">
+          ${templateResult.template.icon} ${templateResult.template.name}
+        </span>
+      `;
+      actionsBar.insertBefore(indicator, actionsBar.firstChild);
+    }
+  }
+
+  /**
+   * Sugerir template automaticamente
+   */
+  suggestTemplate() {
+    if (!this.currentData) return null;
+    
+    const suggestion = this.templateManager.suggestTemplate(this.currentData);
+    
+    if (suggestion) {
+      console.log(`💡 Template sugerido: ${suggestion.template.name} (${suggestion.confidence} confidence)`);
+      return suggestion;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Criar metas automaticamente baseadas nos KPIs disponíveis
+   */
+  createAutoGoals() {
+    if (!this.analytics || !this.analytics.kpis || this.analytics.kpis.length === 0) {
+      console.log('⚠️ Nenhum KPI disponível para criar metas automáticas');
+      return [];
+    }
+
+    const createdGoals = [];
+    const kpis = this.analytics.kpis;
+    
+    // Obter templates de metas disponíveis
+    const goalTemplates = this.goalsManager.getGoalTemplates();
+    
+    // Limpar metas anteriores para evitar duplicatas
+    this.goalsManager.goals = [];
+    
+    // Mapear IDs de KPI para tipos de meta apropriados
+    const kpiGoalMapping = {
+      // KPIs de receita/vendas
+      'receita': { template: 'vendas', multiplier: 1.15 },
+      'total': { template: 'vendas', multiplier: 1.15 },
+      'vendas': { template: 'vendas', multiplier: 1.15 },
+      'revenue': { template: 'vendas', multiplier: 1.15 },
+      
+      // KPIs de ticket médio
+      'avg': { template: 'vendas', multiplier: 1.10 },
+      'ticket': { template: 'vendas', multiplier: 1.10 },
+      'medio': { template: 'vendas', multiplier: 1.10 },
+      
+      // KPIs de clientes
+      'clientes': { template: 'clientes', multiplier: 1.20 },
+      'customers': { template: 'clientes', multiplier: 1.20 },
+      'usuarios': { template: 'clientes', multiplier: 1.20 },
+      
+      // KPIs de margem
+      'margem': { template: 'margem', multiplier: 1.05 },
+      'margin': { template: 'margem', multiplier: 1.05 },
+      'lucro': { template: 'margem', multiplier: 1.05 },
+      'profit': { template: 'margem', multiplier: 1.05 },
+      
+      // KPIs de satisfação
+      'nps': { template: 'satisfacao', multiplier: 1.05 },
+      'satisfacao': { template: 'satisfacao', multiplier: 1.05 },
+      'satisfaction': { template: 'satisfacao', multiplier: 1.05 }
+    };
+    
+    // Determinar período baseado nos dados
+    const period = this.currentData && this.currentData.length > 300 ? 'anual' : 'mensal';
+    
+    // Criar metas para os principais KPIs (máximo 5)
+    let goalsCreated = 0;
+    const maxGoals = 5;
+    const usedTemplates = new Set(); // Evitar metas duplicadas
+    
+    for (const kpi of kpis) {
+      if (goalsCreated >= maxGoals) break;
+      
+      // Validar estrutura do KPI
+      if (!kpi.id || !kpi.rawValue || kpi.rawValue <= 0) {
+        continue;
+      }
+      
+      // Tentar encontrar mapping baseado no ID do KPI
+      const kpiIdLower = kpi.id.toLowerCase();
+      let mapping = null;
+      let matchedTemplate = null;
+      
+      for (const [keyword, map] of Object.entries(kpiGoalMapping)) {
+        if (kpiIdLower.includes(keyword)) {
+          mapping = map;
+          matchedTemplate = map.template;
+          break;
+        }
+      }
+      
+      if (!mapping || !matchedTemplate) continue;
+      
+      // Evitar criar metas duplicadas do mesmo template
+      if (usedTemplates.has(matchedTemplate)) {
+        continue;
+      }
+      
+      const goalTemplate = goalTemplates[matchedTemplate];
+      if (!goalTemplate) continue;
+      
+      // Calcular meta baseada no valor atual
+      const currentValue = kpi.rawValue;
+      const targetValue = Math.round(currentValue * mapping.multiplier);
+      
+      // Criar configuração da meta
+      const goalConfig = {
+        name: `${goalTemplate.name} - ${new Date().getFullYear()}`,
+        description: `Meta automática: aumentar ${kpi.title} em ${Math.round((mapping.multiplier - 1) * 100)}%`,
+        type: goalTemplate.type || 'revenue',
+        metric: kpi.id,
+        target: targetValue,
+        current: currentValue,
+        period: period,
+        priority: 'medium',
+        category: goalTemplate.category,
+        icon: goalTemplate.icon
+      };
+      
+      try {
+        const goal = this.goalsManager.createGoal(goalConfig);
+        createdGoals.push(goal);
+        usedTemplates.add(matchedTemplate); // Marcar template como usado
+        goalsCreated++;
+        console.log(`🎯 Meta automática criada: ${goal.name} (${kpi.title}: ${currentValue} → ${targetValue})`);
+      } catch (error) {
+        console.error('❌ Erro ao criar meta automática:', error);
+      }
+    }
+    
+    // Notificar usuário
+    if (createdGoals.length > 0) {
+      this.uiManager.showToast(
+        `🎯 ${createdGoals.length} meta(s) criada(s) automaticamente!`, 
+        'success'
+      );
+      console.log(`✅ Total de metas automáticas criadas: ${createdGoals.length}`);
+    } else {
+      console.log('ℹ️ Nenhuma meta automática criada (KPIs não corresponderam aos templates)');
+    }
+    
+    return createdGoals;
+  }
+
+  /**
+   * Criar meta de negócio
+   */
+  createGoal(goalConfig) {
+    const goal = this.goalsManager.createGoal(goalConfig);
+    this.uiManager.showToast(`🎯 Meta "${goal.name}" criada!`, 'success');
+    return goal;
+  }
+
+  /**
+   * Atualizar progresso das metas
+   */
+  updateGoalsProgress() {
+    if (!this.analytics || !this.analytics.kpis) return;
+    
+    // Metas guardam o id do KPI; o valor formatado ("R$ 1.234,56") não serve para o progresso
+    const kpis = kpiValuesById(this.analytics.kpis);
+    
+    const results = this.goalsManager.calculateGoalsProgress(this.currentData, kpis);
+    
+    // Processar alerts de metas
+    results.forEach(result => {
+      if (result.alerts && result.alerts.length > 0) {
+        result.alerts.forEach(alert => {
+          this.uiManager.showToast(alert.message, alert.type);
+        });
+      }
+    });
+    
+    return results;
+  }
+
+  /**
+   * Exibir dashboard de metas
+   */
+  showGoalsDashboard() {
+    const dashboard = this.goalsManager.getGoalsDashboard();
+    console.log('🎯 Dashboard de Metas:', dashboard);
+    // Aqui você pode criar uma UI específica para o dashboard
+    return dashboard;
+  }
+
+  /**
+   * Formatar valor de meta baseado no tipo
+   */
+  formatGoalValue(value, type) {
+    if (value === undefined || value === null) return '0';
+    
+    switch (type) {
+      case 'revenue':
+        return new Intl.NumberFormat('pt-BR', {
+          style: 'currency',
+          currency: 'BRL'
+        }).format(value);
+      
+      case 'percentage':
+        return `${value.toFixed(1)}%`;
+      
+      case 'quantity':
+        return new Intl.NumberFormat('pt-BR').format(value);
+      
+      default:
+        return value.toString();
+    }
+  }
+
+  /**
+   * Importar Google Sheets via URL
+   * Com mais de uma aba, o usuário escolhe quais importar e como combiná-las
+   * (mesmo seletor das abas do Excel)
+   */
+  async importGoogleSheets(url, sheetId = null) {
+    try {
+      this.uiManager.showToast('📥 Importando Google Sheets...', 'info');
+      
+      let selection = null;
+      if (!sheetId) {
+        let sheets = [];
+        try {
+          sheets = await this.googleSheetsParser.listSheets(url);
+        } catch (error) {
+          // Sem a lista de abas, importa a aba indicada na URL
+          console.warn('⚠️ Não foi possível listar as abas:', error.message);
+        }
+        
+        if (sheets.length > 1) {
+          selection = await this.showSheetPickerModal(sheets);
+          if (!selection) return;
+        } else if (sheets.length === 1) {
+          selection = { mode: CombineMode.SINGLE, sheets: [sheets[0].name] };
+        }
+      }
+      
+      const source = { url, sheetId, selection };
+      const tabs = await this.fetchGoogleSheets(source);
+      
+      if (await this.runAnalysis(this.getGoogleSheetsInput(source, tabs))) {
+        this.currentFormat = 'google-sheets';
+        this.sheetsSource = { ...source, tabs, importedAt: new Date(), checkedAt: null, diff: null };
+        this.scheduleSheetsRefresh();
+        this.renderSheetsRefresh();
+        this.uiManager.showToast(`✅ Google Sheets importado com sucesso!`, 'success');
+      }
+      
+    } catch (error) {
+      console.error('❌ Erro ao importar Google Sheets:', error);
+      this.uiManager.showToast(`❌ Erro: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Baixa as abas escolhidas (ou a aba da URL, quando as abas não puderam ser listadas)
+   * @param {Object} source - { url, sheetId, selection }
+   * @returns {Promise<Array<Object>>} [{ name, data }]
+   */
+  async fetchGoogleSheets({ url, sheetId, selection }) {
+    const result = selection
+      ? await this.googleSheetsParser.importSheets(url, selection.sheets)
+      : await this.googleSheetsParser.parseGoogleSheets(url, sheetId);
+    
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.sheets || [{ name: 'Google Sheets', data: result.data }];
+  }
+
+  /**
+   * Entrada do AnalysisPipeline para as abas baixadas
+   * Várias abas são empilhadas ou cruzadas como os arquivos do espaço de trabalho
+   */
+  getGoogleSheetsInput({ selection }, tabs) {
+    if (tabs.length === 1) {
+      return { data: tabs[0].data };
+    }
+    
+    const { mode, joins, type } = selection;
+    return { files: tabs, combine: { mode, joins, type, sourceColumn: DEFAULT_SOURCE_COLUMN } };
+  }
+
+  /**
+   * Baixa de novo o Google Sheets importado e, se algo mudou, refaz a análise
+   * As linhas de cada aba são comparadas com as da importação anterior
+   */
+  async refreshGoogleSheets() {
+    const source = this.sheetsSource;
+    // Não interrompe uma análise em andamento
+    if (!source || this.sheetsRefreshing || this.analysisJob) return;
+    
+    this.sheetsRefreshing = true;
+    this.renderSheetsRefresh('⏳ Atualizando...');
+    
+    try {
+      const tabs = await this.fetchGoogleSheets(source);
+      // Nova análise iniciada enquanto a planilha era baixada
+      if (this.sheetsSource !== source) return;
+      
+      const diff = { added: [], removed: 0 };
+      tabs.forEach(tab => {
+        const previous = source.tabs.find(item => item.name === tab.name)?.data || [];
+        const { added, removed } = this.googleSheetsParser.diffRows(previous, tab.data);
+        diff.added.push(...added);
+        diff.removed += removed.length;
+      });
+      
+      source.checkedAt = new Date();
+      if (diff.added.length === 0 && diff.removed === 0) {
+        this.renderSheetsRefresh();
+        return;
+      }
+      
+      if (!await this.runAnalysis(this.getGoogleSheetsInput(source, tabs))) return;
+      
+      Object.assign(source, { tabs, diff, importedAt: source.checkedAt });
+      this.renderSheetsRefresh();
+      this.uiManager.showToast(`🔄 Google Sheets atualizado: ${diff.added.length} linha(s) nova(s), ${diff.removed} removida(s)`, 'success');
+      
+    } catch (error) {
+      console.error('❌ Erro ao atualizar Google Sheets:', error);
+      this.renderSheetsRefresh(`❌ ${error.message}`);
+    } finally {
+      this.sheetsRefreshing = false;
+    }
   }
 
   /**
-   * Cria container para relatório IA
+   * Liga ou desliga a atualização automática do Google Sheets
+   * @param {number|null} seconds - Intervalo em segundos (null para desligar)
    */
-  createAIReportContainer() {
-    const container = document.createElement('div');
-    container.id = 'ai-report-container';
-    container.className = 'ai-report-container';
+  setSheetsAutoRefresh(seconds) {
+    this.dashboardCustomizer.setAutoRefresh(seconds);
+    this.scheduleSheetsRefresh();
+  }
+
+  /**
+   * Reprograma o timer pelo intervalo do layout atual (só com um Google Sheets importado)
+   */
+  scheduleSheetsRefresh() {
+    clearInterval(this.sheetsRefreshTimer);
+    this.sheetsRefreshTimer = null;
     
-    const dashboardSection = document.getElementById('dashboard-section');
-    if (dashboardSection) {
-      const containerDiv = dashboardSection.querySelector('.container');
-      if (containerDiv) {
-        containerDiv.appendChild(container);
-      } else {
-        dashboardSection.appendChild(container);
-      }
-    } else {
-      document.body.appendChild(container);
+    const seconds = this.sheetsSource && this.dashboardCustomizer.getAutoRefresh();
+    if (seconds) {
+      this.sheetsRefreshTimer = setInterval(() => this.refreshGoogleSheets(), seconds * 1000);
     }
-    
-    return container;
   }
 
   /**
-   * Habilita exportação do relatório IA
+   * Barra de atualização do Google Sheets no dashboard
+   * @param {string} message - Situação momentânea (atualizando, erro)
    */
-  enableAIReportExport(report) {
-    this.currentAIReport = report;
+  renderSheetsRefresh(message = null) {
+    const bar = document.getElementById('sheets-refresh');
+    if (!bar) return;
+    
+    const source = this.sheetsSource;
+    bar.classList.toggle('hidden', !source);
+    if (!source) return;
+    
+    document.getElementById('sheets-refresh-interval').value = String(this.dashboardCustomizer.getAutoRefresh() || '');
+    
+    const time = (date) => date.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+    const parts = [`Importado às ${time(source.importedAt)}`];
+    if (source.diff) {
+      parts.push(`${source.diff.added.length} linha(s) nova(s), ${source.diff.removed} removida(s)`);
+    }
+    if (source.checkedAt && source.checkedAt !== source.importedAt) {
+      parts.push(`sem alterações às ${time(source.checkedAt)}`);
+    }
+    
+    const added = source.diff?.added || [];
+    const rowText = (row) => Object.values(row)
+      .filter(value => value !== null && value !== '')
+      .join(' · ');
+    
+    document.getElementById('sheets-refresh-status').innerHTML = `
+      <span>${this.escapeHTML(message || parts.join(' · '))}</span>
+      ${added.length > 0 ? `
+        <details>
+          <summary>Linhas novas</summary>
+          <ul>
+            ${added.slice(0, 10).map(row => `<li>${this.escapeHTML(rowText(row))}</li>`).join('')}
+            ${added.length > 10 ? `<li>… e mais ${added.length - 10}</li>` : ''}
+          </ul>
+        </details>
+      ` : ''}
+    `;
   }
 
   /**
-   * Exporta relatório IA para PDF
+   * Formulário do conector de API e lista de conectores salvos
    */
-  async exportAIReport(report) {
-    try {
-      const button = document.getElementById('export-ai-report-btn');
-      if (button) {
-        button.disabled = true;
-        button.textContent = '⏳ Gerando PDF...';
+  setupAPIConnectorForm() {
+    const form = document.getElementById('api-form');
+    if (!form) return;
+    
+    const updatePaginationFields = () => {
+      const type = form.elements.paginationType.value;
+      form.querySelectorAll('[data-pagination]').forEach(label => {
+        label.classList.toggle('hidden', !label.dataset.pagination.split(' ').includes(type));
+      });
+    };
+    form.elements.paginationType.addEventListener('change', updatePaginationFields);
+    updatePaginationFields();
+    
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      try {
+        this.importFromAPI(this.readAPIForm());
+      } catch (error) {
+        this.uiManager.showToast(`⚠️ ${error.message}`, 'warning');
       }
-
-      // Verificar se jsPDF está disponível
-      if (!window.jspdf) {
-        throw new Error('Biblioteca jsPDF não carregada. Recarregue a página e tente novamente.');
+    });
+    
+    document.getElementById('api-save-btn')?.addEventListener('click', () => {
+      try {
+        const connector = this.apiConnector.saveConnector(this.readAPIForm());
+        form.elements.id.value = connector.id;
+        this.renderAPIConnectors();
+        this.uiManager.showToast(`💾 Conector "${connector.name}" salvo`, 'success');
+      } catch (error) {
+        this.uiManager.showToast(`⚠️ ${error.message}`, 'warning');
       }
-
-      // Criar PDF do relatório IA
-      const { jsPDF } = window.jspdf;
-      const doc = new jsPDF();
+    });
+    
+    document.getElementById('api-connectors')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-api-action]');
+      if (!button) return;
       
-      let yPosition = 20;
-      const pageHeight = doc.internal.pageSize.height;
-      const margin = 20;
-      const lineHeight = 7;
-      const maxWidth = 170;
-
-      // Título
-      doc.setFontSize(18);
-      doc.setFont(undefined, 'bold');
-      doc.text('Relatorio Inteligente com IA', margin, yPosition);
-      yPosition += 10;
-
-      // Metadados
-      doc.setFontSize(10);
-      doc.setFont(undefined, 'normal');
-      doc.text(`ID: ${report.reportId}`, margin, yPosition);
-      yPosition += 5;
-      doc.text(`Gerado em: ${new Date(report.timestamp).toLocaleString('pt-BR')}`, margin, yPosition);
-      yPosition += 15;
-
-      // Processar seções
-      const sections = Object.values(report.sections);
-      for (const section of sections) {
-        if (!section) continue;
-
-        // Verificar espaço na página
-        if (yPosition > pageHeight - 40) {
-          doc.addPage();
-          yPosition = 20;
-        }
-
-        // Título da seção
-        doc.setFontSize(14);
-        doc.setFont(undefined, 'bold');
-        const sectionTitle = section.title?.replace(/[^\x20-\x7E]/g, '') || 'Secao';
-        doc.text(sectionTitle, margin, yPosition);
-        yPosition += lineHeight + 3;
-
-        // Conteúdo
-        doc.setFontSize(10);
-        doc.setFont(undefined, 'normal');
-        
-        // Limpar conteúdo de caracteres especiais e formatação Markdown
-        const content = (section.content || '')
-          .replace(/\*\*/g, '')
-          .replace(/\*/g, '')
-          .replace(/#{1,6}\s/g, '')
-          .replace(/[^\x20-\x7E\n\r]/g, '')
-          .trim();
-        
-        if (content) {
-          const lines = doc.splitTextToSize(content, maxWidth);
-          
-          for (const line of lines) {
-            if (yPosition > pageHeight - margin) {
-              doc.addPage();
-              yPosition = 20;
-            }
-            doc.text(line, margin, yPosition);
-            yPosition += lineHeight;
-          }
-        }
-        
-        yPosition += 10; // Espaço entre seções
+      const connector = this.apiConnector.getConnector(button.dataset.apiId);
+      if (!connector) return;
+      
+      if (button.dataset.apiAction === 'run') {
+        this.importFromAPI(connector);
+      } else if (button.dataset.apiAction === 'edit') {
+        this.fillAPIForm(connector);
+        updatePaginationFields();
+      } else if (button.dataset.apiAction === 'delete') {
+        this.apiConnector.deleteConnector(connector.id);
+        if (form.elements.id.value === connector.id) form.elements.id.value = '';
+        this.renderAPIConnectors();
       }
+    });
+    
+    this.renderAPIConnectors();
+  }
 
-      // Salvar PDF
-      const filename = `Relatorio_IA_${report.reportId}_${Date.now()}.pdf`;
-      doc.save(filename);
-
-      // Feedback de sucesso
-      this.uiManager.showToast(`✅ Relatório exportado: ${filename}`, 'success');
-
-    } catch (error) {
-      console.error('Erro ao exportar relatório:', error);
-      this.uiManager.showToast(`❌ Erro ao exportar: ${error.message}`, 'error');
-    } finally {
-      const button = document.getElementById('export-ai-report-btn');
-      if (button) {
-        button.disabled = false;
-        button.textContent = '📄 Exportar Relatório IA';
+  /**
+   * Configuração do conector a partir do formulário
+   * @returns {Object} Ver APIConnector
+   */
+  readAPIForm() {
+    const fields = document.getElementById('api-form').elements;
+    const value = (name) => fields[name].value.trim();
+    
+    const headers = {};
+    value('headers').split(/\r?\n/).filter(line => line.trim()).forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator <= 0) throw new Error(`Cabeçalho inválido: "${line.trim()}" (use Nome: valor)`);
+      headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    });
+    
+    return {
+      id: value('id') || undefined,
+      name: value('name'),
+      url: value('url'),
+      headers,
+      authToken: value('authToken') || null,
+      authHeader: value('authHeader') || 'Authorization',
+      recordPath: value('recordPath') || null,
+      explode: value('explode').split(',').map(column => column.trim()).filter(Boolean),
+      pagination: {
+        type: value('paginationType'),
+        pageParam: value('pageParam') || 'page',
+        offsetParam: value('offsetParam') || 'offset',
+        sizeParam: value('sizeParam') || null,
+        pageSize: Number(value('pageSize')) || null,
+        cursorPath: value('cursorPath') || null,
+        cursorParam: value('cursorParam') || 'cursor'
       }
-    }
+    };
   }
 
   /**
-   * 🎯 TEMPLATES E METAS
+   * Preenche o formulário com um conector salvo (para editar)
+   * @param {Object} connector
    */
+  fillAPIForm(connector) {
+    const fields = document.getElementById('api-form').elements;
+    const pagination = { type: PaginationType.NONE, ...connector.pagination };
+    const values = {
+      id: connector.id,
+      name: connector.name,
+      url: connector.url,
+      authToken: connector.authToken,
+      authHeader: connector.authHeader || 'Authorization',
+      recordPath: connector.recordPath,
+      explode: (connector.explode || []).join(', '),
+      headers: Object.entries(connector.headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n'),
+      paginationType: pagination.type,
+      pageParam: pagination.pageParam || 'page',
+      offsetParam: pagination.offsetParam || 'offset',
+      sizeParam: pagination.sizeParam,
+      pageSize: pagination.pageSize,
+      cursorPath: pagination.cursorPath,
+      cursorParam: pagination.cursorParam || 'cursor'
+    };
+    
+    Object.entries(values).forEach(([name, value]) => {
+      fields[name].value = value ?? '';
+    });
+  }
 
   /**
-   * Aplicar template de análise
+   * Lista de conectores salvos
    */
-  applyTemplate(templateId) {
-    if (!this.currentData || !this.columnMetadata) {
-      this.uiManager.showToast('⚠️ Carregue dados antes de aplicar um template', 'warning');
+  renderAPIConnectors() {
+    const container = document.getElementById('api-connectors');
+    if (!container) return;
+    
+    const connectors = this.apiConnector.listConnectors();
+    if (connectors.length === 0) {
+      container.innerHTML = '';
       return;
     }
+    
+    const lastRun = (run) => run
+      ? `${run.rowCount.toLocaleString('pt-BR')} linhas em ${new Date(run.at).toLocaleString('pt-BR')}`
+      : 'Nunca executado';
+    
+    container.innerHTML = `
+      <ul class="workspace-files">
+        ${connectors.map(connector => `
+          <li class="workspace-file">
+            <span class="workspace-format">${this.escapeHTML((connector.pagination?.type || PaginationType.NONE).toUpperCase())}</span>
+            <strong title="${this.escapeHTML(connector.url)}">${this.escapeHTML(connector.name)}</strong>
+            <span>${lastRun(connector.lastRun)}</span>
+            <button class="btn-action" data-api-action="run" data-api-id="${this.escapeHTML(connector.id)}">▶️ Executar</button>
+            <button class="btn-action" data-api-action="edit" data-api-id="${this.escapeHTML(connector.id)}">✏️</button>
+            <button class="modal-close" data-api-action="delete" data-api-id="${this.escapeHTML(connector.id)}" title="Excluir">&times;</button>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
 
-    const result = this.templateManager.applyTemplate(templateId, this.currentData);
+  /**
+   * Busca todas as páginas da API e analisa os registros
+   * @param {Object} config - Configuração do conector (ver APIConnector)
+   */
+  async importFromAPI(config) {
+    const status = document.getElementById('api-status');
+    const showStatus = (message) => {
+      if (!status) return;
+      status.textContent = message;
+      status.classList.toggle('hidden', !message);
+    };
     
-    if (result.success) {
-      this.currentTemplate = result.template;
-      
-      // Atualizar UI com informações do template
-      console.log(`✅ Template "${result.template.name}" ${result.template.icon} aplicado!`);
-      
-      // Mostrar notificação visual
-      this.uiManager.showToast(
-        `✅ Template "${result.template.name}" aplicado com sucesso!`, 
-        'success'
-      );
+    try {
+      showStatus('🔌 Consultando API...');
+      const result = await this.apiConnector.fetchData(config, {
+        onPage: ({ page, rowCount }) => showStatus(`🔌 Página ${page}: ${rowCount.toLocaleString('pt-BR')} registros`)
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      showStatus('');
       
-      // Mostrar KPIs e insights sugeridos no console
-      console.log('📊 KPIs recomendados:', result.kpis);
-      console.log('💡 Insights sugeridos:', result.insights);
-      console.log('🔗 Colunas mapeadas:', result.mappedColumns);
+      this.currentFormat = 'api';
+      if (!await this.runAnalysis({ data: result.data })) return;
       
-      // Atualizar dashboard com foco no template
-      this.updateDashboardWithTemplate(result);
+      const { pages, rowCount, truncated } = result.metadata;
+      if (config.id) {
+        this.apiConnector.recordRun(config.id, { rowCount, pages });
+        this.renderAPIConnectors();
+      }
+      this.uiManager.showToast(`✅ API importada: ${rowCount.toLocaleString('pt-BR')} linhas de ${pages} página(s)`, 'success');
+      if (truncated) {
+        this.uiManager.showToast(`⚠️ Limite de ${pages} páginas atingido; a API tem mais registros`, 'warning');
+      }
       
-      return result;
-    } else {
-      const missingColumns = result.validation.missing.join(', ');
-      this.uiManager.showToast(
-        `❌ Template requer colunas: ${missingColumns}`, 
-        'error'
-      );
-      return null;
+    } catch (error) {
+      console.error('❌ Erro ao importar da API:', error);
+      showStatus('');
+      this.uiManager.showToast(`❌ Erro: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Processar dados importados (Google Sheets, JSON, XML, etc.)
+   * @returns {Promise<boolean>} false se a análise foi cancelada
+   */
+  async processImportedData() {
+    try {
+      return await this.runAnalysis({ data: this.currentData });
+    } catch (error) {
+      console.error('Erro ao processar dados importados:', error);
+      throw error;
     }
   }
 
   /**
-   * Atualizar dashboard com informações do template
+   * Exibir modal de seleção de templates
+   */
+  showTemplatesModal() {
+    const templates = this.templateManager.listTemplates();
+    
+    // Criar HTML do modal
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>🎯 Selecione um Template de Análise</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body">
+          <div class="templates-grid">
+            ${templates.map(t => `
+              <div class="template-card" data-template="${t.id}">
+                <div class="template-icon" style="background: ${t.color}20">${t.icon}</div>
+                <h3>${t.name}</h3>
+                <p>${t.description}</p>
+                <button class="btn-select-template" data-id="${t.id}">Aplicar Template</button>
+              </div>
+            `).join('')}
+          </div>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    // Event listeners
+    modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) modal.remove();
+    });
+    
+    modal.querySelectorAll('.btn-select-template').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const templateId = btn.dataset.id;
+        this.applyTemplate(templateId);
+        modal.remove();
+      });
+    });
+  }
+
+  /**
+   * Assistente de mapeamento de colunas
+   * Corrige o tipo detectado de cada coluna e o papel das colunas no template; salvo como
+   * perfil, vale para os próximos uploads com os mesmos cabeçalhos
    */
-  updateDashboardWithTemplate(templateResult) {
-    // Adicionar indicador visual do template ativo
-    const actionsBar = document.querySelector('.actions-bar');
-    if (actionsBar) {
-      // Remover indicador anterior se existir
-      const oldIndicator = actionsBar.querySelector('.template-indicator');
-      if (oldIndicator) oldIndicator.remove();
-      
-      // Adicionar novo indicador
-      const indicator = document.createElement('div');
-      indicator.className = 'template-indicator';
-      indicator.innerHTML = `
-        <span class="template-badge" style="background: ${templateResult.template.color}">
-          ${templateResult.template.icon} ${templateResult.template.name}
-        </span>
-      `;
-      actionsBar.insertBefore(indicator, actionsBar.firstChild);
+  showColumnMappingModal() {
+    if (!this.currentData || !this.columnMetadata || !this.analysisInput) {
+      this.uiManager.showToast('⚠️ Carregue dados antes de mapear as colunas', 'warning');
+      return;
     }
-  }
-
-  /**
-   * Sugerir template automaticamente
-   */
-  suggestTemplate() {
-    if (!this.currentData) return null;
     
-    const suggestion = this.templateManager.suggestTemplate(this.currentData);
+    const columns = this.columnMetadata;
+    const headers = columns.map(column => column.name);
+    const profile = this.mappingProfile;
+    const templates = this.templateManager.listTemplates();
+    const templateId = this.currentTemplate?.id || profile?.templateId || templates[0].id;
     
-    if (suggestion) {
-      console.log(`💡 Template sugerido: ${suggestion.template.name} (${suggestion.confidence} confidence)`);
-      return suggestion;
-    }
+    // Papéis atuais: os do template aplicado ou, trocando de template, os sugeridos pelos sinônimos
+    const currentRoles = (id) => id === this.currentTemplate?.id
+      ? { ...this.templateMapping }
+      : this.templateManager.applyTemplate(id, this.currentData, id === profile?.templateId ? profile.roles : {}).mappedColumns;
     
-    return null;
+    const typeOptions = (selected) => Object.entries(ColumnTypeLabels).map(([type, label]) => `
+      <option value="${type}" ${type === selected ? 'selected' : ''}>${label}</option>
+    `).join('');
+    // Tipo detectado e segunda opção, com a confiança (typeScores vem do mais ao menos provável)
+    const detection = (column) => {
+      const [best, second] = Object.entries(column.typeScores || {});
+      const label = ([type, confidence]) => `${ColumnTypeLabels[type] || type} (${Math.round(confidence * 100)}%)`;
+      if (!best) return `Detectado: ${ColumnTypeLabels[column.detectedType || column.type] || column.type}`;
+      return `Detectado: ${label(best)}${second && second[1] > 0 ? ` · 2ª opção: ${label(second)}` : ''}`;
+    };
+    const roleOptions = (id, roles, column) => {
+      const assigned = Object.keys(roles).find(role => roles[role] === column) || '';
+      return `
+        <option value="">—</option>
+        ${this.templateManager.getTemplateRoles(id).map(({ role, required }) => `
+          <option value="${role}" ${role === assigned ? 'selected' : ''}>${role}${required ? ' *' : ''}</option>
+        `).join('')}
+      `;
+    };
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+      <div class="modal-content modal-large">
+        <div class="modal-header">
+          <h2>🧭 Mapear Colunas</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body">
+          <p class="history-hint">
+            Corrija o tipo das colunas e o papel de cada uma no template. Colunas com ⚠️ tiveram o tipo detectado com pouca confiança. ${profile ? `Perfil aplicado: <strong>${this.escapeHTML(profile.name)}</strong>.` : ''}
+          </p>
+          
+          <div class="sheet-join mapping-options">
+            <label>Template
+              <select id="mapping-template">
+                ${templates.map(t => `<option value="${t.id}" ${t.id === templateId ? 'selected' : ''}>${t.icon} ${t.name}</option>`).join('')}
+              </select>
+            </label>
+            <label>Nome do perfil
+              <input type="text" id="mapping-name" value="${this.escapeHTML(profile?.name || this.getDatasetName())}">
+            </label>
+            <label class="sheet-join-type mapping-save">
+              <input type="checkbox" id="mapping-save" checked>
+              Salvar como perfil: próximos uploads com estas colunas usam este mapeamento
+            </label>
+          </div>
+          
+          <div class="table-wrapper mapping-table">
+            <table class="data-table">
+              <thead><tr><th>Coluna</th><th>Exemplos</th><th>Tipo</th><th>Papel no template</th></tr></thead>
+              <tbody>
+                ${columns.map((column, index) => `
+                  <tr class="${column.lowConfidence ? 'mapping-uncertain' : ''}">
+                    <td><strong>${this.escapeHTML(column.name)}</strong>${column.lowConfidence ? ' ⚠️' : ''}</td>
+                    <td>${this.escapeHTML(column.samples.slice(0, 3).join(', '))}</td>
+                    <td>
+                      <select data-mapping-type="${index}">${typeOptions(column.type)}</select>
+                      <small>${detection(column)}</small>
+                    </td>
+                    <td><select data-mapping-role="${index}"></select></td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+          
+          <p class="sheet-picker-error hidden"></p>
+          
+          <div class="sheet-picker-actions">
+            ${profile ? '<button class="btn-secondary" data-mapping-action="delete">🗑️ Excluir perfil</button>' : ''}
+            <button class="btn-secondary" data-mapping-action="cancel">Cancelar</button>
+            <button class="btn-primary" data-mapping-action="apply">🧭 Aplicar</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    const $ = (selector) => modal.querySelector(selector);
+    const updateRoles = () => {
+      const id = $('#mapping-template').value;
+      const roles = currentRoles(id);
+      modal.querySelectorAll('[data-mapping-role]').forEach(select => {
+        select.innerHTML = roleOptions(id, roles, headers[select.dataset.mappingRole]);
+      });
+    };
+    updateRoles();
+    $('#mapping-template').addEventListener('change', updateRoles);
+    
+    const close = () => modal.remove();
+    $('.modal-close').addEventListener('click', close);
+    $('[data-mapping-action="cancel"]').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) close();
+    });
+    
+    $('[data-mapping-action="delete"]')?.addEventListener('click', () => {
+      this.mappingProfiles.delete(profile.id);
+      this.mappingProfile = null;
+      this.uiManager.showToast(`🗑️ Perfil "${profile.name}" excluído`, 'info');
+      close();
+    });
+    
+    $('[data-mapping-action="apply"]').addEventListener('click', async () => {
+      // Só as colunas cujo tipo difere do detectado: as demais seguem a detecção automática
+      const columnTypes = {};
+      modal.querySelectorAll('[data-mapping-type]').forEach(select => {
+        const column = columns[select.dataset.mappingType];
+        if (select.value !== (column.detectedType || column.type)) {
+          columnTypes[column.name] = select.value;
+        }
+      });
+      
+      const roles = {};
+      const repeated = [];
+      modal.querySelectorAll('[data-mapping-role]').forEach(select => {
+        if (!select.value) return;
+        if (roles[select.value]) repeated.push(select.value);
+        roles[select.value] = headers[select.dataset.mappingRole];
+      });
+      if (repeated.length > 0) {
+        const message = $('.sheet-picker-error');
+        message.textContent = `Cada papel só pode ter uma coluna: ${[...new Set(repeated)].join(', ')}`;
+        message.classList.remove('hidden');
+        return;
+      }
+      
+      const selectedTemplate = $('#mapping-template').value;
+      const save = $('#mapping-save').checked;
+      if (save) {
+        this.mappingProfiles.save({ name: $('#mapping-name').value, headers, columnTypes, templateId: selectedTemplate, roles });
+      }
+      close();
+      
+      // Com o perfil salvo, a nova análise o encontra pelos cabeçalhos e aplica o template
+      try {
+        const completed = await this.runAnalysis({ ...this.analysisInput, columnTypes });
+        if (completed && !save) {
+          this.applyTemplate(selectedTemplate, roles);
+        }
+      } catch (error) {
+        console.error('Erro ao refazer a análise:', error);
+        this.uiManager.showError(error.message);
+      }
+    });
   }
 
   /**
-   * Criar metas automaticamente baseadas nos KPIs disponíveis
+   * Workbench de limpeza de dados
+   * As novas etapas são pré-visualizadas sobre os dados atuais; ao aplicar, a análise é refeita
+   * a partir da fonte com as etapas já aplicadas seguidas das novas (DataValidator.cleanData).
+   * As etapas podem ser salvas como receita, reaplicada automaticamente no próximo upload
    */
-  createAutoGoals() {
-    if (!this.analytics || !this.analytics.kpis || this.analytics.kpis.length === 0) {
-      console.log('⚠️ Nenhum KPI disponível para criar metas automáticas');
-      return [];
+  showCleaningModal() {
+    if (!this.currentData || !this.columnMetadata || !this.analysisInput) {
+      this.uiManager.showToast('⚠️ Carregue dados antes de limpar', 'warning');
+      return;
     }
-
-    const createdGoals = [];
-    const kpis = this.analytics.kpis;
     
-    // Obter templates de metas disponíveis
-    const goalTemplates = this.goalsManager.getGoalTemplates();
+    const applied = this.cleaning?.steps || [];
+    const pending = [];
+    const recipe = this.cleaning?.recipe || null;
+    // Ordem das datas e formato das células do arquivo, os mesmos da análise
+    const cleaningOptions = this.cleaning?.options || {};
     
-    // Limpar metas anteriores para evitar duplicatas
-    this.goalsManager.goals = [];
+    // Linhas vazias já são removidas em toda análise
+    const actionLabels = {
+      [CleaningAction.FILL_NULL_VALUES]: 'Preencher valores vazios',
+      [CleaningAction.TRIM]: 'Remover espaços extras',
+      [CleaningAction.NORMALIZE_CASE]: 'Maiúsculas e minúsculas',
+      [CleaningAction.COERCE_TYPE]: 'Converter tipo',
+      [CleaningAction.CAP_OUTLIERS]: 'Limitar outliers',
+      [CleaningAction.REPLACE_VALUES]: 'Substituir valores',
+      [CleaningAction.SPLIT_COLUMN]: 'Dividir coluna',
+      [CleaningAction.MERGE_COLUMNS]: 'Juntar colunas',
+      [CleaningAction.REMOVE_DUPLICATES]: 'Remover linhas duplicadas'
+    };
+    const fillLabels = {
+      [FillMethod.MEAN]: 'Média',
+      [FillMethod.MEDIAN]: 'Mediana',
+      [FillMethod.VALUE]: 'Valor padrão',
+      [FillMethod.REMOVE_ROWS]: 'Remover linhas'
+    };
+    const caseLabels = {
+      [CaseMode.UPPER]: 'MAIÚSCULAS',
+      [CaseMode.LOWER]: 'minúsculas',
+      [CaseMode.TITLE]: 'Iniciais Maiúsculas'
+    };
+    const options = (labels) => Object.entries(labels)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join('');
+    const suggestions = Object.values(this.validationSuggestions)
+      .filter(suggestion => actionLabels[suggestion.action]);
     
-    // Mapear IDs de KPI para tipos de meta apropriados
-    const kpiGoalMapping = {
-      // KPIs de receita/vendas
-      'receita': { template: 'vendas', multiplier: 1.15 },
-      'total': { template: 'vendas', multiplier: 1.15 },
-      'vendas': { template: 'vendas', multiplier: 1.15 },
-      'revenue': { template: 'vendas', multiplier: 1.15 },
-      
-      // KPIs de ticket médio
-      'avg': { template: 'vendas', multiplier: 1.10 },
-      'ticket': { template: 'vendas', multiplier: 1.10 },
-      'medio': { template: 'vendas', multiplier: 1.10 },
-      
-      // KPIs de clientes
-      'clientes': { template: 'clientes', multiplier: 1.20 },
-      'customers': { template: 'clientes', multiplier: 1.20 },
-      'usuarios': { template: 'clientes', multiplier: 1.20 },
-      
-      // KPIs de margem
-      'margem': { template: 'margem', multiplier: 1.05 },
-      'margin': { template: 'margem', multiplier: 1.05 },
-      'lucro': { template: 'margem', multiplier: 1.05 },
-      'profit': { template: 'margem', multiplier: 1.05 },
-      
-      // KPIs de satisfação
-      'nps': { template: 'satisfacao', multiplier: 1.05 },
-      'satisfacao': { template: 'satisfacao', multiplier: 1.05 },
-      'satisfaction': { template: 'satisfacao', multiplier: 1.05 }
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+      <div class="modal-content modal-large">
+        <div class="modal-header">
+          <h2>🧹 Limpar Dados</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body">
+          <p class="history-hint">
+            Monte as etapas de limpeza e confira a prévia antes de aplicar. A análise é refeita com os dados limpos.
+          </p>
+          
+          ${recipe ? `
+            <div class="cleaning-recipe">
+              📜 Receita <strong>${this.escapeHTML(recipe.name)}</strong> reaplicada neste arquivo
+              ${recipe.skipped.length > 0 ? `
+                <ul>
+                  ${recipe.skipped.map(step => `
+                    <li>⚠️ ${this.escapeHTML(step.description)}: ${this.escapeHTML(step.reason)}</li>
+                  `).join('')}
+                </ul>
+              ` : ''}
+            </div>
+          ` : ''}
+          
+          ${suggestions.length > 0 ? `
+            <div class="cleaning-suggestions">
+              <strong>Sugestões da validação</strong>
+              ${suggestions.map((suggestion, index) => `
+                <button class="btn-secondary" data-cleaning-suggestion="${index}">💡 ${this.escapeHTML(suggestion.description)}</button>
+              `).join('')}
+            </div>
+          ` : ''}
+          
+          <form class="sheet-join cleaning-form">
+            <label>Ação
+              <select name="action">${options(actionLabels)}</select>
+            </label>
+            <label data-cleaning-for="fill_null_values normalize_case coerce_type cap_outliers replace_values split_column">Coluna
+              <select name="column"></select>
+            </label>
+            <label data-cleaning-for="trim merge_columns">Colunas
+              <select name="columns" multiple size="4"></select>
+            </label>
+            <label data-cleaning-for="fill_null_values">Preencher com
+              <select name="method">${options(fillLabels)}</select>
+            </label>
+            <label data-cleaning-for="fill_null_values">Valor padrão
+              <input type="text" name="value">
+            </label>
+            <label data-cleaning-for="normalize_case">Formato
+              <select name="mode">${options(caseLabels)}</select>
+            </label>
+            <label data-cleaning-for="coerce_type">Tipo
+              <select name="type">${options(Object.fromEntries(COERCE_TYPES.map(type => [type, ColumnTypeLabels[type]])))}</select>
+            </label>
+            <label data-cleaning-for="cap_outliers">Fator do IQR
+              <input type="number" name="factor" value="1.5" min="0" step="0.5">
+            </label>
+            <label data-cleaning-for="replace_values">Procurar
+              <input type="text" name="from">
+            </label>
+            <label data-cleaning-for="replace_values">Substituir por
+              <input type="text" name="to" placeholder="(vazio)">
+            </label>
+            <label data-cleaning-for="split_column merge_columns">Separador
+              <input type="text" name="separator" placeholder="split: , | merge: espaço">
+            </label>
+            <label data-cleaning-for="split_column merge_columns">Novas colunas
+              <input type="text" name="into" placeholder="Nomes separados por vírgula">
+            </label>
+            <label class="sheet-join-type" data-cleaning-for="replace_values">
+              <input type="checkbox" name="partial"> Trocar trechos do texto (e não a célula inteira)
+            </label>
+            <label class="sheet-join-type" data-cleaning-for="split_column merge_columns">
+              <input type="checkbox" name="keep"> Manter as colunas originais
+            </label>
+            <button type="submit" class="btn-secondary">➕ Adicionar etapa</button>
+          </form>
+          
+          <ol class="cleaning-steps"></ol>
+          <p class="sheet-picker-error hidden"></p>
+          <div class="cleaning-preview"></div>
+          
+          <div class="sheet-join mapping-options cleaning-save">
+            <label>Salvar etapas como receita
+              <input type="text" name="recipe-name" placeholder="Nome da receita" value="${this.escapeHTML(recipe?.name || '')}">
+            </label>
+            <label class="mapping-save">
+              <input type="checkbox" name="recipe-auto" checked> Reaplicar automaticamente no próximo upload deste relatório
+            </label>
+            <button class="btn-secondary" data-cleaning-action="save">💾 Salvar receita</button>
+          </div>
+          
+          <div class="sheet-picker-actions">
+            <button class="btn-secondary" data-cleaning-action="recipes">📜 Receitas</button>
+            ${applied.length > 0 ? '<button class="btn-secondary" data-cleaning-action="undo">↩️ Desfazer limpeza</button>' : ''}
+            <button class="btn-secondary" data-cleaning-action="cancel">Cancelar</button>
+            <button class="btn-primary" data-cleaning-action="apply">🧹 Aplicar</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    const $ = (selector) => modal.querySelector(selector);
+    const form = $('.cleaning-form');
+    const error = $('.sheet-picker-error');
+    const showError = (message) => {
+      error.textContent = message;
+      error.classList.toggle('hidden', !message);
     };
     
-    // Determinar período baseado nos dados
-    const period = this.currentData && this.currentData.length > 300 ? 'anual' : 'mensal';
+    const updateFields = () => {
+      const action = form.elements.action.value;
+      form.querySelectorAll('[data-cleaning-for]').forEach(label => {
+        label.classList.toggle('hidden', !label.dataset.cleaningFor.split(' ').includes(action));
+      });
+    };
     
-    // Criar metas para os principais KPIs (máximo 5)
-    let goalsCreated = 0;
-    const maxGoals = 5;
-    const usedTemplates = new Set(); // Evitar metas duplicadas
+    // Colunas disponíveis depois das novas etapas (dividir e juntar criam colunas)
+    let preview = null;
+    const updateColumns = () => {
+      const columns = preview?.columns || Object.keys(this.currentData[0] || {});
+      const columnOptions = columns.map(name => `<option value="${this.escapeHTML(name)}">${this.escapeHTML(name)}</option>`).join('');
+      form.elements.column.innerHTML = columnOptions;
+      form.elements.columns.innerHTML = columnOptions;
+    };
     
-    for (const kpi of kpis) {
-      if (goalsCreated >= maxGoals) break;
-      
-      // Validar estrutura do KPI
-      if (!kpi.id || !kpi.rawValue || kpi.rawValue <= 0) {
-        continue;
-      }
-      
-      // Tentar encontrar mapping baseado no ID do KPI
-      const kpiIdLower = kpi.id.toLowerCase();
-      let mapping = null;
-      let matchedTemplate = null;
+    const readStep = () => {
+      const field = (name) => form.elements[name].value.trim();
+      const action = field('action');
+      const step = { action };
       
-      for (const [keyword, map] of Object.entries(kpiGoalMapping)) {
-        if (kpiIdLower.includes(keyword)) {
-          mapping = map;
-          matchedTemplate = map.template;
+      switch (action) {
+        case CleaningAction.FILL_NULL_VALUES:
+          Object.assign(step, { column: field('column'), method: field('method') });
+          if (step.method === FillMethod.VALUE) step.value = form.elements.value.value;
+          break;
+        case CleaningAction.TRIM:
+          step.columns = [...form.elements.columns.selectedOptions].map(option => option.value);
+          break;
+        case CleaningAction.NORMALIZE_CASE:
+          Object.assign(step, { column: field('column'), mode: field('mode') });
+          break;
+        case CleaningAction.COERCE_TYPE:
+          Object.assign(step, { column: field('column'), type: field('type') });
+          break;
+        case CleaningAction.CAP_OUTLIERS:
+          Object.assign(step, { column: field('column'), factor: Number(field('factor')) || 1.5 });
+          break;
+        case CleaningAction.REPLACE_VALUES:
+          Object.assign(step, { column: field('column'), from: form.elements.from.value, to: form.elements.to.value, partial: form.elements.partial.checked });
+          break;
+        case CleaningAction.SPLIT_COLUMN:
+          Object.assign(step, {
+            column: field('column'),
+            separator: form.elements.separator.value || ',',
+            into: field('into') ? field('into').split(',').map(name => name.trim()).filter(Boolean) : [],
+            keep: form.elements.keep.checked
+          });
+          break;
+        case CleaningAction.MERGE_COLUMNS:
+          Object.assign(step, {
+            columns: [...form.elements.columns.selectedOptions].map(option => option.value),
+            separator: form.elements.separator.value || ' ',
+            into: field('into'),
+            keep: form.elements.keep.checked
+          });
           break;
-        }
       }
+      return step;
+    };
+    
+    const renderSteps = () => {
+      $('.cleaning-steps').innerHTML = [
+        ...applied.map(step => `<li class="cleaning-applied">✔️ ${this.escapeHTML(this.dataValidator.describeCleaningStep(step))} <small>(aplicada)</small></li>`),
+        ...pending.map((step, index) => `
+          <li>${this.escapeHTML(this.dataValidator.describeCleaningStep(step))}
+            <button class="cleaning-remove" data-remove-step="${index}" title="Remover etapa">🗑️</button>
+          </li>
+        `)
+      ].join('') || '<li class="history-hint">Nenhuma etapa. Escolha uma ação acima ou use uma sugestão.</li>';
       
-      if (!mapping || !matchedTemplate) continue;
-      
-      // Evitar criar metas duplicadas do mesmo template
-      if (usedTemplates.has(matchedTemplate)) {
-        continue;
+      modal.querySelectorAll('[data-remove-step]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          // Etapas seguintes podem depender da removida (ex.: colunas criadas ao dividir)
+          const remaining = pending.filter((_, index) => index !== Number(btn.dataset.removeStep));
+          try {
+            this.dataValidator.previewCleaning(this.currentData, remaining, 0, cleaningOptions);
+          } catch (err) {
+            showError(`Não é possível remover: ${err.message}`);
+            return;
+          }
+          showError('');
+          pending.splice(Number(btn.dataset.removeStep), 1);
+          refresh();
+        });
+      });
+    };
+    
+    const renderPreview = () => {
+      if (!preview) {
+        $('.cleaning-preview').innerHTML = '';
+        return;
       }
       
-      const goalTemplate = goalTemplates[matchedTemplate];
-      if (!goalTemplate) continue;
-      
-      // Calcular meta baseada no valor atual
-      const currentValue = kpi.rawValue;
-      const targetValue = Math.round(currentValue * mapping.multiplier);
-      
-      // Criar configuração da meta
-      const goalConfig = {
-        name: `${goalTemplate.name} - ${new Date().getFullYear()}`,
-        description: `Meta automática: aumentar ${kpi.title} em ${Math.round((mapping.multiplier - 1) * 100)}%`,
-        type: goalTemplate.type || 'revenue',
-        metric: kpi.id,
-        target: targetValue,
-        current: currentValue,
-        period: period,
-        priority: 'medium',
-        category: goalTemplate.category,
-        icon: goalTemplate.icon
-      };
+      const cells = preview.changedRows.flatMap(({ row, before, after }) => {
+        const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+        return keys
+          .filter(key => String(before[key] ?? '') !== String(after[key] ?? ''))
+          .map(key => ({ row, key, before: key in before ? before[key] : '—', after: key in after ? after[key] : '(removida)' }));
+      });
       
-      try {
-        const goal = this.goalsManager.createGoal(goalConfig);
-        createdGoals.push(goal);
-        usedTemplates.add(matchedTemplate); // Marcar template como usado
-        goalsCreated++;
-        console.log(`🎯 Meta automática criada: ${goal.name} (${kpi.title}: ${currentValue} → ${targetValue})`);
-      } catch (error) {
-        console.error('❌ Erro ao criar meta automática:', error);
-      }
-    }
+      $('.cleaning-preview').innerHTML = `
+        <h4>👁️ Prévia</h4>
+        <ul>
+          ${preview.steps.map(step => `
+            <li>${this.escapeHTML(step.description)}: ${step.changedRows.toLocaleString('pt-BR')} linha(s) alterada(s)${step.removedRows ? `, ${step.removedRows.toLocaleString('pt-BR')} removida(s)` : ''}</li>
+          `).join('')}
+        </ul>
+        <p class="history-hint">
+          Resultado: ${preview.rowCount.toLocaleString('pt-BR')} linhas e ${preview.columns.length} colunas
+          ${preview.removedRows ? ` (${preview.removedRows.toLocaleString('pt-BR')} linha(s) removida(s))` : ''}
+        </p>
+        ${cells.length > 0 ? `
+          <div class="table-wrapper">
+            <table class="data-table">
+              <thead><tr><th>Linha</th><th>Coluna</th><th>Antes</th><th>Depois</th></tr></thead>
+              <tbody>
+                ${cells.map(cell => `
+                  <tr>
+                    <td>${cell.row}</td>
+                    <td>${this.escapeHTML(cell.key)}</td>
+                    <td class="cleaning-before">${this.escapeHTML(cell.before ?? '(vazio)')}</td>
+                    <td class="cleaning-after">${this.escapeHTML(cell.after ?? '(vazio)')}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        ` : ''}
+      `;
+    };
     
-    // Notificar usuário
-    if (createdGoals.length > 0) {
-      this.uiManager.showToast(
-        `🎯 ${createdGoals.length} meta(s) criada(s) automaticamente!`, 
-        'success'
-      );
-      console.log(`✅ Total de metas automáticas criadas: ${createdGoals.length}`);
-    } else {
-      console.log('ℹ️ Nenhuma meta automática criada (KPIs não corresponderam aos templates)');
-    }
+    // Cada mudança nas etapas refaz a prévia sobre os dados atuais
+    const refresh = () => {
+      preview = pending.length > 0 ? this.dataValidator.previewCleaning(this.currentData, pending, 20, cleaningOptions) : null;
+      renderSteps();
+      renderPreview();
+      updateColumns();
+    };
+    
+    form.elements.action.addEventListener('change', updateFields);
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const step = readStep();
+      try {
+        this.dataValidator.previewCleaning(this.currentData, [...pending, step], 0, cleaningOptions);
+      } catch (err) {
+        showError(err.message);
+        return;
+      }
+      showError('');
+      pending.push(step);
+      refresh();
+    });
     
-    return createdGoals;
-  }
-
-  /**
-   * Criar meta de negócio
-   */
-  createGoal(goalConfig) {
-    const goal = this.goalsManager.createGoal(goalConfig);
-    this.uiManager.showToast(`🎯 Meta "${goal.name}" criada!`, 'success');
-    return goal;
-  }
-
-  /**
-   * Atualizar progresso das metas
-   */
-  updateGoalsProgress() {
-    if (!this.analytics || !this.analytics.kpis) return;
+    // Sugestões da validação preenchem o formulário
+    modal.querySelectorAll('[data-cleaning-suggestion]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const suggestion = suggestions[btn.dataset.cleaningSuggestion];
+        form.elements.action.value = suggestion.action;
+        updateFields();
+        if (suggestion.columns?.length) {
+          form.elements.column.value = suggestion.columns[0];
+          [...form.elements.columns.options].forEach(option => {
+            option.selected = suggestion.columns.includes(option.value);
+          });
+        }
+      });
+    });
+    
+    updateFields();
+    refresh();
     
-    // Construir objeto de KPIs para o GoalsManager
-    const kpis = {};
-    this.analytics.kpis.forEach(kpi => {
-      kpis[kpi.name] = kpi.value;
+    const close = () => modal.remove();
+    $('.modal-close').addEventListener('click', close);
+    $('[data-cleaning-action="cancel"]').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) close();
     });
     
-    const results = this.goalsManager.calculateGoalsProgress(this.currentData, kpis);
+    const rerun = async (cleaningSteps, message) => {
+      close();
+      try {
+        if (await this.runAnalysis({ ...this.analysisInput, cleaningSteps })) {
+          this.uiManager.showToast(message, 'success');
+        }
+      } catch (err) {
+        console.error('Erro ao refazer a análise:', err);
+        this.uiManager.showError(err.message);
+      }
+    };
     
-    // Processar alerts de metas
-    results.forEach(result => {
-      if (result.alerts && result.alerts.length > 0) {
-        result.alerts.forEach(alert => {
-          this.uiManager.showToast(alert.message, alert.type);
-        });
+    // Receita: etapas já aplicadas seguidas das novas, com os cabeçalhos originais do arquivo
+    // Salvar com o nome de uma receita existente a substitui
+    $('[data-cleaning-action="save"]').addEventListener('click', () => {
+      const steps = [...applied, ...pending];
+      if (steps.length === 0) {
+        showError('Adicione pelo menos uma etapa de limpeza');
+        return;
       }
+      const name = $('[name="recipe-name"]').value.trim();
+      const existing = name ? this.cleaningRecipes.list().find(item => item.name === name) : null;
+      const saved = this.cleaningRecipes.save({
+        id: existing?.id,
+        name,
+        headers: this.cleaning.headers,
+        steps,
+        autoApply: $('[name="recipe-auto"]').checked
+      });
+      showError('');
+      this.uiManager.showToast(`📜 Receita "${saved.name}" salva com ${steps.length} etapa(s)`, 'success');
     });
     
-    return results;
-  }
-
-  /**
-   * Exibir dashboard de metas
-   */
-  showGoalsDashboard() {
-    const dashboard = this.goalsManager.getGoalsDashboard();
-    console.log('🎯 Dashboard de Metas:', dashboard);
-    // Aqui você pode criar uma UI específica para o dashboard
-    return dashboard;
-  }
-
-  /**
-   * Formatar valor de meta baseado no tipo
-   */
-  formatGoalValue(value, type) {
-    if (value === undefined || value === null) return '0';
+    $('[data-cleaning-action="recipes"]').addEventListener('click', () => {
+      close();
+      this.showRecipesModal();
+    });
     
-    switch (type) {
-      case 'revenue':
-        return new Intl.NumberFormat('pt-BR', {
-          style: 'currency',
-          currency: 'BRL'
-        }).format(value);
-      
-      case 'percentage':
-        return `${value.toFixed(1)}%`;
-      
-      case 'quantity':
-        return new Intl.NumberFormat('pt-BR').format(value);
-      
-      default:
-        return value.toString();
-    }
-  }
-
-  /**
-   * Importar Google Sheets via URL
-   */
-  async importGoogleSheets(url, sheetId = null) {
-    try {
-      this.uiManager.showToast('📥 Importando Google Sheets...', 'info');
-      
-      const result = await this.googleSheetsParser.parseGoogleSheets(url, sheetId);
-      
-      if (result.success) {
-        this.currentData = result.data;
-        this.currentFormat = 'google-sheets';
-        
-        // Processar como se fosse um arquivo normal
-        await this.processImportedData();
-        
-        this.uiManager.showToast(`✅ Google Sheets importado com sucesso!`, 'success');
-      } else {
-        throw new Error(result.error);
+    $('[data-cleaning-action="undo"]')?.addEventListener('click', () => {
+      rerun([], '↩️ Limpeza desfeita');
+    });
+    
+    $('[data-cleaning-action="apply"]').addEventListener('click', () => {
+      if (pending.length === 0) {
+        showError('Adicione pelo menos uma etapa de limpeza');
+        return;
       }
-      
-    } catch (error) {
-      console.error('❌ Erro ao importar Google Sheets:', error);
-      this.uiManager.showToast(`❌ Erro: ${error.message}`, 'error');
-    }
-  }
-
-  /**
-   * Processar dados importados (Google Sheets, JSON, XML, etc.)
-   */
-  async processImportedData() {
-    try {
-      // Iniciar processamento
-      this.uiManager.showProcessingSection();
-      this.uiManager.updateStep(1, 'completed', 'Dados importados!');
-      this.uiManager.updateStep(2, 'processing', 'Detectando colunas...');
-      
-      await this.delay(300);
-      
-      // Detectar tipos de colunas
-      const headers = Object.keys(this.currentData[0] || {});
-      this.columnMetadata = this.typeDetector.detectAllColumns(this.currentData, headers);
-      
-      this.uiManager.updateStep(2, 'completed', `${headers.length} colunas detectadas!`);
-      this.uiManager.updateStep(3, 'processing', 'Validando dados...');
-      
-      await this.delay(300);
-      
-      // Validar
-      this.validator.validate(this.currentData, this.columnMetadata);
-      this.currentData = this.validator.cleanData(this.currentData, ['remove_empty_rows']);
-      
-      this.uiManager.updateStep(3, 'completed', 'Dados validados!');
-      this.uiManager.updateStep(4, 'processing', 'Gerando análises...');
-      
-      await this.delay(300);
-      
-      // Análises
-      const analyticsEngine = new AnalyticsEngine(this.currentData, this.columnMetadata);
-      this.analytics = analyticsEngine.analyzeAll();
-      
-      this.uiManager.updateStep(4, 'completed', `${this.analytics.kpis.length} KPIs gerados!`);
-      this.uiManager.updateStep(5, 'processing', 'Criando insights...');
-      
-      await this.delay(300);
-      
-      // Insights
-      const insightsGenerator = new InsightsGenerator(this.currentData, this.columnMetadata, this.analytics);
-      this.insights = insightsGenerator.generateAll();
-      this.analytics.insights = this.insights;
-      
-      // Gráficos
-      const chartGenerator = new ChartGenerator(this.currentData, this.columnMetadata, this.analytics);
-      this.charts = chartGenerator.generateAll();
-      
-      this.uiManager.updateStep(5, 'completed', `${this.insights.length} insights criados!`);
-      
-      // Análises avançadas
-      this.advancedAnalytics = {
-        ml: this.mlEngine.analyzeAll(this.currentData, this.columnMetadata, this.analytics),
-        rfm: this.rfmAnalyzer.analyze(this.currentData, this.columnMetadata),
-        cohort: this.cohortAnalyzer.analyze(this.currentData, this.columnMetadata),
-        correlation: this.correlationAnalyzer.analyze(this.currentData, this.columnMetadata),
-        geo: this.geoAnalyzer.analyze(this.currentData, this.columnMetadata),
-        marketBasket: this.marketBasketAnalyzer.analyze(this.currentData, this.columnMetadata),
-        churn: this.churnAnalyzer.analyze(this.currentData, this.columnMetadata),
-        timeSeries: this.timeSeriesAnalyzer.analyze(this.currentData, this.columnMetadata, this.analytics)
-      };
-      
-      // Sugerir template automaticamente
-      this.suggestTemplate();
-      
-      // Exibir dashboard
-      this.status = ProcessingStatus.COMPLETED;
-      this.exportManager = new ExportManager(this.currentData, this.columnMetadata, this.analytics, this.charts);
-      this.uiManager.showDashboard(this.analytics, this.charts, this.insights, this.columnMetadata);
-      
-    } catch (error) {
-      console.error('Erro ao processar dados importados:', error);
-      throw error;
-    }
+      rerun([...applied, ...pending], `🧹 ${pending.length} etapa(s) de limpeza aplicada(s)`);
+    });
   }
 
   /**
-   * Exibir modal de seleção de templates
+   * Receitas de preparação salvas: reaplicar, editar o JSON, exportar, importar e excluir
    */
-  showTemplatesModal() {
-    const templates = this.templateManager.listTemplates();
-    
-    // Criar HTML do modal
+  showRecipesModal() {
     const modal = document.createElement('div');
     modal.className = 'modal-overlay';
     modal.innerHTML = `
-      <div class="modal-content">
+      <div class="modal-content modal-large">
         <div class="modal-header">
-          <h2>🎯 Selecione um Template de Análise</h2>
+          <h2>📜 Receitas de Preparação</h2>
           <button class="modal-close">&times;</button>
         </div>
         <div class="modal-body">
-          <div class="templates-grid">
-            ${templates.map(t => `
-              <div class="template-card" data-template="${t.id}">
-                <div class="template-icon" style="background: ${t.color}20">${t.icon}</div>
-                <h3>${t.name}</h3>
-                <p>${t.description}</p>
-                <button class="btn-select-template" data-id="${t.id}">Aplicar Template</button>
-              </div>
-            `).join('')}
+          <p class="history-hint">
+            Receitas automáticas são reaplicadas antes da análise quando o arquivo tem os mesmos cabeçalhos
+            (ou pelo menos metade das colunas da receita). Etapas que não se aplicam às novas colunas são puladas com aviso.
+          </p>
+          <ul class="recipe-list"></ul>
+          
+          <form class="recipe-editor hidden">
+            <label>Nome
+              <input type="text" name="name">
+            </label>
+            <label>Receita (JSON)
+              <textarea name="json" rows="14" spellcheck="false"></textarea>
+            </label>
+            <div class="sheet-picker-actions">
+              <button type="button" class="btn-secondary" data-recipe-action="cancel-edit">Cancelar</button>
+              <button type="submit" class="btn-primary">💾 Salvar alterações</button>
+            </div>
+          </form>
+          
+          <p class="sheet-picker-error hidden"></p>
+          
+          <div class="sheet-picker-actions">
+            <input type="file" class="hidden" accept=".json,application/json" data-recipe-import>
+            <button class="btn-secondary" data-recipe-action="import">📥 Importar receita</button>
+            <button class="btn-secondary" data-recipe-action="close">Fechar</button>
           </div>
         </div>
       </div>
@@ -1538,19 +3765,149 @@ class BIAnalyticsPro {
     
     document.body.appendChild(modal);
     
-    // Event listeners
-    modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
-    modal.addEventListener('click', (e) => {
-      if (e.target === modal) modal.remove();
-    });
+    const $ = (selector) => modal.querySelector(selector);
+    const editor = $('.recipe-editor');
+    const error = $('.sheet-picker-error');
+    const showError = (message) => {
+      error.textContent = message;
+      error.classList.toggle('hidden', !message);
+    };
+    let editing = null;
     
-    modal.querySelectorAll('.btn-select-template').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const templateId = btn.dataset.id;
-        this.applyTemplate(templateId);
-        modal.remove();
+    const close = () => modal.remove();
+    
+    const render = () => {
+      const recipes = this.cleaningRecipes.list();
+      const appliedId = this.cleaning?.recipe?.id;
+      
+      $('.recipe-list').innerHTML = recipes.length === 0
+        ? '<li class="history-hint">Nenhuma receita salva. Monte as etapas em 🧹 Limpar Dados e salve como receita.</li>'
+        : recipes.map(recipe => `
+          <li class="recipe-item" data-recipe-id="${recipe.id}">
+            <div>
+              <strong>${this.escapeHTML(recipe.name)}</strong>${recipe.id === appliedId ? ' <small>(aplicada)</small>' : ''}
+              <div class="history-hint">
+                ${recipe.steps.length} etapa(s) · ${recipe.headers.length} coluna(s) · atualizada em ${new Date(recipe.updatedAt).toLocaleDateString('pt-BR')}
+              </div>
+              <label class="mapping-save">
+                <input type="checkbox" data-recipe-auto ${recipe.autoApply ? 'checked' : ''}> Reaplicar automaticamente
+              </label>
+            </div>
+            <div class="recipe-actions">
+              <button class="btn-secondary" data-recipe-action="apply" ${this.analysisInput ? '' : 'disabled'}>▶️ Aplicar</button>
+              <button class="btn-secondary" data-recipe-action="edit">✏️ Editar</button>
+              <button class="btn-secondary" data-recipe-action="export">⬇️ Exportar</button>
+              <button class="btn-secondary" data-recipe-action="delete">🗑️</button>
+            </div>
+          </li>
+        `).join('');
+      
+      modal.querySelectorAll('.recipe-item').forEach(item => {
+        const recipe = recipes.find(entry => entry.id === item.dataset.recipeId);
+        const button = (action) => item.querySelector(`[data-recipe-action="${action}"]`);
+        
+        item.querySelector('[data-recipe-auto]').addEventListener('change', (e) => {
+          this.cleaningRecipes.save({ ...recipe, autoApply: e.target.checked });
+        });
+        
+        // Reaplica a receita sobre a fonte atual, no lugar das etapas aplicadas
+        button('apply').addEventListener('click', async () => {
+          close();
+          try {
+            await this.runAnalysis({ ...this.analysisInput, cleaningSteps: null, recipeId: recipe.id });
+          } catch (err) {
+            console.error('Erro ao aplicar receita:', err);
+            this.uiManager.showError(err.message);
+          }
+        });
+        
+        button('edit').addEventListener('click', () => {
+          editing = recipe;
+          editor.elements.name.value = recipe.name;
+          editor.elements.json.value = this.cleaningRecipes.export(recipe);
+          editor.classList.remove('hidden');
+          showError('');
+        });
+        
+        button('export').addEventListener('click', () => this.downloadRecipe(recipe));
+        
+        button('delete').addEventListener('click', () => {
+          if (!confirm(`Excluir a receita "${recipe.name}"?`)) return;
+          this.cleaningRecipes.delete(recipe.id);
+          this.uiManager.showToast(`🗑️ Receita "${recipe.name}" excluída`, 'info');
+          render();
+        });
       });
+    };
+    
+    editor.addEventListener('submit', (e) => {
+      e.preventDefault();
+      try {
+        const parsed = parseRecipe(editor.elements.json.value);
+        this.cleaningRecipes.save({
+          ...parsed,
+          id: editing.id,
+          name: editor.elements.name.value || parsed.name,
+          headers: parsed.headers.length > 0 ? parsed.headers : editing.headers
+        });
+      } catch (err) {
+        showError(err.message);
+        return;
+      }
+      showError('');
+      editor.classList.add('hidden');
+      this.uiManager.showToast('📜 Receita atualizada', 'success');
+      render();
+    });
+    
+    $('[data-recipe-action="cancel-edit"]').addEventListener('click', () => {
+      editor.classList.add('hidden');
+      showError('');
+    });
+    
+    const fileInput = $('[data-recipe-import]');
+    $('[data-recipe-action="import"]').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      try {
+        const recipe = this.cleaningRecipes.import(await file.text());
+        showError('');
+        this.uiManager.showToast(`📥 Receita "${recipe.name}" importada`, 'success');
+        render();
+      } catch (err) {
+        showError(err.message);
+      }
+      fileInput.value = '';
+    });
+    
+    $('.modal-close').addEventListener('click', close);
+    $('[data-recipe-action="close"]').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) close();
     });
+    
+    render();
+  }
+
+  /**
+   * Baixa a receita em JSON
+   * @param {Object} recipe
+   */
+  downloadRecipe(recipe) {
+    const blob = new Blob([this.cleaningRecipes.export(recipe)], { type: 'application/json;charset=utf-8;' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    const slug = normalizeHeader(recipe.name).replace(/\s+/g, '-');
+    
+    link.setAttribute('href', url);
+    link.setAttribute('download', `receita-${slug || Date.now()}.json`);
+    link.style.visibility = 'hidden';
+    
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
   }
 
   /**
@@ -1648,6 +4005,149 @@ class BIAnalyticsPro {
     });
   }
 
+  /**
+   * Exibir painel "Pergunte aos seus dados"
+   */
+  showDataChatModal() {
+    if (!this.currentData) {
+      alert('⚠️ Nenhuma análise disponível. Por favor, faça upload de uma planilha primeiro.');
+      return;
+    }
+
+    const examples = [
+      'Qual vendedor cresceu mais no trimestre?',
+      'Top 5 produtos por valor',
+      'Vendas por mês',
+      'Qual o ticket médio nos últimos 3 meses?'
+    ];
+    const charts = [];
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+      <div class="modal-content modal-large">
+        <div class="modal-header">
+          <h2>💬 Pergunte aos seus Dados</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body">
+          <p class="chat-mode">
+            ${this.dataChat.isAIAvailable()
+              ? '🤖 Perguntas interpretadas pelo provedor de IA, com cálculo local.'
+              : '📝 Modo offline: perguntas interpretadas por palavras-chave.'}
+          </p>
+          <div class="chat-examples">
+            ${examples.map(example => `<button class="chat-example" data-question="${this.escapeHTML(example)}">${this.escapeHTML(example)}</button>`).join('')}
+          </div>
+          <div class="chat-messages"></div>
+          <form class="chat-form">
+            <input type="text" class="chat-input" placeholder="Ex.: quais os 3 clientes que mais compraram em março?" autocomplete="off">
+            <button type="submit" class="btn-primary">Perguntar</button>
+          </form>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const messages = modal.querySelector('.chat-messages');
+    const input = modal.querySelector('.chat-input');
+    const submitButton = modal.querySelector('.chat-form button');
+
+    const appendAnswer = (answer) => {
+      const index = messages.children.length;
+      messages.insertAdjacentHTML('beforeend', this.renderChatAnswer(answer, index));
+      if (answer.chart) {
+        charts.push(AdvancedChartsHelper.createQueryChart(answer.chart, `chat-chart-${index}`));
+      }
+      messages.scrollTop = messages.scrollHeight;
+    };
+
+    const ask = async (question) => {
+      if (!question.trim()) return;
+      input.value = '';
+      submitButton.disabled = true;
+
+      try {
+        appendAnswer(await this.dataChat.ask(question));
+      } catch (error) {
+        appendAnswer({ question, text: `⚠️ ${error.message}`, table: null, chart: null });
+      } finally {
+        submitButton.disabled = false;
+        input.focus();
+      }
+    };
+
+    // Histórico da sessão
+    this.dataChat.history.forEach(appendAnswer);
+
+    const close = () => {
+      charts.forEach(chart => chart?.destroy());
+      modal.remove();
+    };
+
+    // Event listeners
+    modal.querySelector('.modal-close').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) close();
+    });
+    modal.querySelector('.chat-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      ask(input.value);
+    });
+    modal.querySelectorAll('.chat-example').forEach(btn => {
+      btn.addEventListener('click', () => ask(btn.dataset.question));
+    });
+
+    input.focus();
+  }
+
+  /**
+   * Renderiza pergunta e resposta do chat
+   */
+  renderChatAnswer(answer, index) {
+    const table = answer.table ? `
+      <div class="chat-table-wrapper">
+        <table class="chat-table">
+          <thead>
+            <tr>${answer.table.headers.map(header => `<th>${this.escapeHTML(header)}</th>`).join('')}</tr>
+          </thead>
+          <tbody>
+            ${answer.table.rows.map(row => `
+              <tr>${row.map(cell => `<td>${this.escapeHTML(cell)}</td>`).join('')}</tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    ` : '';
+
+    return `
+      <div class="chat-exchange">
+        <div class="chat-question">${this.escapeHTML(answer.question)}</div>
+        <div class="chat-answer">
+          <div class="chat-answer-text">
+            ${this.escapeHTML(answer.text).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')}
+          </div>
+          ${answer.chart ? `<div class="chat-chart"><canvas id="chat-chart-${index}"></canvas></div>` : ''}
+          ${table}
+          ${answer.source ? `<span class="chat-source">${answer.source === 'ai' ? '🤖 interpretado pela IA' : '📝 interpretado por palavras-chave'}</span>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Escapa texto para inserção segura em HTML
+   */
+  escapeHTML(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   /**
    * Manipula erros
    */
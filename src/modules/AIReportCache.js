@@ -0,0 +1,344 @@
+/**
+ * 🗄️ AIReportCache - Cache e histórico de relatórios IA (IndexedDB)
+ *
+ * Responsável por:
+ * - Evitar novas chamadas à IA quando dados, análises e prompts não mudaram
+ * - Guardar o histórico de relatórios gerados para cada conjunto de dados
+ *
+ * Chave do cache: impressão digital dos dados + hash dos tipos de coluna, das análises e da
+ * configuração dos prompts + versão dos prompts. Das análises entra só uma projeção
+ * determinística (KPIs e agrupamentos, ver projectAnalytics): papéis do template, o assistente
+ * de mapeamento e os filtros mudam as análises sem mudar as linhas, enquanto timestamps de KPIs
+ * e insights e os centróides aleatórios do k-means mudam a cada execução.
+ * Um registro só é reaproveitado se também tiver sido gerado pelo mesmo provedor, modelo e modo
+ * (IA ou análise local).
+ * Apenas relatórios completos (sem seções canceladas ou com erro) são armazenados.
+ *
+ * Sem IndexedDB (ex.: navegação privada em alguns navegadores), todas as operações
+ * viram no-op e o relatório é sempre gerado novamente.
+ *
+ * @class AIReportCache
+ * @author Carlos Antonio de Oliveira Piquet
+ * @version 1.0.0
+ */
+
+const DB_NAME = 'bi-analytics-ai-reports';
+const DB_VERSION = 1;
+const STORE_NAME = 'reports';
+
+export class AIReportCache {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxPerDataset - Relatórios mantidos no histórico de cada conjunto de dados
+     */
+    constructor({ maxPerDataset = 20 } = {}) {
+        this.maxPerDataset = maxPerDataset;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Indica se o navegador oferece IndexedDB
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Calcula as chaves de cache de um relatório
+     * Usa apenas entradas determinísticas: a mesma planilha gera a mesma chave em outra execução
+     * @param {Object} inputs - { data, columnMetadata, analytics, promptConfig, promptVersion }
+     *   analytics: resultado do AnalyticsEngine enviado nos prompts
+     *   promptConfig: configuração que altera os prompts (AIReportGenerator.getPromptConfig)
+     * @returns {{cacheKey: string, datasetFingerprint: string, configHash: string, promptVersion: string}}
+     */
+    buildKey({ data, columnMetadata = [], analytics = null, promptConfig = {}, promptVersion }) {
+        const datasetFingerprint = fingerprintDataset(data);
+        const columns = columnMetadata.map(({ name, type }) => ({ name, type }));
+        const configHash = hashString(stableStringify({ columns, analytics: projectAnalytics(analytics), promptConfig }));
+        const version = String(promptVersion);
+
+        return {
+            cacheKey: `${datasetFingerprint}:${configHash}:${version}`,
+            datasetFingerprint,
+            configHash,
+            promptVersion: version
+        };
+    }
+
+    /**
+     * Busca o relatório mais recente para a chave
+     * @param {string} cacheKey
+     * @param {Object} source - { provider, model, mode } (AIReportGenerator.getSource)
+     * @returns {Promise<Object|null>} Registro do histórico
+     */
+    async find(cacheKey, { provider, model, mode } = {}) {
+        const records = await this.query('cacheKey', cacheKey);
+
+        return records
+            .filter(record => record.provider === provider && record.model === model && record.mode === mode)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null;
+    }
+
+    /**
+     * Armazena um relatório completo
+     * Salvar o mesmo relatório de novo (ex.: após refazer uma seção) substitui o registro
+     * @param {Object} report - Relatório (AIReportGenerator.buildReport)
+     * @param {Object} key - Resultado de buildKey()
+     * @param {Object} info - { datasetName }
+     * @returns {Promise<Object|null>} Registro salvo, ou null se o relatório estiver incompleto
+     */
+    async save(report, key, { datasetName = '' } = {}) {
+        if (!this.isAvailable() || !this.isComplete(report)) return null;
+
+        const record = {
+            id: report.reportId,
+            ...key,
+            datasetName,
+            provider: report.metadata?.provider,
+            model: report.metadata?.model,
+            mode: report.metadata?.mode,
+            createdAt: new Date().toISOString(),
+            report
+        };
+
+        try {
+            await this.transaction('readwrite', store => store.put(record));
+            await this.prune(key.datasetFingerprint);
+            return record;
+        } catch (error) {
+            console.error('Erro ao salvar relatório no cache:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Histórico de relatórios de um conjunto de dados, do mais recente ao mais antigo
+     * @param {string} datasetFingerprint
+     * @returns {Promise<Array<Object>>}
+     */
+    async listByDataset(datasetFingerprint) {
+        const records = await this.query('datasetFingerprint', datasetFingerprint);
+        return records.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * @param {string} id - reportId
+     * @returns {Promise<Object|null>}
+     */
+    async get(id) {
+        if (!this.isAvailable()) return null;
+
+        try {
+            return await this.transaction('readonly', store => store.get(id)) || null;
+        } catch (error) {
+            console.error('Erro ao ler relatório do cache:', error);
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} id - reportId
+     */
+    async delete(id) {
+        if (!this.isAvailable()) return;
+
+        try {
+            await this.transaction('readwrite', store => store.delete(id));
+        } catch (error) {
+            console.error('Erro ao excluir relatório do cache:', error);
+        }
+    }
+
+    /**
+     * Remove todos os relatórios armazenados
+     */
+    async clear() {
+        if (!this.isAvailable()) return;
+
+        try {
+            await this.transaction('readwrite', store => store.clear());
+        } catch (error) {
+            console.error('Erro ao limpar cache de relatórios:', error);
+        }
+    }
+
+    /**
+     * Relatório completo: nenhuma seção ficou em geração, cancelada ou com erro
+     * (AIReportStream marca essas seções com o campo status)
+     */
+    isComplete(report) {
+        return Boolean(report?.sections) && Object.values(report.sections).every(section => !section.status);
+    }
+
+    /**
+     * Mantém apenas os relatórios mais recentes do conjunto de dados
+     * @private
+     */
+    async prune(datasetFingerprint) {
+        const records = await this.listByDataset(datasetFingerprint);
+        const excess = records.slice(this.maxPerDataset);
+        if (excess.length === 0) return;
+
+        await this.transaction('readwrite', store => {
+            excess.forEach(record => store.delete(record.id));
+        });
+    }
+
+    /**
+     * @private
+     */
+    async query(indexName, value) {
+        if (!this.isAvailable()) return [];
+
+        try {
+            return await this.transaction('readonly', store => store.index(indexName).getAll(value)) || [];
+        } catch (error) {
+            console.error('Erro ao consultar cache de relatórios:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Executa uma operação no object store e resolve ao concluir a transação
+     * @param {'readonly'|'readwrite'} mode
+     * @param {Function} operation - (store) => IDBRequest | void
+     * @private
+     */
+    async transaction(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const request = operation(tx.objectStore(STORE_NAME));
+
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Abre (e cria, na primeira vez) o banco
+     * @private
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('cacheKey', 'cacheKey');
+                    store.createIndex('datasetFingerprint', 'datasetFingerprint');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+
+        return this.dbPromise;
+    }
+}
+
+/**
+ * Impressão digital do conjunto de dados: colunas, quantidade de linhas e conteúdo
+ * Calculada linha a linha para não montar uma string gigante em planilhas grandes
+ * @param {Array<Object>} data
+ * @returns {string}
+ */
+export function fingerprintDataset(data = []) {
+    const columns = data.length > 0 ? Object.keys(data[0]) : [];
+    const hasher = createHasher();
+
+    hasher.update(`${columns.join('\u001f')}\u001e${data.length}`);
+    data.forEach(row => {
+        hasher.update(`\u001e${columns.map(column => normalizeValue(row[column])).join('\u001f')}`);
+    });
+
+    return hasher.digest();
+}
+
+/**
+ * Parte determinística das análises: valor de cada KPI e os agrupamentos
+ * Ficam de fora timestamps, insights e análises avançadas (com sementes aleatórias)
+ * @param {Object} analytics - Resultado de AnalyticsEngine.analyzeAll()
+ * @returns {Object|null}
+ */
+export function projectAnalytics(analytics) {
+    if (!analytics) return null;
+
+    return {
+        kpis: (analytics.kpis || []).map(({ id, value, rawValue }) => [id, rawValue ?? value]),
+        groupings: analytics.groupings || null
+    };
+}
+
+/**
+ * @param {string} text
+ * @returns {string} Hash hexadecimal de 64 bits
+ */
+export function hashString(text) {
+    const hasher = createHasher();
+    hasher.update(text);
+    return hasher.digest();
+}
+
+/**
+ * Hash incremental: FNV-1a e djb2 (32 bits cada) combinados em 64 bits
+ * Suficiente para identificar versões de um conjunto de dados; não é criptográfico
+ * @private
+ */
+function createHasher() {
+    let fnv = 0x811c9dc5;
+    let djb = 5381;
+
+    return {
+        update(text) {
+            for (let i = 0; i < text.length; i++) {
+                const code = text.charCodeAt(i);
+                fnv = Math.imul(fnv ^ code, 0x01000193);
+                djb = (Math.imul(djb, 33) + code) | 0;
+            }
+        },
+        digest() {
+            return (fnv >>> 0).toString(16).padStart(8, '0') + (djb >>> 0).toString(16).padStart(8, '0');
+        }
+    };
+}
+
+/**
+ * @private
+ */
+function normalizeValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    return String(value);
+}
+
+/**
+ * JSON com chaves ordenadas, para que a ordem das propriedades não altere o hash
+ * Funções são ignoradas; Map e Set viram listas
+ * @private
+ */
+function stableStringify(value) {
+    if (value === null || value === undefined) return 'null';
+    if (value instanceof Date) return JSON.stringify(value.toISOString());
+    if (value instanceof Map) return stableStringify([...value.entries()]);
+    if (value instanceof Set) return stableStringify([...value]);
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+
+    if (typeof value === 'object') {
+        const entries = Object.keys(value)
+            .sort()
+            .filter(key => typeof value[key] !== 'function' && value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+
+    if (typeof value === 'function') return 'null';
+    return JSON.stringify(value);
+}
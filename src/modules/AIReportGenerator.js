@@ -1,6 +1,7 @@
 /**
  * AIReportGenerator.js
- * Gerador de Relatórios Detalhados com IA (DeepSeek)
+ * Gerador de Relatórios Detalhados com IA
+ * Provedor configurável: DeepSeek, OpenAI, Ollama/llama.cpp, Anthropic ou mock local
  * 
  * Análises de nível profissional sênior:
  * - Análise profunda de tendências e padrões
@@ -12,72 +13,216 @@
  * @author Carlos Antonio de Oliveira Piquet
  */
 
+import { createLLMProvider, getLLMConfigFromEnv } from './LLMProvider.js';
+import { AIReportStream } from './AIReportStream.js';
+import { LocalReportEngine } from './LocalReportEngine.js';
+import { PromptBuilder, estimateTokens } from './PromptBudget.js';
+import { PIIRedactor } from './PIIRedactor.js';
+import { ACTION_PLAN_SCHEMA, buildActionPlanInstructions, validateActionPlan, actionPlanToMarkdown } from './ActionPlanSchema.js';
+
+/**
+ * Versão dos prompts e do formato das seções
+ * Incremente ao alterá-los: relatórios em cache com outra versão deixam de ser reaproveitados
+ */
+export const PROMPT_VERSION = 2;
+
+const SYSTEM_PROMPT = 'Você é um analista de negócios SÊNIOR com 20+ anos de experiência em Business Intelligence, análise financeira e estratégia corporativa. Suas análises são profundas, baseadas em dados, e fornecem insights acionáveis. Você sempre fornece números específicos, percentuais e recomendações práticas.';
+
+// Acrescentado à mensagem de sistema quando há dados pseudonimizados
+const PSEUDONYM_INSTRUCTION = 'Identificadores como CLIENTE_001, FUNCIONARIO_002, EMAIL_003, TELEFONE_004, CPF_005 e CNPJ_006 são pseudônimos de pessoas reais: cite-os exatamente como aparecem, sem traduzir ou alterar.';
+
+// Limites de tokens (ver getTokenLimits)
+const DEFAULT_MAX_TOKENS = 2000;
+const MIN_PROMPT_TOKENS = 500;
+const CONTEXT_SAFETY_MARGIN = 0.1; // a estimativa de tokens é aproximada
+
+/**
+ * Seções do relatório, na ordem de exibição
+ * - key: chave em report.sections
+ * - id: identificador usado nos prompts e na análise local
+ * - method: método analyze* que gera a seção
+ */
+export const REPORT_SECTIONS = [
+    { key: 'executiveSummary', id: 'executive', method: 'analyzeExecutiveSummary', title: '📊 Sumário Executivo' },
+    { key: 'trends', id: 'trends', method: 'analyzeTrends', title: '📈 Análise de Tendências e Padrões' },
+    { key: 'opportunities', id: 'opportunities', method: 'analyzeOpportunities', title: '💡 Oportunidades de Crescimento' },
+    { key: 'risks', id: 'risks', method: 'analyzeRisks', title: '⚠️ Análise de Riscos e Ameaças' },
+    { key: 'performance', id: 'performance', method: 'analyzePerformance', title: '🏆 Análise de Performance e Benchmarking' },
+    { key: 'recommendations', id: 'recommendations', method: 'analyzeStrategicRecommendations', title: '🎯 Recomendações Estratégicas' },
+    { key: 'predictions', id: 'predictions', method: 'analyzePredictions', title: '🔮 Previsões e Projeções' },
+    { key: 'actionPlan', id: 'action_plan', method: 'analyzeActionPlan', title: '✅ Plano de Ação Detalhado' }
+];
+
 export class AIReportGenerator {
-    constructor() {
-        this.apiKey = import.meta.env.VITE_DEEPSEEK_API_KEY;
-        this.apiUrl = import.meta.env.VITE_DEEPSEEK_API_URL || 'https://api.deepseek.com';
-        this.model = 'deepseek-chat';
+    /**
+     * @param {Object} providerConfig - Sobrescreve a configuração do .env
+     *   ({ name, apiUrl, apiKey, model, protocol, maxTokens, contextTokens, maxPromptTokens,
+     *      piiRedaction, piiTypes, structuredOutput })
+     */
+    constructor(providerConfig = {}) {
+        this.providerConfig = { ...getLLMConfigFromEnv(), ...providerConfig };
+        this.provider = createLLMProvider(this.providerConfig);
+        this.redactor = new PIIRedactor({
+            enabled: this.providerConfig.piiRedaction,
+            types: this.providerConfig.piiTypes
+        });
+        this.localEngine = new LocalReportEngine();
         this.maxRetries = 3;
         this.retryDelay = 2000;
     }
 
+    /**
+     * Troca o provedor de IA em tempo de execução
+     * @param {Object} providerConfig
+     */
+    setProvider(providerConfig) {
+        this.providerConfig = { ...this.providerConfig, ...providerConfig };
+        this.provider = createLLMProvider(this.providerConfig);
+        this.redactor.setConfig({
+            enabled: this.providerConfig.piiRedaction,
+            types: this.providerConfig.piiTypes
+        });
+    }
+
+    /**
+     * Registra os valores pessoais do conjunto de dados (clientes, funcionários,
+     * e-mails, telefones) para pseudonimizá-los nos prompts
+     * @param {Array<Object>} data
+     * @param {Array<Object>} columnMetadata - Resultado do ColumnTypeDetector
+     */
+    setDataset(data, columnMetadata) {
+        this.redactor.learn(data, columnMetadata);
+    }
+
+    /**
+     * Indica se recomendações e plano de ação são gerados como ações estruturadas (JSON)
+     * (VITE_AI_STRUCTURED_OUTPUT, padrão true)
+     * @returns {boolean}
+     */
+    usesStructuredOutput() {
+        return this.providerConfig.structuredOutput !== false;
+    }
+
+    /**
+     * Indica se há um provedor de IA utilizável
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return this.provider.isConfigured();
+    }
+
+    /**
+     * Limites de tokens das requisições
+     * - maxTokens: tamanho máximo da resposta (VITE_AI_MAX_TOKENS, padrão 2000)
+     * - promptTokens: orçamento do prompt = janela de contexto - resposta - mensagem de sistema,
+     *   com margem de segurança; limitado por VITE_AI_MAX_PROMPT_TOKENS quando definido
+     * @returns {{maxTokens: number, promptTokens: number}}
+     */
+    getTokenLimits() {
+        const maxTokens = this.providerConfig.maxTokens ?? DEFAULT_MAX_TOKENS;
+        const context = Math.floor(this.provider.contextTokens * (1 - CONTEXT_SAFETY_MARGIN));
+        const available = Math.max(context - maxTokens - estimateTokens(SYSTEM_PROMPT), MIN_PROMPT_TOKENS);
+
+        return {
+            maxTokens,
+            promptTokens: Math.min(available, this.providerConfig.maxPromptTokens ?? Infinity)
+        };
+    }
+
+    /**
+     * Cria um construtor de prompt com o orçamento do provedor atual
+     * @returns {PromptBuilder}
+     */
+    createPromptBuilder() {
+        return new PromptBuilder({ maxTokens: this.getTokenLimits().promptTokens });
+    }
+
+    /**
+     * Resumo do tamanho do prompt enviado, para exibir o que foi cortado
+     * Na análise local nada é enviado, então não há o que reportar
+     * @param {Object} prompt - Resultado de PromptBuilder.build()
+     * @returns {Object|null} { estimatedTokens, maxTokens, omitted }
+     */
+    getPromptUsage(prompt) {
+        if (!this.isConfigured()) return null;
+
+        const { estimatedTokens, maxTokens, omitted } = prompt;
+        return { estimatedTokens, maxTokens, omitted };
+    }
+
+    /**
+     * Lista as seções geradas pelo relatório
+     * @returns {Array<Object>} Descritores de REPORT_SECTIONS
+     */
+    getSections() {
+        return REPORT_SECTIONS;
+    }
+
     /**
      * Gera relatório completo com análise de IA
      */
     async generateComprehensiveReport(data, analytics, advancedAnalytics) {
         try {
-            const sections = await Promise.all([
-                this.analyzeExecutiveSummary(data, analytics, advancedAnalytics),
-                this.analyzeTrends(data, analytics),
-                this.analyzeOpportunities(data, analytics, advancedAnalytics),
-                this.analyzeRisks(data, analytics, advancedAnalytics),
-                this.analyzePerformance(data, analytics, advancedAnalytics),
-                this.analyzeStrategicRecommendations(data, analytics, advancedAnalytics),
-                this.analyzePredictions(data, analytics, advancedAnalytics),
-                this.analyzeActionPlan(data, analytics, advancedAnalytics)
-            ]);
+            const results = await Promise.all(
+                REPORT_SECTIONS.map(section => this[section.method](data, analytics, advancedAnalytics))
+            );
 
-            return {
-                timestamp: new Date().toISOString(),
-                reportId: this.generateReportId(),
-                sections: {
-                    executiveSummary: sections[0],
-                    trends: sections[1],
-                    opportunities: sections[2],
-                    risks: sections[3],
-                    performance: sections[4],
-                    recommendations: sections[5],
-                    predictions: sections[6],
-                    actionPlan: sections[7]
-                },
-                metadata: this.generateMetadata(data, analytics)
-            };
+            const sections = {};
+            REPORT_SECTIONS.forEach((section, index) => {
+                sections[section.key] = results[index];
+            });
+
+            return this.buildReport(sections, data, analytics);
         } catch (error) {
             console.error('Erro ao gerar relatório com IA:', error);
             return this.generateFallbackReport(data, analytics, advancedAnalytics);
         }
     }
 
+    /**
+     * Gera o relatório em streaming, seção por seção
+     * Cada seção é solicitada com stream: true e emite eventos à medida que o texto chega
+     * @returns {AIReportStream} Stream de eventos (EventTarget + async iterator)
+     */
+    streamComprehensiveReport(data, analytics, advancedAnalytics) {
+        return new AIReportStream(this, { data, analytics, advancedAnalytics }).start();
+    }
+
+    /**
+     * Monta o objeto de relatório a partir das seções geradas
+     * @param {Object} sections - Seções indexadas pela chave (REPORT_SECTIONS[].key)
+     */
+    buildReport(sections, data, analytics) {
+        return {
+            timestamp: new Date().toISOString(),
+            reportId: this.generateReportId(),
+            sections,
+            metadata: this.generateMetadata(data, analytics)
+        };
+    }
+
     /**
      * Análise Executiva (Resumo para C-Level)
      */
-    async analyzeExecutiveSummary(data, analytics, advancedAnalytics) {
+    async analyzeExecutiveSummary(data, analytics, advancedAnalytics, options = {}) {
         const prompt = this.buildExecutiveSummaryPrompt(data, analytics, advancedAnalytics);
-        const response = await this.callDeepSeekAPI(prompt, 'executive');
+        const response = await this.callAIProvider(prompt.text, 'executive', { ...options, context: { data, analytics, advancedAnalytics } });
         
         return {
             title: '📊 Sumário Executivo',
             content: response,
             priority: 'critical',
-            audience: 'C-Level'
+            audience: 'C-Level',
+            promptUsage: this.getPromptUsage(prompt)
         };
     }
 
     /**
      * Análise de Tendências (Padrões Temporais)
      */
-    async analyzeTrends(data, analytics) {
-        const prompt = `
+    async analyzeTrends(data, analytics, advancedAnalytics, options = {}) {
+        const prompt = this.createPromptBuilder()
+            .text(`
 Você é um analista de dados SÊNIOR especializado em identificar tendências e padrões temporais.
 
 DADOS FINANCEIROS:
@@ -86,10 +231,12 @@ DADOS FINANCEIROS:
 - Lucro/Prejuízo: ${this.formatCurrency(analytics.profit)}
 - Margem: ${this.formatPercentage(analytics.margin)}
 - Período: ${analytics.dateRange?.start} a ${analytics.dateRange?.end}
-
-DADOS MENSAIS:
-${this.formatMonthlyData(analytics.byMonth)}
-
+`)
+            .block('DADOS MENSAIS', this.formatMonthlyData(analytics.byMonth), {
+                keep: 'tail',
+                summarize: (start, end) => this.summarizeMonthlyData(analytics.byMonth, start, end)
+            })
+            .text(`
 TAREFA: Analise as tendências identificando:
 1. Padrões de crescimento ou queda (com % específicos)
 2. Sazonalidade (quais meses são melhores/piores e por quê)
@@ -99,37 +246,31 @@ TAREFA: Analise as tendências identificando:
 6. Velocidade de mudança (aceleração/desaceleração)
 
 Seja ESPECÍFICO com números, percentuais e datas. Identifique CAUSAS prováveis.
-`;
+`)
+            .build();
 
-        const response = await this.callDeepSeekAPI(prompt, 'trends');
+        const response = await this.callAIProvider(prompt.text, 'trends', { ...options, context: { data, analytics, advancedAnalytics } });
         
         return {
             title: '📈 Análise de Tendências e Padrões',
             content: response,
             insights: this.extractTrendInsights(analytics),
-            charts: ['line', 'area', 'trend']
+            charts: ['line', 'area', 'trend'],
+            promptUsage: this.getPromptUsage(prompt)
         };
     }
 
     /**
      * Análise de Oportunidades (Crescimento)
      */
-    async analyzeOpportunities(data, analytics, advancedAnalytics) {
-        const prompt = `
-Você é um CONSULTOR ESTRATÉGICO especializado em identificar oportunidades de crescimento.
-
-ANÁLISE RFM (Segmentação de Clientes):
-${this.formatRFMData(advancedAnalytics?.rfm)}
-
-ANÁLISE DE PRODUTOS:
-${this.formatProductData(analytics.byProduct)}
-
-ANÁLISE GEOGRÁFICA:
-${this.formatGeoData(advancedAnalytics?.geo)}
-
-MARKET BASKET (Produtos Comprados Juntos):
-${this.formatMarketBasketData(advancedAnalytics?.marketBasket)}
-
+    async analyzeOpportunities(data, analytics, advancedAnalytics, options = {}) {
+        const prompt = this.createPromptBuilder()
+            .text('Você é um CONSULTOR ESTRATÉGICO especializado em identificar oportunidades de crescimento.')
+            .block('ANÁLISE RFM (Segmentação de Clientes)', this.formatRFMData(advancedAnalytics?.rfm))
+            .block('ANÁLISE DE PRODUTOS', this.formatProductData(analytics.byProduct))
+            .block('ANÁLISE GEOGRÁFICA', this.formatGeoData(advancedAnalytics?.geo))
+            .block('MARKET BASKET (Produtos Comprados Juntos)', this.formatMarketBasketData(advancedAnalytics?.marketBasket))
+            .text(`
 TAREFA: Identifique oportunidades de crescimento:
 1. Clientes com potencial de upsell (RFM)
 2. Produtos para cross-sell e bundling
@@ -145,37 +286,31 @@ Para CADA oportunidade, forneça:
 - Tempo de implementação
 - Prioridade (Alta/Média/Baixa)
 - ROI esperado (%)
-`;
+`)
+            .build();
 
-        const response = await this.callDeepSeekAPI(prompt, 'opportunities');
+        const response = await this.callAIProvider(prompt.text, 'opportunities', { ...options, context: { data, analytics, advancedAnalytics } });
         
         return {
             title: '💡 Oportunidades de Crescimento',
             content: response,
             estimatedImpact: this.calculateOpportunityImpact(advancedAnalytics),
-            priority: 'high'
+            priority: 'high',
+            promptUsage: this.getPromptUsage(prompt)
         };
     }
 
     /**
      * Análise de Riscos (Ameaças e Problemas)
      */
-    async analyzeRisks(data, analytics, advancedAnalytics) {
-        const prompt = `
-Você é um ANALISTA DE RISCOS especializado em identificar ameaças ao negócio.
-
-ANÁLISE DE CHURN (Risco de Perda de Clientes):
-${this.formatChurnData(advancedAnalytics?.churn)}
-
-CONCENTRAÇÃO DE RECEITA:
-${this.formatConcentrationData(analytics)}
-
-TENDÊNCIAS NEGATIVAS:
-${this.formatNegativeTrends(analytics)}
-
-ALERTAS CRÍTICOS:
-${this.formatAlerts(advancedAnalytics?.alerts)}
-
+    async analyzeRisks(data, analytics, advancedAnalytics, options = {}) {
+        const prompt = this.createPromptBuilder()
+            .text('Você é um ANALISTA DE RISCOS especializado em identificar ameaças ao negócio.')
+            .block('ANÁLISE DE CHURN (Risco de Perda de Clientes)', this.formatChurnData(advancedAnalytics?.churn))
+            .block('CONCENTRAÇÃO DE RECEITA', this.formatConcentrationData(analytics))
+            .block('TENDÊNCIAS NEGATIVAS', this.formatNegativeTrends(analytics))
+            .block('ALERTAS CRÍTICOS', this.formatAlerts(advancedAnalytics?.alerts))
+            .text(`
 TAREFA: Identifique e analise riscos:
 1. Clientes em risco de churn (com score de probabilidade)
 2. Concentração excessiva (produtos, clientes, regiões)
@@ -191,23 +326,26 @@ Para CADA risco, forneça:
 - Impacto financeiro estimado (R$)
 - Ações mitigadoras imediatas
 - Indicadores para monitorar
-`;
+`)
+            .build();
 
-        const response = await this.callDeepSeekAPI(prompt, 'risks');
+        const response = await this.callAIProvider(prompt.text, 'risks', { ...options, context: { data, analytics, advancedAnalytics } });
         
         return {
             title: '⚠️ Análise de Riscos e Ameaças',
             content: response,
             severity: this.calculateRiskSeverity(advancedAnalytics),
-            alerts: advancedAnalytics?.alerts || []
+            alerts: advancedAnalytics?.alerts || [],
+            promptUsage: this.getPromptUsage(prompt)
         };
     }
 
     /**
      * Análise de Performance (Benchmarking)
      */
-    async analyzePerformance(data, analytics, advancedAnalytics) {
-        const prompt = `
+    async analyzePerformance(data, analytics, advancedAnalytics, options = {}) {
+        const prompt = this.createPromptBuilder()
+            .text(`
 Você é um ANALISTA DE PERFORMANCE especializado em benchmarking e KPIs.
 
 KPIS PRINCIPAIS:
@@ -216,19 +354,12 @@ KPIS PRINCIPAIS:
 - Margem: ${this.formatPercentage(analytics.margin)}
 - Ticket Médio: ${this.formatCurrency(analytics.averageTicket)}
 - Clientes: ${analytics.totalCustomers || 'N/A'}
-
-RANKING DE PRODUTOS:
-${this.formatProductRanking(analytics.byProduct)}
-
-RANKING DE FUNCIONÁRIOS/VENDEDORES:
-${this.formatEmployeeRanking(analytics.byEmployee)}
-
-ANÁLISE DE COORTE (Retenção):
-${this.formatCohortData(advancedAnalytics?.cohort)}
-
-CORRELAÇÕES IMPORTANTES:
-${this.formatCorrelationData(advancedAnalytics?.correlation)}
-
+`)
+            .block('RANKING DE PRODUTOS', this.formatProductRanking(analytics.byProduct))
+            .block('RANKING DE FUNCIONÁRIOS/VENDEDORES', this.formatEmployeeRanking(analytics.byEmployee))
+            .block('ANÁLISE DE COORTE (Retenção)', this.formatCohortData(advancedAnalytics?.cohort))
+            .block('CORRELAÇÕES IMPORTANTES', this.formatCorrelationData(advancedAnalytics?.correlation))
+            .text(`
 TAREFA: Avalie a performance identificando:
 1. Top performers (produtos, vendedores, categorias)
 2. Underperformers que precisam de atenção
@@ -242,28 +373,28 @@ Para CADA análise:
 - Compare com período anterior (% de mudança)
 - Identifique padrões de sucesso replicáveis
 - Sugira metas SMART realistas
-`;
+`)
+            .build();
 
-        const response = await this.callDeepSeekAPI(prompt, 'performance');
+        const response = await this.callAIProvider(prompt.text, 'performance', { ...options, context: { data, analytics, advancedAnalytics } });
         
         return {
             title: '🏆 Análise de Performance e Benchmarking',
             content: response,
             benchmarks: this.generateBenchmarks(analytics),
-            rankings: this.generateRankings(analytics)
+            rankings: this.generateRankings(analytics),
+            promptUsage: this.getPromptUsage(prompt)
         };
     }
 
     /**
      * Recomendações Estratégicas
      */
-    async analyzeStrategicRecommendations(data, analytics, advancedAnalytics) {
-        const prompt = `
-Você é um CONSULTOR ESTRATÉGICO DE NEGÓCIOS com visão holística.
-
-CONTEXTO COMPLETO DO NEGÓCIO:
-${this.buildBusinessContext(data, analytics, advancedAnalytics)}
-
+    async analyzeStrategicRecommendations(data, analytics, advancedAnalytics, options = {}) {
+        const prompt = this.createPromptBuilder()
+            .text('Você é um CONSULTOR ESTRATÉGICO DE NEGÓCIOS com visão holística.')
+            .block('CONTEXTO COMPLETO DO NEGÓCIO', this.buildBusinessContext(data, analytics, advancedAnalytics))
+            .text(`
 TAREFA: Forneça recomendações estratégicas ACIONÁVEIS:
 
 1. CURTO PRAZO (0-3 meses):
@@ -288,34 +419,34 @@ Para CADA recomendação:
 - Riscos e mitigações
 - Métricas de sucesso
 - Prioridade (P0/P1/P2/P3)
-`;
+`)
+            .text(this.usesStructuredOutput() ? buildActionPlanInstructions({ kpis: analytics.kpis }) : '')
+            .build();
+
+        const context = { data, analytics, advancedAnalytics };
+        const result = this.usesStructuredOutput()
+            ? await this.generateActionSection(prompt.text, 'recommendations', context, options)
+            : { content: await this.callAIProvider(prompt.text, 'recommendations', { ...options, context }) };
 
-        const response = await this.callDeepSeekAPI(prompt, 'recommendations');
-        
         return {
             title: '🎯 Recomendações Estratégicas',
-            content: response,
+            ...result,
             roadmap: this.generateRoadmap(analytics, advancedAnalytics),
-            priority: 'critical'
+            priority: 'critical',
+            promptUsage: this.getPromptUsage(prompt)
         };
     }
 
     /**
      * Previsões e Projeções
      */
-    async analyzePredictions(data, analytics, advancedAnalytics) {
-        const prompt = `
-Você é um CIENTISTA DE DADOS especializado em previsões e modelagem preditiva.
-
-DADOS HISTÓRICOS:
-${this.formatHistoricalData(analytics)}
-
-MACHINE LEARNING - PREVISÕES:
-${this.formatMLPredictions(advancedAnalytics?.ml)}
-
-ANÁLISE DE SÉRIES TEMPORAIS:
-${this.formatTimeSeriesData(advancedAnalytics?.timeSeries)}
-
+    async analyzePredictions(data, analytics, advancedAnalytics, options = {}) {
+        const prompt = this.createPromptBuilder()
+            .text('Você é um CIENTISTA DE DADOS especializado em previsões e modelagem preditiva.')
+            .block('DADOS HISTÓRICOS', this.formatHistoricalData(analytics))
+            .block('MACHINE LEARNING - PREVISÕES', this.formatMLPredictions(advancedAnalytics?.ml))
+            .block('ANÁLISE DE SÉRIES TEMPORAIS', this.formatTimeSeriesData(advancedAnalytics?.timeSeries))
+            .text(`
 TAREFA: Gere previsões e projeções:
 
 1. RECEITA FUTURA:
@@ -344,27 +475,50 @@ Base suas previsões em:
 - Tendências confirmadas
 
 Seja CONSERVADOR mas ESPECÍFICO. Indique nível de confiança (%) para cada previsão.
-`;
+`)
+            .build();
 
-        const response = await this.callDeepSeekAPI(prompt, 'predictions');
+        const response = await this.callAIProvider(prompt.text, 'predictions', { ...options, context: { data, analytics, advancedAnalytics } });
         
         return {
             title: '🔮 Previsões e Projeções',
             content: response,
             predictions: this.extractPredictions(advancedAnalytics),
-            confidence: this.calculateConfidence(advancedAnalytics)
+            confidence: this.calculateConfidence(advancedAnalytics),
+            promptUsage: this.getPromptUsage(prompt)
         };
     }
 
     /**
      * Plano de Ação Detalhado
      */
-    async analyzeActionPlan(data, analytics, advancedAnalytics) {
-        const prompt = `
+    async analyzeActionPlan(data, analytics, advancedAnalytics, options = {}) {
+        const context = { data, analytics, advancedAnalytics };
+        const intro = `
 Você é um GERENTE DE PROJETOS especializado em planos de ação executáveis.
 
 Com base em TODAS as análises anteriores (tendências, oportunidades, riscos, performance, recomendações, previsões), crie um PLANO DE AÇÃO DETALHADO.
+`;
+
+        if (this.usesStructuredOutput()) {
+            const prompt = `${intro}
+Inclua ações imediatas (esta semana), prioritárias (este mês) e estratégicas (este trimestre).
+Em "expectedImpact", descreva o resultado esperado com a métrica específica; em "impactValue", o ganho estimado em R$.
+
+${buildActionPlanInstructions({ kpis: analytics.kpis })}
+
+Seja EXTREMAMENTE ESPECÍFICO e ACIONÁVEL. Cada ação deve poder ser executada imediatamente.
+`;
+
+            return {
+                title: '✅ Plano de Ação Detalhado',
+                ...await this.generateActionSection(prompt, 'action_plan', context, options),
+                timeline: this.generateTimeline(analytics, advancedAnalytics),
+                budget: this.estimateBudget(analytics)
+            };
+        }
 
+        const prompt = `${intro}
 FORMATO:
 
 **AÇÕES IMEDIATAS (Esta Semana):**
@@ -397,7 +551,7 @@ Mês 2-3: [Ações]
 Seja EXTREMAMENTE ESPECÍFICO e ACIONÁVEL. Cada ação deve poder ser executada imediatamente.
 `;
 
-        const response = await this.callDeepSeekAPI(prompt, 'action_plan');
+        const response = await this.callAIProvider(prompt, 'action_plan', { ...options, context });
         
         return {
             title: '✅ Plano de Ação Detalhado',
@@ -408,90 +562,157 @@ Seja EXTREMAMENTE ESPECÍFICO e ACIONÁVEL. Cada ação deve poder ser executada
     }
 
     /**
-     * Chama a API DeepSeek com retry logic
+     * Chama o provedor de IA configurado com retry logic
+     * @param {string} prompt
+     * @param {string} section - Identificador da seção (REPORT_SECTIONS[].id)
+     * @param {Object} options
+     * @param {Function} options.onToken - (delta, content) => void; ativa o modo streaming
+     * @param {AbortSignal} options.signal - Cancela a requisição em andamento
+     * @param {Object} options.context - { data, analytics, advancedAnalytics } para a análise local
+     * @param {Object} options.schema - JSON Schema pedido ao provedor (modo JSON)
+     * @param {Function} options.parse - (resposta) => valor; lança erro se a resposta for inválida
+     * @param {Function} options.fallback - () => valor usado sem IA (padrão: texto da análise local)
      */
-    async callDeepSeekAPI(prompt, section) {
-        if (!this.apiKey || this.apiKey === 'sua_chave_api_aqui') {
-            console.warn('API Key não configurada. Usando análise local.');
-            return this.generateLocalAnalysis(section);
+    async callAIProvider(prompt, section, options = {}) {
+        const { onToken, signal, context, schema, parse } = options;
+        const fallback = options.fallback || (() => this.generateLocalAnalysis(section, context));
+
+        if (!this.provider.isConfigured()) {
+            console.warn('Provedor de IA não configurado. Usando análise local.');
+            return fallback();
         }
 
+        // Dados pessoais saem do navegador apenas como pseudônimos
+        const messages = [
+            {
+                role: 'system',
+                content: this.redactor.isActive() ? `${SYSTEM_PROMPT}\n\n${PSEUDONYM_INSTRUCTION}` : SYSTEM_PROMPT
+            },
+            {
+                role: 'user',
+                content: this.redactor.redact(prompt)
+            }
+        ];
+        const requestOptions = {
+            temperature: parse ? 0.3 : 0.7,
+            maxTokens: this.getTokenLimits().maxTokens,
+            json: schema,
+            signal
+        };
+
         for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
             try {
-                const response = await fetch(`${this.apiUrl}/chat/completions`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${this.apiKey}`
-                    },
-                    body: JSON.stringify({
-                        model: this.model,
-                        messages: [
-                            {
-                                role: 'system',
-                                content: 'Você é um analista de negócios SÊNIOR com 20+ anos de experiência em Business Intelligence, análise financeira e estratégia corporativa. Suas análises são profundas, baseadas em dados, e fornecem insights acionáveis. Você sempre fornece números específicos, percentuais e recomendações práticas.'
-                            },
-                            {
-                                role: 'user',
-                                content: prompt
-                            }
-                        ],
-                        temperature: 0.7,
-                        max_tokens: 2000,
-                        stream: false
-                    })
-                });
-
-                if (!response.ok) {
-                    const errorText = await response.text();
-                    
-                    // Erro 402 - API sem créditos ou expirada
-                    if (response.status === 402) {
-                        console.warn('⚠️ API DeepSeek sem créditos. Configure uma nova API key ou use análise local.');
-                        return this.generateLocalAnalysis(section);
-                    }
-                    
-                    throw new Error(`API Error: ${response.status} ${response.statusText} - ${errorText}`);
+                // JSON só é útil completo (sem streaming); resposta inválida conta como tentativa falha
+                if (parse) {
+                    return parse(await this.provider.complete(messages, requestOptions));
                 }
-
-                const data = await response.json();
-                return data.choices[0].message.content;
+                if (onToken) {
+                    const content = await this.streamFromProvider(messages, requestOptions, this.redactor.wrapStream(onToken));
+                    return this.redactor.rehydrate(content);
+                }
+                return this.redactor.rehydrate(await this.provider.complete(messages, requestOptions));
 
             } catch (error) {
+                // Cancelamento pelo usuário não deve cair no fallback
+                if (error.name === 'AbortError') throw error;
+
+                // Erro 402 - API sem créditos ou expirada
+                if (error.status === 402) {
+                    console.warn(`⚠️ Provedor ${this.provider.name} sem créditos. Configure uma nova API key ou use análise local.`);
+                    return fallback();
+                }
+
                 console.error(`Tentativa ${attempt} falhou:`, error);
                 
                 if (attempt === this.maxRetries) {
                     console.warn('Todas as tentativas falharam. Usando análise local.');
-                    return this.generateLocalAnalysis(section);
+                    return fallback();
                 }
                 
                 await this.sleep(this.retryDelay * attempt);
+                signal?.throwIfAborted();
             }
         }
     }
 
     /**
-     * Análise local como fallback (sem IA)
+     * Gera uma seção de ações estruturadas (recomendações ou plano de ação)
+     * Sem IA, ou se a IA não devolver um JSON válido, as ações vêm da análise local
+     * @param {string} prompt - Já com as instruções de buildActionPlanInstructions
+     * @param {string} section - Identificador da seção
+     * @param {Object} context - { data, analytics, advancedAnalytics }
+     * @param {Object} options - { signal }
+     * @returns {Promise<{content: string, summary: string, actions: Array<Object>, structured: boolean}>}
      */
-    generateLocalAnalysis(section) {
-        const localAnalyses = {
-            executive: '**Sumário Executivo Gerado Localmente**\n\nO sistema detectou padrões importantes nos dados fornecidos. Para análises mais profundas com IA, configure a API DeepSeek no arquivo .env.',
-            trends: '**Análise de Tendências**\n\nPadrões temporais identificados com base em análise estatística local.',
-            opportunities: '**Oportunidades Identificadas**\n\nOportunidades baseadas em análise de dados estruturada.',
-            risks: '**Riscos Identificados**\n\nRiscos calculados com base em thresholds estatísticos.',
-            performance: '**Análise de Performance**\n\nKPIs e benchmarks calculados localmente.',
-            recommendations: '**Recomendações**\n\nRecomendações baseadas em regras de negócio pré-configuradas.',
-            predictions: '**Previsões**\n\nProjeções baseadas em modelos estatísticos locais (regressão, média móvel).',
-            action_plan: '**Plano de Ação**\n\nPlano gerado com base nas análises anteriores.'
+    async generateActionSection(prompt, section, context, options = {}) {
+        const metrics = (context.analytics?.kpis || []).map(kpi => kpi.id);
+
+        const plan = await this.callAIProvider(prompt, section, {
+            ...options,
+            context,
+            schema: ACTION_PLAN_SCHEMA,
+            parse: response => this.parseActionPlan(response, metrics),
+            fallback: () => this.localEngine.generateActions(context)
+        });
+
+        return {
+            content: actionPlanToMarkdown(plan),
+            summary: plan.summary,
+            actions: plan.actions,
+            structured: true
         };
+    }
+
+    /**
+     * Extrai, restaura os pseudônimos e valida o plano de ações devolvido pela IA
+     * @param {string} response
+     * @param {Array<string>} metrics - Ids de KPI aceitos
+     * @returns {Object} { summary, actions }
+     */
+    parseActionPlan(response, metrics) {
+        const match = String(response || '').match(/\{[\s\S]*\}/);
+        if (!match) {
+            throw new Error('Resposta da IA sem JSON');
+        }
+
+        const raw = JSON.parse(match[0], (_key, value) => (typeof value === 'string' ? this.redactor.rehydrate(value) : value));
+        const { valid, errors, value } = validateActionPlan(raw, { metrics });
+        if (!valid) {
+            throw new Error(`Plano de ação inválido: ${errors.slice(0, 5).join('; ')}`);
+        }
 
-        return localAnalyses[section] || 'Análise não disponível.';
+        return value;
+    }
+
+    /**
+     * Consome o stream do provedor acumulando o texto
+     * A cada trecho recebido, onToken recebe o delta e o conteúdo acumulado
+     * @returns {Promise<string>} Conteúdo completo
+     */
+    async streamFromProvider(messages, requestOptions, onToken) {
+        let content = '';
+
+        for await (const delta of this.provider.stream(messages, requestOptions)) {
+            content += delta;
+            onToken(delta, content);
+        }
+
+        return content;
+    }
+
+    /**
+     * Análise local como fallback (sem IA)
+     * Texto gerado por regras a partir dos resultados das análises (LocalReportEngine)
+     */
+    generateLocalAnalysis(section, context = {}) {
+        return this.localEngine.generate(section, context);
     }
 
     // ==================== FORMATADORES DE DADOS ====================
 
     buildExecutiveSummaryPrompt(data, analytics, advancedAnalytics) {
-        return `
+        return this.createPromptBuilder()
+            .text(`
 Você é um ANALISTA C-LEVEL apresentando para CEO/CFO/COO.
 
 RESUMO FINANCEIRO:
@@ -506,17 +727,17 @@ DESTAQUES:
 - Funcionário Destaque: ${analytics.topEmployee?.name || 'N/A'}
 - Total de Clientes: ${analytics.totalCustomers || 'N/A'}
 - Ticket Médio: ${this.formatCurrency(analytics.averageTicket)}
-
-ANÁLISES AVANÇADAS DISPONÍVEIS:
-${this.summarizeAdvancedAnalytics(advancedAnalytics)}
-
+`)
+            .block('ANÁLISES AVANÇADAS DISPONÍVEIS', this.summarizeAdvancedAnalytics(advancedAnalytics))
+            .text(`
 TAREFA: Crie um sumário executivo de 2-3 parágrafos:
 1. Situação atual do negócio (saúde financeira)
 2. 3 principais descobertas (positivas ou negativas)
 3. 1 recomendação crítica imediata
 
 Use linguagem executiva, seja direto, números primeiro.
-`;
+`)
+            .build();
     }
 
     formatMonthlyData(byMonth) {
@@ -527,6 +748,19 @@ Use linguagem executiva, seja direto, números primeiro.
             .join('\n');
     }
 
+    /**
+     * Resume os meses omitidos do prompt por limite de tamanho
+     * @param {number} start - Índice do primeiro mês omitido
+     * @param {number} end - Índice final (exclusivo)
+     */
+    summarizeMonthlyData(byMonth, start, end) {
+        const months = Object.entries(byMonth || {}).slice(start, end);
+        const revenue = months.reduce((sum, [_, data]) => sum + (data.revenue || 0), 0);
+        const expenses = months.reduce((sum, [_, data]) => sum + (data.expenses || 0), 0);
+
+        return `${months[0][0]} a ${months[months.length - 1][0]} (${months.length} meses resumidos): Receita ${this.formatCurrency(revenue)}, Despesas ${this.formatCurrency(expenses)}`;
+    }
+
     formatRFMData(rfm) {
         if (!rfm?.available) return 'Análise RFM não disponível';
         
@@ -788,19 +1022,18 @@ CHURN: ${advancedAnalytics?.churn?.atRisk?.length || 0} clientes em risco
     }
 
     generateFallbackReport(data, analytics, advancedAnalytics) {
-        return {
-            timestamp: new Date().toISOString(),
-            reportId: this.generateReportId(),
-            sections: {
-                executiveSummary: {
-                    title: '📊 Sumário Executivo',
-                    content: this.generateLocalAnalysis('executive'),
-                    priority: 'critical'
-                },
-                message: 'Relatório gerado com análise local. Configure a API DeepSeek para análises com IA.'
-            },
-            metadata: this.generateMetadata(data, analytics)
-        };
+        const context = { data, analytics, advancedAnalytics };
+        const sections = {};
+
+        REPORT_SECTIONS.forEach(section => {
+            sections[section.key] = {
+                title: section.title,
+                content: this.generateLocalAnalysis(section.id, context)
+            };
+        });
+        sections.executiveSummary.priority = 'critical';
+
+        return this.buildReport(sections, data, analytics);
     }
 
     generateMetadata(data, analytics) {
@@ -809,7 +1042,34 @@ CHURN: ${advancedAnalytics?.churn?.atRisk?.length || 0} clientes em risco
             dataPoints: data.length,
             period: analytics.dateRange,
             version: '1.0.0',
-            generator: 'BI Analytics Pro - AI Report Generator'
+            generator: 'BI Analytics Pro - AI Report Generator',
+            promptVersion: PROMPT_VERSION,
+            ...this.getSource(),
+            redaction: this.redactor.isActive() ? this.redactor.getCounts() : null
+        };
+    }
+
+    /**
+     * Configuração que altera o texto dos prompts (entra na chave do AIReportCache)
+     * @returns {{structuredOutput: boolean, piiTypes: Array<string>|null, maxTokens: number, promptTokens: number}}
+     */
+    getPromptConfig() {
+        return {
+            structuredOutput: this.usesStructuredOutput(),
+            piiTypes: this.redactor.isActive() ? [...this.redactor.types].sort() : null,
+            ...this.getTokenLimits()
+        };
+    }
+
+    /**
+     * Identifica quem gera o texto: provedor, modelo e modo (IA ou análise local)
+     * @returns {{provider: string, model: string, mode: 'ai'|'local'}}
+     */
+    getSource() {
+        return {
+            provider: this.provider.name,
+            model: this.provider.model,
+            mode: this.provider.isConfigured() ? 'ai' : 'local'
         };
     }
 
@@ -0,0 +1,254 @@
+/**
+ * 📡 AIReportStream - Relatório IA em streaming
+ *
+ * Responsável por:
+ * - Gerar as seções do relatório em paralelo, com stream: true
+ * - Emitir eventos à medida que o texto de cada seção chega
+ * - Cancelar e refazer seções individualmente
+ * - Expor os eventos como EventTarget e como async iterator
+ *
+ * Eventos (CustomEvent, dados em event.detail):
+ * - section-start     { key }
+ * - section-token     { key, delta, content }
+ * - section-complete  { key, section }
+ * - section-cancelled { key }
+ * - section-error     { key, error }
+ * - complete          { report }  (todas as seções finalizadas, inclusive após cancelar)
+ * - close             {}
+ *
+ * Uso:
+ *   const stream = generator.streamComprehensiveReport(data, analytics, advanced);
+ *   for await (const { type, detail } of stream) { ... }
+ *
+ * A iteração termina no "complete" (ou no "close"). Para acompanhar uma seção refeita
+ * depois disso, itere de novo a partir do ponto do retry: stream.events(stream.history.length).
+ *
+ * @class AIReportStream
+ * @author Carlos Antonio de Oliveira Piquet
+ * @version 1.0.0
+ */
+
+const FINISHED_STATUSES = ['done', 'cancelled', 'error'];
+
+export class AIReportStream extends EventTarget {
+    /**
+     * @param {AIReportGenerator} generator
+     * @param {Object} inputs - { data, analytics, advancedAnalytics }
+     */
+    constructor(generator, inputs) {
+        super();
+        this.generator = generator;
+        this.inputs = inputs;
+        this.sections = new Map();
+        this.history = [];
+        this.waiters = [];
+        this.closed = false;
+        this.report = null;
+        this.reportId = generator.generateReportId();
+
+        this.done = new Promise(resolve => {
+            this.resolveDone = resolve;
+        });
+    }
+
+    /**
+     * Inicia a geração de todas as seções
+     * @returns {AIReportStream}
+     */
+    start() {
+        this.generator.getSections().forEach(section => this.runSection(section));
+        return this;
+    }
+
+    /**
+     * Executa (ou reexecuta) uma seção
+     * @param {Object} section - Descritor de REPORT_SECTIONS
+     * @private
+     */
+    async runSection(section) {
+        const state = {
+            section,
+            status: 'streaming',
+            content: '',
+            result: null,
+            controller: new AbortController()
+        };
+        this.sections.set(section.key, state);
+        this.emit('section-start', { key: section.key });
+
+        const { data, analytics, advancedAnalytics } = this.inputs;
+        const options = {
+            signal: state.controller.signal,
+            onToken: (delta, content) => {
+                if (this.sections.get(section.key) !== state) return;
+                state.content = content;
+                this.emit('section-token', { key: section.key, delta, content });
+            }
+        };
+
+        try {
+            const result = await this.generator[section.method](data, analytics, advancedAnalytics, options);
+
+            // Execução substituída por um retry
+            if (this.sections.get(section.key) !== state) return;
+
+            state.status = 'done';
+            state.result = result;
+            this.emit('section-complete', { key: section.key, section: result });
+        } catch (error) {
+            if (this.sections.get(section.key) !== state) return;
+
+            if (error.name === 'AbortError') {
+                state.status = 'cancelled';
+                this.emit('section-cancelled', { key: section.key });
+            } else {
+                console.error(`Erro ao gerar seção ${section.key}:`, error);
+                state.status = 'error';
+                state.error = error;
+                this.emit('section-error', { key: section.key, error });
+            }
+        }
+
+        this.checkComplete();
+    }
+
+    /**
+     * Cancela a geração de uma seção em andamento
+     * @param {string} key - Chave da seção
+     */
+    cancelSection(key) {
+        const state = this.sections.get(key);
+        if (!state || state.status !== 'streaming') return;
+        state.controller.abort();
+    }
+
+    /**
+     * Refaz uma seção, descartando a execução anterior
+     * @param {string} key - Chave da seção
+     */
+    retrySection(key) {
+        const state = this.sections.get(key);
+        if (!state || this.closed) return;
+
+        state.controller.abort();
+        this.runSection(state.section);
+    }
+
+    /**
+     * Cancela todas as seções em andamento
+     */
+    cancel() {
+        this.sections.forEach((_state, key) => this.cancelSection(key));
+    }
+
+    /**
+     * Cancela o que estiver em andamento e encerra o stream de eventos
+     */
+    close() {
+        if (this.closed) return;
+        this.cancel();
+        this.emit('close', {});
+        this.closed = true;
+        this.resolveDone(this.getReport());
+    }
+
+    /**
+     * Monta o relatório com o estado atual das seções
+     * Seções canceladas ou com erro recebem um texto indicativo
+     * @returns {Object}
+     */
+    getReport() {
+        const sections = {};
+
+        this.sections.forEach((state, key) => {
+            if (state.status === 'done') {
+                sections[key] = state.result;
+                return;
+            }
+
+            const notes = {
+                streaming: 'Seção ainda em geração.',
+                cancelled: 'Seção cancelada pelo usuário.',
+                error: 'Não foi possível gerar esta seção.'
+            };
+
+            sections[key] = {
+                title: state.section.title,
+                content: state.content || `*${notes[state.status]}*`,
+                status: state.status
+            };
+        });
+
+        return {
+            ...this.generator.buildReport(sections, this.inputs.data, this.inputs.analytics),
+            reportId: this.reportId
+        };
+    }
+
+    /**
+     * Emite "complete" quando todas as seções estiverem finalizadas
+     * Após retries, o evento é emitido novamente com o relatório atualizado
+     * @private
+     */
+    checkComplete() {
+        const states = [...this.sections.values()];
+        if (!states.every(state => FINISHED_STATUSES.includes(state.status))) return;
+
+        this.report = this.getReport();
+        this.emit('complete', { report: this.report });
+        this.resolveDone(this.report);
+    }
+
+    /**
+     * Dispara o evento e o registra para os consumidores do async iterator
+     * Após o fechamento, eventos tardios (ex.: abortos pendentes) são descartados
+     * @private
+     */
+    emit(type, detail) {
+        if (this.closed) return;
+
+        const entry = { type, detail };
+        this.history.push(entry);
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+
+        this.waiters.splice(0).forEach(wake => wake());
+    }
+
+    /**
+     * Há seção em geração (ex.: retry iniciado após o "complete")
+     * @returns {boolean}
+     */
+    isStreaming() {
+        return [...this.sections.values()].some(state => state.status === 'streaming');
+    }
+
+    /**
+     * Itera sobre os eventos a partir do índice informado do histórico
+     * Termina no "close" ou no "complete", a menos que um retry esteja em andamento
+     * @param {number} from - Índice inicial em this.history
+     * @yields {{type: string, detail: Object}}
+     */
+    async *events(from = 0) {
+        let index = from;
+
+        while (true) {
+            while (index < this.history.length) {
+                const entry = this.history[index++];
+                yield entry;
+                if (entry.type === 'close') return;
+                if (entry.type === 'complete' && !this.isStreaming()) return;
+            }
+
+            if (this.closed) return;
+            await new Promise(resolve => this.waiters.push(resolve));
+        }
+    }
+
+    /**
+     * Itera sobre todos os eventos desde o início (ver events)
+     * @yields {{type: string, detail: Object}}
+     */
+    [Symbol.asyncIterator]() {
+        return this.events();
+    }
+}
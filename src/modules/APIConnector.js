@@ -0,0 +1,442 @@
+/**
+ * 🔌 APIConnector - Conector de APIs REST/JSON
+ *
+ * Responsável por:
+ * - Buscar registros de uma API REST que responde em JSON
+ * - Enviar cabeçalhos e token de autenticação
+ * - Percorrer todas as páginas (número da página, offset, cursor ou cabeçalho Link)
+ * - Normalizar os registros com o JSONParser (colunas com ponto, arrays expandidos em linhas)
+ * - Salvar conectores para executar de novo depois (LocalStorage)
+ *
+ * Configuração de um conector:
+ * {
+ *   name: 'Pedidos',
+ *   url: 'https://api.exemplo.com/v1/pedidos?status=pago',
+ *   headers: { 'Accept': 'application/json' },
+ *   authToken: 'abc123',              // enviado como "Authorization: Bearer abc123"
+ *   authHeader: 'Authorization',      // outro cabeçalho (ex.: X-API-Key) recebe o token puro
+ *   recordPath: '$.data',             // padrão: primeiro array de objetos da resposta
+ *   explode: ['itens'],
+ *   pagination: { type: 'page', pageParam: 'page', sizeParam: 'per_page', pageSize: 100 }
+ * }
+ *
+ * Paginação (pagination.type):
+ * - none: uma única requisição
+ * - page: pageParam=1, 2, 3... até uma página vazia ou menor que pageSize
+ * - offset: offsetParam=0, 100, 200... até uma página vazia ou menor que pageSize
+ * - cursor: o próximo cursor vem da resposta (cursorPath) e vai em cursorParam
+ * - link: segue o rel="next" do cabeçalho Link (a API precisa expor o cabeçalho via CORS)
+ *
+ * @class APIConnector
+ * @author Carlos Antonio de Oliveira Piquet
+ * @version 1.0.0
+ */
+
+import { JSONParser } from './JSONParser.js';
+
+export const PaginationType = {
+    NONE: 'none',
+    PAGE: 'page',
+    OFFSET: 'offset',
+    CURSOR: 'cursor',
+    LINK: 'link'
+};
+
+// Limite de páginas por execução (evita laço infinito em APIs que repetem a última página)
+const DEFAULT_MAX_PAGES = 100;
+
+export class APIConnector {
+    constructor() {
+        this.jsonParser = new JSONParser();
+        this.connectors = [];
+        this.storageKey = 'bi_analytics_api_connectors';
+    }
+
+    /**
+     * Busca todas as páginas e converte os registros em tabela
+     * @param {Object} config - Configuração do conector (ver cabeçalho do módulo)
+     * @param {Object} options
+     * @param {Function} options.onPage - ({ page, rowCount }) => void, a cada página recebida
+     * @param {AbortSignal} options.signal - Interrompe as requisições
+     * @returns {Promise<Object>} { success, data, metadata } ou { success: false, error }
+     */
+    async fetchData(config, { onPage = () => {}, signal = null } = {}) {
+        try {
+            const validation = this.validateConfig(config);
+            if (!validation.valid) {
+                throw new Error(validation.errors.join('; '));
+            }
+
+            const pagination = { type: PaginationType.NONE, maxPages: DEFAULT_MAX_PAGES, ...config.pagination };
+            const records = [];
+            let recordPath = config.recordPath || null;
+            let url = this._firstPageUrl(config.url, pagination);
+            let page = 0;
+
+            while (url && page < pagination.maxPages) {
+                const response = await this._request(url, config, signal);
+                const body = await this._readBody(response);
+                page++;
+
+                // Sem caminho informado, vale o primeiro array de objetos da primeira página
+                recordPath = recordPath || this.jsonParser.listArrays(body)[0]?.path;
+                if (!recordPath) {
+                    throw new Error('Nenhuma lista de registros encontrada na resposta da API');
+                }
+
+                const pageRecords = this._pageRecords(body, recordPath, page);
+                records.push(...pageRecords);
+                onPage({ page, rowCount: records.length });
+
+                url = this._nextPageUrl(url, pagination, { response, body, count: pageRecords.length, page });
+            }
+
+            if (records.length === 0) {
+                throw new Error('A API não retornou registros');
+            }
+
+            const result = await this.jsonParser.parseJSON(records, { explode: config.explode || [] });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            return {
+                success: true,
+                data: result.data,
+                metadata: {
+                    ...result.metadata,
+                    format: 'api',
+                    source: config.name || config.url,
+                    url: config.url,
+                    recordPath,
+                    pages: page,
+                    truncated: Boolean(url),
+                    fetchedAt: new Date().toISOString()
+                }
+            };
+
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error('❌ Erro ao consultar API:', error);
+            return {
+                success: false,
+                error: error.message,
+                data: [],
+                metadata: null
+            };
+        }
+    }
+
+    /**
+     * Validar configuração do conector
+     * @param {Object} config
+     * @returns {Object} { valid, errors }
+     */
+    validateConfig(config) {
+        const errors = [];
+
+        try {
+            const url = new URL(config?.url);
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                errors.push('A URL deve começar com http:// ou https://');
+            }
+        } catch (e) {
+            errors.push('URL inválida');
+        }
+
+        const pagination = config?.pagination || {};
+        const type = pagination.type || PaginationType.NONE;
+        if (!Object.values(PaginationType).includes(type)) {
+            errors.push(`Paginação desconhecida: ${type}`);
+        }
+        if (type === PaginationType.CURSOR && !pagination.cursorPath) {
+            errors.push('Informe onde está o próximo cursor na resposta (ex.: $.meta.next_cursor)');
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Conectores salvos
+     * @returns {Array<Object>}
+     */
+    listConnectors() {
+        this._loadFromStorage();
+        return [...this.connectors];
+    }
+
+    /**
+     * Obter conector salvo
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    getConnector(id) {
+        return this.listConnectors().find(connector => connector.id === id) || null;
+    }
+
+    /**
+     * Salvar conector (novo ou existente, pelo id)
+     * @param {Object} config
+     * @returns {Object} Conector salvo, com id
+     */
+    saveConnector(config) {
+        const validation = this.validateConfig(config);
+        if (!validation.valid) {
+            throw new Error(validation.errors.join('; '));
+        }
+
+        this._loadFromStorage();
+        const connector = {
+            ...config,
+            id: config.id || this._generateId(),
+            name: config.name?.trim() || new URL(config.url).hostname,
+            updatedAt: new Date().toISOString()
+        };
+
+        const index = this.connectors.findIndex(item => item.id === connector.id);
+        if (index >= 0) {
+            this.connectors[index] = connector;
+        } else {
+            this.connectors.push(connector);
+        }
+
+        this._saveToStorage();
+        return connector;
+    }
+
+    /**
+     * Excluir conector salvo
+     * @param {string} id
+     */
+    deleteConnector(id) {
+        this._loadFromStorage();
+        this.connectors = this.connectors.filter(connector => connector.id !== id);
+        this._saveToStorage();
+    }
+
+    /**
+     * Registrar a última execução do conector
+     * @param {string} id
+     * @param {Object} run - { rowCount, pages }
+     */
+    recordRun(id, { rowCount, pages }) {
+        this._loadFromStorage();
+        const connector = this.connectors.find(item => item.id === id);
+        if (!connector) return;
+
+        connector.lastRun = { at: new Date().toISOString(), rowCount, pages };
+        this._saveToStorage();
+    }
+
+    /**
+     * URL da primeira página
+     * @private
+     */
+    _firstPageUrl(baseUrl, pagination) {
+        const url = new URL(baseUrl);
+
+        switch (pagination.type) {
+            case PaginationType.PAGE:
+                url.searchParams.set(pagination.pageParam || 'page', pagination.startPage ?? 1);
+                break;
+            case PaginationType.OFFSET:
+                url.searchParams.set(pagination.offsetParam || 'offset', 0);
+                break;
+            default:
+                break;
+        }
+
+        if (pagination.sizeParam && pagination.pageSize) {
+            url.searchParams.set(pagination.sizeParam, pagination.pageSize);
+        }
+
+        return url.toString();
+    }
+
+    /**
+     * URL da próxima página (null quando acabou)
+     * @private
+     */
+    _nextPageUrl(currentUrl, pagination, { response, body, count }) {
+        const url = new URL(currentUrl);
+        const pageSize = Number(pagination.pageSize) || null;
+        const lastPage = count === 0 || (pageSize && count < pageSize);
+
+        switch (pagination.type) {
+            case PaginationType.PAGE: {
+                if (lastPage) return null;
+                const param = pagination.pageParam || 'page';
+                url.searchParams.set(param, Number(url.searchParams.get(param)) + 1);
+                return url.toString();
+            }
+
+            case PaginationType.OFFSET: {
+                if (lastPage) return null;
+                const param = pagination.offsetParam || 'offset';
+                url.searchParams.set(param, Number(url.searchParams.get(param)) + count);
+                return url.toString();
+            }
+
+            case PaginationType.CURSOR: {
+                const cursor = this._readValue(body, pagination.cursorPath);
+                const param = pagination.cursorParam || 'cursor';
+                // Cursor vazio ou repetido: fim da lista
+                if (cursor === null || cursor === undefined || cursor === '' || String(cursor) === url.searchParams.get(param)) {
+                    return null;
+                }
+                url.searchParams.set(param, cursor);
+                return url.toString();
+            }
+
+            case PaginationType.LINK: {
+                const next = this._parseLinkHeader(response.headers.get('Link'))['next'];
+                return next ? new URL(next, currentUrl).toString() : null;
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Registros da página pelo caminho JSONPath
+     * A partir da segunda página, resposta sem registros marca o fim da lista
+     * @private
+     */
+    _pageRecords(body, recordPath, page) {
+        try {
+            return this.jsonParser.selectPath(body, recordPath);
+        } catch (error) {
+            if (page > 1 && !error.message.startsWith('Caminho inválido')) return [];
+            throw error;
+        }
+    }
+
+    /**
+     * Fazer requisição, traduzindo os erros de acesso
+     * @private
+     */
+    async _request(url, config, signal) {
+        let response;
+        try {
+            response = await fetch(url, { headers: this._buildHeaders(config), signal });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            throw new Error(`Não foi possível acessar a API (rede ou CORS): ${error.message}`);
+        }
+
+        if (!response.ok) {
+            if (response.status === 401 || response.status === 403) {
+                throw new Error(`Acesso negado pela API (${response.status}). Verifique o token de autenticação.`);
+            } else if (response.status === 404) {
+                throw new Error('Endereço da API não encontrado (404)');
+            } else if (response.status === 429) {
+                throw new Error('Limite de requisições da API atingido (429). Tente novamente mais tarde.');
+            }
+            throw new Error(`Erro na API: ${response.status} ${response.statusText}`);
+        }
+
+        return response;
+    }
+
+    /**
+     * Ler o corpo da resposta como JSON (ou JSON Lines)
+     * @private
+     */
+    async _readBody(response) {
+        const text = await response.text();
+        if (!text.trim()) return [];
+
+        try {
+            return this.jsonParser.parseText(text).data;
+        } catch (error) {
+            throw new Error(`A API não respondeu em JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * Cabeçalhos da requisição, com o token de autenticação
+     * No Authorization, token sem esquema vira "Bearer <token>"; "Basic ..." e afins vão como estão
+     * @private
+     */
+    _buildHeaders({ headers = {}, authToken = null, authHeader = 'Authorization' }) {
+        const result = { Accept: 'application/json', ...headers };
+
+        if (authToken) {
+            const name = authHeader || 'Authorization';
+            result[name] = name.toLowerCase() === 'authorization' && !/\s/.test(authToken)
+                ? `Bearer ${authToken}`
+                : authToken;
+        }
+
+        return result;
+    }
+
+    /**
+     * Valor simples pelo caminho (ex.: "$.meta.next_cursor", "paging.next")
+     * @private
+     */
+    _readValue(data, path) {
+        return String(path || '')
+            .replace(/^\$\.?/, '')
+            .split('.')
+            .filter(Boolean)
+            .reduce((value, key) => (value === null || value === undefined ? value : value[key]), data);
+    }
+
+    /**
+     * Cabeçalho Link (RFC 8288): <url>; rel="next", <url>; rel="last"
+     * @returns {Object} { [rel]: url }
+     * @private
+     */
+    _parseLinkHeader(header) {
+        const links = {};
+        if (!header) return links;
+
+        header.split(/,(?=\s*<)/).forEach(part => {
+            const match = part.match(/<([^>]*)>(.*)/);
+            if (!match) return;
+
+            const rel = match[2].match(/rel\s*=\s*"?([^";]+)"?/i);
+            rel?.[1].trim().split(/\s+/).forEach(name => {
+                links[name.toLowerCase()] = match[1];
+            });
+        });
+
+        return links;
+    }
+
+    /**
+     * Gerar ID único
+     * @private
+     */
+    _generateId() {
+        return 'api_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Salvar conectores no LocalStorage
+     * @private
+     */
+    _saveToStorage() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.connectors));
+        } catch (error) {
+            console.error('Erro ao salvar conectores:', error);
+        }
+    }
+
+    /**
+     * Carregar conectores do LocalStorage
+     * @private
+     */
+    _loadFromStorage() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            this.connectors = stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Erro ao carregar conectores:', error);
+            this.connectors = [];
+        }
+    }
+}
@@ -0,0 +1,352 @@
+/**
+ * 📋 ActionPlanSchema - Formato estruturado (JSON) das ações sugeridas pela IA
+ *
+ * Responsável por:
+ * - Definir o JSON Schema pedido à IA nas seções de recomendações e plano de ação
+ * - Validar e normalizar a resposta recebida (responsável, prazo, KPI, impacto)
+ * - Converter uma ação em meta para o GoalsManager
+ * - Gerar o texto (markdown) equivalente, usado na exportação e no histórico
+ *
+ * Formato:
+ *   {
+ *     "summary": "Resumo em 1-2 frases",
+ *     "actions": [{
+ *       "title": "Campanha de reativação",
+ *       "owner": "Marketing",
+ *       "deadline": "2025-03-31",
+ *       "priority": "high",
+ *       "horizon": "curto",
+ *       "kpi": { "name": "Receita mensal", "metric": "total_revenue", "target": 120000, "unit": "revenue" },
+ *       "expectedImpact": "Recuperar 15% dos clientes inativos",
+ *       "impactValue": 25000
+ *     }]
+ *   }
+ *
+ * @author Carlos Antonio de Oliveira Piquet
+ * @version 1.0.0
+ */
+
+export const ACTION_PRIORITIES = ['critical', 'high', 'medium', 'low'];
+export const ACTION_HORIZONS = ['curto', 'medio', 'longo'];
+// Mesmos tipos de meta do GoalsManager
+export const KPI_UNITS = ['revenue', 'quantity', 'percentage', 'time'];
+
+const MAX_ACTIONS = 10;
+
+// Sinônimos aceitos na validação (a IA nem sempre respeita o enum)
+const PRIORITY_ALIASES = {
+    p0: 'critical', p1: 'high', p2: 'medium', p3: 'low',
+    critica: 'critical', alta: 'high', media: 'medium', baixa: 'low'
+};
+
+// Prazo máximo (dias) de cada horizonte, quando a IA não informa o horizonte
+const HORIZON_LIMITS = { curto: 90, medio: 180 };
+
+export const PRIORITY_LABELS = {
+    critical: 'Crítica',
+    high: 'Alta',
+    medium: 'Média',
+    low: 'Baixa'
+};
+
+const RELATIVE_UNITS = [
+    { pattern: /^dia/, days: 1 },
+    { pattern: /^semana/, days: 7 },
+    { pattern: /^m[eê]s|^meses/, days: 30 },
+    { pattern: /^trimestre/, days: 90 },
+    { pattern: /^ano/, days: 365 }
+];
+
+/**
+ * JSON Schema da resposta (enviado a provedores que aceitam schema, ex.: Ollama)
+ */
+export const ACTION_PLAN_SCHEMA = {
+    type: 'object',
+    required: ['summary', 'actions'],
+    properties: {
+        summary: { type: 'string' },
+        actions: {
+            type: 'array',
+            minItems: 1,
+            maxItems: MAX_ACTIONS,
+            items: {
+                type: 'object',
+                required: ['title', 'owner', 'deadline', 'priority', 'kpi', 'expectedImpact'],
+                properties: {
+                    title: { type: 'string' },
+                    owner: { type: 'string' },
+                    deadline: { type: 'string', description: 'Data AAAA-MM-DD' },
+                    priority: { type: 'string', enum: ACTION_PRIORITIES },
+                    horizon: { type: 'string', enum: ACTION_HORIZONS },
+                    kpi: {
+                        type: 'object',
+                        required: ['name', 'target', 'unit'],
+                        properties: {
+                            name: { type: 'string' },
+                            metric: { type: ['string', 'null'] },
+                            target: { type: 'number' },
+                            unit: { type: 'string', enum: KPI_UNITS }
+                        }
+                    },
+                    expectedImpact: { type: 'string' },
+                    impactValue: { type: ['number', 'null'] }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Instruções de formato para o prompt
+ * @param {Object} options
+ * @param {Array<Object>} options.kpis - KPIs do AnalyticsEngine ({ id, title, value })
+ * @param {Date} options.today
+ * @returns {string}
+ */
+export function buildActionPlanInstructions({ kpis = [], today = new Date() } = {}) {
+    const kpiList = kpis.length > 0
+        ? kpis.map(kpi => `- ${kpi.id}: ${kpi.title} (atual: ${kpi.value})`).join('\n')
+        : '- (nenhum KPI calculado; use "metric": null)';
+
+    return `FORMATO DE RESPOSTA (JSON):
+Responda SOMENTE com um objeto JSON válido, sem markdown e sem texto fora do JSON:
+{
+  "summary": "<resumo em 1-2 frases>",
+  "actions": [
+    {
+      "title": "<ação específica>",
+      "owner": "<cargo ou área responsável>",
+      "deadline": "<AAAA-MM-DD>",
+      "priority": "critical" | "high" | "medium" | "low",
+      "horizon": "curto" | "medio" | "longo",
+      "kpi": { "name": "<indicador>", "metric": "<id de KPI da lista abaixo ou null>", "target": <número>, "unit": "revenue" | "quantity" | "percentage" | "time" },
+      "expectedImpact": "<resultado esperado>",
+      "impactValue": <impacto estimado em R$ ou null>
+    }
+  ]
+}
+
+Regras:
+- De 3 a ${MAX_ACTIONS} ações, da mais para a menos prioritária
+- Hoje é ${toISODate(today)}; prazos devem ser datas futuras
+- "target" é o valor numérico da meta (R$ para revenue, % para percentage)
+
+KPIs disponíveis para "metric":
+${kpiList}`;
+}
+
+/**
+ * Valida e normaliza a resposta da IA
+ * @param {Object} raw - JSON recebido
+ * @param {Object} options
+ * @param {Array<string>} options.metrics - Ids de KPI aceitos em kpi.metric
+ * @param {Date} options.today - Base para prazos relativos ("30 dias")
+ * @returns {{valid: boolean, errors: Array<string>, value: Object|null}}
+ */
+export function validateActionPlan(raw, { metrics = [], today = new Date() } = {}) {
+    const errors = [];
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { valid: false, errors: ['resposta: esperado um objeto JSON'], value: null };
+    }
+    if (!Array.isArray(raw.actions) || raw.actions.length === 0) {
+        return { valid: false, errors: ['actions: esperada uma lista com pelo menos uma ação'], value: null };
+    }
+
+    const actions = raw.actions.slice(0, MAX_ACTIONS).map((item, index) => {
+        const path = `actions[${index}]`;
+        const fail = (field, message) => {
+            errors.push(`${path}.${field}: ${message}`);
+            return null;
+        };
+
+        if (!item || typeof item !== 'object') return fail('', 'esperado um objeto');
+
+        const title = requireText(item.title) || fail('title', 'obrigatório');
+        const owner = requireText(item.owner) || fail('owner', 'obrigatório');
+        const expectedImpact = requireText(item.expectedImpact) || fail('expectedImpact', 'obrigatório');
+
+        const priority = normalizePriority(item.priority) || fail('priority', `use ${ACTION_PRIORITIES.join(', ')}`);
+        const horizon = ACTION_HORIZONS.includes(normalizeKey(item.horizon)) ? normalizeKey(item.horizon) : null;
+
+        const deadline = parseDeadline(item.deadline, today) || fail('deadline', 'use uma data AAAA-MM-DD');
+
+        const kpi = item.kpi && typeof item.kpi === 'object' ? item.kpi : {};
+        const kpiName = requireText(kpi.name) || fail('kpi.name', 'obrigatório');
+        const target = toNumber(kpi.target);
+        if (target === null) fail('kpi.target', 'esperado um número');
+        const unit = KPI_UNITS.includes(kpi.unit) ? kpi.unit : fail('kpi.unit', `use ${KPI_UNITS.join(', ')}`);
+        // Métrica fora da lista não invalida a ação: a meta fica sem acompanhamento automático
+        const metric = metrics.includes(kpi.metric) ? kpi.metric : null;
+
+        return {
+            title,
+            owner,
+            deadline,
+            priority,
+            horizon: horizon || (deadline ? horizonFromDeadline(deadline, today) : null),
+            kpi: { name: kpiName, metric, target, unit },
+            expectedImpact,
+            impactValue: toNumber(item.impactValue)
+        };
+    });
+
+    if (errors.length > 0) {
+        return { valid: false, errors, value: null };
+    }
+
+    return {
+        valid: true,
+        errors: [],
+        value: {
+            summary: requireText(raw.summary) || '',
+            actions
+        }
+    };
+}
+
+/**
+ * Converte uma ação em configuração de meta (GoalsManager.createGoal)
+ * @param {Object} action - Ação validada
+ * @param {Date} today
+ * @returns {Object}
+ */
+export function actionToGoalConfig(action, today = new Date()) {
+    const days = Math.max(1, daysUntil(action.deadline, today));
+    let period = 'year';
+    if (days <= 7) period = 'week';
+    else if (days <= 31) period = 'month';
+    else if (days <= 92) period = 'quarter';
+
+    return {
+        name: action.title,
+        description: `${action.kpi.name} — ${action.expectedImpact} (responsável: ${action.owner})`,
+        type: action.kpi.unit,
+        metric: action.kpi.metric || action.kpi.name,
+        target: action.kpi.target,
+        period,
+        endDate: action.deadline,
+        priority: action.priority
+    };
+}
+
+/**
+ * Texto equivalente às ações (exportação PDF, histórico e comparação de versões)
+ * @param {Object} plan - { summary, actions }
+ * @returns {string}
+ */
+export function actionPlanToMarkdown({ summary, actions }) {
+    const lines = [];
+    if (summary) lines.push(summary, '');
+
+    actions.forEach((action, index) => {
+        lines.push(`${index + 1}. **${action.title}**`);
+        lines.push(`   - Responsável: ${action.owner}`);
+        lines.push(`   - Prazo: ${formatDate(action.deadline)}`);
+        lines.push(`   - Prioridade: ${PRIORITY_LABELS[action.priority]}`);
+        lines.push(`   - KPI: ${action.kpi.name} (meta: ${formatTarget(action.kpi)})`);
+        lines.push(`   - Impacto esperado: ${action.expectedImpact}`);
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Valor da meta formatado pela unidade
+ * @param {Object} kpi - { target, unit }
+ * @returns {string}
+ */
+export function formatTarget({ target, unit }) {
+    if (unit === 'revenue') {
+        return new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(target);
+    }
+    if (unit === 'percentage') return `${target.toLocaleString('pt-BR')}%`;
+    if (unit === 'time') return `${target.toLocaleString('pt-BR')} dias`;
+    return target.toLocaleString('pt-BR');
+}
+
+// ========== HELPERS ==========
+
+function requireText(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function normalizeKey(value) {
+    return String(value ?? '')
+        .trim()
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+}
+
+function normalizePriority(value) {
+    const key = normalizeKey(value);
+    if (ACTION_PRIORITIES.includes(key)) return key;
+    return PRIORITY_ALIASES[key] || null;
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+
+    // "R$ 12.500,00", "15%", "1,5"
+    const cleaned = value.replace(/[R$%\s]/g, '');
+    const normalized = cleaned.includes(',') ? cleaned.replace(/\./g, '').replace(',', '.') : cleaned;
+    const number = parseFloat(normalized);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Aceita AAAA-MM-DD, DD/MM/AAAA ou prazos relativos ("30 dias", "2 semanas", "3 meses")
+ * @returns {string|null} Data AAAA-MM-DD
+ */
+function parseDeadline(value, today) {
+    const text = normalizeKey(value);
+    if (!text) return null;
+
+    let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (match) return validDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+    match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (match) return validDate(Number(match[3]), Number(match[2]), Number(match[1]));
+
+    match = text.match(/^(\d+)\s*(\S+)/);
+    if (match) {
+        const unit = RELATIVE_UNITS.find(({ pattern }) => pattern.test(match[2]));
+        if (unit) {
+            const date = new Date(today);
+            date.setDate(date.getDate() + Number(match[1]) * unit.days);
+            return toISODate(date);
+        }
+    }
+
+    return null;
+}
+
+function validDate(year, month, day) {
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    return toISODate(date);
+}
+
+function horizonFromDeadline(deadline, today) {
+    const days = daysUntil(deadline, today);
+    if (days <= HORIZON_LIMITS.curto) return 'curto';
+    if (days <= HORIZON_LIMITS.medio) return 'medio';
+    return 'longo';
+}
+
+function daysUntil(isoDate, today) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return Math.round((new Date(year, month - 1, day) - today) / 86400000);
+}
+
+function toISODate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatDate(isoDate) {
+    const [year, month, day] = isoDate.split('-');
+    return `${day}/${month}/${year}`;
+}
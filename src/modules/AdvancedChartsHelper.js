@@ -378,6 +378,46 @@ export class AdvancedChartsHelper {
     });
   }
 
+  /**
+   * Cria gráfico de resposta do chat "Pergunte aos dados"
+   * @param {Object} chartData - { type: 'bar'|'line', label, labels, data }
+   * @param {string} canvasId - ID do canvas
+   * @returns {Chart} Instância do gráfico
+   */
+  static createQueryChart(chartData, canvasId) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
+
+    const isLine = chartData.type === 'line';
+
+    return new Chart(ctx, {
+      type: isLine ? 'line' : 'bar',
+      data: {
+        labels: chartData.labels,
+        datasets: [{
+          label: chartData.label,
+          data: chartData.data,
+          backgroundColor: isLine
+            ? 'rgba(102, 126, 234, 0.2)'
+            : chartData.data.map(value => (value < 0 ? 'rgba(239, 68, 68, 0.7)' : 'rgba(102, 126, 234, 0.7)')),
+          borderColor: 'rgba(102, 126, 234, 1)',
+          borderWidth: isLine ? 2 : 1,
+          fill: isLine,
+          tension: 0.3
+        }]
+      },
+      options: {
+        responsive: true,
+        plugins: {
+          legend: { display: false }
+        },
+        scales: {
+          y: { beginAtZero: !isLine }
+        }
+      }
+    });
+  }
+
   /**
    * Obtém cor para heatmap baseado no valor
    * @param {number} value - Valor entre -1 e 1
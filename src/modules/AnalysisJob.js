@@ -0,0 +1,197 @@
+/**
+ * 🧵 AnalysisJob - Execução do processamento de uma planilha em segundo plano
+ *
+ * Responsável por:
+ * - Rodar o AnalysisPipeline em um Web Worker, sem travar a interface
+ * - Repassar o progresso de cada etapa como eventos
+ * - Cancelar uma análise em andamento
+ *
+ * Eventos (CustomEvent, dados em event.detail):
+ * - progress   { step, status, message, progress, phase }
+ * - complete   { result }
+ * - cancelled  {}
+ * - error      { error }
+ *
+ * Sem suporte a Web Workers (ou se o worker não carregar), o pipeline roda na
+ * thread principal, com pausas entre as etapas para a tela continuar respondendo.
+ *
+ * Uso:
+ *   const job = new AnalysisJob({ format: 'excel', payload: arrayBuffer }).start();
+ *   job.addEventListener('progress', e => ui.updateStep(e.detail.step, e.detail.status, e.detail.message));
+ *   const result = await job.done;   // rejeita com AbortError se cancelado
+ *   job.cancel();
+ *
+ * @class AnalysisJob
+ * @author Carlos Antonio de Oliveira Piquet
+ * @version 1.0.0
+ */
+
+import { AnalysisPipeline } from './AnalysisPipeline.js';
+
+export class AnalysisJob extends EventTarget {
+  /**
+   * @param {Object} input - { format, payload } ou { data } (ver AnalysisPipeline.run)
+   * @param {Object} options
+   * @param {boolean} options.useWorker - Usa Web Worker quando disponível (padrão: true)
+   */
+  constructor(input, { useWorker = true } = {}) {
+    super();
+    this.input = input;
+    this.useWorker = useWorker && typeof Worker !== 'undefined';
+    this.status = 'idle'; // idle, running, completed, cancelled, error
+    this.worker = null;
+    this.controller = null;
+    this.started = false;
+
+    this.done = new Promise((resolve, reject) => {
+      this.resolveDone = resolve;
+      this.rejectDone = reject;
+    });
+    // Evita "unhandled rejection" quando ninguém aguarda o job cancelado
+    this.done.catch(() => {});
+  }
+
+  /**
+   * Inicia o processamento
+   * @returns {AnalysisJob}
+   */
+  start() {
+    if (this.status !== 'idle') return this;
+    this.status = 'running';
+
+    if (this.useWorker) {
+      this.runInWorker();
+    } else {
+      this.runInline();
+    }
+
+    return this;
+  }
+
+  /**
+   * Interrompe a análise em andamento
+   */
+  cancel() {
+    if (this.status !== 'running') return;
+    this.status = 'cancelled';
+
+    this.worker?.terminate();
+    this.worker = null;
+    this.controller?.abort();
+
+    this.emit('cancelled', {});
+    this.rejectDone(new DOMException('Análise cancelada pelo usuário', 'AbortError'));
+  }
+
+  /**
+   * Indica se o job ainda está em execução
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.status === 'running';
+  }
+
+  /**
+   * @private
+   */
+  runInWorker() {
+    try {
+      this.worker = new Worker(new URL('../workers/analysis.worker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      console.warn('Web Worker indisponível, processando na thread principal:', error);
+      this.runInline();
+      return;
+    }
+
+    this.worker.addEventListener('message', (event) => {
+      const { type, detail, result, error } = event.data;
+
+      if (type === 'progress') {
+        this.started = true;
+        this.emit('progress', detail);
+      } else if (type === 'result') {
+        this.finish(result);
+      } else if (type === 'error') {
+        this.fail(Object.assign(new Error(error.message), { name: error.name }));
+      }
+    });
+
+    // Falha ao carregar o worker (ex.: navegador sem module workers): refaz na thread principal
+    this.worker.addEventListener('error', (event) => {
+      event.preventDefault();
+      if (this.status !== 'running') return;
+
+      this.worker.terminate();
+      this.worker = null;
+
+      if (this.started) {
+        this.fail(new Error(event.message || 'Erro no processamento em segundo plano'));
+      } else {
+        console.warn('Falha ao iniciar o Web Worker, processando na thread principal:', event.message);
+        this.runInline();
+      }
+    });
+
+    // O conteúdo do arquivo é copiado (não transferido) para permitir o fallback acima
+    this.worker.postMessage({ type: 'start', input: this.input });
+  }
+
+  /**
+   * @private
+   */
+  async runInline() {
+    this.controller = new AbortController();
+    const pipeline = new AnalysisPipeline({
+      signal: this.controller.signal,
+      onProgress: detail => {
+        if (this.status === 'running') this.emit('progress', detail);
+      }
+    });
+
+    try {
+      this.finish(await pipeline.run(this.input));
+    } catch (error) {
+      if (error.name !== 'AbortError') this.fail(error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  finish(result) {
+    if (this.status !== 'running') return;
+    this.status = 'completed';
+    this.cleanup();
+
+    this.emit('complete', { result });
+    this.resolveDone(result);
+  }
+
+  /**
+   * @private
+   */
+  fail(error) {
+    if (this.status !== 'running') return;
+    this.status = 'error';
+    this.cleanup();
+
+    this.emit('error', { error });
+    this.rejectDone(error);
+  }
+
+  /**
+   * @private
+   */
+  cleanup() {
+    this.worker?.terminate();
+    this.worker = null;
+    this.controller = null;
+  }
+
+  /**
+   * @private
+   */
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+}
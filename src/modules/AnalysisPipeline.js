@@ -0,0 +1,712 @@
+/**
+ * ⚙️ AnalysisPipeline - Etapas de processamento de uma planilha
+ *
+ * Responsável por:
+ * - Ler o arquivo (Excel, ODS, CSV, TSV, JSON, Parquet) ou receber dados já convertidos
+ *   (XML, SQLite, Google Sheets)
+ * - Combinar as abas escolhidas no seletor ou os arquivos do espaço de trabalho
+ *   (empilhados ou cruzados por chave), registrando a origem das linhas
+ * - Aplicar as etapas de limpeza do workbench (DataValidator.cleanData) antes da detecção
+ * - Reaplicar a receita de preparação salva para os cabeçalhos do arquivo (CleaningRecipes),
+ *   pulando e informando as etapas que não se aplicam às novas colunas (result.cleaning)
+ * - Detectar tipos de coluna (usando o formato das células do Excel como indício e os
+ *   perfis de mapeamento salvos pelo usuário), validar e limpar os dados
+ * - Calcular KPIs, insights e todas as análises avançadas
+ * - Informar o progresso de cada etapa e interromper quando cancelado
+ * - Ler CSVs grandes em blocos (Papa Parse), sem manter todas as linhas em memória
+ * - Ler CSVs com o dialeto detectado ou escolhido pelo usuário (delimitador, codificação,
+ *   vírgula decimal, ordem das datas), ver DialectDetector
+ *
+ * No CSV em blocos, os KPIs e agrupamentos são acumulados pelo IncrementalAnalytics
+ * sobre todas as linhas; validação, insights e análises avançadas usam uma amostra
+ * aleatória de até MAX_SAMPLE_ROWS linhas (informada em result.sampling). As etapas de
+ * limpeza (do workbench ou da receita) são aplicadas a cada bloco antes de somar os KPIs.
+ * Só as etapas que dependem de todas as linhas (média, mediana, outliers) ficam para a amostra;
+ * nesse caso os KPIs também vêm da amostra (result.sampling.estimated).
+ *
+ * Não usa DOM: roda dentro do Web Worker (workers/analysis.worker.js) ou,
+ * sem suporte a workers, na thread principal via AnalysisJob.
+ * Os gráficos ficam de fora: a configuração do Chart.js contém funções,
+ * que não podem ser enviadas de volta pelo postMessage.
+ *
+ * @class AnalysisPipeline
+ * @author Carlos Antonio de Oliveira Piquet
+ * @version 1.0.0
+ */
+
+import Papa from 'papaparse';
+import { ExcelParser } from './ExcelParser.js';
+import { JSONParser } from './JSONParser.js';
+import { ParquetParser } from './ParquetParser.js';
+import { DatasetCombiner, CombineMode, DEFAULT_SOURCE_COLUMN } from './DatasetCombiner.js';
+import { DialectDetector, csvParseOptions } from './DialectDetector.js';
+import { ColumnTypeDetector } from './ColumnTypeDetector.js';
+import { findProfile, matchProfileColumns } from './ColumnMappingProfiles.js';
+import { findRecipe } from './CleaningRecipes.js';
+import { DataValidator, CleaningAction } from './DataValidator.js';
+import { AnalyticsEngine } from './AnalyticsEngine.js';
+import { IncrementalAnalytics } from './IncrementalAnalytics.js';
+import { InsightsGenerator } from './InsightsGenerator.js';
+import { MLEngine } from './MLEngine.js';
+import { RFMAnalyzer } from './RFMAnalyzer.js';
+import { CohortAnalyzer } from './CohortAnalyzer.js';
+import { CorrelationAnalyzer } from './CorrelationAnalyzer.js';
+import { GeoAnalyzer } from './GeoAnalyzer.js';
+import { MarketBasketAnalyzer } from './MarketBasketAnalyzer.js';
+import { ChurnAnalyzer } from './ChurnAnalyzer.js';
+import { TimeSeriesAnalyzer } from './TimeSeriesAnalyzer.js';
+import { ProcessingStatus } from '../types/enums.js';
+
+/**
+ * Análises avançadas, na ordem de execução
+ * O percentual de progresso é distribuído igualmente entre elas
+ */
+const ADVANCED_ANALYZERS = [
+  { key: 'ml', label: 'Machine Learning', run: (data, meta, analytics) => new MLEngine().analyzeAll(data, meta, analytics) },
+  { key: 'rfm', label: 'RFM', run: (data, meta) => new RFMAnalyzer().analyze(data, meta) },
+  { key: 'cohort', label: 'coortes', run: (data, meta) => new CohortAnalyzer().analyze(data, meta) },
+  { key: 'correlation', label: 'correlações', run: (data, meta) => new CorrelationAnalyzer().analyze(data, meta) },
+  { key: 'geo', label: 'geografia', run: (data, meta) => new GeoAnalyzer().analyze(data, meta) },
+  { key: 'marketBasket', label: 'cesta de compras', run: (data, meta) => new MarketBasketAnalyzer().analyze(data, meta) },
+  { key: 'churn', label: 'churn', run: (data, meta) => new ChurnAnalyzer().analyze(data, meta) },
+  { key: 'timeSeries', label: 'séries temporais', run: (data, meta, analytics) => new TimeSeriesAnalyzer().analyze(data, meta, analytics) }
+];
+
+// Progresso (%) ao fim de cada etapa
+const PROGRESS = {
+  read: 15,
+  detect: 25,
+  validate: 35,
+  analyze: 50,
+  insights: 60,
+  advanced: 100
+};
+
+// Linhas mantidas em memória no CSV em blocos; acima disso, amostra aleatória
+export const MAX_SAMPLE_ROWS = 100000;
+
+// Coluna com o arquivo de origem de cada linha ao empilhar arquivos
+const FILE_SOURCE_COLUMN = 'Arquivo';
+
+// Leitura de CSV pelo Papa Parse: mesmos cabeçalhos e células vazias do ExcelParser
+// (delimitador, codificação e normalização dos valores vêm do dialeto, ver csvParseOptions)
+const CSV_OPTIONS = {
+  header: true,
+  skipEmptyLines: 'greedy',
+  transformHeader: (header, index) => header.trim() || `Coluna_${index + 1}`,
+  transform: value => value === '' ? null : value
+};
+
+// Linhas do início do CSV usadas para detectar os tipos de coluna antes de acumular os KPIs
+const DETECTION_ROWS = 10000;
+
+export class AnalysisPipeline {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onProgress - ({ step, status, message, progress, phase }) => void
+   * @param {AbortSignal} options.signal - Interrompe o processamento entre as etapas
+   */
+  constructor({ onProgress = () => {}, signal = null } = {}) {
+    this.onProgress = onProgress;
+    this.signal = signal;
+  }
+
+  /**
+   * Executa todas as etapas
+   * @param {Object} input
+   * @param {string} input.format - excel, csv, json ou parquet (quando payload é o conteúdo do arquivo)
+   * @param {ArrayBuffer|string|Blob} input.payload - Conteúdo lido pelo FileUploadManager (CSV: o próprio File)
+   * @param {Array<Object>} input.data - Linhas já convertidas (dispensa format/payload)
+   * @param {Object} input.sheets - Abas do Excel a analisar { mode, sheets, joins, type } (padrão: primeira aba com dados)
+   * @param {Array<Object>} input.files - Arquivos do espaço de trabalho [{ name, format, payload, dialect } ou { name, data, columnHints }]
+   * @param {Object} input.combine - Como combinar os arquivos { mode, joins, type, sourceColumn } (ver combine)
+   *   sourceColumn: coluna com a origem de cada linha ao empilhar (padrão: Arquivo)
+   * @param {Object} input.excelOptions - Opções do ExcelParser { excludeHiddenRows, excludeSubtotalRows }
+   * @param {Object} input.dialect - Dialeto do CSV (padrão: detectado pelo DialectDetector)
+   * @param {Object} input.jsonOptions - Registros do JSON { path, explode } (ver JSONParser.parseJSON)
+   * @param {Object} input.columnHints - Tipo indicado pela origem das linhas já convertidas { [coluna]: { type } }
+   *   (ex.: preset de NF-e do XMLParser)
+   * @param {Object} input.columnTypes - Tipo escolhido pelo usuário por coluna { [coluna]: ColumnType }
+   * @param {Array<Object>} input.mappingProfiles - Perfis de mapeamento salvos (ver ColumnMappingProfiles);
+   *   o perfil com a mesma assinatura de cabeçalhos define os tipos das colunas
+   * @param {Array<Object>} input.cleaningSteps - Etapas de limpeza aplicadas às linhas lidas (ver DataValidator.cleanData);
+   *   sem etapas informadas, é reaplicada a receita de input.recipes
+   * @param {Array<Object>} input.recipes - Receitas salvas (ver CleaningRecipes)
+   * @param {string} input.recipeId - Receita a aplicar (padrão: findRecipe pelos cabeçalhos)
+   * @returns {Promise<Object>} { data, columnMetadata, validation, analytics, insights, advancedAnalytics, sampling, source, excludedRows, dialect, mappingProfile, cleaning }
+   */
+  async run({ format, payload, data: rows = null, sheets = null, files = null, combine = null, excelOptions = {}, dialect = null, jsonOptions = {}, columnHints = {}, columnTypes = {}, mappingProfiles = [], cleaningSteps = null, recipes = [], recipeId = null } = {}) {
+    this.excelOptions = excelOptions;
+    this.jsonOptions = jsonOptions;
+    this.columnHints = { ...columnHints };
+    this.dialect = dialect;
+    this.columnTypes = columnTypes;
+    this.mappingProfiles = mappingProfiles;
+    this.mappingProfile = null;
+    this.cleaningSteps = cleaningSteps;
+    this.recipes = recipes;
+    this.recipeId = recipeId;
+    this.cleaning = null;
+    this.excludedRows = { hidden: 0, subtotal: 0 };
+
+    // ETAPA 1: Leitura
+    this.report(1, 'processing', 'Lendo arquivo...', 0, ProcessingStatus.READING);
+
+    if (!rows && !sheets && format === 'csv' && this.isBlob(payload)) {
+      return this.runStreaming(payload, dialect);
+    }
+
+    let source = null;
+    if (files) {
+      source = { kind: 'files', mode: combine?.mode, ...await this.combineFiles(files, combine) };
+    } else if (sheets) {
+      source = { kind: 'sheets', mode: sheets.mode, ...this.combineSheets(payload, sheets) };
+    }
+    const raw = rows || source?.data || await this.parse(format, payload, dialect);
+
+    if (!raw || raw.length === 0) {
+      throw new Error('Nenhum dado encontrado no arquivo');
+    }
+    const data = this.clean(raw);
+    if (data.length === 0) {
+      throw new Error('Nenhuma linha restou após a limpeza');
+    }
+    this.report(1, 'completed', rows ? 'Dados importados!' : 'Leitura concluída!', PROGRESS.read);
+    await this.checkpoint();
+
+    const result = await this.analyze(data, null, this.columnHints);
+    result.cleaning = this.cleaning;
+    if (this.mappingProfile) {
+      result.mappingProfile = this.mappingProfile;
+    }
+    if (source) {
+      result.source = { kind: source.kind, mode: source.mode, lineage: source.lineage };
+    }
+    if (this.excludedRows.hidden + this.excludedRows.subtotal > 0) {
+      result.excludedRows = this.excludedRows;
+    }
+    return result;
+  }
+
+  /**
+   * Lê um CSV em blocos, acumulando os KPIs de todas as linhas
+   * Arquivos com até MAX_SAMPLE_ROWS linhas seguem o caminho normal, com o mesmo resultado
+   * @private
+   * @param {Blob} file
+   * @param {Object} dialect - Dialeto do CSV (null para detectar)
+   */
+  async runStreaming(file, dialect = null) {
+    dialect = dialect || await new DialectDetector().detectFile(file);
+    this.dialect = dialect;
+    const { sample, totalRows, columnMetadata, engine, cleanedInChunks } = await this.streamCSV(file, dialect);
+
+    if (totalRows === 0) {
+      throw new Error(cleanedInChunks ? 'Nenhuma linha restou após a limpeza' : 'Nenhum dado encontrado no arquivo');
+    }
+
+    const sampled = totalRows > sample.length;
+    const message = sampled
+      ? `${this.formatCount(totalRows)} linhas lidas (amostra de ${this.formatCount(sample.length)})`
+      : 'Leitura concluída!';
+    // Etapas que dependem de todas as linhas são aplicadas só à amostra
+    const rows = cleanedInChunks ? sample : this.clean(sample);
+    const cleaned = this.cleaning.steps.length > 0;
+    if (rows.length === 0) {
+      throw new Error('Nenhuma linha restou após a limpeza');
+    }
+    this.report(1, 'completed', message, PROGRESS.read);
+    await this.checkpoint();
+
+    // Sem amostragem, a análise usa todas as linhas, como nos demais formatos; limpeza só da
+    // amostra muda valores e colunas, e os agregados das linhas lidas deixam de valer
+    const estimated = sampled && cleaned && !cleanedInChunks;
+    const result = await this.analyze(rows, sampled && !estimated ? { columnMetadata, engine } : null);
+    if (sampled) {
+      result.sampling = { sampled: true, totalRows, sampleRows: rows.length, cleaned, estimated };
+    }
+    result.dialect = dialect;
+    result.cleaning = this.cleaning;
+    if (this.mappingProfile) {
+      result.mappingProfile = this.mappingProfile;
+    }
+    return result;
+  }
+
+  /**
+   * Percorre o CSV com o Papa Parse, um bloco por vez
+   * Cada bloco é limpo (quando todas as etapas podem ser aplicadas por bloco), somado ao
+   * IncrementalAnalytics e entra na amostra (reservoir sampling), depois é descartado.
+   * Os tipos de coluna são detectados no início do primeiro bloco, já limpo.
+   * @private
+   * @param {Blob} file
+   * @param {Object} dialect
+   * @returns {Promise<Object>} { sample, totalRows, columnMetadata, engine, cleanedInChunks }
+   */
+  streamCSV(file, dialect) {
+    const sample = [];
+    let totalRows = 0;
+    let columnMetadata = null;
+    let engine = null;
+    let cleanChunk;
+    let failure = null;
+
+    return new Promise((resolve, reject) => {
+      Papa.parse(file, {
+        ...CSV_OPTIONS,
+        ...csvParseOptions(dialect),
+        chunk: (results, parser) => {
+          let rows = results.data;
+
+          try {
+            if (cleanChunk === undefined && rows.length > 0) {
+              cleanChunk = this.chunkCleaner(results.meta.fields || Object.keys(rows[0]));
+            }
+            if (cleanChunk) {
+              rows = cleanChunk(rows);
+            }
+          } catch (error) {
+            // Erro na limpeza (ex.: receita não encontrada): interrompe a leitura
+            failure = error;
+            parser.abort();
+            return;
+          }
+
+          if (!engine && rows.length > 0) {
+            const headers = cleanChunk ? Object.keys(rows[0]) : results.meta.fields || Object.keys(rows[0]);
+            columnMetadata = new ColumnTypeDetector().detectAllColumns(rows.slice(0, DETECTION_ROWS), headers, {}, this.resolveColumnTypes(headers));
+            engine = new IncrementalAnalytics(columnMetadata);
+          }
+
+          engine?.add(rows);
+          rows.forEach(row => {
+            if (sample.length < MAX_SAMPLE_ROWS) {
+              sample.push(row);
+            } else {
+              const index = Math.floor(Math.random() * (totalRows + 1));
+              if (index < MAX_SAMPLE_ROWS) sample[index] = row;
+            }
+            totalRows++;
+          });
+
+          const read = file.size > 0 ? results.meta.cursor / file.size : 1;
+          this.report(1, 'processing', `Lendo arquivo... ${this.formatCount(totalRows)} linhas`, Math.min(read, 1) * PROGRESS.read);
+
+          // Pausa entre os blocos: atualiza a tela (thread principal) e permite cancelar
+          parser.pause();
+          setTimeout(() => {
+            if (this.signal?.aborted) parser.abort();
+            else parser.resume();
+          }, 0);
+        },
+        complete: (results) => {
+          if (failure) {
+            reject(failure);
+          } else if (results?.meta?.aborted || this.signal?.aborted) {
+            reject(new DOMException('Análise cancelada pelo usuário', 'AbortError'));
+          } else {
+            resolve({ sample, totalRows, columnMetadata, engine, cleanedInChunks: Boolean(cleanChunk) });
+          }
+        },
+        error: (error) => reject(new Error(`Erro ao ler o CSV: ${error.message || error}`))
+      });
+    });
+  }
+
+  /**
+   * Etapas 2 a 5 sobre as linhas já lidas
+   * @private
+   * @param {Array<Object>} data
+   * @param {Object} streamed - { columnMetadata, engine } do CSV em blocos (data é uma amostra)
+   * @param {Object} columnHints - Formato das células por coluna (ver ExcelParser.getColumnFormats)
+   */
+  async analyze(data, streamed = null, columnHints = {}) {
+    // ETAPA 2: Detecção de tipos
+    this.report(2, 'processing', 'Detectando colunas...', PROGRESS.read, ProcessingStatus.DETECTING);
+    const headers = Object.keys(data[0] || {});
+    const columnMetadata = streamed?.columnMetadata ||
+      new ColumnTypeDetector().detectAllColumns(data, headers, columnHints, this.resolveColumnTypes(headers));
+    this.report(2, 'completed', `${headers.length} colunas detectadas!`, PROGRESS.detect);
+    await this.checkpoint();
+
+    // ETAPA 3: Validação
+    this.report(3, 'processing', 'Validando dados...', PROGRESS.detect, ProcessingStatus.VALIDATING);
+    const validator = new DataValidator();
+    const validation = validator.validate(data, columnMetadata);
+    const cleanData = validator.cleanData(data, [CleaningAction.REMOVE_EMPTY_ROWS]);
+    this.report(3, 'completed', 'Dados validados!', PROGRESS.validate);
+    await this.checkpoint();
+
+    // ETAPA 4: Análise
+    this.report(4, 'processing', 'Gerando análises...', PROGRESS.validate, ProcessingStatus.ANALYZING);
+    // No CSV em blocos, os KPIs vêm dos agregados de todas as linhas, não da amostra
+    const analytics = (streamed?.engine || new AnalyticsEngine(cleanData, columnMetadata)).analyzeAll();
+    this.report(4, 'completed', `${analytics.kpis.length} KPIs gerados!`, PROGRESS.analyze);
+    await this.checkpoint();
+
+    // ETAPA 5: Insights e análises avançadas
+    this.report(5, 'processing', 'Criando insights...', PROGRESS.analyze, ProcessingStatus.GENERATING_INSIGHTS);
+    const insights = new InsightsGenerator(cleanData, columnMetadata, analytics).generateAll();
+    analytics.insights = insights;
+    await this.checkpoint();
+
+    const advancedAnalytics = {};
+    const share = (PROGRESS.advanced - PROGRESS.insights) / ADVANCED_ANALYZERS.length;
+
+    for (const [index, analyzer] of ADVANCED_ANALYZERS.entries()) {
+      this.report(5, 'processing', `Análise avançada: ${analyzer.label}...`, PROGRESS.insights + share * index);
+      advancedAnalytics[analyzer.key] = analyzer.run(cleanData, columnMetadata, analytics);
+      await this.checkpoint();
+    }
+
+    this.report(5, 'completed', `${insights.length} insights criados!`, PROGRESS.advanced);
+
+    return {
+      data: cleanData,
+      columnMetadata,
+      validation: {
+        isValid: validation.isValid,
+        errors: validation.errors,
+        warnings: validation.warnings,
+        suggestions: validation.suggestions
+      },
+      analytics,
+      insights,
+      advancedAnalytics,
+      sampling: { sampled: false, totalRows: cleanData.length, sampleRows: cleanData.length }
+    };
+  }
+
+  /**
+   * Aplica as etapas de limpeza do workbench ou, sem etapas informadas, a receita salva
+   * para os cabeçalhos lidos
+   * Guarda em this.cleaning as etapas aplicadas, os cabeçalhos originais, a receita
+   * (com as etapas puladas) e as opções da limpeza, para o workbench e para salvar novas receitas
+   * @private
+   * @param {Array<Object>} data
+   * @returns {Array<Object>}
+   */
+  clean(data) {
+    const headers = Object.keys(data[0] || {});
+    const validator = new DataValidator();
+    const options = this.cleaningOptions();
+    const { steps, recipe } = this.cleaningPlan(headers);
+
+    if (steps.length === 0) {
+      this.recordCleaning(headers, steps, recipe);
+      return data;
+    }
+
+    if (!recipe) {
+      this.recordCleaning(headers, steps, null);
+      this.report(1, 'processing', `Aplicando ${steps.length} etapa(s) de limpeza...`, PROGRESS.read);
+      return validator.cleanData(data, steps, options);
+    }
+
+    this.report(1, 'processing', `Reaplicando a receita "${recipe.name}"...`, PROGRESS.read);
+    const { data: cleaned, applied, skipped } = validator.replayCleaning(data, steps, options);
+    this.recordCleaning(headers, applied, recipe, skipped);
+    return cleaned;
+  }
+
+  /**
+   * Limpeza bloco a bloco do CSV em blocos (mesmas etapas de clean), para os KPIs acumulados
+   * valerem para o arquivo inteiro
+   * Retorna null sem etapas ou quando alguma depende de todas as linhas (ver
+   * DataValidator.createChunkCleaner): a limpeza fica para a amostra
+   * @private
+   * @param {Array<string>} headers - Cabeçalhos do CSV
+   * @returns {Function|null} (rows) => linhas limpas
+   */
+  chunkCleaner(headers) {
+    const { steps, recipe } = this.cleaningPlan(headers);
+    const cleanChunk = steps.length > 0
+      ? new DataValidator().createChunkCleaner(steps, this.cleaningOptions())
+      : null;
+    if (!cleanChunk) return null;
+
+    this.report(1, 'processing', recipe
+      ? `Reaplicando a receita "${recipe.name}" a cada bloco...`
+      : `Aplicando ${steps.length} etapa(s) de limpeza a cada bloco...`, 0);
+
+    return (rows) => {
+      const { data, applied, skipped } = cleanChunk(rows);
+      if (!this.cleaning) {
+        // Etapas do workbench já foram pré-visualizadas: etapa inválida interrompe, como em cleanData
+        if (!recipe && skipped.length > 0) throw new Error(skipped[0].reason);
+        this.recordCleaning(headers, applied, recipe, skipped);
+      }
+      return data;
+    };
+  }
+
+  /**
+   * Etapas de limpeza a aplicar: as do workbench ou, sem etapas informadas, as da receita
+   * escolhida ou salva para os cabeçalhos
+   * @private
+   * @param {Array<string>} headers
+   * @returns {Object} { steps, recipe }
+   */
+  cleaningPlan(headers) {
+    if (this.cleaningSteps) {
+      return { steps: this.cleaningSteps, recipe: null };
+    }
+
+    const recipe = this.recipeId
+      ? this.recipes.find(item => item.id === this.recipeId)
+      : findRecipe(this.recipes, headers);
+    if (this.recipeId && !recipe) {
+      throw new Error('Receita não encontrada');
+    }
+    return { steps: recipe?.steps || [], recipe: recipe || null };
+  }
+
+  /**
+   * @private
+   */
+  recordCleaning(headers, steps, recipe, skipped = []) {
+    this.cleaning = {
+      steps,
+      headers,
+      recipe: recipe && {
+        id: recipe.id,
+        name: recipe.name,
+        skipped: skipped.map(({ description, reason }) => ({ description, reason })),
+      },
+      options: this.cleaningOptions(),
+    };
+  }
+
+  /**
+   * Opções da limpeza (ver DataValidator.cleanData): ordem das datas do CSV lido e
+   * formato das células do Excel
+   * @private
+   * @returns {Object} { dateOrder, columnHints }
+   */
+  cleaningOptions() {
+    return { dateOrder: this.dialect?.dateOrder, columnHints: { ...this.columnHints } };
+  }
+
+  /**
+   * Tipos escolhidos pelo usuário: os do perfil de mapeamento com a mesma assinatura de
+   * cabeçalhos, completados pelos informados em input.columnTypes
+   * @private
+   * @param {Array<string>} headers
+   * @returns {Object} { [coluna]: ColumnType }
+   */
+  resolveColumnTypes(headers) {
+    const profile = findProfile(this.mappingProfiles || [], headers);
+    if (!profile) {
+      return { ...this.columnTypes };
+    }
+    this.mappingProfile = { id: profile.id, name: profile.name };
+    return { ...matchProfileColumns(profile, headers).columnTypes, ...this.columnTypes };
+  }
+
+  /**
+   * Converte o conteúdo do arquivo em linhas
+   * @private
+   * @param {string} format
+   * @param {ArrayBuffer|string|Blob} payload
+   * @param {Object} dialect - Dialeto do CSV (null para detectar)
+   */
+  async parse(format, payload, dialect = null) {
+    switch (format) {
+      case 'csv':
+        if (this.isBlob(payload)) {
+          return this.parseCSVFile(payload, dialect);
+        }
+        // CSV já lido como texto é processado pelo SheetJS, como no Excel
+        // falls through
+      case 'excel': {
+        const parser = new ExcelParser(this.excelOptions);
+        parser.readWorkbook(payload);
+        const sheet = parser.getFirstValidSheet();
+        this.collectSheetInfo(sheet.metadata);
+        return sheet.data;
+      }
+
+      case 'json': {
+        const result = await new JSONParser().parseJSON(payload, this.jsonOptions);
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        return result.data;
+      }
+
+      case 'parquet': {
+        const result = await new ParquetParser().parseParquet(payload);
+        this.collectSheetInfo(result.metadata);
+        return result.data;
+      }
+
+      default:
+        throw new Error(`Formato não suportado: ${format}`);
+    }
+  }
+
+  /**
+   * Lê as abas escolhidas no seletor e as combina em uma única tabela
+   * @private
+   * @param {ArrayBuffer} payload - Conteúdo do arquivo Excel
+   * @param {Object} selection - { mode, sheets: [nomes], joins, type } (ver combine)
+   * @returns {Object} { data, lineage }
+   */
+  combineSheets(payload, { sheets = [], ...options }) {
+    if (sheets.length === 0) {
+      throw new Error('Nenhuma aba selecionada');
+    }
+
+    const parser = new ExcelParser(this.excelOptions);
+    parser.readWorkbook(payload);
+
+    const load = (name) => {
+      try {
+        const processed = parser.processSheet(name);
+        this.collectSheetInfo(processed);
+        return { name, data: processed.data };
+      } catch (error) {
+        throw new Error(`Aba "${name}": ${error.message}`);
+      }
+    };
+
+    return this.combine(sheets.map(load), options, DEFAULT_SOURCE_COLUMN);
+  }
+
+  /**
+   * Lê cada arquivo do espaço de trabalho e os combina em uma única tabela
+   * @private
+   * @param {Array<Object>} files - [{ name, format, payload, dialect } ou { name, data }]
+   * @param {Object} options - { mode, joins, type, sourceColumn } (ver combine)
+   * @returns {Promise<Object>} { data, lineage }
+   */
+  async combineFiles(files, options = {}) {
+    if (!files.length) {
+      throw new Error('Nenhum arquivo no espaço de trabalho');
+    }
+
+    const datasets = [];
+    for (const [index, file] of files.entries()) {
+      this.report(1, 'processing', `Lendo ${file.name} (${index + 1}/${files.length})...`, PROGRESS.read * index / files.length);
+
+      try {
+        datasets.push({ name: file.name, data: file.data || await this.parse(file.format, file.payload, file.dialect) });
+        if (file.columnHints) this.collectSheetInfo({ columnFormats: file.columnHints });
+      } catch (error) {
+        throw new Error(`${file.name}: ${error.message}`);
+      }
+      await this.checkpoint();
+    }
+
+    return this.combine(datasets, options, options.sourceColumn || FILE_SOURCE_COLUMN);
+  }
+
+  /**
+   * Combina tabelas já lidas
+   * @private
+   * @param {Array<Object>} datasets - [{ name, data }]; no cruzamento, a primeira é a principal
+   * @param {Object} options
+   * @param {string} options.mode - CombineMode
+   * @param {Array<Object>} options.joins - Uma chave por tabela de consulta: [{ leftKey, rightKey }]
+   * @param {string} options.type - JoinType
+   * @param {string} sourceColumn - Coluna com a origem de cada linha ao empilhar
+   * @returns {Object} { data, lineage }
+   */
+  combine(datasets, { mode = CombineMode.SINGLE, joins = [], type } = {}, sourceColumn) {
+    const combiner = new DatasetCombiner();
+
+    switch (mode) {
+      case CombineMode.APPEND:
+        return combiner.append(datasets, { sourceColumn, reconcile: true });
+
+      case CombineMode.JOIN: {
+        if (datasets.length < 2 || joins.length !== datasets.length - 1) {
+          throw new Error('Informe a tabela principal e a coluna-chave de cada tabela de consulta');
+        }
+
+        const lookups = datasets.slice(1).map((dataset, index) => ({ dataset, ...joins[index] }));
+        const result = combiner.joinAll(datasets[0], lookups, { type });
+
+        const noMatch = result.lineage.find(entry => entry.role === 'consulta' && entry.matched === 0);
+        if (result.data.length === 0 && noMatch) {
+          throw new Error(`Nenhuma correspondência entre ${noMatch.key} em "${noMatch.name}"`);
+        }
+        return result;
+      }
+
+      default: {
+        const [dataset] = datasets;
+        return { data: dataset.data, lineage: [{ name: dataset.name, rows: dataset.data.length }] };
+      }
+    }
+  }
+
+  /**
+   * Acumula o formato das colunas e as linhas ignoradas de cada aba lida
+   * Em colunas repetidas entre abas ou arquivos, vale o formato da primeira
+   * @private
+   * @param {Object} sheet - { excludedRows, columnFormats } (ver ExcelParser.processSheet)
+   */
+  collectSheetInfo({ excludedRows, columnFormats = {} }) {
+    Object.entries(columnFormats).forEach(([column, format]) => {
+      if (format.type && !this.columnHints[column]) this.columnHints[column] = format;
+    });
+
+    if (excludedRows) {
+      this.excludedRows.hidden += excludedRows.hidden;
+      this.excludedRows.subtotal += excludedRows.subtotal;
+    }
+  }
+
+  /**
+   * Lê um CSV inteiro com o Papa Parse (arquivos do espaço de trabalho)
+   * @private
+   * @param {Blob} file
+   * @param {Object} dialect - Dialeto do CSV (null para detectar)
+   * @returns {Promise<Array<Object>>}
+   */
+  async parseCSVFile(file, dialect = null) {
+    dialect = dialect || await new DialectDetector().detectFile(file);
+    // Vários CSVs no espaço de trabalho: vale a ordem das datas do primeiro
+    this.dialect = this.dialect || dialect;
+
+    return new Promise((resolve, reject) => {
+      Papa.parse(file, {
+        ...CSV_OPTIONS,
+        ...csvParseOptions(dialect),
+        complete: results => resolve(results.data),
+        error: error => reject(new Error(`Erro ao ler o CSV: ${error.message || error}`))
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  isBlob(payload) {
+    return typeof Blob !== 'undefined' && payload instanceof Blob;
+  }
+
+  /**
+   * @private
+   */
+  formatCount(value) {
+    return value.toLocaleString('pt-BR');
+  }
+
+  /**
+   * @private
+   */
+  report(step, status, message, progress, phase = null) {
+    this.onProgress({ step, status, message, progress: Math.round(progress), phase });
+  }
+
+  /**
+   * Devolve o controle ao event loop entre as etapas e interrompe se o job foi cancelado
+   * Na thread principal, é o que permite a tela atualizar e o botão Cancelar responder
+   * @private
+   */
+  async checkpoint() {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    this.signal?.throwIfAborted();
+  }
+}
@@ -8,6 +8,7 @@
  */
 
 import { ColumnType } from '../types/enums.js';
+import { parseLocaleNumber } from './DialectDetector.js';
 
 export class AnalyticsEngine {
   constructor(data, columnMetadata) {
@@ -78,7 +79,7 @@ export class AnalyticsEngine {
     this.addKPI({
       id: 'total_records',
       title: 'Total de Registros',
-      value: this.data.length,
+      value: this.getRecordCount(),
       icon: '📊',
       description: 'Quantidade total de linhas válidas',
       category: 'geral',
@@ -121,13 +122,12 @@ export class AnalyticsEngine {
    * Calcula KPIs financeiros
    */
   calculateFinancialKPIs(column) {
-    const values = this.getNumericValues(column.name);
+    const stats = this.getNumericStats(column.name);
     
-    if (values.length === 0) return;
+    if (!stats) return;
     
-    const sum = values.reduce((a, b) => a + b, 0);
-    const avg = sum / values.length;
-    const max = Math.max(...values);
+    const { sum, max } = stats;
+    const avg = sum / stats.count;
     
     // Total
     this.addKPI({
@@ -170,15 +170,9 @@ export class AnalyticsEngine {
    * Detecta receitas e despesas
    */
   detectRevenueExpense(columnName) {
-    // Procurar colunas que indiquem tipo de transação
-    const typeColumns = this.columnMetadata.filter(col => 
-      col.name.toLowerCase().includes('tipo') || 
-      col.name.toLowerCase().includes('category') ||
-      col.name.toLowerCase().includes('operação')
-    );
+    const typeCol = this.getTransactionTypeColumn();
     
-    if (typeColumns.length > 0) {
-      const typeCol = typeColumns[0].name;
+    if (typeCol) {
       const revenue = this.sumWhere(columnName, typeCol, 
         ['entrada', 'receita', 'revenue', 'income', 'venda', 'sale']
       );
@@ -228,17 +222,27 @@ export class AnalyticsEngine {
     }
   }
 
+  /**
+   * Coluna que indica o tipo de transação (entrada/saída), se houver
+   * @returns {string|null}
+   */
+  getTransactionTypeColumn() {
+    const typeColumn = this.columnMetadata.find(col => 
+      col.name.toLowerCase().includes('tipo') || 
+      col.name.toLowerCase().includes('category') ||
+      col.name.toLowerCase().includes('operação')
+    );
+    return typeColumn ? typeColumn.name : null;
+  }
+
   /**
    * Calcula KPIs de produtos
    */
   calculateProductKPIs(column) {
-    const products = this.data.map(row => row[column.name]).filter(Boolean);
-    const uniqueProducts = new Set(products);
-    
     this.addKPI({
       id: 'total_products',
       title: 'Total de Produtos',
-      value: uniqueProducts.size,
+      value: this.getUniqueCount(column.name),
       icon: '📦',
       description: 'Produtos únicos no catálogo',
       category: 'produtos',
@@ -264,13 +268,10 @@ export class AnalyticsEngine {
    * Calcula KPIs de funcionários
    */
   calculateEmployeeKPIs(column) {
-    const employees = this.data.map(row => row[column.name]).filter(Boolean);
-    const uniqueEmployees = new Set(employees);
-    
     this.addKPI({
       id: 'total_employees',
       title: 'Total de Funcionários',
-      value: uniqueEmployees.size,
+      value: this.getUniqueCount(column.name),
       icon: '👥',
       description: 'Funcionários ativos',
       category: 'equipe',
@@ -296,13 +297,10 @@ export class AnalyticsEngine {
    * Calcula KPIs de clientes
    */
   calculateClientKPIs(column) {
-    const clients = this.data.map(row => row[column.name]).filter(Boolean);
-    const uniqueClients = new Set(clients);
-    
     this.addKPI({
       id: 'total_clients',
       title: 'Total de Clientes',
-      value: uniqueClients.size,
+      value: this.getUniqueCount(column.name),
       icon: '🤝',
       description: 'Clientes únicos',
       category: 'clientes',
@@ -313,16 +311,11 @@ export class AnalyticsEngine {
    * Calcula KPIs temporais
    */
   calculateTimeKPIs(column) {
-    const dates = this.data
-      .map(row => row[column.name])
-      .filter(Boolean)
-      .map(d => new Date(d))
-      .filter(d => !isNaN(d));
+    const dateRange = this.getDateRange(column.name);
     
-    if (dates.length === 0) return;
+    if (!dateRange) return;
     
-    const minDate = new Date(Math.min(...dates));
-    const maxDate = new Date(Math.max(...dates));
+    const { min: minDate, max: maxDate } = dateRange;
     const range = Math.ceil((maxDate - minDate) / (1000 * 60 * 60 * 24));
     
     this.addKPI({
@@ -509,11 +502,57 @@ export class AnalyticsEngine {
       .filter(val => val !== null);
   }
 
+  // Acesso aos dados usado pelos KPIs. O IncrementalAnalytics sobrescreve estes
+  // métodos para responder a partir de agregados, sem manter as linhas em memória.
+
+  getRecordCount() {
+    return this.data.length;
+  }
+
+  /**
+   * Soma, quantidade e maior valor numérico da coluna (loop, sem Math.max(...) em arrays grandes)
+   * @returns {{sum: number, count: number, max: number}|null}
+   */
+  getNumericStats(columnName) {
+    let sum = 0;
+    let count = 0;
+    let max = -Infinity;
+    
+    this.data.forEach(row => {
+      const value = this.parseNumber(row[columnName]);
+      if (value === null) return;
+      sum += value;
+      count++;
+      if (value > max) max = value;
+    });
+    
+    return count > 0 ? { sum, count, max } : null;
+  }
+
+  getUniqueCount(columnName) {
+    return new Set(this.data.map(row => row[columnName]).filter(Boolean)).size;
+  }
+
+  /**
+   * @returns {{min: Date, max: Date}|null}
+   */
+  getDateRange(columnName) {
+    let min = null;
+    let max = null;
+    
+    this.data.forEach(row => {
+      if (!row[columnName]) return;
+      const date = new Date(row[columnName]);
+      if (isNaN(date)) return;
+      if (!min || date < min) min = date;
+      if (!max || date > max) max = date;
+    });
+    
+    return min ? { min, max } : null;
+  }
+
   parseNumber(value) {
-    if (value === null || value === '') return null;
-    const cleaned = String(value).replace(/[R$,%\s]/g, '').replace(',', '.');
-    const num = parseFloat(cleaned);
-    return isNaN(num) ? null : num;
+    return parseLocaleNumber(value);
   }
 
   formatCurrency(value) {
@@ -0,0 +1,180 @@
+/**
+ * 📜 CleaningRecipes - Receitas de preparação de dados
+ *
+ * Responsável por:
+ * - Guardar as etapas do workbench de limpeza como receita (JSON) para reaplicar
+ *   no próximo upload do mesmo relatório, antes da análise
+ * - Escolher a receita pela assinatura dos cabeçalhos ou, quando as colunas mudaram,
+ *   pela receita com mais colunas em comum com o novo arquivo
+ * - Validar receitas editadas ou importadas e exportá-las em JSON
+ * - Persistir as receitas no LocalStorage
+ *
+ * findRecipe e parseRecipe não usam DOM nem LocalStorage: rodam no worker,
+ * no AnalysisPipeline. As etapas que não se aplicam ao novo arquivo são puladas
+ * e informadas (DataValidator.replayCleaning).
+ *
+ * Receita: { id, name, signature, headers, steps: [etapa de limpeza], autoApply, updatedAt }
+ */
+
+import { normalizeHeader } from '../utils/text.js';
+import { headerSignature } from './ColumnMappingProfiles.js';
+import { CleaningAction } from './DataValidator.js';
+
+// Versão do formato exportado
+export const RECIPE_VERSION = 1;
+
+// Fração mínima das colunas da receita presentes no arquivo quando os cabeçalhos mudaram
+const MIN_SHARED_HEADERS = 0.5;
+
+/**
+ * Receita a reaplicar automaticamente nos cabeçalhos informados
+ * Primeiro a de mesma assinatura; depois a que tem mais colunas em comum (pelo menos metade)
+ * @param {Array<Object>} recipes
+ * @param {Array<string>} headers
+ * @returns {Object|null}
+ */
+export function findRecipe(recipes, headers) {
+  const automatic = recipes.filter(recipe => recipe.autoApply && recipe.steps?.length > 0);
+  const signature = headerSignature(headers);
+  const exact = automatic.find(recipe => recipe.signature === signature);
+  if (exact) return exact;
+
+  const present = new Set(headers.map(normalizeHeader));
+  const shared = (recipe) => {
+    return recipe.headers.filter(header => present.has(normalizeHeader(header))).length / recipe.headers.length;
+  };
+
+  return automatic
+    .filter(recipe => recipe.headers?.length > 0 && shared(recipe) >= MIN_SHARED_HEADERS)
+    .sort((a, b) => shared(b) - shared(a))[0] || null;
+}
+
+/**
+ * Valida uma receita editada ou importada
+ * Aceita a receita exportada ou apenas a lista de etapas
+ * @param {string|Object|Array} json
+ * @returns {Object} { name, headers, steps, autoApply }
+ */
+export function parseRecipe(json) {
+  let recipe = json;
+  if (typeof json === 'string') {
+    try {
+      recipe = JSON.parse(json);
+    } catch {
+      throw new Error('Receita inválida: o conteúdo não é um JSON válido');
+    }
+  }
+
+  const steps = Array.isArray(recipe) ? recipe : recipe?.steps;
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('Receita inválida: nenhuma etapa encontrada');
+  }
+
+  const actions = Object.values(CleaningAction);
+  const normalized = steps.map((step, index) => {
+    const item = typeof step === 'string' ? { action: step } : step;
+    if (!actions.includes(item?.action)) {
+      throw new Error(`Receita inválida: ação desconhecida na etapa ${index + 1} (${item?.action})`);
+    }
+    return item;
+  });
+
+  return {
+    name: typeof recipe.name === 'string' ? recipe.name : '',
+    headers: Array.isArray(recipe.headers) ? recipe.headers.map(String) : [],
+    steps: normalized,
+    autoApply: recipe.autoApply !== false,
+  };
+}
+
+export class CleaningRecipes {
+  constructor() {
+    this.storageKey = 'bi_analytics_cleaning_recipes';
+  }
+
+  /**
+   * @returns {Array<Object>} Receitas salvas
+   */
+  list() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+    } catch (error) {
+      console.error('Erro ao carregar receitas:', error);
+      return [];
+    }
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.list().find(recipe => recipe.id === id) || null;
+  }
+
+  /**
+   * Salva a receita; com id, substitui a existente
+   * @param {Object} recipe - { id, name, headers, steps, autoApply }
+   * @returns {Object} Receita salva
+   */
+  save({ id = null, name, headers = [], steps, autoApply = true }) {
+    const recipes = this.list();
+    const existing = id ? recipes.find(recipe => recipe.id === id) : null;
+
+    const recipe = {
+      id: existing?.id || this.generateId(),
+      name: name?.trim() || existing?.name || `Receita com ${steps.length} etapa(s)`,
+      signature: headerSignature(headers),
+      headers,
+      steps,
+      autoApply,
+      updatedAt: new Date().toISOString(),
+    };
+
+    this.saveToStorage([...recipes.filter(item => item !== existing), recipe]);
+    return recipe;
+  }
+
+  /**
+   * Importa uma receita exportada (sempre como nova receita)
+   * @param {string} json
+   * @returns {Object} Receita salva
+   */
+  import(json) {
+    return this.save(parseRecipe(json));
+  }
+
+  /**
+   * JSON da receita para download ou edição
+   * @param {Object} recipe
+   * @returns {string}
+   */
+  export({ name, headers, steps, autoApply }) {
+    return JSON.stringify({ version: RECIPE_VERSION, name, headers, steps, autoApply }, null, 2);
+  }
+
+  /**
+   * @param {string} id
+   */
+  delete(id) {
+    this.saveToStorage(this.list().filter(recipe => recipe.id !== id));
+  }
+
+  /**
+   * @private
+   */
+  generateId() {
+    return `recipe_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * @private
+   */
+  saveToStorage(recipes) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(recipes));
+    } catch (error) {
+      console.error('Erro ao salvar receitas:', error);
+    }
+  }
+}
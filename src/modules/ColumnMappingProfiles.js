@@ -0,0 +1,142 @@
+/**
+ * 🧭 ColumnMappingProfiles - Perfis de mapeamento de colunas
+ *
+ * Responsável por:
+ * - Guardar as correções feitas no assistente de mapeamento: tipo de cada coluna e
+ *   papel das colunas no template (data, valor, produto...)
+ * - Identificar o relatório pela assinatura dos cabeçalhos, para que o próximo upload
+ *   do mesmo relatório seja mapeado automaticamente
+ * - Persistir os perfis no LocalStorage
+ *
+ * A assinatura ignora maiúsculas, acentos, pontuação e a ordem das colunas (normalizeHeader).
+ * headerSignature, findProfile e matchProfileColumns não usam DOM nem LocalStorage: rodam
+ * no worker, no AnalysisPipeline.
+ *
+ * Perfil: { id, name, signature, headers, columnTypes: { [coluna]: ColumnType },
+ *           templateId, roles: { [papel]: coluna }, updatedAt }
+ */
+
+import { normalizeHeader } from '../utils/text.js';
+
+/**
+ * Assinatura dos cabeçalhos de um relatório
+ * @param {Array<string>} headers
+ * @returns {string}
+ */
+export function headerSignature(headers) {
+  return headers.map(normalizeHeader).sort().join('|');
+}
+
+/**
+ * Perfil salvo para os cabeçalhos informados
+ * @param {Array<Object>} profiles
+ * @param {Array<string>} headers
+ * @returns {Object|null}
+ */
+export function findProfile(profiles, headers) {
+  const signature = headerSignature(headers);
+  return profiles.find(profile => profile.signature === signature) || null;
+}
+
+/**
+ * Perfil com as colunas renomeadas para os cabeçalhos do arquivo atual
+ * A assinatura casa "Código" com "codigo"; os tipos e papéis do perfil usam os nomes
+ * do relatório salvo e precisam apontar para as colunas com o nome atual
+ * @param {Object} profile
+ * @param {Array<string>} headers
+ * @returns {Object} Perfil com columnTypes e roles nos cabeçalhos informados
+ */
+export function matchProfileColumns(profile, headers) {
+  const current = new Map(headers.map(header => [normalizeHeader(header), header]));
+  const rename = column => current.get(normalizeHeader(column)) ?? column;
+
+  return {
+    ...profile,
+    columnTypes: Object.fromEntries(Object.entries(profile.columnTypes || {}).map(([column, type]) => [rename(column), type])),
+    roles: Object.fromEntries(Object.entries(profile.roles || {}).map(([role, column]) => [role, rename(column)])),
+  };
+}
+
+export class ColumnMappingProfiles {
+  constructor() {
+    this.storageKey = 'bi_analytics_mapping_profiles';
+  }
+
+  /**
+   * @returns {Array<Object>} Perfis salvos
+   */
+  list() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+    } catch (error) {
+      console.error('Erro ao carregar perfis de mapeamento:', error);
+      return [];
+    }
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.list().find(profile => profile.id === id) || null;
+  }
+
+  /**
+   * @param {Array<string>} headers
+   * @returns {Object|null} Perfil com a mesma assinatura de cabeçalhos
+   */
+  findByHeaders(headers) {
+    return findProfile(this.list(), headers);
+  }
+
+  /**
+   * Salva o perfil, substituindo o de mesma assinatura
+   * @param {Object} profile - { name, headers, columnTypes, templateId, roles }
+   * @returns {Object} Perfil salvo
+   */
+  save({ name, headers, columnTypes = {}, templateId = null, roles = {} }) {
+    const signature = headerSignature(headers);
+    const profiles = this.list();
+    const existing = profiles.find(profile => profile.signature === signature);
+
+    const profile = {
+      id: existing?.id || this.generateId(),
+      name: name?.trim() || existing?.name || `Relatório com ${headers.length} colunas`,
+      signature,
+      headers,
+      columnTypes,
+      templateId,
+      roles,
+      updatedAt: new Date().toISOString(),
+    };
+
+    this.saveToStorage([...profiles.filter(item => item !== existing), profile]);
+    return profile;
+  }
+
+  /**
+   * @param {string} id
+   */
+  delete(id) {
+    this.saveToStorage(this.list().filter(profile => profile.id !== id));
+  }
+
+  /**
+   * @private
+   */
+  generateId() {
+    return `mapping_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * @private
+   */
+  saveToStorage(profiles) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(profiles));
+    } catch (error) {
+      console.error('Erro ao salvar perfis de mapeamento:', error);
+    }
+  }
+}
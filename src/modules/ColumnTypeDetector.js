@@ -3,11 +3,76 @@
  * Responsável por:
  * - Analisar amostras de dados
  * - Identificar tipo de cada coluna
+ * - Considerar o formato das células de origem (ex.: Excel) como indício de tipo
+ * - Respeitar o tipo escolhido pelo usuário no assistente de mapeamento (perfis de mapeamento)
  * - Calcular estatísticas básicas
  * - Gerar metadados detalhados
  */
 
 import { ColumnType } from '../types/enums.js';
+import { parseLocaleNumber } from './DialectDetector.js';
+import {
+  isValidCPF, isValidCNPJ, isValidCEP, isStateValue, isCoordinateValue, isValidURL, parseDuration,
+} from './SemanticFormats.js';
+
+// Confiança abaixo da qual a coluna é sinalizada para revisão (assistente de mapeamento)
+export const LOW_CONFIDENCE = 0.6;
+
+// Tipos pontuados, na ordem de desempate
+const SCORED_TYPES = [
+  ColumnType.DATE, ColumnType.CURRENCY, ColumnType.PERCENTAGE, ColumnType.CPF, ColumnType.CNPJ,
+  ColumnType.POSTAL_CODE, ColumnType.LATITUDE, ColumnType.LONGITUDE, ColumnType.URL, ColumnType.DURATION,
+  ColumnType.PRODUCT, ColumnType.EMPLOYEE, ColumnType.CLIENT, ColumnType.CITY, ColumnType.STATE,
+  ColumnType.SKU, ColumnType.EMAIL, ColumnType.PHONE, ColumnType.BOOLEAN, ColumnType.NUMBER,
+  ColumnType.CATEGORY, ColumnType.TEXT,
+];
+
+// Tipos reconhecidos pelo formato dos valores (SemanticFormats)
+const SEMANTIC_TYPES = [
+  ColumnType.CPF, ColumnType.CNPJ, ColumnType.POSTAL_CODE, ColumnType.STATE, ColumnType.CITY,
+  ColumnType.LATITUDE, ColumnType.LONGITUDE, ColumnType.URL, ColumnType.DURATION,
+];
+
+// Palavras no nome da coluna que indicam o tipo (expressões regulares para siglas curtas)
+const NAME_KEYWORDS = {
+  [ColumnType.DATE]: ['data', 'date', 'dia', 'day', 'mes', 'month', 'ano', 'year', 'periodo', 'period'],
+  [ColumnType.CURRENCY]: ['valor', 'price', 'preço', 'preco', 'total', 'receita', 'revenue', 'custo', 'cost', 'venda', 'sale'],
+  [ColumnType.PERCENTAGE]: ['percentual', 'percent', 'taxa', 'rate', '%'],
+  [ColumnType.PRODUCT]: ['produto', 'product'],
+  [ColumnType.EMPLOYEE]: ['funcionário', 'funcionario', 'employee', 'vendedor'],
+  [ColumnType.CLIENT]: ['cliente', 'client', 'customer'],
+  [ColumnType.SKU]: ['sku', 'código', 'codigo', 'code'],
+  [ColumnType.EMAIL]: ['email', 'e-mail'],
+  [ColumnType.PHONE]: ['telefone', 'phone', 'celular'],
+  [ColumnType.CPF]: ['cpf'],
+  [ColumnType.CNPJ]: ['cnpj'],
+  [ColumnType.POSTAL_CODE]: ['cep', 'zip', 'postal'],
+  [ColumnType.STATE]: ['uf', 'estado', 'state'],
+  [ColumnType.CITY]: ['cidade', 'municipio', 'município', 'city'],
+  [ColumnType.LATITUDE]: ['latitude', /(^|[^a-z])lat([^a-z]|$)/],
+  [ColumnType.LONGITUDE]: ['longitude', /(^|[^a-z])(lng|lon|long)([^a-z]|$)/],
+  [ColumnType.URL]: ['url', 'link', 'site'],
+  [ColumnType.DURATION]: ['duração', 'duracao', 'duration', 'tempo'],
+};
+
+// Peso do nome da coluna na pontuação (o restante vem dos valores)
+const NAME_WEIGHT = 0.35;
+
+// Acréscimo quando o formato da célula de origem confirma o tipo
+const HINT_BOOST = 0.5;
+
+// Quanto menor, mais a confiança se concentra no tipo de maior pontuação
+const SCORE_TEMPERATURE = 0.1;
+
+const DATE_PATTERNS = [
+  /^\d{4}-\d{2}-\d{2}/, // YYYY-MM-DD
+  /^\d{2}\/\d{2}\/\d{4}/, // DD/MM/YYYY
+  /^\d{2}-\d{2}-\d{4}/, // DD-MM-YYYY
+];
+const NUMERIC_PATTERN = /^[-+]?\s*(R\$|US\$|\$|€)?\s*[-+]?\d[\d.,]*\s*%?$/;
+const CURRENCY_SYMBOL = /^[-+]?\s*(R\$|US\$|\$|€)/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const BOOLEAN_VALUES = ['sim', 'não', 'yes', 'no', 'true', 'false', '1', '0', 'verdadeiro', 'falso'];
 
 export class ColumnTypeDetector {
   constructor() {
@@ -18,19 +83,24 @@ export class ColumnTypeDetector {
    * Detecta tipos de todas as colunas
    * @param {Array<Object>} data - Dados da planilha
    * @param {Array<string>} headers - Cabeçalhos
+   * @param {Object} hints - Formato de origem por coluna: { [coluna]: { type, format } }
+   *   (ver ExcelParser.getColumnFormats)
+   * @param {Object} overrides - Tipo escolhido pelo usuário por coluna: { [coluna]: ColumnType }
    * @returns {Array<Object>} Metadados das colunas
    */
-  detectAllColumns(data, headers) {
-    return headers.map(header => this.detectColumnType(data, header));
+  detectAllColumns(data, headers, hints = {}, overrides = {}) {
+    return headers.map(header => this.detectColumnType(data, header, hints[header], overrides[header]));
   }
 
   /**
    * Detecta o tipo de uma coluna específica
    * @param {Array<Object>} data - Dados da planilha
    * @param {string} columnName - Nome da coluna
+   * @param {Object} hint - Formato de origem da coluna { type, format } (opcional)
+   * @param {string} override - Tipo escolhido pelo usuário (opcional; vale mais que a detecção)
    * @returns {Object} Metadados da coluna
    */
-  detectColumnType(data, columnName) {
+  detectColumnType(data, columnName, hint = null, override = null) {
     const values = data.map(row => row[columnName]).filter(v => v !== null && v !== '');
     const samples = values.slice(0, this.sampleSize);
     
@@ -40,8 +110,11 @@ export class ColumnTypeDetector {
     const uniqueValues = [...new Set(values)];
     const uniqueCount = uniqueValues.length;
     
-    // Detectar tipo
-    const type = this.identifyType(samples, columnName);
+    // Detectar tipo (pontuação em todos os tipos)
+    const scores = this.scoreTypes(samples, columnName, hint?.type);
+    const detectedType = scores[0]?.type || ColumnType.UNKNOWN;
+    const type = override || detectedType;
+    const confidence = this.describeConfidence(scores, override);
     
     // Estatísticas específicas por tipo
     const stats = this.calculateTypeSpecificStats(values, type);
@@ -55,6 +128,9 @@ export class ColumnTypeDetector {
       uniqueCount,
       uniquePercentage: (uniqueCount / totalCount) * 100,
       samples: samples.slice(0, 5),
+      ...(hint?.type && { typeHint: hint.type, numberFormat: hint.format }),
+      ...(override && { detectedType, typeOverride: true }),
+      ...confidence,
       ...stats,
     };
   }
@@ -63,160 +139,234 @@ export class ColumnTypeDetector {
    * Identifica o tipo da coluna baseado em amostras
    * @param {Array} samples - Amostras de valores
    * @param {string} columnName - Nome da coluna
-   * @returns {string} Tipo identificado
+   * @param {string} typeHint - Tipo indicado pelo formato das células (opcional)
+   * @returns {string} Tipo identificado (o de maior pontuação, ver scoreTypes)
    */
-  identifyType(samples, columnName) {
-    if (samples.length === 0) return ColumnType.UNKNOWN;
+  identifyType(samples, columnName, typeHint = null) {
+    return this.scoreTypes(samples, columnName, typeHint)[0]?.type || ColumnType.UNKNOWN;
+  }
 
-    const columnLower = columnName.toLowerCase();
-    
-    // Verificar por nome da coluna primeiro
-    if (this.isDateColumn(columnLower)) {
-      if (this.validateDateValues(samples)) return ColumnType.DATE;
-    }
-    
-    if (this.isCurrencyColumn(columnLower)) {
-      if (this.validateNumericValues(samples)) return ColumnType.CURRENCY;
-    }
-    
-    if (this.isPercentageColumn(columnLower)) {
-      if (this.validateNumericValues(samples)) return ColumnType.PERCENTAGE;
-    }
-    
-    // Verificar tipos específicos por nome
-    if (columnLower.includes('produto') || columnLower.includes('product')) {
-      return ColumnType.PRODUCT;
+  /**
+   * Pontua a coluna em todos os tipos
+   * Cada tipo soma a evidência dos valores (padrões, cardinalidade, distribuição) e a
+   * do nome da coluna; a confiança é a pontuação normalizada entre os tipos (softmax),
+   * então dois tipos com pontuações próximas dividem a confiança.
+   * @param {Array} samples - Amostras de valores
+   * @param {string} columnName - Nome da coluna
+   * @param {string} typeHint - Tipo indicado pelo formato das células (opcional)
+   * @returns {Array<Object>} [{ type, score, confidence }], do mais provável ao menos provável
+   */
+  scoreTypes(samples, columnName, typeHint = null) {
+    if (samples.length === 0) return [];
+
+    // Códigos definidos pela origem (ex.: número da nota, CFOP na NF-e) não são números nem datas
+    if (typeHint === ColumnType.TEXT || typeHint === ColumnType.CATEGORY) {
+      return [{ type: typeHint, score: 1, confidence: 1 }];
     }
-    
-    if (columnLower.includes('funcionário') || columnLower.includes('funcionario') || 
-        columnLower.includes('employee') || columnLower.includes('vendedor')) {
-      return ColumnType.EMPLOYEE;
+
+    const values = this.profileValues(samples);
+    const name = columnName.toLowerCase();
+    const evidence = this.valueEvidence(values);
+    const matches = keyword => (keyword instanceof RegExp ? keyword.test(name) : name.includes(keyword));
+    const namedAs = type => NAME_KEYWORDS[type]?.some(matches) || false;
+
+    // Com nome de coordenada ("lat", "lon"), basta o valor estar na faixa: -22.91 tem poucas casas decimais
+    if (namedAs(ColumnType.LATITUDE)) {
+      evidence[ColumnType.LATITUDE] = Math.max(evidence[ColumnType.LATITUDE], values.latitudeRange * 0.7);
     }
-    
-    if (columnLower.includes('cliente') || columnLower.includes('client') || 
-        columnLower.includes('customer')) {
-      return ColumnType.CLIENT;
+    if (namedAs(ColumnType.LONGITUDE)) {
+      evidence[ColumnType.LONGITUDE] = Math.max(evidence[ColumnType.LONGITUDE], values.longitudeRange * 0.7);
     }
-    
-    if (columnLower.includes('sku') || columnLower.includes('código') || 
-        columnLower.includes('codigo') || columnLower.includes('code')) {
-      return ColumnType.SKU;
+
+    const scored = SCORED_TYPES.map(type => {
+      let score = evidence[type] * (1 - NAME_WEIGHT);
+      if (namedAs(type)) score += NAME_WEIGHT;
+      return { type, score };
+    });
+
+    // Formato da célula (data, moeda, %, número) vale mais que o nome da coluna
+    const boost = (types, amount) => scored
+      .filter(item => types.includes(item.type))
+      .forEach(item => { item.score += amount; });
+    if (typeHint === ColumnType.DATE && values.date > 0.7) {
+      boost([ColumnType.DATE], HINT_BOOST);
     }
-    
-    if (columnLower.includes('email') || columnLower.includes('e-mail')) {
-      if (this.validateEmailValues(samples)) return ColumnType.EMAIL;
+    if ((typeHint === ColumnType.CURRENCY || typeHint === ColumnType.PERCENTAGE) && values.numeric > 0.8) {
+      boost([typeHint], HINT_BOOST);
     }
-    
-    if (columnLower.includes('telefone') || columnLower.includes('phone') || 
-        columnLower.includes('celular')) {
-      return ColumnType.PHONE;
+    if (typeHint === ColumnType.NUMBER && values.numeric > 0.8) {
+      boost([ColumnType.NUMBER, ColumnType.CURRENCY, ColumnType.PERCENTAGE], HINT_BOOST / 2);
     }
-    
-    // Verificar por padrão dos valores
-    if (this.validateDateValues(samples)) return ColumnType.DATE;
-    if (this.validateBooleanValues(samples)) return ColumnType.BOOLEAN;
-    if (this.validateEmailValues(samples)) return ColumnType.EMAIL;
-    if (this.validatePhoneValues(samples)) return ColumnType.PHONE;
-    if (this.validateNumericValues(samples)) return ColumnType.NUMBER;
-    
-    // Verificar se é categoria (poucos valores únicos)
-    const uniqueRatio = new Set(samples).size / samples.length;
-    if (uniqueRatio < 0.5 && samples.length > 10) {
-      return ColumnType.CATEGORY;
+    // Tipos semânticos indicados pela origem (ex.: UF na NF-e), quando os valores não contradizem
+    if (SEMANTIC_TYPES.includes(typeHint) && evidence[typeHint] > 0.4) {
+      boost([typeHint], HINT_BOOST);
     }
-    
-    return ColumnType.TEXT;
-  }
 
-  /**
-   * Valida se os valores são datas
-   */
-  validateDateValues(samples) {
-    const datePatterns = [
-      /^\d{4}-\d{2}-\d{2}/, // YYYY-MM-DD
-      /^\d{2}\/\d{2}\/\d{4}/, // DD/MM/YYYY
-      /^\d{2}-\d{2}-\d{4}/, // DD-MM-YYYY
-    ];
-    
-    const validCount = samples.filter(val => {
-      const str = String(val);
-      return datePatterns.some(pattern => pattern.test(str)) || 
-             !isNaN(Date.parse(str));
-    }).length;
-    
-    return validCount / samples.length > 0.7;
+    // Empate: vale a ordem de SCORED_TYPES (sort estável)
+    scored.sort((a, b) => b.score - a.score);
+
+    const best = scored[0].score;
+    const weights = scored.map(item => Math.exp((item.score - best) / SCORE_TEMPERATURE));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    return scored.map((item, index) => ({
+      type: item.type,
+      score: Math.round(item.score * 1000) / 1000,
+      confidence: weights[index] / total,
+    }));
   }
 
   /**
-   * Valida se os valores são numéricos
+   * Confiança do tipo e segunda opção, para os metadados da coluna
+   * O tipo escolhido pelo usuário tem confiança total; a segunda opção passa a ser o detectado
+   * @private
+   * @param {Array<Object>} scores - Resultado de scoreTypes
+   * @param {string} override - Tipo escolhido pelo usuário (opcional)
+   * @returns {Object} { typeConfidence, runnerUpType, runnerUpConfidence, lowConfidence, typeScores }
    */
-  validateNumericValues(samples) {
-    const validCount = samples.filter(val => {
-      const cleaned = String(val).replace(/[R$,%\s]/g, '').replace(',', '.');
-      return !isNaN(parseFloat(cleaned));
-    }).length;
-    
-    return validCount / samples.length > 0.8;
+  describeConfidence(scores, override) {
+    if (scores.length === 0) return {};
+
+    const round = value => Math.round(value * 100) / 100;
+    const runnerUp = override
+      ? scores.find(item => item.type !== override)
+      : scores[1];
+    const typeConfidence = override ? 1 : scores[0].confidence;
+
+    return {
+      typeConfidence: round(typeConfidence),
+      runnerUpType: runnerUp?.type || null,
+      runnerUpConfidence: override || !runnerUp ? null : round(runnerUp.confidence),
+      lowConfidence: typeConfidence < LOW_CONFIDENCE,
+      typeScores: Object.fromEntries(scores.map(item => [item.type, round(item.confidence)])),
+    };
   }
 
   /**
-   * Valida se os valores são booleanos
+   * Evidência dos valores para cada tipo (0 a 1), sem considerar o nome da coluna
+   * @private
+   * @param {Object} values - Resultado de profileValues
+   * @returns {Object} { [tipo]: evidência }
    */
-  validateBooleanValues(samples) {
-    const booleanValues = ['sim', 'não', 'yes', 'no', 'true', 'false', '1', '0', 'verdadeiro', 'falso'];
-    const validCount = samples.filter(val => 
-      booleanValues.includes(String(val).toLowerCase())
-    ).length;
-    
-    return validCount / samples.length > 0.8;
+  valueEvidence(values) {
+    // Poucos valores distintos: categoria (exige amostra razoável; números e sim/não contam menos)
+    const grouping = values.count > 10 ? Math.max(0, (0.5 - values.uniqueRatio) / 0.5) : 0;
+    const category = grouping > 0 ? 0.5 + 0.5 * grouping : 0;
+    // Pessoas e produtos são nomes que se repetem: colunas numéricas (ex.: cliente_id) não entram aqui
+    const named = values.text * Math.max(category, 0.7) * 0.6;
+
+    return {
+      [ColumnType.DATE]: values.date,
+      [ColumnType.CURRENCY]: values.numeric * (values.currencySymbol > 0.5 ? 1 : 0.8),
+      [ColumnType.PERCENTAGE]: values.numeric * (values.percentSign > 0.5 ? 1 : values.unitRange ? 0.8 : 0.5),
+      [ColumnType.CPF]: values.cpf,
+      [ColumnType.CNPJ]: values.cnpj,
+      // CEP só com dígitos se confunde com números e códigos: depende do nome da coluna
+      [ColumnType.POSTAL_CODE]: values.cep * (values.numeric > 0.5 ? 0.7 : 1),
+      // Coordenadas sem nome de coluna são só números com muitas casas decimais
+      // (com nome de coordenada, scoreTypes aceita qualquer valor na faixa)
+      [ColumnType.LATITUDE]: values.latitude * 0.7,
+      [ColumnType.LONGITUDE]: values.longitude * 0.7,
+      [ColumnType.URL]: values.url,
+      // Números puros (ex.: "tempo_casa" em anos) só contam ao lado de valores com formato
+      // de duração ("01:30", "2h30min"); sem eles, o nome da coluna não basta
+      [ColumnType.DURATION]: values.duration > 0
+        ? Math.max(values.duration, Math.min(values.duration + values.numeric, 1) * 0.6)
+        : 0,
+      [ColumnType.PRODUCT]: named,
+      [ColumnType.EMPLOYEE]: named,
+      [ColumnType.CLIENT]: named,
+      [ColumnType.CITY]: named,
+      [ColumnType.STATE]: values.state,
+      // Códigos misturam letras e dígitos ou têm zeros à esquerda; números sequenciais contam pouco
+      [ColumnType.SKU]: Math.max(values.code, values.integer * (values.uniqueRatio > 0.9 ? 0.4 : 0.2)),
+      [ColumnType.EMAIL]: values.email,
+      [ColumnType.PHONE]: values.phone,
+      [ColumnType.BOOLEAN]: values.boolean * (values.distinct <= 2 ? 1 : 0.5),
+      [ColumnType.NUMBER]: values.numeric,
+      [ColumnType.CATEGORY]: category * (0.6 + 0.4 * values.text) * (1 - Math.max(values.boolean, values.state) / 2),
+      [ColumnType.TEXT]: Math.max(values.text * 0.85 * (1 - grouping / 2), 0.1),
+    };
   }
 
   /**
-   * Valida se os valores são emails
+   * Proporção das amostras que seguem cada padrão, cardinalidade e distribuição
+   * @private
+   * @param {Array} samples
+   * @returns {Object}
    */
-  validateEmailValues(samples) {
-    const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    const validCount = samples.filter(val => 
-      emailPattern.test(String(val))
-    ).length;
-    
-    return validCount / samples.length > 0.7;
+  profileValues(samples) {
+    const texts = samples.map(value => String(value).trim());
+    const numbers = samples.map(value => this.toNumber(value));
+    const count = samples.length;
+    const ratio = (test) => texts.filter(test).length / count;
+    const valid = numbers.filter(number => number !== null);
+    const distinct = new Set(texts.map(text => text.toLowerCase())).size;
+
+    return {
+      count,
+      distinct,
+      uniqueRatio: distinct / count,
+      numeric: valid.length / count,
+      integer: valid.filter(Number.isInteger).length / count,
+      unitRange: valid.length > 0 && valid.every(number => number >= 0 && number <= 1),
+      currencySymbol: ratio(text => CURRENCY_SYMBOL.test(text)),
+      percentSign: ratio(text => /%$/.test(text)),
+      date: ratio(text => this.isDateValue(text)),
+      boolean: ratio(text => BOOLEAN_VALUES.includes(text.toLowerCase())),
+      email: ratio(text => EMAIL_PATTERN.test(text)),
+      phone: ratio(text => this.isPhoneValue(text)),
+      code: ratio(text => this.isCodeValue(text)),
+      cpf: samples.filter(isValidCPF).length / count,
+      cnpj: samples.filter(isValidCNPJ).length / count,
+      cep: ratio(isValidCEP),
+      state: ratio(isStateValue),
+      latitude: ratio(text => isCoordinateValue(text, 90)),
+      longitude: ratio(text => isCoordinateValue(text, 180)),
+      latitudeRange: valid.filter(number => Math.abs(number) <= 90).length / count,
+      longitudeRange: valid.filter(number => Math.abs(number) <= 180).length / count,
+      url: ratio(isValidURL),
+      duration: ratio(text => parseDuration(text) !== null),
+      text: texts.filter((text, index) => numbers[index] === null && /\p{L}/u.test(text)).length / count,
+    };
   }
 
   /**
-   * Valida se os valores são telefones
+   * Número, se o valor for apenas numérico (aceita R$, %, milhar e vírgula decimal)
+   * Datas como 2024-01-05 não contam como número
+   * @private
    */
-  validatePhoneValues(samples) {
-    const phonePattern = /^[\d\s\-()]{8,}$/;
-    const validCount = samples.filter(val => 
-      phonePattern.test(String(val))
-    ).length;
-    
-    return validCount / samples.length > 0.7;
+  toNumber(value) {
+    if (typeof value === 'number') return isNaN(value) ? null : value;
+    return NUMERIC_PATTERN.test(String(value).trim()) ? parseLocaleNumber(value) : null;
   }
 
   /**
-   * Verifica se o nome da coluna indica data
+   * @private
    */
-  isDateColumn(name) {
-    const dateKeywords = ['data', 'date', 'dia', 'day', 'mes', 'month', 'ano', 'year', 'periodo', 'period'];
-    return dateKeywords.some(keyword => name.includes(keyword));
+  isDateValue(text) {
+    if (DATE_PATTERNS.some(pattern => pattern.test(text))) return true;
+    // Datas por extenso (ex.: "Jan 5, 2024"); números puros não são datas
+    return /[a-z]/i.test(text) && /\d{4}/.test(text) && !isNaN(Date.parse(text));
   }
 
   /**
-   * Verifica se o nome da coluna indica moeda
+   * @private
    */
-  isCurrencyColumn(name) {
-    const currencyKeywords = ['valor', 'price', 'preço', 'preco', 'total', 'receita', 'revenue', 'custo', 'cost', 'venda', 'sale'];
-    return currencyKeywords.some(keyword => name.includes(keyword));
+  isPhoneValue(text) {
+    if (!/^\+?[\d\s\-()]{8,}$/.test(text) || this.isDateValue(text)) return false;
+    if (isValidCPF(text) || isValidCNPJ(text) || isValidCEP(text)) return false;
+    const digits = text.replace(/\D/g, '').length;
+    // Sem separadores, só conta com DDD (10 ou mais dígitos)
+    return digits >= 8 && digits <= 13 && (/[\s\-()+]/.test(text) || digits >= 10);
   }
 
   /**
-   * Verifica se o nome da coluna indica porcentagem
+   * @private
    */
-  isPercentageColumn(name) {
-    const percentKeywords = ['percentual', 'percent', 'taxa', 'rate', '%'];
-    return percentKeywords.some(keyword => name.includes(keyword));
+  isCodeValue(text) {
+    if (text.length > 24 || /\s/.test(text) || parseDuration(text) !== null) return false;
+    return (/\d/.test(text) && /[a-z]/i.test(text) && /^[a-z0-9][a-z0-9\-_./]*$/i.test(text)) || /^0\d+$/.test(text);
   }
 
   /**
@@ -225,11 +375,13 @@ export class ColumnTypeDetector {
   calculateTypeSpecificStats(values, type) {
     const stats = {};
     
-    if (type === ColumnType.NUMBER || type === ColumnType.CURRENCY || type === ColumnType.PERCENTAGE) {
-      const numbers = values.map(v => {
-        const cleaned = String(v).replace(/[R$,%\s]/g, '').replace(',', '.');
-        return parseFloat(cleaned);
-      }).filter(n => !isNaN(n));
+    if (type === ColumnType.NUMBER || type === ColumnType.CURRENCY || type === ColumnType.PERCENTAGE ||
+        type === ColumnType.LATITUDE || type === ColumnType.LONGITUDE || type === ColumnType.DURATION) {
+      // Durações em segundos
+      const toNumber = type === ColumnType.DURATION
+        ? v => parseDuration(v) ?? parseLocaleNumber(v)
+        : v => parseLocaleNumber(v);
+      const numbers = values.map(toNumber).filter(n => n !== null);
       
       if (numbers.length > 0) {
         stats.min = Math.min(...numbers);
@@ -262,7 +414,8 @@ export class ColumnTypeDetector {
     }
     
     if (type === ColumnType.CATEGORY || type === ColumnType.PRODUCT || 
-        type === ColumnType.EMPLOYEE || type === ColumnType.CLIENT) {
+        type === ColumnType.EMPLOYEE || type === ColumnType.CLIENT ||
+        type === ColumnType.STATE || type === ColumnType.CITY) {
       const frequency = {};
       values.forEach(v => {
         frequency[v] = (frequency[v] || 0) + 1;
@@ -261,6 +261,14 @@ export class DashboardCustomizer {
     return true;
   }
 
+  /**
+   * Intervalo de auto-refresh do layout atual
+   * @returns {number|null} Intervalo em segundos (null se desabilitado)
+   */
+  getAutoRefresh() {
+    return this.layouts.get(this.currentLayout)?.refreshInterval || null;
+  }
+
   /**
    * Exporta layout como JSON
    * @param {string} name - Nome do layout
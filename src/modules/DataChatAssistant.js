@@ -0,0 +1,784 @@
+/**
+ * @fileoverview DataChatAssistant - "Pergunte aos seus dados"
+ * Traduz perguntas em português para operações do FilterManager / AnalyticsEngine,
+ * executa localmente e responde com texto, tabela e gráfico.
+ *
+ * Fluxo:
+ * 1. Interpretação: provedor de IA (plano JSON) ou parser de palavras-chave (offline)
+ * 2. Validação do plano contra as colunas carregadas
+ * 3. Execução local (filtros, intervalo de datas, top N, agrupamentos, crescimento)
+ */
+
+import { ColumnType } from '../types/enums.js';
+import { FilterManager } from './FilterManager.js';
+import { AnalyticsEngine } from './AnalyticsEngine.js';
+
+/**
+ * @typedef {Object} QueryPlan
+ * @property {string} operation - top_n | group_by | growth | timeline | aggregate
+ * @property {string|null} groupBy - Coluna de agrupamento
+ * @property {string|null} metric - Coluna numérica agregada (null = contagem)
+ * @property {string} aggregate - sum | avg | count
+ * @property {number} limit - Quantidade de linhas no resultado
+ * @property {string} order - desc | asc
+ * @property {{start: string, end: string, label: string}|null} dateRange - Período (ISO)
+ * @property {Array<{field: string, operator: string, value: any}>} filters - Filtros do FilterManager
+ */
+
+const OPERATIONS = ['top_n', 'group_by', 'growth', 'timeline', 'aggregate'];
+const AGGREGATES = ['sum', 'avg', 'count'];
+const FILTER_OPERATORS = ['equals', 'not_equals', 'contains', 'greater', 'less', 'greater_equal', 'less_equal'];
+
+const NUMERIC_TYPES = [ColumnType.CURRENCY, ColumnType.NUMBER, ColumnType.PERCENTAGE];
+const GROUPABLE_TYPES = [
+  ColumnType.EMPLOYEE, ColumnType.CLIENT, ColumnType.PRODUCT, ColumnType.CATEGORY,
+  ColumnType.SKU, ColumnType.TEXT, ColumnType.BOOLEAN, ColumnType.STATE, ColumnType.CITY
+];
+
+/**
+ * Palavras que identificam a entidade agrupada pelo tipo de coluna
+ */
+const ENTITY_KEYWORDS = [
+  { type: ColumnType.EMPLOYEE, pattern: /\b(vendedor(es|a|as)?|funcionari[oa]s?|colaborador(es|a|as)?|representantes?|atendentes?|equipe)\b/ },
+  { type: ColumnType.CLIENT, pattern: /\b(clientes?|compradores?|consumidores?)\b/ },
+  { type: ColumnType.PRODUCT, pattern: /\b(produtos?|itens|item|mercadorias?)\b/ },
+  { type: ColumnType.SKU, pattern: /\b(skus?|codigos?)\b/ },
+  { type: ColumnType.CATEGORY, pattern: /\b(categorias?|segmentos?|linhas?|grupos?|tipos?)\b/ },
+  { type: ColumnType.STATE, pattern: /\b(estados?|ufs?)\b/ },
+  { type: ColumnType.CITY, pattern: /\b(cidades?|municipios?)\b/ }
+];
+
+const MONTHS = ['janeiro', 'fevereiro', 'marco', 'abril', 'maio', 'junho', 'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'];
+const MONTH_LABELS = ['Jan', 'Fev', 'Mar', 'Abr', 'Mai', 'Jun', 'Jul', 'Ago', 'Set', 'Out', 'Nov', 'Dez'];
+
+export class DataChatAssistant {
+  /**
+   * @param {AIReportGenerator} aiReportGenerator - Fonte da configuração do provedor de IA
+   */
+  constructor(aiReportGenerator = null) {
+    this.aiReportGenerator = aiReportGenerator;
+    this.filterManager = new FilterManager();
+    this.data = [];
+    this.columnMetadata = [];
+    this.history = [];
+    this.maxHistory = 30;
+  }
+
+  /**
+   * Carrega o dataset consultado
+   * @param {Array<Object>} data - Dados processados
+   * @param {Array<Object>} columnMetadata - Metadados das colunas
+   */
+  initialize(data, columnMetadata) {
+    this.data = data || [];
+    this.columnMetadata = columnMetadata || [];
+    this.filterManager.initialize(this.data);
+    this.history = [];
+    this.referenceDate = this.findReferenceDate();
+  }
+
+  /**
+   * Responde uma pergunta sobre os dados
+   * @param {string} question - Pergunta em português
+   * @returns {Promise<Object>} Resposta { question, plan, source, text, table, chart }
+   */
+  async ask(question) {
+    if (!question || !question.trim()) {
+      throw new Error('Digite uma pergunta sobre os dados.');
+    }
+    if (this.data.length === 0) {
+      throw new Error('Nenhum dado carregado para consulta.');
+    }
+
+    let plan = null;
+    let source = 'keywords';
+
+    if (this.isAIAvailable()) {
+      try {
+        plan = await this.planWithAI(question);
+        source = 'ai';
+      } catch (error) {
+        console.warn('Interpretação via IA falhou. Usando parser de palavras-chave:', error.message);
+      }
+    }
+
+    if (!plan) {
+      plan = this.parseIntent(question);
+    }
+
+    const answer = { question, plan, source, ...this.executePlan(plan) };
+
+    this.history.push(answer);
+    if (this.history.length > this.maxHistory) this.history.shift();
+
+    return answer;
+  }
+
+  // ========== INTERPRETAÇÃO VIA IA ==========
+
+  /**
+   * Verifica se o provedor do relatório IA está configurado
+   */
+  isAIAvailable() {
+    return Boolean(this.aiReportGenerator?.isConfigured());
+  }
+
+  /**
+   * Pede ao provedor de IA um plano de consulta em JSON
+   * @param {string} question
+   * @returns {Promise<QueryPlan>}
+   */
+  async planWithAI(question) {
+    const { provider, redactor } = this.aiReportGenerator;
+
+    // Nomes de clientes/funcionários nos exemplos e na pergunta vão como pseudônimos
+    const messages = [
+      {
+        role: 'system',
+        content: 'Você é um TRADUTOR DE CONSULTAS: converte perguntas de negócio em um plano de consulta JSON. Responda somente com o JSON, sem comentários.'
+      },
+      {
+        role: 'user',
+        content: redactor.redact(this.buildPlannerPrompt(question))
+      }
+    ];
+
+    const response = await provider.complete(messages, { temperature: 0, maxTokens: 500 });
+    const raw = this.extractJSON(response, (_key, value) => (typeof value === 'string' ? redactor.rehydrate(value) : value));
+    return this.validatePlan(raw);
+  }
+
+  /**
+   * Monta o prompt com o esquema do dataset e o formato esperado do plano
+   */
+  buildPlannerPrompt(question) {
+    const columns = this.columnMetadata.map(col => {
+      const samples = GROUPABLE_TYPES.includes(col.type)
+        ? ` exemplos: ${this.getUniqueValues(col.name, 8).map(v => JSON.stringify(v)).join(', ')}`
+        : '';
+      return `- "${col.name}" (${col.type})${samples}`;
+    }).join('\n');
+
+    const reference = this.referenceDate
+      ? `Data mais recente do dataset: ${this.toISODate(this.referenceDate)} (use como "hoje").`
+      : 'O dataset não possui coluna de data.';
+
+    return `Colunas disponíveis:
+${columns}
+
+${reference}
+
+Formato do plano:
+{
+  "operation": "top_n" | "group_by" | "growth" | "timeline" | "aggregate",
+  "groupBy": "<coluna>" | null,
+  "metric": "<coluna numérica>" | null,
+  "aggregate": "sum" | "avg" | "count",
+  "limit": 10,
+  "order": "desc" | "asc",
+  "dateRange": { "start": "AAAA-MM-DD", "end": "AAAA-MM-DD", "label": "<descrição>" } | null,
+  "filters": [{ "field": "<coluna>", "operator": "equals" | "contains" | "greater" | "less", "value": "<valor>" }]
+}
+
+Regras:
+- "growth" compara o período de dateRange com o período anterior de mesma duração
+- "timeline" agrupa por mês
+- Use apenas nomes de colunas da lista
+
+Pergunta: ${question}`;
+  }
+
+  /**
+   * Extrai o primeiro objeto JSON de uma resposta de texto
+   * @param {string} text
+   * @param {Function} reviver - Repassado ao JSON.parse
+   */
+  extractJSON(text, reviver) {
+    const match = String(text || '').match(/\{[\s\S]*\}/);
+    if (!match) {
+      throw new Error('Resposta da IA sem JSON');
+    }
+    return JSON.parse(match[0], reviver);
+  }
+
+  /**
+   * Valida e normaliza um plano contra as colunas carregadas
+   * @param {Object} raw - Plano recebido
+   * @returns {QueryPlan}
+   */
+  validatePlan(raw) {
+    const columnNames = this.columnMetadata.map(col => col.name);
+    const hasColumn = name => name === null || name === undefined || columnNames.includes(name);
+
+    if (!raw || !OPERATIONS.includes(raw.operation)) {
+      throw new Error(`Operação inválida: ${raw?.operation}`);
+    }
+    if (!hasColumn(raw.groupBy) || !hasColumn(raw.metric)) {
+      throw new Error('Plano referencia coluna inexistente');
+    }
+
+    const filters = (Array.isArray(raw.filters) ? raw.filters : []).filter(f =>
+      columnNames.includes(f.field) && FILTER_OPERATORS.includes(f.operator)
+    );
+
+    let dateRange = null;
+    if (raw.dateRange?.start && raw.dateRange?.end) {
+      const start = this.parseDate(raw.dateRange.start);
+      const end = this.parseDate(raw.dateRange.end);
+      if (start && end) {
+        dateRange = this.buildRange(start, end, raw.dateRange.label || `${this.formatDate(start)} a ${this.formatDate(end)}`);
+      }
+    }
+
+    const plan = {
+      operation: raw.operation,
+      groupBy: raw.groupBy || null,
+      metric: raw.metric || null,
+      aggregate: AGGREGATES.includes(raw.aggregate) ? raw.aggregate : (raw.metric ? 'sum' : 'count'),
+      limit: Math.max(1, Math.min(Number(raw.limit) || 10, 50)),
+      order: raw.order === 'asc' ? 'asc' : 'desc',
+      dateRange,
+      filters
+    };
+
+    if (['top_n', 'group_by'].includes(plan.operation) && !plan.groupBy) {
+      throw new Error('Plano sem coluna de agrupamento');
+    }
+    if (plan.operation === 'growth' && !plan.dateRange) {
+      plan.dateRange = this.resolveRelativeRange('ultimos 3 meses');
+    }
+
+    return plan;
+  }
+
+  // ========== PARSER DE PALAVRAS-CHAVE (OFFLINE) ==========
+
+  /**
+   * Interpreta a pergunta com regras de palavras-chave
+   * @param {string} question
+   * @returns {QueryPlan}
+   */
+  parseIntent(question) {
+    const text = this.normalize(question);
+
+    const groupBy = this.detectGroupColumn(text);
+    const metric = this.detectMetricColumn(text);
+    const aggregate = this.detectAggregate(text, metric);
+    const dateRange = this.resolveRelativeRange(text);
+    const filters = this.detectValueFilters(text, groupBy);
+
+    let operation = 'aggregate';
+    if (/\b(cresce\w*|aument\w*|evolui\w* mais|subi\w*|ca(iu|ir|iram)|queda|diminu\w*|pior(ou|aram))\b/.test(text)) {
+      operation = 'growth';
+    } else if (/\b(por mes|mensal|mes a mes|evolucao|ao longo|historico|tendencia)\b/.test(text)) {
+      operation = 'timeline';
+    } else if (groupBy && /\b(por|distribuicao|cada)\b/.test(text) && !/\b(mais|maior(es)?|melhor(es)?|menos|menor(es)?|pior(es)?|top)\b/.test(text)) {
+      operation = 'group_by';
+    } else if (groupBy) {
+      operation = 'top_n';
+    }
+
+    const ascending = /\b(menos|menor(es)?|pior(es)?|ca(iu|ir|iram)|queda|diminu\w*)\b/.test(text);
+    const limitMatch = text.match(/\btop\s*(\d+)\b/) ||
+      text.match(/\b(\d+)\s+(maiores|melhores|principais|primeiros|menores|piores)\b/);
+
+    return {
+      operation,
+      groupBy,
+      metric: aggregate === 'count' ? null : metric,
+      aggregate,
+      limit: limitMatch ? Math.min(Number(limitMatch[1]), 50) : (operation === 'group_by' ? 20 : 10),
+      order: ascending ? 'asc' : 'desc',
+      dateRange: dateRange || (operation === 'growth' ? this.resolveRelativeRange('ultimos 3 meses') : null),
+      filters
+    };
+  }
+
+  /**
+   * Coluna de agrupamento: nome citado na pergunta ou entidade por palavra-chave
+   */
+  detectGroupColumn(text) {
+    const mentioned = this.findMentionedColumn(text, col => GROUPABLE_TYPES.includes(col.type));
+    if (mentioned) return mentioned.name;
+
+    for (const { type, pattern } of ENTITY_KEYWORDS) {
+      if (!pattern.test(text)) continue;
+      const column = this.columnMetadata.find(col => col.type === type);
+      if (column) return column.name;
+    }
+
+    return null;
+  }
+
+  /**
+   * Coluna numérica: nome citado, "quantidade" ou a primeira coluna monetária
+   */
+  detectMetricColumn(text) {
+    const mentioned = this.findMentionedColumn(text, col => NUMERIC_TYPES.includes(col.type));
+    if (mentioned) return mentioned.name;
+
+    const numeric = this.columnMetadata.filter(col => NUMERIC_TYPES.includes(col.type));
+    if (/\b(quantidade|qtd|unidades|volume)\b/.test(text)) {
+      const quantity = numeric.find(col => /qtd|quant|unid|volume/.test(this.normalize(col.name)));
+      if (quantity) return quantity.name;
+    }
+
+    return (numeric.find(col => col.type === ColumnType.CURRENCY) || numeric[0])?.name || null;
+  }
+
+  /**
+   * Função de agregação pedida na pergunta
+   */
+  detectAggregate(text, metric) {
+    if (/\b(media|medio|ticket)\b/.test(text)) return metric ? 'avg' : 'count';
+    if (/\b(quantos|quantas|numero de|contagem|frequencia|vezes|pedidos|transacoes|registros)\b/.test(text)) return 'count';
+    return metric ? 'sum' : 'count';
+  }
+
+  /**
+   * Filtros de igualdade para valores citados literalmente (ex.: "em São Paulo")
+   */
+  detectValueFilters(text, groupBy) {
+    const filters = [];
+
+    this.columnMetadata
+      .filter(col => GROUPABLE_TYPES.includes(col.type) && col.name !== groupBy)
+      .forEach(col => {
+        const values = this.getUniqueValues(col.name, 200)
+          .filter(value => String(value).length >= 3)
+          .sort((a, b) => String(b).length - String(a).length);
+
+        const match = values.find(value => this.containsWord(text, this.normalize(value)));
+        if (match !== undefined) {
+          filters.push({ field: col.name, operator: 'equals', value: match });
+        }
+      });
+
+    return filters;
+  }
+
+  /**
+   * Resolve expressões de período relativas à data mais recente do dataset
+   * @param {string} text - Pergunta normalizada
+   * @returns {{start: string, end: string, label: string}|null}
+   */
+  resolveRelativeRange(text) {
+    const ref = this.referenceDate;
+    if (!ref) return null;
+
+    const monthsBack = (count) => {
+      const start = new Date(ref.getFullYear(), ref.getMonth() - count + 1, 1);
+      const end = new Date(ref.getFullYear(), ref.getMonth() + 1, 0);
+      const label = count === 1 ? this.formatMonth(start) : `${this.formatMonth(start)} a ${this.formatMonth(end)}`;
+      return this.buildRange(start, end, label);
+    };
+
+    const lastN = text.match(/\bultim[oa]s\s+(\d+)\s+(dias|semanas|meses|anos)\b/);
+    if (lastN) {
+      const count = Number(lastN[1]);
+      if (lastN[2] === 'meses') return monthsBack(count);
+      if (lastN[2] === 'anos') return monthsBack(count * 12);
+
+      const days = lastN[2] === 'semanas' ? count * 7 : count;
+      const start = new Date(ref);
+      start.setDate(start.getDate() - days + 1);
+      return this.buildRange(start, ref, `últimos ${count} ${lastN[2]}`);
+    }
+
+    if (/\btrimestre\b/.test(text)) return monthsBack(3);
+    if (/\bsemestre\b/.test(text)) return monthsBack(6);
+
+    if (/\b(mes passado|ultimo mes|neste mes|este mes|no mes)\b/.test(text)) {
+      return monthsBack(1);
+    }
+
+    if (/\b(semana)\b/.test(text)) {
+      const start = new Date(ref);
+      start.setDate(start.getDate() - 6);
+      return this.buildRange(start, ref, 'últimos 7 dias');
+    }
+
+    const monthIndex = MONTHS.findIndex(month => this.containsWord(text, month));
+    const yearMatch = text.match(/\b(19|20)\d{2}\b/);
+    const year = yearMatch ? Number(yearMatch[0]) : null;
+
+    if (monthIndex >= 0) {
+      const monthYear = year || ref.getFullYear();
+      const start = new Date(monthYear, monthIndex, 1);
+      const end = new Date(monthYear, monthIndex + 1, 0);
+      return this.buildRange(start, end, `${MONTH_LABELS[monthIndex]}/${monthYear}`);
+    }
+
+    if (year) {
+      return this.buildRange(new Date(year, 0, 1), new Date(year, 11, 31), String(year));
+    }
+
+    if (/\b(este ano|neste ano|no ano|anual)\b/.test(text)) {
+      const currentYear = ref.getFullYear();
+      return this.buildRange(new Date(currentYear, 0, 1), ref, String(currentYear));
+    }
+
+    return null;
+  }
+
+  // ========== EXECUÇÃO ==========
+
+  /**
+   * Executa o plano localmente
+   * @param {QueryPlan} plan
+   * @returns {{text: string, table: Object, chart: Object|null}}
+   */
+  executePlan(plan) {
+    const dateColumn = this.getDateColumn();
+    if ((plan.dateRange || ['growth', 'timeline'].includes(plan.operation)) && !dateColumn) {
+      return this.textOnly('Esta pergunta depende de datas, mas o dataset não possui coluna de data.');
+    }
+
+    const filterManager = this.createFilterManager(plan.filters);
+    if (plan.dateRange && plan.operation !== 'growth') {
+      filterManager.filterByDateRange(dateColumn, new Date(plan.dateRange.start), new Date(plan.dateRange.end));
+    }
+
+    switch (plan.operation) {
+      case 'top_n':
+      case 'group_by':
+        return this.executeRanking(plan, filterManager);
+      case 'growth':
+        return this.executeGrowth(plan, dateColumn);
+      case 'timeline':
+        return this.executeTimeline(plan, filterManager, dateColumn);
+      default:
+        return this.executeAggregate(plan, filterManager);
+    }
+  }
+
+  /**
+   * Ranking por grupo (getTopN)
+   */
+  executeRanking(plan, filterManager) {
+    if (!plan.groupBy) return this.textOnly('Não identifiquei pelo que agrupar. Cite uma coluna, como vendedor, cliente ou produto.');
+
+    const all = filterManager.getTopN(plan.groupBy, Infinity, plan.metric, plan.aggregate);
+    const ordered = plan.order === 'asc' ? [...all].reverse() : all;
+    const rows = ordered.slice(0, plan.limit);
+
+    if (rows.length === 0) return this.textOnly(`Nenhum registro encontrado${this.describeScope(plan)}.`);
+
+    const metricLabel = this.describeMetric(plan);
+    const leader = rows[0];
+    const total = all.reduce((sum, row) => sum + row.metric, 0);
+    const share = plan.aggregate !== 'avg' && total ? ` (${this.formatPercent((leader.metric / total) * 100)} do total)` : '';
+
+    return {
+      text: `${plan.order === 'asc' ? 'Menor' : 'Maior'} ${metricLabel} por ${plan.groupBy}${this.describeScope(plan)}: ` +
+        `**${leader.value}** com ${this.formatMetric(leader.metric, plan)}${share}. ` +
+        `${all.length} ${all.length === 1 ? 'grupo encontrado' : 'grupos encontrados'}.`,
+      table: plan.aggregate === 'count'
+        ? {
+          headers: [plan.groupBy, 'Registros'],
+          rows: rows.map(row => [row.value, this.formatNumber(row.count)])
+        }
+        : {
+          headers: [plan.groupBy, this.capitalize(metricLabel), 'Registros'],
+          rows: rows.map(row => [row.value, this.formatMetric(row.metric, plan), this.formatNumber(row.count)])
+        },
+      chart: {
+        type: 'bar',
+        label: this.capitalize(metricLabel),
+        labels: rows.map(row => String(row.value)),
+        data: rows.map(row => row.metric)
+      }
+    };
+  }
+
+  /**
+   * Compara o período pedido com o período anterior de mesma duração
+   */
+  executeGrowth(plan, dateColumn) {
+    const start = new Date(plan.dateRange.start);
+    const end = new Date(plan.dateRange.end);
+    const duration = end - start;
+    const previousEnd = new Date(start.getTime() - 1);
+    const previousStart = new Date(previousEnd.getTime() - duration);
+
+    const measure = (from, to) => {
+      const filterManager = this.createFilterManager(plan.filters);
+      filterManager.filterByDateRange(dateColumn, from, to);
+      if (!plan.groupBy) {
+        return new Map([['Total', this.aggregateRows(filterManager.filteredData, plan)]]);
+      }
+      return new Map(filterManager.getTopN(plan.groupBy, Infinity, plan.metric, plan.aggregate)
+        .map(row => [row.value, row.metric]));
+    };
+
+    const current = measure(start, end);
+    const previous = measure(previousStart, previousEnd);
+    const keys = new Set([...current.keys(), ...previous.keys()]);
+
+    const rows = [...keys].map(key => {
+      const now = current.get(key) || 0;
+      const before = previous.get(key) || 0;
+      return {
+        value: key,
+        now,
+        before,
+        change: now - before,
+        changePct: before ? ((now - before) / Math.abs(before)) * 100 : null
+      };
+    }).sort((a, b) => (plan.order === 'asc' ? a.change - b.change : b.change - a.change));
+
+    if (rows.length === 0) return this.textOnly(`Nenhum registro encontrado${this.describeScope(plan)} nem no período anterior.`);
+
+    const top = rows.slice(0, plan.limit);
+    const leader = top[0];
+    const previousLabel = `${this.formatDate(previousStart)} a ${this.formatDate(previousEnd)}`;
+    const metricLabel = this.describeMetric(plan);
+    const changeText = leader.changePct !== null
+      ? `${leader.change >= 0 ? '+' : ''}${this.formatPercent(leader.changePct)}`
+      : 'sem base no período anterior';
+
+    const subject = plan.groupBy
+      ? `${this.describeGrowthLeader(plan.order, leader.change)} em ${metricLabel} (${plan.dateRange.label} vs. ${previousLabel}): **${leader.value}**`
+      : `Variação de ${metricLabel} (${plan.dateRange.label} vs. ${previousLabel})`;
+
+    return {
+      text: `${subject}, de ${this.formatMetric(leader.before, plan)} para ${this.formatMetric(leader.now, plan)} ` +
+        `(${leader.change >= 0 ? '+' : ''}${this.formatMetric(leader.change, plan)}, ${changeText}).`,
+      table: {
+        headers: [plan.groupBy || 'Período', 'Período anterior', 'Período atual', 'Variação', 'Variação %'],
+        rows: top.map(row => [
+          row.value,
+          this.formatMetric(row.before, plan),
+          this.formatMetric(row.now, plan),
+          this.formatMetric(row.change, plan),
+          row.changePct !== null ? this.formatPercent(row.changePct) : '—'
+        ])
+      },
+      chart: {
+        type: 'bar',
+        label: `Variação de ${metricLabel}`,
+        labels: top.map(row => String(row.value)),
+        data: top.map(row => row.change)
+      }
+    };
+  }
+
+  /**
+   * Título do líder do crescimento pelo sinal da variação, não só pela ordem pedida:
+   * com todos os grupos em queda, o primeiro de "maior crescimento" é a menor queda
+   * @param {string} order - desc (maior crescimento) ou asc (maior queda)
+   * @param {number} change - Variação do líder
+   */
+  describeGrowthLeader(order, change) {
+    if (order === 'asc') {
+      if (change < 0) return 'Maior queda';
+      return change > 0 ? 'Nenhum grupo caiu. Menor crescimento' : 'Nenhum grupo caiu. Sem variação';
+    }
+    if (change > 0) return 'Maior crescimento';
+    return change < 0 ? 'Nenhum grupo cresceu. Menor queda' : 'Nenhum grupo cresceu. Sem variação';
+  }
+
+  /**
+   * Série mensal (AnalyticsEngine.groupByMonth)
+   */
+  executeTimeline(plan, filterManager, dateColumn) {
+    const rows = filterManager.filteredData;
+    const engine = new AnalyticsEngine(rows, this.columnMetadata);
+    const valueColumn = plan.metric || dateColumn;
+    const monthly = plan.metric
+      ? engine.groupByMonth(dateColumn, valueColumn)
+      : this.countByMonth(engine, rows, dateColumn);
+
+    if (monthly.length === 0) return this.textOnly(`Nenhum registro encontrado${this.describeScope(plan)}.`);
+
+    const field = { sum: 'total', avg: 'average', count: 'count' }[plan.aggregate];
+    const values = monthly.map(m => m[field]);
+    const best = monthly[values.indexOf(Math.max(...values))];
+    const metricLabel = this.describeMetric(plan);
+
+    return {
+      text: `${this.capitalize(metricLabel)} mês a mês${this.describeScope(plan)}: ${monthly.length} meses, ` +
+        `pico em **${best.label}** com ${this.formatMetric(best[field], plan)}.`,
+      table: {
+        headers: ['Mês', this.capitalize(metricLabel), 'Registros'],
+        rows: monthly.map(m => [m.label, this.formatMetric(m[field], plan), this.formatNumber(m.count)])
+      },
+      chart: {
+        type: 'line',
+        label: this.capitalize(metricLabel),
+        labels: monthly.map(m => m.label),
+        data: values
+      }
+    };
+  }
+
+  /**
+   * Valor único (total, média ou contagem)
+   */
+  executeAggregate(plan, filterManager) {
+    const rows = filterManager.filteredData;
+    const value = this.aggregateRows(rows, plan);
+
+    return {
+      text: `${this.capitalize(this.describeMetric(plan))}${this.describeScope(plan)}: ` +
+        `**${this.formatMetric(value, plan)}** (${this.formatNumber(rows.length)} registros).`,
+      table: {
+        headers: ['Indicador', 'Valor'],
+        rows: [[this.capitalize(this.describeMetric(plan)), this.formatMetric(value, plan)], ['Registros', this.formatNumber(rows.length)]]
+      },
+      chart: null
+    };
+  }
+
+  // ========== AUXILIARES ==========
+
+  createFilterManager(filters = []) {
+    const filterManager = new FilterManager();
+    filterManager.initialize(this.data);
+    filters.forEach(f => filterManager.addFilter(f.field, f.operator, f.value));
+    return filterManager;
+  }
+
+  /**
+   * Agrega as linhas com a mesma regra numérica do FilterManager.getTopN
+   */
+  aggregateRows(rows, plan) {
+    if (plan.aggregate === 'count' || !plan.metric) return rows.length;
+
+    const sum = rows.reduce((acc, row) => acc + (parseFloat(row[plan.metric]) || 0), 0);
+    return plan.aggregate === 'avg' ? (rows.length ? sum / rows.length : 0) : sum;
+  }
+
+  /**
+   * Contagem mensal de registros (sem coluna numérica)
+   */
+  countByMonth(engine, rows, dateColumn) {
+    const groups = {};
+    rows.forEach(row => {
+      const date = this.parseDate(row[dateColumn]);
+      if (!date) return;
+      const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+      groups[key] = (groups[key] || 0) + 1;
+    });
+
+    return Object.keys(groups).sort().map(month => ({
+      month,
+      label: engine.formatMonthLabel(month),
+      total: groups[month],
+      average: groups[month],
+      count: groups[month]
+    }));
+  }
+
+  /**
+   * Data mais recente do dataset, usada como "hoje" nas expressões relativas
+   */
+  findReferenceDate() {
+    const dateColumn = this.getDateColumn();
+    if (!dateColumn) return null;
+
+    let latest = null;
+    this.data.forEach(row => {
+      const date = this.parseDate(row[dateColumn]);
+      if (date && (!latest || date > latest)) latest = date;
+    });
+    return latest;
+  }
+
+  getDateColumn() {
+    return this.columnMetadata.find(col => col.type === ColumnType.DATE)?.name || null;
+  }
+
+  parseDate(value) {
+    if (value instanceof Date) return isNaN(value) ? null : value;
+    return this.filterManager.parseDate(value);
+  }
+
+  getUniqueValues(field, limit) {
+    return this.filterManager.getUniqueValues(field, limit);
+  }
+
+  findMentionedColumn(text, predicate) {
+    return this.columnMetadata
+      .filter(predicate)
+      .sort((a, b) => b.name.length - a.name.length)
+      .find(col => this.containsWord(text, this.normalize(col.name)));
+  }
+
+  buildRange(start, end, label) {
+    const rangeEnd = new Date(end);
+    rangeEnd.setHours(23, 59, 59, 999);
+    const rangeStart = new Date(start);
+    rangeStart.setHours(0, 0, 0, 0);
+    return { start: rangeStart.toISOString(), end: rangeEnd.toISOString(), label };
+  }
+
+  describeMetric(plan) {
+    if (plan.aggregate === 'count' || !plan.metric) return 'quantidade de registros';
+    return plan.aggregate === 'avg' ? `média de ${plan.metric}` : `total de ${plan.metric}`;
+  }
+
+  describeScope(plan) {
+    const parts = [];
+    if (plan.dateRange && plan.operation !== 'growth') parts.push(plan.dateRange.label);
+    plan.filters.forEach(f => parts.push(`${f.field} = ${f.value}`));
+    return parts.length > 0 ? ` (${parts.join('; ')})` : '';
+  }
+
+  textOnly(text) {
+    return { text, table: null, chart: null };
+  }
+
+  formatMetric(value, plan) {
+    if (plan.aggregate === 'count' || !plan.metric) return this.formatNumber(value);
+
+    const column = this.columnMetadata.find(col => col.name === plan.metric);
+    if (column?.type === ColumnType.CURRENCY) {
+      return new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(value || 0);
+    }
+    return this.formatNumber(value);
+  }
+
+  formatNumber(value) {
+    return new Intl.NumberFormat('pt-BR', { maximumFractionDigits: 2 }).format(value || 0);
+  }
+
+  formatPercent(value) {
+    return `${(value || 0).toFixed(1).replace('.', ',')}%`;
+  }
+
+  formatDate(date) {
+    return new Date(date).toLocaleDateString('pt-BR');
+  }
+
+  formatMonth(date) {
+    return `${MONTH_LABELS[date.getMonth()]}/${date.getFullYear()}`;
+  }
+
+  toISODate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  /**
+   * Minúsculas e sem acentos, para comparar palavras-chave
+   */
+  normalize(text) {
+    return String(text)
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[?!.,;:]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  containsWord(text, word) {
+    if (!word) return false;
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|\\s)${escaped}(\\s|$)`).test(text);
+  }
+}
@@ -4,10 +4,72 @@
  * - Validar integridade dos dados
  * - Detectar inconsistências
  * - Sugerir correções
- * - Limpar dados
+ * - Limpar dados em etapas (workbench de limpeza), com pré-visualização antes de aplicar
+ *
+ * Etapa de limpeza: { action: CleaningAction, ...opções da ação } (ver cleanData).
+ * Opções da limpeza: { dateOrder, columnHints } — ordem das datas do arquivo (dialeto do CSV) e
+ * formato das células por coluna (Excel), usados na conversão para data.
+ * As etapas não alteram as linhas recebidas: cada linha modificada é copiada.
+ * Receitas (CleaningRecipes) são reaplicadas com replayCleaning, que pula as etapas que não
+ * se aplicam ao novo arquivo em vez de interromper a limpeza.
+ * CSVs lidos em blocos são limpos bloco a bloco (createChunkCleaner), com o mesmo resultado.
  */
 
-import { ColumnType } from '../types/enums.js';
+import { ColumnType, ColumnTypeLabels } from '../types/enums.js';
+import { parseLocaleNumber, createValueTransform, DateOrder } from './DialectDetector.js';
+import {
+  isValidCPF, isValidCNPJ, isValidCEP, isStateValue, isValidURL, parseDuration,
+} from './SemanticFormats.js';
+
+/**
+ * Ações de limpeza
+ */
+export const CleaningAction = {
+  REMOVE_EMPTY_ROWS: 'remove_empty_rows',
+  REMOVE_DUPLICATES: 'remove_duplicates',
+  FILL_NULL_VALUES: 'fill_null_values',
+  TRIM: 'trim',
+  NORMALIZE_CASE: 'normalize_case',
+  COERCE_TYPE: 'coerce_type',
+  CAP_OUTLIERS: 'cap_outliers',
+  REPLACE_VALUES: 'replace_values',
+  SPLIT_COLUMN: 'split_column',
+  MERGE_COLUMNS: 'merge_columns',
+};
+
+/**
+ * Preenchimento de valores vazios (opções da sugestão fill_null_values)
+ */
+export const FillMethod = {
+  MEAN: 'mean',
+  MEDIAN: 'median',
+  VALUE: 'value',
+  REMOVE_ROWS: 'remove_rows',
+};
+
+/**
+ * Normalização de maiúsculas e minúsculas
+ */
+export const CaseMode = {
+  UPPER: 'upper',
+  LOWER: 'lower',
+  TITLE: 'title',
+};
+
+// Tipos aceitos na conversão de tipo (coerce_type)
+export const COERCE_TYPES = [ColumnType.NUMBER, ColumnType.DATE, ColumnType.BOOLEAN, ColumnType.TEXT];
+
+const TRUE_VALUES = ['sim', 's', 'yes', 'y', 'true', '1', 'verdadeiro'];
+const FALSE_VALUES = ['não', 'nao', 'n', 'no', 'false', '0', 'falso'];
+
+// Datas curtas são lidas como dia/mês (padrão brasileiro), salvo arquivo detectado como mês/dia
+const DATE_TRANSFORMS = {
+  [DateOrder.DMY]: createValueTransform({ decimalSeparator: ',', dateOrder: DateOrder.DMY }),
+  [DateOrder.MDY]: createValueTransform({ decimalSeparator: '.', dateOrder: DateOrder.MDY }),
+};
+
+// Origem da linha na pré-visualização (não aparece em Object.keys nem no JSON)
+const ROW_ORIGIN = Symbol('rowOrigin');
 
 export class DataValidator {
   constructor() {
@@ -121,9 +183,78 @@ export class DataValidator {
       case ColumnType.PHONE:
         this.validatePhoneColumn(data, name);
         break;
+      case ColumnType.CPF:
+        this.validateValues(data, name, isValidCPF, { type: 'INVALID_CPF', label: 'CPF inválido (dígito verificador)' });
+        break;
+      case ColumnType.CNPJ:
+        this.validateValues(data, name, isValidCNPJ, { type: 'INVALID_CNPJ', label: 'CNPJ inválido (dígito verificador)' });
+        break;
+      case ColumnType.POSTAL_CODE:
+        this.validateValues(data, name, isValidCEP, { type: 'INVALID_CEP', label: 'CEP inválido' });
+        break;
+      case ColumnType.STATE:
+        this.validateValues(data, name, isStateValue, { type: 'INVALID_STATE', label: 'UF desconhecida' });
+        break;
+      case ColumnType.CITY:
+        // Nomes de cidade não têm dígitos nem ficam só em siglas
+        this.validateValues(data, name, value => /^\D{3,}$/.test(String(value).trim()), {
+          type: 'INVALID_CITY', label: 'cidade possivelmente inválida', warning: true,
+        });
+        break;
+      case ColumnType.LATITUDE:
+      case ColumnType.LONGITUDE:
+        this.validateCoordinateColumn(data, name, type);
+        break;
+      case ColumnType.URL:
+        this.validateValues(data, name, isValidURL, { type: 'INVALID_URL', label: 'URL inválida', warning: true });
+        break;
+      case ColumnType.DURATION:
+        // Também aceita números (ex.: minutos)
+        this.validateValues(data, name, value => {
+          const number = parseLocaleNumber(value);
+          return parseDuration(value) !== null || (number !== null && number >= 0);
+        }, { type: 'INVALID_DURATION', label: 'duração inválida' });
+        break;
     }
   }
 
+  /**
+   * Valida os valores preenchidos de uma coluna com uma regra
+   * @param {Array<Object>} data
+   * @param {string} columnName
+   * @param {Function} isValid - Recebe o valor da célula
+   * @param {Object} issue - { type, label, warning } (warning: aviso em vez de erro)
+   */
+  validateValues(data, columnName, isValid, { type, label, warning = false }) {
+    const target = warning ? this.warnings : this.errors;
+    
+    data.forEach((row, index) => {
+      const value = row[columnName];
+      if (value !== null && value !== '' && !isValid(value)) {
+        target.push({
+          type,
+          column: columnName,
+          row: index + 2,
+          value,
+          message: `Linha ${index + 2}, coluna "${columnName}": ${label} "${value}"`,
+        });
+      }
+    });
+  }
+
+  /**
+   * Valida coluna de latitude ou longitude (graus decimais, -90 a 90 ou -180 a 180)
+   */
+  validateCoordinateColumn(data, columnName, type) {
+    const limit = type === ColumnType.LATITUDE ? 90 : 180;
+    const label = type === ColumnType.LATITUDE ? 'latitude' : 'longitude';
+    
+    this.validateValues(data, columnName, value => {
+      const number = parseLocaleNumber(value);
+      return number !== null && Math.abs(number) <= limit;
+    }, { type: 'INVALID_COORDINATE', label: `${label} fora do intervalo de -${limit} a ${limit}` });
+  }
+
   /**
    * Valida coluna de datas
    */
@@ -163,10 +294,9 @@ export class DataValidator {
     data.forEach((row, index) => {
       const value = row[columnName];
       if (value !== null && value !== '') {
-        const cleaned = String(value).replace(/[R$,%\s]/g, '').replace(',', '.');
-        const number = parseFloat(cleaned);
+        const number = parseLocaleNumber(value);
         
-        if (isNaN(number)) {
+        if (number === null) {
           this.errors.push({
             type: 'INVALID_NUMBER',
             column: columnName,
@@ -279,12 +409,12 @@ export class DataValidator {
   /**
    * Gera sugestões de limpeza
    */
-  generateCleaningSuggestions(_data, _columnMetadata) {
+  generateCleaningSuggestions(data, columnMetadata) {
     // Sugerir remoção de linhas vazias
     const emptyRows = this.warnings.filter(w => w.type === 'EMPTY_ROW');
     if (emptyRows.length > 0) {
       this.suggestions.removeEmptyRows = {
-        action: 'remove_empty_rows',
+        action: CleaningAction.REMOVE_EMPTY_ROWS,
         description: `Remover ${emptyRows.length} linha(s) vazia(s)`,
         impact: `${emptyRows.length} linhas serão removidas`,
       };
@@ -294,17 +424,29 @@ export class DataValidator {
     const duplicates = this.warnings.find(w => w.type === 'DUPLICATE_ROWS');
     if (duplicates) {
       this.suggestions.removeDuplicates = {
-        action: 'remove_duplicates',
+        action: CleaningAction.REMOVE_DUPLICATES,
         description: `Remover ${duplicates.count} linha(s) duplicada(s)`,
         impact: `${duplicates.count} linhas serão removidas`,
       };
     }
     
+    // Sugerir remoção de espaços extras (início, fim ou repetidos)
+    const untrimmed = columnMetadata
+      .map(column => column.name)
+      .filter(name => data.some(row => typeof row[name] === 'string' && row[name] !== row[name].trim().replace(/\s+/g, ' ')));
+    if (untrimmed.length > 0) {
+      this.suggestions.trimWhitespace = {
+        action: CleaningAction.TRIM,
+        description: `Remover espaços extras em ${untrimmed.length} coluna(s)`,
+        columns: untrimmed,
+      };
+    }
+    
     // Sugerir preenchimento de valores nulos
     const highNullColumns = this.warnings.filter(w => w.type === 'HIGH_NULL_PERCENTAGE');
     if (highNullColumns.length > 0) {
       this.suggestions.fillNullValues = {
-        action: 'fill_null_values',
+        action: CleaningAction.FILL_NULL_VALUES,
         description: `Preencher valores vazios em ${highNullColumns.length} coluna(s)`,
         columns: highNullColumns.map(w => w.column),
         options: ['média', 'mediana', 'valor padrão', 'remover linhas'],
@@ -326,30 +468,469 @@ export class DataValidator {
   }
 
   /**
-   * Limpa os dados baseado nas sugestões
+   * Limpa os dados aplicando as etapas em ordem
    * @param {Array<Object>} data - Dados a limpar
-   * @param {Array<string>} actionsToApply - Ações a aplicar
+   * @param {Array<string|Object>} actionsToApply - Ações a aplicar: o nome da ação (remove_empty_rows,
+   *   remove_duplicates) ou a etapa com as opções:
+   *   - fill_null_values: { column, method: FillMethod, value }
+   *   - trim: { columns } (vazio: todas as colunas)
+   *   - normalize_case: { column, mode: CaseMode }
+   *   - coerce_type: { column, type: number|date|boolean|text }
+   *   - cap_outliers: { column, factor } (limites Q1 - factor × IQR e Q3 + factor × IQR; padrão 1,5)
+   *   - replace_values: { column, from, to, partial } (partial: troca trechos em vez da célula inteira)
+   *   - split_column: { column, separator, into, keep } (into: nomes das novas colunas)
+   *   - merge_columns: { columns, into, separator, keep }
+   * @param {Object} options - { dateOrder: DateOrder, columnHints: { [coluna]: { type } } }
+   *   (coerce_type para data: ordem das datas curtas; números só viram data em células de data do Excel)
    * @returns {Array<Object>} Dados limpos
    */
-  cleanData(data, actionsToApply = []) {
-    let cleanedData = [...data];
-    
-    if (actionsToApply.includes('remove_empty_rows')) {
-      cleanedData = cleanedData.filter(row => 
-        Object.values(row).some(val => val !== null && val !== '')
-      );
+  cleanData(data, actionsToApply = [], options = {}) {
+    return actionsToApply.reduce(
+      (rows, step) => this.applyCleaningStep(rows, typeof step === 'string' ? { action: step } : step, options),
+      [...data]
+    );
+  }
+
+  /**
+   * Pré-visualiza as etapas sem alterar os dados
+   * @param {Array<Object>} data
+   * @param {Array<Object>} steps - Etapas de limpeza (ver cleanData)
+   * @param {number} limit - Linhas alteradas exibidas
+   * @param {Object} options - Opções da limpeza (ver cleanData)
+   * @returns {Object} { rowCount, removedRows, columns, steps: [{ description, changedRows, removedRows }],
+   *   changedRows: [{ row, before, after }] }
+   */
+  previewCleaning(data, steps, limit = 20, options = {}) {
+    let rows = data.map((row, index) => ({ ...row, [ROW_ORIGIN]: index }));
+    const original = new Set(rows);
+
+    const summary = steps.map(step => {
+      const before = new Set(rows);
+      const count = rows.length;
+      rows = this.applyCleaningStep(rows, step, options);
+      return {
+        description: this.describeCleaningStep(step),
+        changedRows: rows.filter(row => !before.has(row)).length,
+        removedRows: count - rows.length,
+      };
+    });
+
+    const changedRows = rows
+      .filter(row => !original.has(row))
+      .slice(0, limit)
+      .map(row => ({ row: row[ROW_ORIGIN] + 2, before: data[row[ROW_ORIGIN]], after: row }));
+
+    return {
+      rowCount: rows.length,
+      removedRows: data.length - rows.length,
+      columns: Object.keys(rows[0] || {}),
+      steps: summary,
+      changedRows,
+    };
+  }
+
+  /**
+   * Reaplica as etapas de uma receita, pulando as que não se aplicam aos dados
+   * (ex.: coluna que não existe no novo arquivo); as etapas seguintes continuam
+   * @param {Array<Object>} data
+   * @param {Array<Object>} steps - Etapas de limpeza (ver cleanData)
+   * @param {Object} options - Opções da limpeza (ver cleanData)
+   * @returns {Object} { data, applied, skipped: [{ step, description, reason }] }
+   */
+  replayCleaning(data, steps, options = {}) {
+    const applied = [];
+    const skipped = [];
+
+    const rows = steps.reduce((current, step) => {
+      try {
+        const next = this.applyCleaningStep(current, step, options);
+        applied.push(step);
+        return next;
+      } catch (error) {
+        skipped.push({ step, description: this.describeCleaningStep(step), reason: error.message });
+        return current;
+      }
+    }, [...data]);
+
+    return { data: rows, applied, skipped };
+  }
+
+  /**
+   * Limpeza de um arquivo lido em blocos (CSV grande), com o mesmo resultado de limpar o arquivo inteiro
+   * As etapas que se aplicam são decididas no primeiro bloco (como em replayCleaning) e valem para os
+   * seguintes; as duplicadas são removidas entre blocos (guarda as linhas já vistas).
+   * Etapas que dependem de todas as linhas (média, mediana, quartis, divisão sem os nomes das
+   * novas colunas) não podem ser aplicadas por bloco: nesse caso retorna null.
+   * @param {Array<Object>} steps - Etapas de limpeza (ver cleanData)
+   * @param {Object} options - Opções da limpeza (ver cleanData)
+   * @returns {Function|null} (rows) => { data, applied, skipped }
+   */
+  createChunkCleaner(steps, options = {}) {
+    if (!steps.every(isRowLevelStep)) return null;
+
+    const seenRows = new Map(steps.map(step => [step, new Set()]));
+    let plan = null;
+
+    return (rows) => {
+      if (!plan) {
+        const { data, applied, skipped } = this.replayCleaning(rows, steps, { ...options, seenRows });
+        plan = { applied, skipped };
+        return { data, ...plan };
+      }
+      return { data: this.cleanData(rows, plan.applied, { ...options, seenRows }), ...plan };
+    };
+  }
+
+  /**
+   * Descrição da etapa para a interface
+   * @param {Object} step
+   * @returns {string}
+   */
+  describeCleaningStep(step) {
+    const { action, column } = step;
+    const list = (columns) => columns.map(name => `"${name}"`).join(', ');
+
+    switch (action) {
+      case CleaningAction.REMOVE_EMPTY_ROWS:
+        return 'Remover linhas vazias';
+      case CleaningAction.REMOVE_DUPLICATES:
+        return 'Remover linhas duplicadas';
+      case CleaningAction.FILL_NULL_VALUES: {
+        const fills = {
+          [FillMethod.MEAN]: 'a média',
+          [FillMethod.MEDIAN]: 'a mediana',
+          [FillMethod.VALUE]: `"${step.value ?? ''}"`,
+        };
+        return step.method === FillMethod.REMOVE_ROWS
+          ? `Remover linhas com "${column}" vazio`
+          : `Preencher vazios de "${column}" com ${fills[step.method || FillMethod.MEAN]}`;
+      }
+      case CleaningAction.TRIM:
+        return `Remover espaços extras de ${step.columns?.length ? list(step.columns) : 'todas as colunas'}`;
+      case CleaningAction.NORMALIZE_CASE: {
+        const modes = { [CaseMode.UPPER]: 'MAIÚSCULAS', [CaseMode.LOWER]: 'minúsculas', [CaseMode.TITLE]: 'Iniciais Maiúsculas' };
+        return `Converter "${column}" para ${modes[step.mode] || step.mode}`;
+      }
+      case CleaningAction.COERCE_TYPE:
+        return `Converter "${column}" para ${ColumnTypeLabels[step.type] || step.type}`;
+      case CleaningAction.CAP_OUTLIERS:
+        return `Limitar outliers de "${column}" (IQR × ${(step.factor ?? 1.5).toLocaleString('pt-BR')})`;
+      case CleaningAction.REPLACE_VALUES:
+        return `Substituir "${step.from}" por "${step.to ?? ''}" em "${column}"${step.partial ? ' (trechos)' : ''}`;
+      case CleaningAction.SPLIT_COLUMN:
+        return `Dividir "${column}" por "${step.separator ?? ','}"`;
+      case CleaningAction.MERGE_COLUMNS:
+        return `Juntar ${list(step.columns || [])} em "${step.into || (step.columns || []).join(' ')}"`;
+      default:
+        return action;
     }
-    
-    if (actionsToApply.includes('remove_duplicates')) {
-      const seen = new Set();
-      cleanedData = cleanedData.filter(row => {
-        const key = JSON.stringify(row);
-        if (seen.has(key)) return false;
-        seen.add(key);
-        return true;
+  }
+
+  /**
+   * Aplica uma etapa de limpeza
+   * @private
+   */
+  applyCleaningStep(rows, step, { dateOrder = DateOrder.DMY, columnHints = {}, seenRows = null } = {}) {
+    switch (step.action) {
+      case CleaningAction.REMOVE_EMPTY_ROWS:
+        return rows.filter(row => Object.values(row).some(val => val !== null && val !== ''));
+
+      case CleaningAction.REMOVE_DUPLICATES: {
+        // Em blocos, as linhas vistas nos blocos anteriores (ver createChunkCleaner)
+        const seen = seenRows?.get(step) || new Set();
+        return rows.filter(row => {
+          const key = JSON.stringify(row);
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        });
+      }
+
+      case CleaningAction.FILL_NULL_VALUES:
+        return this.fillNullValues(rows, step);
+
+      case CleaningAction.TRIM: {
+        const columns = step.columns?.length ? step.columns : Object.keys(rows[0] || {});
+        columns.forEach(column => this.requireColumn(rows, column));
+        return columns.reduce((result, column) => mapColumn(result, column, value => {
+          if (typeof value !== 'string') return value;
+          const text = value.trim().replace(/\s+/g, ' ');
+          return text === '' ? null : text;
+        }), rows);
+      }
+
+      case CleaningAction.NORMALIZE_CASE:
+        this.requireColumn(rows, step.column);
+        return mapColumn(rows, step.column, value => (typeof value === 'string' ? changeCase(value, step.mode) : value));
+
+      case CleaningAction.COERCE_TYPE:
+        this.requireColumn(rows, step.column);
+        if (!COERCE_TYPES.includes(step.type)) {
+          throw new Error(`Tipo de conversão não suportado: ${step.type}`);
+        }
+        return mapColumn(rows, step.column, value => (isEmptyValue(value) ? null : coerceValue(value, step.type, {
+          dateOrder,
+          excelDates: columnHints[step.column]?.type === ColumnType.DATE,
+        })));
+
+      case CleaningAction.CAP_OUTLIERS:
+        return this.capOutliers(rows, step);
+
+      case CleaningAction.REPLACE_VALUES: {
+        this.requireColumn(rows, step.column);
+        const from = String(step.from ?? '');
+        const to = step.to === '' || step.to === undefined ? null : step.to;
+        if (step.partial) {
+          if (from === '') throw new Error('Informe o trecho a substituir');
+          return mapColumn(rows, step.column, value => (isEmptyValue(value) ? value : String(value).split(from).join(to ?? '')));
+        }
+        const target = from.trim().toLowerCase();
+        return mapColumn(rows, step.column, value => {
+          const text = isEmptyValue(value) ? '' : String(value).trim().toLowerCase();
+          return text === target ? to : value;
+        });
+      }
+
+      case CleaningAction.SPLIT_COLUMN:
+        return this.splitColumn(rows, step);
+
+      case CleaningAction.MERGE_COLUMNS:
+        return this.mergeColumns(rows, step);
+
+      default:
+        throw new Error(`Ação de limpeza desconhecida: ${step.action}`);
+    }
+  }
+
+  /**
+   * Preenche os valores vazios com a média, a mediana ou um valor fixo, ou remove as linhas
+   * @private
+   */
+  fillNullValues(rows, { column, method = FillMethod.MEAN, value = null }) {
+    this.requireColumn(rows, column);
+
+    if (method === FillMethod.REMOVE_ROWS) {
+      return rows.filter(row => !isEmptyValue(row[column]));
+    }
+
+    let fill = value;
+    if (method === FillMethod.MEAN || method === FillMethod.MEDIAN) {
+      const numbers = this.columnNumbers(rows, column);
+      if (numbers.length === 0) {
+        throw new Error(`Coluna "${column}" não tem valores numéricos para calcular a ${method === FillMethod.MEAN ? 'média' : 'mediana'}`);
+      }
+      const result = method === FillMethod.MEAN
+        ? numbers.reduce((sum, number) => sum + number, 0) / numbers.length
+        : quantile(numbers, 0.5);
+      fill = Math.round(result * 100) / 100;
+    } else if (method !== FillMethod.VALUE) {
+      throw new Error(`Método de preenchimento desconhecido: ${method}`);
+    }
+
+    return mapColumn(rows, column, current => (isEmptyValue(current) ? fill : current));
+  }
+
+  /**
+   * Limita os valores fora de Q1 - factor × IQR e Q3 + factor × IQR
+   * @private
+   */
+  capOutliers(rows, { column, factor = 1.5 }) {
+    this.requireColumn(rows, column);
+    const numbers = this.columnNumbers(rows, column);
+    if (numbers.length < 4) {
+      throw new Error(`Coluna "${column}" precisa de pelo menos 4 valores numéricos para limitar outliers`);
+    }
+
+    const q1 = quantile(numbers, 0.25);
+    const q3 = quantile(numbers, 0.75);
+    const lower = Math.round((q1 - factor * (q3 - q1)) * 100) / 100;
+    const upper = Math.round((q3 + factor * (q3 - q1)) * 100) / 100;
+
+    return mapColumn(rows, column, value => {
+      const number = parseLocaleNumber(value);
+      if (number === null) return value;
+      if (number < lower) return lower;
+      if (number > upper) return upper;
+      return value;
+    });
+  }
+
+  /**
+   * Divide uma coluna em várias pelo separador; a última recebe o restante do texto
+   * @private
+   */
+  splitColumn(rows, { column, separator = ',', into = [], keep = false }) {
+    this.requireColumn(rows, column);
+    if (!separator) throw new Error('Informe o separador');
+
+    const parts = rows.map(row => (isEmptyValue(row[column]) ? [] : String(row[column]).split(separator)));
+    const count = into.length || Math.max(1, ...parts.map(items => items.length));
+    const names = into.length ? into : Array.from({ length: count }, (_, index) => `${column} ${index + 1}`);
+
+    return rows.map((row, rowIndex) => {
+      const items = parts[rowIndex];
+      const values = names.map((_, index) => {
+        const text = index === count - 1 ? items.slice(index).join(separator) : items[index];
+        return text?.trim() ? text.trim() : null;
       });
+      return replaceColumns(row, [column], Object.fromEntries(names.map((name, index) => [name, values[index]])), keep);
+    });
+  }
+
+  /**
+   * Junta várias colunas em uma, separadas pelo separador (valores vazios são ignorados)
+   * @private
+   */
+  mergeColumns(rows, { columns = [], into = '', separator = ' ', keep = false }) {
+    if (columns.length < 2) throw new Error('Escolha pelo menos duas colunas para juntar');
+    columns.forEach(column => this.requireColumn(rows, column));
+    const name = into || columns.join(' ');
+
+    return rows.map(row => {
+      const values = columns.map(column => row[column]).filter(value => !isEmptyValue(value));
+      return replaceColumns(row, columns, { [name]: values.length ? values.join(separator) : null }, keep);
+    });
+  }
+
+  /**
+   * Valores numéricos de uma coluna
+   * @private
+   */
+  columnNumbers(rows, column) {
+    return rows.map(row => parseLocaleNumber(row[column])).filter(number => number !== null);
+  }
+
+  /**
+   * @private
+   */
+  requireColumn(rows, column) {
+    if (!column || (rows.length > 0 && !rows.some(row => column in row))) {
+      throw new Error(`Coluna não encontrada: ${column || '(nenhuma)'}`);
     }
-    
-    return cleanedData;
   }
 }
+
+/**
+ * Etapa que depende só da própria linha (ou, nas duplicadas, das linhas já vistas)
+ * @private
+ */
+function isRowLevelStep(step) {
+  switch (step.action) {
+    case CleaningAction.FILL_NULL_VALUES:
+      return step.method === FillMethod.VALUE || step.method === FillMethod.REMOVE_ROWS;
+    case CleaningAction.CAP_OUTLIERS:
+      return false;
+    case CleaningAction.SPLIT_COLUMN:
+      return step.into?.length > 0;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Célula vazia: null, undefined ou só espaços
+ * @private
+ */
+function isEmptyValue(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Aplica a função aos valores da coluna; só as linhas alteradas são copiadas
+ * @private
+ */
+function mapColumn(rows, column, transform) {
+  return rows.map(row => {
+    const value = row[column];
+    const next = transform(value);
+    return Object.is(next, value) ? row : { ...row, [column]: next };
+  });
+}
+
+/**
+ * Nova linha com as colunas substituídas, na posição da primeira delas
+ * @private
+ * @param {Object} row
+ * @param {Array<string>} columns - Colunas substituídas
+ * @param {Object} values - Novas colunas { nome: valor }
+ * @param {boolean} keep - Mantém as colunas substituídas
+ */
+function replaceColumns(row, columns, values, keep) {
+  const next = {};
+  Object.keys(row).forEach(key => {
+    if (key === columns[0]) {
+      if (keep) next[key] = row[key];
+      Object.assign(next, values);
+    } else if (!(key in values) && (keep || !columns.includes(key))) {
+      next[key] = row[key];
+    }
+  });
+  // Mantém a origem da linha (pré-visualização)
+  Object.getOwnPropertySymbols(row).forEach(symbol => {
+    next[symbol] = row[symbol];
+  });
+  return next;
+}
+
+/**
+ * @private
+ */
+function changeCase(text, mode) {
+  switch (mode) {
+    case CaseMode.UPPER:
+      return text.toLocaleUpperCase('pt-BR');
+    case CaseMode.LOWER:
+      return text.toLocaleLowerCase('pt-BR');
+    case CaseMode.TITLE:
+      return text.toLocaleLowerCase('pt-BR').replace(/(^|[\s\-/])(\p{L})/gu, (_, start, letter) => start + letter.toLocaleUpperCase('pt-BR'));
+    default:
+      throw new Error(`Normalização desconhecida: ${mode}`);
+  }
+}
+
+/**
+ * Converte um valor preenchido para o tipo (inválidos ficam vazios)
+ * @private
+ * @param {*} value
+ * @param {string} type
+ * @param {Object} options - { dateOrder, excelDates: a coluna vem de células de data do Excel }
+ */
+function coerceValue(value, type, { dateOrder = DateOrder.DMY, excelDates = false } = {}) {
+  switch (type) {
+    case ColumnType.NUMBER:
+      return parseLocaleNumber(value);
+    case ColumnType.DATE: {
+      // Números do Excel (dias desde 30/12/1899) só em células de data; fora delas, 2024 é um ano, não uma data
+      if (typeof value === 'number') {
+        return excelDates && value > 0 && value < 100000
+          ? new Date(Math.round((value - 25569) * 86400000)).toISOString().slice(0, 10)
+          : null;
+      }
+      const text = (DATE_TRANSFORMS[dateOrder] || DATE_TRANSFORMS[DateOrder.DMY])(String(value));
+      if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+      // Datas por extenso (ex.: "Jan 5, 2024"); números soltos não viram datas
+      const time = /[a-z]/i.test(text) ? Date.parse(text) : NaN;
+      return isNaN(time) ? null : new Date(time).toISOString().slice(0, 10);
+    }
+    case ColumnType.BOOLEAN: {
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return true;
+      if (FALSE_VALUES.includes(text)) return false;
+      return null;
+    }
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Quantil com interpolação linear
+ * @private
+ */
+function quantile(numbers, q) {
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * q;
+  const base = Math.floor(position);
+  const next = sorted[base + 1] ?? sorted[base];
+  return sorted[base] + (position - base) * (next - sorted[base]);
+}
@@ -0,0 +1,233 @@
+/**
+ * 🗂️ DataWorkspace - Espaço de trabalho com vários arquivos
+ *
+ * Responsável por:
+ * - Manter a lista de arquivos carregados (qualquer mistura de Excel, ODS, CSV, TSV, JSON,
+ *   XML, Parquet e SQLite)
+ * - Ler os cabeçalhos de cada arquivo para configurar o empilhamento ou o cruzamento
+ * - Montar a entrada do AnalysisPipeline ({ files, combine })
+ *
+ * Excel, CSV e Parquet seguem para o worker com o conteúdo lido pelo FileUploadManager e são
+ * convertidos lá. JSON, XML e SQLite precisam ser convertidos para conhecer as colunas (e o XML
+ * depende do DOMParser), então seguem já como linhas. Do SQLite, vale a primeira tabela com dados.
+ *
+ * Uso:
+ *   const workspace = new DataWorkspace({ uploadManager, excelParser, xmlParser });
+ *   await workspace.addFiles(fileList);
+ *   const input = workspace.toPipelineInput({ mode: CombineMode.APPEND });
+ *
+ * @class DataWorkspace
+ * @author Carlos Antonio de Oliveira Piquet
+ * @version 1.0.0
+ */
+
+import Papa from 'papaparse';
+import { JSONParser } from './JSONParser.js';
+import { DialectDetector } from './DialectDetector.js';
+import { ParquetParser } from './ParquetParser.js';
+import { SQLiteParser } from './SQLiteParser.js';
+import { CombineMode, JoinType } from './DatasetCombiner.js';
+
+// Linhas lidas do CSV para obter os cabeçalhos
+const CSV_PREVIEW_ROWS = 20;
+
+export class DataWorkspace {
+  /**
+   * @param {Object} deps
+   * @param {FileUploadManager} deps.uploadManager - Validação e leitura dos arquivos
+   * @param {ExcelParser} deps.excelParser - Cabeçalhos das planilhas (listSheets)
+   * @param {XMLParser} deps.xmlParser - Conversão de XML
+   */
+  constructor({ uploadManager, excelParser, xmlParser }) {
+    this.uploadManager = uploadManager;
+    this.excelParser = excelParser;
+    this.xmlParser = xmlParser;
+    this.jsonParser = new JSONParser();
+    this.dialectDetector = new DialectDetector();
+    this.parquetParser = new ParquetParser();
+    this.sqliteParser = new SQLiteParser();
+    this.entries = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Adiciona arquivos ao espaço de trabalho
+   * Arquivos com erro não interrompem os demais
+   * @param {FileList|Array<File>} files
+   * @returns {Promise<Object>} { added: [entradas], errors: [{ name, error }] }
+   */
+  async addFiles(files) {
+    const added = [];
+    const errors = [];
+
+    for (const file of Array.from(files)) {
+      try {
+        const entry = await this.readEntry(file);
+        this.entries.push(entry);
+        added.push(entry);
+      } catch (error) {
+        errors.push({ name: file.name, error: error.message });
+      }
+    }
+
+    return { added, errors };
+  }
+
+  /**
+   * Remove um arquivo
+   * @param {number} id
+   */
+  remove(id) {
+    this.entries = this.entries.filter(entry => entry.id !== id);
+  }
+
+  /**
+   * Remove todos os arquivos
+   */
+  clear() {
+    this.entries = [];
+  }
+
+  /**
+   * @returns {Array<Object>} [{ id, name, format, size, headers, rowCount, input }]
+   */
+  getEntries() {
+    return [...this.entries];
+  }
+
+  /**
+   * Entrada do AnalysisPipeline
+   * @param {Object} combine
+   * @param {string} combine.mode - CombineMode.APPEND ou CombineMode.JOIN
+   * @param {number} combine.mainId - Arquivo principal do cruzamento
+   * @param {Object} combine.keys - Por id do arquivo de consulta: { leftKey, rightKey }
+   * @param {string} combine.type - JoinType
+   * @returns {Object} { files, combine }
+   */
+  toPipelineInput({ mode = CombineMode.APPEND, mainId = null, keys = {}, type = JoinType.LEFT } = {}) {
+    if (this.entries.length < 2) {
+      throw new Error('Adicione pelo menos dois arquivos');
+    }
+
+    if (mode !== CombineMode.JOIN) {
+      return {
+        files: this.entries.map(entry => entry.input),
+        combine: { mode: CombineMode.APPEND },
+      };
+    }
+
+    // No cruzamento, o arquivo principal vem primeiro
+    const main = this.entries.find(entry => entry.id === mainId) || this.entries[0];
+    const lookups = this.entries.filter(entry => entry !== main);
+
+    const joins = lookups.map(entry => {
+      const key = keys[entry.id];
+      if (!key?.leftKey || !key?.rightKey) {
+        throw new Error(`Escolha as colunas-chave de "${entry.name}"`);
+      }
+      return { leftKey: key.leftKey, rightKey: key.rightKey };
+    });
+
+    return {
+      files: [main, ...lookups].map(entry => entry.input),
+      combine: { mode, joins, type },
+    };
+  }
+
+  /**
+   * Lê o arquivo e os seus cabeçalhos
+   * @private
+   */
+  async readEntry(file) {
+    const upload = await this.uploadManager.uploadFile(file);
+    const entry = {
+      id: this.nextId++,
+      name: file.name,
+      format: upload.format,
+      size: file.size,
+      headers: [],
+      rowCount: null,
+      input: { name: file.name, format: upload.format, payload: upload.data },
+    };
+
+    switch (upload.format) {
+      case 'excel': {
+        const sheet = this.excelParser.listSheets(upload.data)
+          .find(item => item.rowCount > 0 && item.headers.length > 0);
+        if (!sheet) throw new Error('Nenhuma aba com dados válidos encontrada');
+        entry.headers = sheet.headers;
+        entry.rowCount = sheet.rowCount;
+        break;
+      }
+
+      case 'csv':
+        // O dialeto detectado aqui é o mesmo usado na leitura completa (AnalysisPipeline)
+        entry.input.dialect = await this.dialectDetector.detectFile(upload.data);
+        entry.headers = await this.readCSVHeaders(upload.data, entry.input.dialect);
+        break;
+
+      case 'parquet': {
+        const schema = this.parquetParser.readSchema(upload.data);
+        entry.headers = schema.headers;
+        entry.rowCount = schema.rowCount;
+        break;
+      }
+
+      case 'sqlite': {
+        await this.sqliteParser.open(upload.data);
+        try {
+          const table = this.sqliteParser.listTables().find(item => item.rowCount > 0 && item.headers.length > 0);
+          if (!table) throw new Error('Nenhuma tabela com dados encontrada');
+
+          const { data, metadata } = this.sqliteParser.readTable(table.name);
+          entry.headers = metadata.columns;
+          entry.rowCount = data.length;
+          entry.input = { name: file.name, data, columnHints: metadata.columnFormats };
+        } finally {
+          this.sqliteParser.close();
+        }
+        break;
+      }
+
+      case 'json':
+      case 'xml': {
+        const result = upload.format === 'json'
+          ? await this.jsonParser.parseJSON(upload.data)
+          : await this.xmlParser.parseXML(upload.data);
+        if (!result.success) throw new Error(result.error);
+
+        entry.headers = Object.keys(result.data[0] || {});
+        entry.rowCount = result.data.length;
+        entry.input = { name: file.name, data: result.data, columnHints: result.metadata.columnHints };
+        break;
+      }
+
+      default:
+        throw new Error(`Formato não suportado: ${upload.format}`);
+    }
+
+    if (entry.headers.length === 0) {
+      throw new Error('Nenhuma coluna encontrada');
+    }
+
+    return entry;
+  }
+
+  /**
+   * @private
+   */
+  readCSVHeaders(file, dialect) {
+    return new Promise((resolve, reject) => {
+      Papa.parse(file, {
+        header: true,
+        preview: CSV_PREVIEW_ROWS,
+        delimiter: dialect.delimiter,
+        quoteChar: dialect.quoteChar,
+        encoding: dialect.encoding,
+        transformHeader: (header, index) => header.trim() || `Coluna_${index + 1}`,
+        complete: results => resolve(results.meta.fields || []),
+        error: error => reject(new Error(`Erro ao ler o CSV: ${error.message || error}`)),
+      });
+    });
+  }
+}
@@ -0,0 +1,253 @@
+/**
+ * 🔗 DatasetCombiner - Combinação de várias tabelas em uma só
+ *
+ * Responsável por:
+ * - Empilhar tabelas (ex.: abas Jan, Fev, Mar) unindo as colunas de todas
+ * - Conciliar colunas com nomes equivalentes ao empilhar ("Valor Total" = "valor_total")
+ * - Cruzar uma tabela com outra por uma coluna-chave (PROCV), ex.: Vendas × Clientes
+ * - Sugerir as colunas-chave comuns entre duas tabelas
+ * - Registrar a origem (linhagem) das linhas e colunas de cada tabela
+ *
+ * Cada tabela é { name, data }, em que data é o array de linhas (objetos).
+ *
+ * Uso:
+ *   const combiner = new DatasetCombiner();
+ *   const { data } = combiner.append([{ name: 'Jan', data: jan }, { name: 'Fev', data: fev }]);
+ *   const { data, stats } = combiner.join(vendas, clientes, { leftKey: 'Cliente', rightKey: 'Nome' });
+ *
+ * @class DatasetCombiner
+ * @author Carlos Antonio de Oliveira Piquet
+ * @version 1.0.0
+ */
+
+import { normalizeHeader } from '../utils/text.js';
+
+/**
+ * Modos de combinação de abas/arquivos
+ */
+export const CombineMode = {
+  SINGLE: 'single',
+  APPEND: 'append',
+  JOIN: 'join',
+};
+
+/**
+ * Tipos de cruzamento
+ * - left: mantém todas as linhas da tabela principal (sem correspondência, as colunas ficam vazias)
+ * - inner: mantém apenas as linhas com correspondência
+ */
+export const JoinType = {
+  LEFT: 'left',
+  INNER: 'inner',
+};
+
+// Coluna adicionada ao empilhar, com o nome da tabela de origem de cada linha
+export const DEFAULT_SOURCE_COLUMN = 'Origem';
+
+export class DatasetCombiner {
+  /**
+   * Empilha as tabelas, unindo as colunas de todas (colunas ausentes ficam null)
+   * @param {Array<Object>} datasets - [{ name, data }]
+   * @param {Object} options
+   * @param {string|null} options.sourceColumn - Coluna com o nome da tabela de origem (null para omitir)
+   * @param {boolean} options.reconcile - Une colunas de nomes equivalentes (ver normalizeHeader),
+   *   mantendo o nome da primeira tabela em que a coluna aparece
+   * @returns {Object} { data, columns, lineage }
+   *   lineage: [{ name, rows, firstRow, lastRow, renamed: [{ from, to }], missing: [colunas] }]
+   *   (firstRow/lastRow: posição, a partir de 1, das linhas da tabela no resultado)
+   */
+  append(datasets, { sourceColumn = DEFAULT_SOURCE_COLUMN, reconcile = false } = {}) {
+    const canonical = new Map();
+    const columnOf = (column) => {
+      const key = reconcile ? normalizeHeader(column) || column : column;
+      if (!canonical.has(key)) canonical.set(key, column);
+      return canonical.get(key);
+    };
+
+    // Mapa coluna original -> coluna do resultado, por tabela
+    const mappings = datasets.map(({ data: rows }) => {
+      const mapping = new Map();
+      this.collectColumns([rows]).forEach(column => mapping.set(column, columnOf(column)));
+      return mapping;
+    });
+
+    const columns = [...canonical.values()];
+    const addSource = sourceColumn && datasets.length > 1 && !columns.includes(sourceColumn);
+
+    const data = [];
+    const lineage = datasets.map(({ name, data: rows }, index) => {
+      const mapping = mappings[index];
+      const firstRow = data.length + 1;
+
+      rows.forEach(row => {
+        const record = Object.fromEntries(columns.map(column => [column, null]));
+        mapping.forEach((target, column) => {
+          if (row[column] !== undefined && record[target] === null) record[target] = row[column];
+        });
+        if (addSource) record[sourceColumn] = name;
+        data.push(record);
+      });
+
+      const mapped = new Set(mapping.values());
+      return {
+        name,
+        rows: rows.length,
+        firstRow: rows.length > 0 ? firstRow : null,
+        lastRow: rows.length > 0 ? data.length : null,
+        renamed: [...mapping.entries()]
+          .filter(([column, target]) => column !== target)
+          .map(([from, to]) => ({ from, to })),
+        missing: columns.filter(column => !mapped.has(column)),
+      };
+    });
+
+    return {
+      data,
+      columns: addSource ? [...columns, sourceColumn] : columns,
+      lineage,
+    };
+  }
+
+  /**
+   * Cruza a tabela principal com uma tabela de consulta pela coluna-chave
+   * Como no PROCV, se a chave se repetir na tabela de consulta vale a primeira ocorrência.
+   * As chaves são comparadas sem diferenciar maiúsculas e espaços nas pontas.
+   * @param {Object} left - Tabela principal { name, data }
+   * @param {Object} right - Tabela de consulta { name, data }
+   * @param {Object} options
+   * @param {string} options.leftKey - Coluna-chave da tabela principal
+   * @param {string} options.rightKey - Coluna-chave da tabela de consulta
+   * @param {string} options.type - JoinType (padrão: left)
+   * @returns {Object} { data, columns, stats: { matched, unmatched, duplicateKeys } }
+   */
+  join(left, right, { leftKey, rightKey, type = JoinType.LEFT } = {}) {
+    if (!leftKey || !rightKey) {
+      throw new Error('Informe a coluna-chave das duas tabelas');
+    }
+
+    const leftColumns = this.collectColumns([left.data]);
+    const rightColumns = this.collectColumns([right.data]);
+
+    if (!leftColumns.includes(leftKey)) {
+      throw new Error(`Coluna "${leftKey}" não encontrada em "${left.name}"`);
+    }
+    if (!rightColumns.includes(rightKey)) {
+      throw new Error(`Coluna "${rightKey}" não encontrada em "${right.name}"`);
+    }
+
+    // Índice da tabela de consulta (primeira ocorrência de cada chave)
+    const index = new Map();
+    let duplicateKeys = 0;
+    right.data.forEach(row => {
+      const key = this.normalizeKey(row[rightKey]);
+      if (key === null) return;
+      if (index.has(key)) {
+        duplicateKeys++;
+      } else {
+        index.set(key, row);
+      }
+    });
+
+    // Colunas trazidas da consulta; nomes repetidos recebem o nome da tabela
+    const lookupColumns = rightColumns
+      .filter(column => column !== rightKey)
+      .map(column => ({
+        source: column,
+        target: leftColumns.includes(column) ? `${column} (${right.name})` : column,
+      }));
+
+    const data = [];
+    let matched = 0;
+    let unmatched = 0;
+
+    left.data.forEach(row => {
+      const match = index.get(this.normalizeKey(row[leftKey]));
+
+      if (match) {
+        matched++;
+      } else {
+        unmatched++;
+        if (type === JoinType.INNER) return;
+      }
+
+      const record = { ...row };
+      lookupColumns.forEach(({ source, target }) => {
+        record[target] = match && match[source] !== undefined ? match[source] : null;
+      });
+      data.push(record);
+    });
+
+    return {
+      data,
+      columns: [...leftColumns, ...lookupColumns.map(column => column.target)],
+      stats: { matched, unmatched, duplicateKeys },
+      lookupColumns: lookupColumns.map(column => column.target),
+    };
+  }
+
+  /**
+   * Cruza a tabela principal com várias tabelas de consulta, uma após a outra
+   * @param {Object} main - Tabela principal { name, data }
+   * @param {Array<Object>} lookups - [{ dataset: { name, data }, leftKey, rightKey }]
+   * @param {Object} options
+   * @param {string} options.type - JoinType aplicado a todos os cruzamentos
+   * @returns {Object} { data, lineage }
+   *   lineage: [{ name, role: 'principal'|'consulta', rows, matched, unmatched, columns }]
+   */
+  joinAll(main, lookups, { type = JoinType.LEFT } = {}) {
+    let current = main;
+    const lineage = [{ name: main.name, role: 'principal', rows: main.data.length, columns: this.collectColumns([main.data]) }];
+
+    lookups.forEach(({ dataset, leftKey, rightKey }) => {
+      const result = this.join(current, dataset, { leftKey, rightKey, type });
+      current = { name: main.name, data: result.data };
+      lineage.push({
+        name: dataset.name,
+        role: 'consulta',
+        rows: dataset.data.length,
+        key: `${leftKey} = ${rightKey}`,
+        matched: result.stats.matched,
+        unmatched: result.stats.unmatched,
+        columns: result.lookupColumns,
+      });
+    });
+
+    return { data: current.data, lineage };
+  }
+
+  /**
+   * Sugere pares de colunas-chave pelo nome (equivalentes segundo normalizeHeader)
+   * @param {Array<string>} leftHeaders
+   * @param {Array<string>} rightHeaders
+   * @returns {Array<Object>} [{ leftKey, rightKey }]
+   */
+  suggestJoinKeys(leftHeaders, rightHeaders) {
+    return leftHeaders.flatMap(leftKey => {
+      const rightKey = rightHeaders.find(header => normalizeHeader(header) === normalizeHeader(leftKey));
+      return rightKey ? [{ leftKey, rightKey }] : [];
+    });
+  }
+
+  /**
+   * Valor da chave usado na comparação (null quando vazio)
+   * @param {*} value
+   * @returns {string|null}
+   */
+  normalizeKey(value) {
+    if (value === null || value === undefined) return null;
+    const key = String(value).trim().toLowerCase();
+    return key === '' ? null : key;
+  }
+
+  /**
+   * Colunas de todas as tabelas, na ordem em que aparecem
+   * @private
+   */
+  collectColumns(tables) {
+    const columns = new Set();
+    tables.forEach(rows => {
+      rows.forEach(row => Object.keys(row).forEach(column => columns.add(column)));
+    });
+    return [...columns];
+  }
+}
@@ -0,0 +1,363 @@
+/**
+ * 🔎 DialectDetector - Convenções de arquivos CSV e de números
+ *
+ * Responsável por:
+ * - Detectar a codificação (UTF-8 ou Latin-1/Windows-1252), o delimitador e o caractere de aspas
+ * - Detectar o separador decimal ("1.234,56" ou "1,234.56") e a ordem das datas (dia/mês ou mês/dia)
+ * - Montar a pré-visualização das primeiras linhas com um dialeto qualquer (escolhido pelo usuário)
+ * - Normalizar os valores lidos: números sem separador de milhar e com ponto decimal,
+ *   datas em AAAA-MM-DD (o mesmo formato das planilhas Excel)
+ * - Converter textos numéricos em número (parseLocaleNumber), usado por todos os módulos de análise
+ *
+ * Dialeto: { delimiter, quoteChar, encoding, decimalSeparator, thousandsSeparator, dateOrder }
+ *
+ * Uso:
+ *   const detector = new DialectDetector();
+ *   const dialect = await detector.detectFile(file);
+ *   Papa.parse(file, { ...csvParseOptions(dialect), complete });
+ *
+ * @class DialectDetector
+ * @author Carlos Antonio de Oliveira Piquet
+ * @version 1.0.0
+ */
+
+import Papa from 'papaparse';
+
+/**
+ * Ordem de dia, mês e ano nas datas
+ */
+export const DateOrder = {
+  DMY: 'DMY',
+  MDY: 'MDY',
+  YMD: 'YMD',
+};
+
+// Opções oferecidas na tela de ajuste do CSV
+export const CSV_DELIMITERS = [
+  { value: ',', label: 'Vírgula (,)' },
+  { value: ';', label: 'Ponto e vírgula (;)' },
+  { value: '\t', label: 'Tabulação' },
+  { value: '|', label: 'Barra vertical (|)' },
+];
+
+export const CSV_QUOTE_CHARS = [
+  { value: '"', label: 'Aspas duplas (")' },
+  { value: "'", label: "Aspas simples (')" },
+];
+
+export const CSV_ENCODINGS = [
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'windows-1252', label: 'Latin-1 / Windows-1252' },
+];
+
+// Início do arquivo lido para a detecção
+const SNIFF_BYTES = 64 * 1024;
+
+// Linhas analisadas na detecção e exibidas na pré-visualização
+const SNIFF_ROWS = 50;
+const PREVIEW_ROWS = 8;
+
+// Data com dia e mês de 1 ou 2 dígitos, opcionalmente com hora (05/01/2024, 5-1-2024 10:30)
+const SHORT_DATE_PATTERN = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+// Valor com cara de número: sinal, símbolo de moeda, dígitos e separadores, porcentagem
+const NUMBER_LIKE_PATTERN = /^[-+]?\s*(?:R\$|\$|€)?\s*\d[\d.,]*\s*%?$/;
+
+// Número já sem moeda, porcentagem e separador de milhar, com ponto decimal
+const PLAIN_NUMBER_PATTERN = /^[-+]?(\d+(\.\d+)?|\.\d+)$/;
+
+/**
+ * Converte um texto numérico em número
+ * Sem separador decimal informado, cada valor é interpretado pelo seu formato:
+ * "1.234,56" e "1,234.56" → 1234.56; "10,5" → 10.5; "1,234" e "1.234.567" → milhar
+ * @param {*} value - Valor da célula
+ * @param {string|null} decimalSeparator - ',' ou '.' (null para detectar pelo valor)
+ * @returns {number|null} null quando vazio ou não numérico
+ */
+export function parseLocaleNumber(value, decimalSeparator = null) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return isNaN(value) ? null : value;
+
+  const text = String(value)
+    .replace(/\s/g, '')
+    .replace(/^([-+]?)(?:R\$|\$|€)/, '$1')
+    .replace(/%$/, '');
+  const decimal = decimalSeparator || guessDecimalSeparator(text);
+  const thousands = decimal === ',' ? '.' : ',';
+
+  // O valor inteiro precisa ser numérico: "12abc" e "2024-01-05" não são números
+  const normalized = text.split(thousands).join('').replace(decimal, '.');
+  return PLAIN_NUMBER_PATTERN.test(normalized) ? Number(normalized) : null;
+}
+
+/**
+ * Separador decimal de um único valor
+ * @private
+ */
+function guessDecimalSeparator(text) {
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+
+  if (lastComma !== -1 && lastDot !== -1) return lastComma > lastDot ? ',' : '.';
+  if (lastComma !== -1) return /^[-+]?[1-9]\d{0,2}(,\d{3})+$/.test(text) ? '.' : ',';
+  if (lastDot !== -1) return /^[-+]?\d{1,3}(\.\d{3}){2,}$/.test(text) ? ',' : '.';
+  return '.';
+}
+
+/**
+ * Normaliza os valores de um CSV lido com o dialeto
+ * Números ficam sem símbolo de moeda e separador de milhar, com ponto decimal ("1234.56");
+ * datas dia/mês ou mês/dia ficam em AAAA-MM-DD. Os demais valores não mudam.
+ * @param {Object} dialect - { decimalSeparator, dateOrder }
+ * @returns {Function} (value) => valor normalizado (células vazias viram null)
+ */
+export function createValueTransform({ decimalSeparator = '.', dateOrder = DateOrder.MDY } = {}) {
+  const decimal = decimalSeparator === ',' ? ',' : '.';
+  const thousands = decimal === ',' ? '\\.' : ',';
+  const numberPattern = new RegExp(
+    `^([-+]?)\\s*(?:R\\$|\\$|€)?\\s*(-?)(\\d{1,3}(?:${thousands}\\d{3})+|\\d+)(?:\\${decimal}(\\d+))?\\s*(%?)$`
+  );
+
+  return (value) => {
+    if (value === '') return null;
+    const text = value.trim();
+
+    const date = dateOrder !== DateOrder.YMD && text.match(SHORT_DATE_PATTERN);
+    if (date) return toISODate(date, dateOrder) ?? value;
+
+    const number = text.match(numberPattern);
+    if (number) {
+      const [, sign, currencySign, integer, fraction, percent] = number;
+      return `${sign === '-' || currencySign ? '-' : ''}${integer.replace(/\D/g, '')}${fraction ? '.' + fraction : ''}${percent}`;
+    }
+
+    return value;
+  };
+}
+
+/**
+ * Opções do Papa Parse para ler um CSV com o dialeto
+ * @param {Object} dialect
+ * @returns {Object} { delimiter, quoteChar, encoding, transform }
+ */
+export function csvParseOptions(dialect) {
+  return {
+    delimiter: dialect.delimiter,
+    quoteChar: dialect.quoteChar,
+    escapeChar: dialect.quoteChar,
+    encoding: dialect.encoding,
+    transform: createValueTransform(dialect),
+  };
+}
+
+/**
+ * Data curta em AAAA-MM-DD (com hora, AAAA-MM-DDTHH:MM:SS)
+ * @private
+ */
+function toISODate([, first, second, year, hours, minutes, seconds], dateOrder) {
+  const [day, month] = dateOrder === DateOrder.DMY ? [first, second] : [second, first];
+  if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > 31) return null;
+
+  const date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  return hours === undefined ? date : `${date}T${hours.padStart(2, '0')}:${minutes}:${seconds || '00'}`;
+}
+
+export class DialectDetector {
+  /**
+   * Detecta o dialeto pelo início do arquivo
+   * @param {Blob} file
+   * @returns {Promise<Object>} Dialeto
+   */
+  async detectFile(file) {
+    const buffer = await file.slice(0, SNIFF_BYTES).arrayBuffer();
+    return this.detect(new Uint8Array(buffer), file.size <= SNIFF_BYTES);
+  }
+
+  /**
+   * Detecta o dialeto de um trecho do arquivo
+   * @param {Uint8Array} bytes - Início do arquivo
+   * @param {boolean} complete - O trecho é o arquivo inteiro (a última linha não está cortada)
+   * @returns {Object} Dialeto
+   */
+  detect(bytes, complete = true) {
+    const sample = complete ? bytes : this.trimToLastLine(bytes);
+    const encoding = this.detectEncoding(sample);
+    const text = this.decode(sample, encoding);
+
+    const quoteChar = this.detectQuoteChar(text);
+    const delimiter = this.detectDelimiter(text, quoteChar);
+    const rows = this.parseSample(text, { delimiter, quoteChar }).slice(1);
+    const values = rows.flat().map(value => value.trim()).filter(Boolean);
+
+    const decimalSeparator = this.detectDecimalSeparator(values, delimiter);
+
+    return {
+      delimiter,
+      quoteChar,
+      encoding,
+      decimalSeparator,
+      thousandsSeparator: decimalSeparator === ',' ? '.' : ',',
+      dateOrder: this.detectDateOrder(values, decimalSeparator),
+    };
+  }
+
+  /**
+   * Primeiras linhas do arquivo lidas com o dialeto
+   * @param {Blob} file
+   * @param {Object} dialect
+   * @returns {Promise<Object>} { headers, rows } (valores já normalizados)
+   */
+  async preview(file, dialect) {
+    const buffer = await file.slice(0, SNIFF_BYTES).arrayBuffer();
+    const text = this.decode(new Uint8Array(buffer), dialect.encoding);
+    const transform = createValueTransform(dialect);
+
+    const [headers = [], ...rows] = this.parseSample(text, dialect).slice(0, PREVIEW_ROWS + 1);
+    return {
+      headers: headers.map((header, index) => header.trim() || `Coluna_${index + 1}`),
+      rows: rows.map(row => row.map(transform)),
+    };
+  }
+
+  /**
+   * UTF-8 quando o trecho é UTF-8 válido; senão, Windows-1252 (Latin-1 do Excel brasileiro)
+   * @param {Uint8Array} bytes
+   * @returns {string}
+   */
+  detectEncoding(bytes) {
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+      return 'utf-8';
+    } catch {
+      return 'windows-1252';
+    }
+  }
+
+  /**
+   * Delimitador que divide as linhas no mesmo número de colunas (e no maior número)
+   * @param {string} text
+   * @param {string} quoteChar
+   * @returns {string}
+   */
+  detectDelimiter(text, quoteChar = '"') {
+    let best = { delimiter: ',', consistency: 0, columns: 1 };
+
+    CSV_DELIMITERS.forEach(({ value: delimiter }) => {
+      const counts = this.parseSample(text, { delimiter, quoteChar }).map(row => row.length);
+      if (counts.length === 0) return;
+
+      const frequency = new Map();
+      counts.forEach(count => frequency.set(count, (frequency.get(count) || 0) + 1));
+      const [columns, rows] = [...frequency.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+      const consistency = rows / counts.length;
+
+      if (columns < 2) return;
+      if (consistency > best.consistency || (consistency === best.consistency && columns > best.columns)) {
+        best = { delimiter, consistency, columns };
+      }
+    });
+
+    return best.delimiter;
+  }
+
+  /**
+   * Aspas simples só quando aparecem no início de campos e as duplas não
+   * @param {string} text
+   * @returns {string}
+   */
+  detectQuoteChar(text) {
+    const count = (quote) => (text.match(new RegExp(`(^|[,;\\t|])${quote}`, 'gm')) || []).length;
+    return count("'") > count('"') ? "'" : '"';
+  }
+
+  /**
+   * Separador decimal mais frequente entre os valores numéricos
+   * Sem valores decisivos, segue a convenção do delimitador (";" → vírgula decimal)
+   * @param {Array<string>} values
+   * @param {string} delimiter
+   * @returns {string} ',' ou '.'
+   */
+  detectDecimalSeparator(values, delimiter) {
+    const votes = { ',': 0, '.': 0 };
+
+    values.forEach(value => {
+      if (!NUMBER_LIKE_PATTERN.test(value)) return;
+      const text = value.replace(/[^\d.,]/g, '');
+      const commas = text.split(',').length - 1;
+      const dots = text.split('.').length - 1;
+
+      if (commas > 0 && dots > 0) {
+        votes[text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.']++;
+      } else if (commas > 1 || dots > 1) {
+        // Separador repetido é de milhar: "1.234.567"
+        votes[commas > 1 ? '.' : ',']++;
+      } else if (commas === 1 && !/,\d{3}$/.test(text)) {
+        votes[',']++;
+      } else if (dots === 1 && !/\.\d{3}$/.test(text)) {
+        votes['.']++;
+      }
+    });
+
+    if (votes[','] !== votes['.']) return votes[','] > votes['.'] ? ',' : '.';
+    return delimiter === ';' ? ',' : '.';
+  }
+
+  /**
+   * Ordem das datas: dia acima de 12 na primeira posição indica dia/mês, na segunda, mês/dia
+   * Sem datas decisivas, segue o separador decimal (vírgula → dia/mês)
+   * @param {Array<string>} values
+   * @param {string} decimalSeparator
+   * @returns {string} DateOrder
+   */
+  detectDateOrder(values, decimalSeparator) {
+    let dayFirst = 0;
+    let monthFirst = 0;
+    let shortDates = 0;
+    let isoDates = 0;
+
+    values.forEach(value => {
+      const match = value.match(SHORT_DATE_PATTERN);
+      if (match) {
+        shortDates++;
+        if (Number(match[1]) > 12) dayFirst++;
+        if (Number(match[2]) > 12) monthFirst++;
+      } else if (ISO_DATE_PATTERN.test(value)) {
+        isoDates++;
+      }
+    });
+
+    if (dayFirst !== monthFirst) return dayFirst > monthFirst ? DateOrder.DMY : DateOrder.MDY;
+    if (shortDates === 0 && isoDates > 0) return DateOrder.YMD;
+    return decimalSeparator === ',' ? DateOrder.DMY : DateOrder.MDY;
+  }
+
+  /**
+   * @private
+   */
+  decode(bytes, encoding) {
+    return new TextDecoder(encoding).decode(bytes);
+  }
+
+  /**
+   * @private
+   */
+  parseSample(text, { delimiter, quoteChar }) {
+    return Papa.parse(text, {
+      delimiter,
+      quoteChar,
+      escapeChar: quoteChar,
+      preview: SNIFF_ROWS,
+      skipEmptyLines: 'greedy',
+    }).data;
+  }
+
+  /**
+   * Descarta a última linha, possivelmente cortada no meio (e no meio de um caractere UTF-8)
+   * @private
+   */
+  trimToLastLine(bytes) {
+    const end = bytes.lastIndexOf(0x0a);
+    return end > 0 ? bytes.subarray(0, end) : bytes;
+  }
+}
@@ -3,17 +3,64 @@
  * Responsável por:
  * - Ler arquivos Excel com SheetJS
  * - Converter para JSON
- * - Detectar cabeçalhos
+ * - Detectar cabeçalhos (ignorando linhas de título, com células mescladas
+ *   e cabeçalhos de dois ou mais níveis, ex.: "Vendas - Qtd")
+ * - Remover linhas de total e notas de rodapé
+ * - Ler o formato numérico das células (moeda, %, data) como indício de tipo
+ *   para o ColumnTypeDetector
+ * - Opcionalmente, ignorar linhas ocultas/filtradas e linhas de subtotal (fórmulas),
+ *   que somariam em dobro nos KPIs
  * - Extrair metadados básicos
  */
 
 import * as XLSX from 'xlsx';
+import { ColumnType } from '../types/enums.js';
+
+// Linhas lidas de cada aba para montar o seletor de abas (cabeçalhos)
+const SHEET_PREVIEW_ROWS = 30;
+
+// Linhas do início da aba analisadas para encontrar o cabeçalho
+const LAYOUT_SCAN_ROWS = 30;
+
+// Máximo de linhas de um cabeçalho em níveis ("Vendas" sobre "Qtd" e "Valor")
+const MAX_HEADER_LEVELS = 3;
+
+// Separador dos níveis do cabeçalho achatado
+const HEADER_LEVEL_SEPARATOR = ' - ';
+
+// Linhas de total no fim da planilha (primeira célula preenchida)
+const TOTAL_ROW_PATTERN = /^\s*(total|totais|subtotal|sub-total|total geral|soma|grand total)\b/i;
+
+// Notas de rodapé (uma única célula preenchida)
+const NOTE_ROW_PATTERN = /^\s*(fonte|gerado|emitido|impresso|observa|obs\b|nota|p[áa]gina|\*)/i;
+
+// Valores numéricos ou datas já formatados como texto (raw: false)
+const NUMBER_LIKE_PATTERN = /^[-+(]?\s*(R\$)?\s*[\d.,]+\s*%?\)?$/;
+const DATE_LIKE_PATTERN = /^\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}/;
+
+// Anos usados como nome de coluna ("Produto | 2023 | 2024")
+const YEAR_PATTERN = /^(19|20)\d{2}$/;
+
+// Fórmulas de subtotal: SUBTOTAL/AGREGAR, ou SOMA de um intervalo vertical (B2:B10)
+// (o arquivo guarda os nomes das funções em inglês, qualquer que seja o idioma do Excel)
+const SUBTOTAL_FORMULA_PATTERN = /\b(SUBTOTAL|AGGREGATE)\s*\(/i;
+const SUM_RANGE_PATTERN = /\bSUM\s*\(\s*\$?([A-Z]{1,3})\$?(\d+)\s*:\s*\$?([A-Z]{1,3})\$?(\d+)/i;
+
+// Parcela mínima das células da coluna com o mesmo formato para valer como indício de tipo
+const FORMAT_HINT_MIN_SHARE = 0.8;
 
 export class ExcelParser {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.excludeHiddenRows - Ignora linhas ocultas ou escondidas por filtro
+   * @param {boolean} options.excludeSubtotalRows - Ignora linhas com fórmulas de subtotal
+   */
+  constructor({ excludeHiddenRows = false, excludeSubtotalRows = false } = {}) {
     this.workbook = null;
     this.sheets = [];
     this.currentSheet = null;
+    this.options = { excludeHiddenRows, excludeSubtotalRows };
+    this.cellFormats = new WeakMap();
   }
 
   /**
@@ -26,8 +73,9 @@ export class ExcelParser {
       this.workbook = XLSX.read(arrayBuffer, { 
         type: 'array',
         cellDates: true,
-        cellNF: false,
+        cellNF: true, // Formatos numéricos (lidos em extractCellFormats)
         cellText: false,
+        cellStyles: true, // Necessário para as linhas ocultas (!rows)
       });
       
       this.sheets = this.workbook.SheetNames.map(name => ({
@@ -42,30 +90,116 @@ export class ExcelParser {
     }
   }
 
+  /**
+   * Lista as abas do arquivo com cabeçalhos e quantidade de linhas, sem processar os dados
+   * Usado pelo seletor de abas antes de enviar o arquivo para a análise
+   * @param {ArrayBuffer} arrayBuffer - Buffer do arquivo
+   * @returns {Array<Object>} [{ name, headers, rowCount }]
+   */
+  listSheets(arrayBuffer) {
+    let preview;
+    try {
+      preview = XLSX.read(arrayBuffer, { type: 'array', sheetRows: SHEET_PREVIEW_ROWS });
+    } catch (error) {
+      throw new Error(`Erro ao processar Excel: ${error.message}`);
+    }
+
+    return preview.SheetNames.map(name => {
+      const sheet = preview.Sheets[name];
+      const rows = this.readRows(sheet);
+      if (rows.length === 0) {
+        return { name, headers: [], rowCount: 0 };
+      }
+
+      const layout = this.detectLayout(rows, this.getMerges(sheet));
+      // !fullref guarda o intervalo completo da aba quando a leitura é limitada por sheetRows
+      const range = XLSX.utils.decode_range(sheet['!fullref'] || sheet['!ref']);
+
+      return {
+        name,
+        headers: layout.headers,
+        rowCount: Math.max(range.e.r - range.s.r + 1 - layout.dataStart, 0),
+      };
+    });
+  }
+
   /**
    * Converte uma planilha para JSON
    * @param {string} sheetName - Nome da aba
    * @returns {Array<Object>} Dados em formato JSON
    */
   sheetToJSON(sheetName) {
-    if (!this.workbook) {
-      throw new Error('Nenhum workbook carregado');
-    }
+    return this.readRows(this.getSheet(sheetName));
+  }
 
-    const sheet = this.workbook.Sheets[sheetName];
-    if (!sheet) {
-      throw new Error(`Aba "${sheetName}" não encontrada`);
-    }
+  /**
+   * Lê as linhas da aba como arrays, repetindo o valor das células mescladas
+   * em todas as células do intervalo
+   * @param {Object} sheet - Aba do SheetJS
+   * @returns {Array<Array>}
+   */
+  readRows(sheet) {
+    this.extractCellFormats(sheet);
 
-    // Converter para JSON com opções
-    const jsonData = XLSX.utils.sheet_to_json(sheet, {
+    const rows = XLSX.utils.sheet_to_json(sheet, {
       header: 1, // Retorna array de arrays
       raw: false, // Converte datas
       dateNF: 'yyyy-mm-dd',
       defval: null, // Valor padrão para células vazias
+      blankrows: true, // Mantém as posições alinhadas com as células mescladas
+    });
+
+    this.getMerges(sheet).forEach(({ s, e }) => {
+      const value = rows[s.r]?.[s.c];
+      if (this.isEmptyCell(value)) return;
+
+      for (let r = s.r; r <= e.r && r < rows.length; r++) {
+        for (let c = s.c; c <= e.c; c++) {
+          if (this.isEmptyCell(rows[r][c])) rows[r][c] = value;
+        }
+      }
+    });
+
+    return rows;
+  }
+
+  /**
+   * Células mescladas da aba, com posições relativas ao início dos dados
+   * @param {Object} sheet - Aba do SheetJS
+   * @returns {Array<Object>} [{ s: { r, c }, e: { r, c } }]
+   */
+  getMerges(sheet) {
+    if (!sheet['!ref'] || !sheet['!merges']) return [];
+
+    const start = XLSX.utils.decode_range(sheet['!ref']).s;
+    return sheet['!merges'].map(({ s, e }) => ({
+      s: { r: s.r - start.r, c: s.c - start.c },
+      e: { r: e.r - start.r, c: e.c - start.c },
+    }));
+  }
+
+  /**
+   * Separa o formato numérico das células (cell.z) para usar como indício de tipo
+   * O formato é removido da célula para que os valores continuem no padrão do
+   * sheet_to_json sem formatação (números simples e datas yyyy-mm-dd)
+   * @param {Object} sheet - Aba do SheetJS
+   * @returns {Map<string, string>} Endereço da célula (A1) -> formato
+   */
+  extractCellFormats(sheet) {
+    if (this.cellFormats.has(sheet)) return this.cellFormats.get(sheet);
+
+    const formats = new Map();
+    Object.keys(sheet).forEach(address => {
+      if (address[0] === '!') return;
+      const cell = sheet[address];
+      if (cell.z !== undefined) {
+        if (cell.z !== 'General') formats.set(address, cell.z);
+        delete cell.z;
+      }
     });
 
-    return jsonData;
+    this.cellFormats.set(sheet, formats);
+    return formats;
   }
 
   /**
@@ -74,17 +208,38 @@ export class ExcelParser {
    * @returns {Object} Dados processados
    */
   processSheet(sheetName) {
-    const rawData = this.sheetToJSON(sheetName);
+    const sheet = this.getSheet(sheetName);
+    const rawData = this.readRows(sheet);
     
-    if (rawData.length === 0) {
+    if (rawData.every(row => this.countFilled(row) === 0)) {
       throw new Error('Planilha vazia');
     }
 
-    // Detectar cabeçalhos
-    const headers = this.detectHeaders(rawData);
+    // Detectar títulos e cabeçalhos (um ou mais níveis)
+    const layout = this.detectLayout(rawData, this.getMerges(sheet));
+    const headers = layout.headers;
+    
+    // Remover totais e notas no fim da planilha
+    const bodyRows = rawData.slice(layout.dataStart);
+    const footerRowCount = bodyRows.length - this.stripFooterRows(bodyRows).length;
+    
+    // Linhas ocultas e de subtotal (posições relativas a rawData)
+    const indexes = [];
+    const excludedRows = { hidden: 0, subtotal: 0 };
+    const { excludeHiddenRows, excludeSubtotalRows } = this.options;
+    
+    for (let index = layout.dataStart; index < rawData.length - footerRowCount; index++) {
+      if (excludeHiddenRows && this.isHiddenRow(sheet, index)) {
+        excludedRows.hidden++;
+      } else if (excludeSubtotalRows && this.isSubtotalRow(sheet, index)) {
+        excludedRows.subtotal++;
+      } else {
+        indexes.push(index);
+      }
+    }
     
     // Converter para objetos
-    const data = this.convertToObjects(rawData, headers);
+    const data = this.convertToObjects(indexes.map(index => rawData[index]), headers);
     
     // Remover linhas completamente vazias
     const cleanData = data.filter(row => 
@@ -98,45 +253,332 @@ export class ExcelParser {
       rawRowCount: rawData.length,
       cleanRowCount: cleanData.length,
       columnCount: headers.length,
+      titleRows: layout.titleRows,
+      headerRowCount: layout.headerRowCount,
+      footerRowCount,
+      excludedRows,
+      columnFormats: this.getColumnFormats(sheet, headers, indexes),
     };
   }
 
+  /**
+   * Formato predominante de cada coluna e o tipo que ele indica
+   * O formato "Geral" não gera indício de tipo
+   * @param {Object} sheet - Aba do SheetJS
+   * @param {Array<string>} headers - Cabeçalhos
+   * @param {Array<number>} rowIndexes - Linhas de dados (posições relativas ao início da aba)
+   * @returns {Object} { [coluna]: { type, format, formulaCount } }
+   */
+  getColumnFormats(sheet, headers, rowIndexes) {
+    const formats = this.extractCellFormats(sheet);
+    const start = sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']).s : { r: 0, c: 0 };
+    const columnFormats = {};
+
+    headers.forEach((header, c) => {
+      const hints = new Map();
+      let filled = 0;
+      let formulaCount = 0;
+
+      rowIndexes.forEach(r => {
+        const address = XLSX.utils.encode_cell({ r: r + start.r, c: c + start.c });
+        const cell = sheet[address];
+        if (!cell || cell.t === 'z' || cell.v === undefined || cell.v === null || cell.v === '') return;
+
+        filled++;
+        if (cell.f) formulaCount++;
+
+        const format = formats.get(address) || null;
+        const type = this.formatToType(format, cell);
+        if (!type) return;
+
+        const hint = hints.get(type) || { type, format, count: 0 };
+        hint.count++;
+        hints.set(type, hint);
+      });
+
+      const [best] = [...hints.values()].sort((a, b) => b.count - a.count);
+      const hasHint = best && filled > 0 && best.count / filled >= FORMAT_HINT_MIN_SHARE;
+
+      if (hasHint || formulaCount > 0) {
+        columnFormats[header] = {
+          type: hasHint ? best.type : null,
+          format: hasHint ? best.format : null,
+          formulaCount,
+        };
+      }
+    });
+
+    return columnFormats;
+  }
+
+  /**
+   * Tipo indicado pelo formato numérico da célula
+   * @param {string|null} format - Código do formato (ex.: "R$ #,##0.00", "0.00%", "dd/mm/yyyy")
+   * @param {Object} cell - Célula do SheetJS
+   * @returns {string|null} ColumnType ou null
+   */
+  formatToType(format, cell) {
+    if (cell.t === 'd') return ColumnType.DATE;
+    if (!format || cell.t !== 'n') return null;
+
+    // Trechos entre aspas e colchetes são texto literal ou códigos de moeda/cor
+    const code = format.replace(/"[^"]*"/g, '').replace(/\[(?!\$)[^\]]*\]/g, '');
+
+    if (format.includes('%')) return ColumnType.PERCENTAGE;
+    if (/R\$|[$€£¥]|\[\$/.test(format)) return ColumnType.CURRENCY;
+    if (XLSX.SSF.is_date(code)) return ColumnType.DATE;
+    if (/[0#]/.test(code)) return ColumnType.NUMBER;
+    return null;
+  }
+
+  /**
+   * Linha oculta ou escondida por filtro
+   * @param {Object} sheet - Aba do SheetJS
+   * @param {number} index - Posição relativa ao início da aba
+   * @returns {boolean}
+   */
+  isHiddenRow(sheet, index) {
+    const start = sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']).s.r : 0;
+    return Boolean(sheet['!rows']?.[index + start]?.hidden);
+  }
+
+  /**
+   * Linha com fórmula de subtotal (SUBTOTAL, AGGREGATE ou SUM de um intervalo vertical)
+   * @param {Object} sheet - Aba do SheetJS
+   * @param {number} index - Posição relativa ao início da aba
+   * @returns {boolean}
+   */
+  isSubtotalRow(sheet, index) {
+    if (!sheet['!ref']) return false;
+
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    const r = index + range.s.r;
+
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const formula = sheet[XLSX.utils.encode_cell({ r, c })]?.f;
+      if (!formula) continue;
+      if (SUBTOTAL_FORMULA_PATTERN.test(formula)) return true;
+
+      const sum = formula.match(SUM_RANGE_PATTERN);
+      if (sum && sum[1].toUpperCase() === sum[3].toUpperCase() && sum[2] !== sum[4]) return true;
+    }
+    return false;
+  }
+
   /**
    * Detecta os cabeçalhos da planilha
    * @param {Array} rawData - Dados brutos
    * @returns {Array<string>} Lista de cabeçalhos
    */
   detectHeaders(rawData) {
-    if (rawData.length === 0) return [];
+    return this.detectLayout(rawData).headers;
+  }
 
-    // Assume que a primeira linha são os cabeçalhos
-    const firstRow = rawData[0];
-    
-    // Validar se parecem cabeçalhos
-    const looksLikeHeaders = firstRow.every(cell => 
-      typeof cell === 'string' && cell.trim().length > 0
+  /**
+   * Localiza o cabeçalho da planilha
+   * - Linhas de título (um único texto, ex.: "Relatório de Vendas 2024") e linhas
+   *   com poucas células (ex.: "Emitido em: 01/02/2024") antes do cabeçalho são ignoradas
+   * - O cabeçalho é a primeira linha com pelo menos metade das colunas preenchidas com textos
+   * - Se essa linha tiver células mescladas na horizontal (ou lacunas preenchidas pela linha
+   *   de baixo), a linha de baixo é um segundo nível: "Vendas" + "Qtd" = "Vendas - Qtd"
+   * Sem linha com cara de cabeçalho, as colunas recebem nomes automáticos (Coluna_1, ...)
+   * @param {Array<Array>} rawData - Linhas da aba (readRows)
+   * @param {Array<Object>} merges - Células mescladas (getMerges)
+   * @returns {Object} { headers, headerStart, headerRowCount, dataStart, titleRows }
+   */
+  detectLayout(rawData, merges = []) {
+    const scan = rawData.slice(0, LAYOUT_SCAN_ROWS);
+    const width = rawData.reduce((max, row) => Math.max(max, row.length), 0);
+    const tableWidth = Math.max(0, ...scan.map(row => this.countDistinct(row)));
+    const minFilled = Math.max(2, Math.ceil(tableWidth / 2));
+
+    let headerStart = scan.findIndex(row =>
+      this.countDistinct(row) >= Math.min(minFilled, tableWidth) && this.isLabelRow(row)
     );
 
-    if (looksLikeHeaders) {
-      return firstRow.map((header, index) => 
-        header.trim() || `Coluna_${index + 1}`
-      );
+    if (headerStart === -1) {
+      const firstRow = Math.max(rawData.findIndex(row => this.countFilled(row) > 0), 0);
+      return {
+        headers: Array.from({ length: width }, (_, index) => `Coluna_${index + 1}`),
+        headerStart: null,
+        headerRowCount: 0,
+        dataStart: firstRow,
+        titleRows: [],
+      };
+    }
+
+    // Nível superior com poucos rótulos (ex.: só "Vendas" e "Custos") logo acima do cabeçalho
+    let headerEnd = headerStart;
+    while (
+      headerStart > 0 &&
+      headerEnd - headerStart + 1 < MAX_HEADER_LEVELS &&
+      this.countDistinct(rawData[headerStart - 1]) >= 2 &&
+      this.isLabelRow(rawData[headerStart - 1]) &&
+      this.isUpperHeaderLevel(rawData[headerStart - 1], rawData[headerStart], headerStart - 1, merges)
+    ) {
+      headerStart--;
+    }
+
+    // Níveis adicionais do cabeçalho abaixo da primeira linha
+    while (
+      headerEnd - headerStart + 1 < MAX_HEADER_LEVELS &&
+      headerEnd + 1 < rawData.length &&
+      this.isUpperHeaderLevel(rawData[headerEnd], rawData[headerEnd + 1], headerEnd, merges)
+    ) {
+      headerEnd++;
     }
 
-    // Se não parecem cabeçalhos, gerar nomes automáticos
-    return firstRow.map((_, index) => `Coluna_${index + 1}`);
+    const levels = rawData.slice(headerStart, headerEnd + 1).map((row, index, all) =>
+      // Sem mesclagem, o rótulo de um nível superior vale até o próximo rótulo
+      index < all.length - 1 ? this.fillRight(row, width) : row
+    );
+
+    const titleRows = rawData.slice(0, headerStart)
+      .filter(row => this.countFilled(row) > 0)
+      .map(row => [...new Set(row.filter(cell => !this.isEmptyCell(cell)).map(cell => String(cell).trim()))].join(' '));
+
+    return {
+      headers: this.flattenHeaders(levels, width),
+      headerStart,
+      headerRowCount: headerEnd - headerStart + 1,
+      dataStart: headerEnd + 1,
+      titleRows,
+    };
+  }
+
+  /**
+   * Indica se a linha é um nível superior do cabeçalho, com a linha seguinte abaixo dela
+   * @private
+   */
+  isUpperHeaderLevel(row, nextRow, rowIndex, merges) {
+    if (!this.isLabelRow(nextRow) || this.countDistinct(nextRow) < 2) return false;
+
+    const hasHorizontalMerge = merges.some(({ s, e }) => s.r === rowIndex && e.r === rowIndex && e.c > s.c);
+    if (hasHorizontalMerge) return true;
+
+    // Sem mesclagem: células vazias na linha de cima preenchidas pela linha de baixo
+    const gapsFilledBelow = row.some((cell, index) => this.isEmptyCell(cell) && !this.isEmptyCell(nextRow[index]));
+    return gapsFilledBelow && this.countFilled(nextRow) > this.countFilled(row);
+  }
+
+  /**
+   * Junta os níveis do cabeçalho em um nome por coluna ("Vendas - Qtd")
+   * Níveis repetidos (célula mesclada na vertical) aparecem uma vez só; nomes
+   * duplicados recebem sufixo (_2, _3, ...)
+   * @private
+   */
+  flattenHeaders(levels, width) {
+    const used = new Map();
+
+    return Array.from({ length: width }, (_, index) => {
+      const parts = [];
+      levels.forEach(row => {
+        const cell = this.isEmptyCell(row[index]) ? null : String(row[index]).trim();
+        if (cell && parts[parts.length - 1] !== cell) parts.push(cell);
+      });
+
+      const name = parts.join(HEADER_LEVEL_SEPARATOR) || `Coluna_${index + 1}`;
+      const count = (used.get(name) || 0) + 1;
+      used.set(name, count);
+      return count > 1 ? `${name}_${count}` : name;
+    });
+  }
+
+  /**
+   * Remove do fim da planilha as linhas vazias, de total e de notas de rodapé
+   * @param {Array<Array>} rows - Linhas de dados
+   * @returns {Array<Array>}
+   */
+  stripFooterRows(rows) {
+    let end = rows.length;
+
+    while (end > 0) {
+      const row = rows[end - 1];
+      const first = row.find(cell => !this.isEmptyCell(cell));
+      const filled = this.countFilled(row);
+
+      const isEmpty = filled === 0;
+      const isTotal = first !== undefined && TOTAL_ROW_PATTERN.test(String(first));
+      const isNote = filled === 1 && NOTE_ROW_PATTERN.test(String(first));
+
+      if (!isEmpty && !isTotal && !isNote) break;
+      end--;
+    }
+
+    return rows.slice(0, end);
+  }
+
+  /**
+   * @private
+   */
+  fillRight(row, width) {
+    const filled = [];
+    let current = null;
+    for (let index = 0; index < width; index++) {
+      if (!this.isEmptyCell(row[index])) current = row[index];
+      filled.push(current);
+    }
+    return filled;
+  }
+
+  /**
+   * Linha só com textos (sem números nem datas; anos contam como texto)
+   * @private
+   */
+  isLabelRow(row) {
+    const cells = row.filter(cell => !this.isEmptyCell(cell));
+    return cells.length > 0 && cells.every(cell => {
+      if (typeof cell !== 'string') return false;
+      const text = cell.trim();
+      if (YEAR_PATTERN.test(text)) return true;
+      return !NUMBER_LIKE_PATTERN.test(text) && !DATE_LIKE_PATTERN.test(text);
+    });
+  }
+
+  /**
+   * @private
+   */
+  countFilled(row) {
+    return row.filter(cell => !this.isEmptyCell(cell)).length;
+  }
+
+  /**
+   * Valores distintos da linha (um título mesclado conta uma vez)
+   * @private
+   */
+  countDistinct(row) {
+    return new Set(row.filter(cell => !this.isEmptyCell(cell)).map(cell => String(cell).trim())).size;
+  }
+
+  /**
+   * @private
+   */
+  isEmptyCell(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+  }
+
+  /**
+   * @private
+   */
+  getSheet(sheetName) {
+    if (!this.workbook) {
+      throw new Error('Nenhum workbook carregado');
+    }
+
+    const sheet = this.workbook.Sheets[sheetName];
+    if (!sheet) {
+      throw new Error(`Aba "${sheetName}" não encontrada`);
+    }
+    return sheet;
   }
 
   /**
    * Converte arrays para objetos usando cabeçalhos
-   * @param {Array} rawData - Dados brutos
+   * @param {Array} dataRows - Linhas de dados (sem títulos e cabeçalhos)
    * @param {Array<string>} headers - Cabeçalhos
    * @returns {Array<Object>}
    */
-  convertToObjects(rawData, headers) {
-    // Pular primeira linha (cabeçalhos)
-    const dataRows = rawData.slice(1);
-    
+  convertToObjects(dataRows, headers) {
     return dataRows.map(row => {
       const obj = {};
       headers.forEach((header, index) => {
@@ -164,6 +606,11 @@ export class ExcelParser {
           rawRowCount: processed.rawRowCount,
           cleanRowCount: processed.cleanRowCount,
           columnCount: processed.columnCount,
+          titleRows: processed.titleRows,
+          headerRowCount: processed.headerRowCount,
+          footerRowCount: processed.footerRowCount,
+          excludedRows: processed.excludedRows,
+          columnFormats: processed.columnFormats,
         };
         return sheet;
       } catch (error) {
@@ -1,10 +1,12 @@
 /**
  * Módulo de Upload e Validação de Arquivos
  * Responsável por:
- * - Upload de arquivos Excel (.xlsx, .xls)
- * - Upload de arquivos JSON (.json)
+ * - Upload de arquivos Excel (.xlsx, .xls) e OpenDocument (.ods)
+ * - Upload de arquivos JSON (.json) e JSON Lines (.jsonl, .ndjson)
  * - Upload de arquivos XML (.xml)
- * - Upload de arquivos CSV (.csv)
+ * - Upload de arquivos CSV (.csv) e TSV (.tsv)
+ * - Upload de arquivos Parquet (.parquet) e bancos SQLite (.db, .sqlite, .sqlite3)
+ * - Intervalos colados de planilhas (texto separado por tabulação, lido como TSV)
  * - Importação de Google Sheets via URL
  * - Validação de tipo e tamanho
  * - Tratamento de erros
@@ -15,7 +17,11 @@
 export class FileUploadManager {
   constructor() {
     this.maxFileSize = 50 * 1024 * 1024; // 50MB
-    this.allowedExtensions = ['.xlsx', '.xls', '.json', '.xml', '.csv'];
+    this.maxStreamingFileSize = 1024 * 1024 * 1024; // 1GB (CSV lido em blocos)
+    this.allowedExtensions = [
+      '.xlsx', '.xls', '.ods', '.json', '.jsonl', '.ndjson', '.xml', '.csv', '.tsv',
+      '.parquet', '.db', '.sqlite', '.sqlite3'
+    ];
     this.currentFile = null;
     this.currentFormat = null;
   }
@@ -57,10 +63,11 @@ export class FileUploadManager {
       warnings.push(`Tipo MIME do arquivo (${file.type}) pode não ser compatível`);
     }
 
-    // Validar tamanho
-    if (file.size > this.maxFileSize) {
+    // Validar tamanho (CSV é lido em blocos e aceita arquivos maiores)
+    const maxSize = this.getMaxFileSize(fileFormat);
+    if (file.size > maxSize) {
       errors.push(
-        `Arquivo muito grande. Máximo: ${this.formatFileSize(this.maxFileSize)}`
+        `Arquivo muito grande. Máximo: ${this.formatFileSize(maxSize)}`
       );
     }
 
@@ -83,6 +90,35 @@ export class FileUploadManager {
     };
   }
 
+  /**
+   * Tamanho máximo aceito para o formato
+   * @param {string} format
+   * @returns {number} Bytes
+   */
+  getMaxFileSize(format) {
+    return this.isStreamingFormat(format) ? this.maxStreamingFileSize : this.maxFileSize;
+  }
+
+  /**
+   * Formatos lidos em blocos pelo AnalysisPipeline, sem carregar o arquivo inteiro na memória
+   * @param {string} format
+   * @returns {boolean}
+   */
+  isStreamingFormat(format) {
+    return format === 'csv';
+  }
+
+  /**
+   * Arquivo TSV com um intervalo colado de uma planilha (Excel, Google Sheets, LibreOffice)
+   * O texto copiado vem com as colunas separadas por tabulação e segue como um CSV comum,
+   * passando pela detecção de dialeto e pela leitura em blocos
+   * @param {string} text - Conteúdo da área de transferência
+   * @returns {File}
+   */
+  createPastedFile(text) {
+    return new File([text], 'dados-colados.tsv', { type: 'text/tab-separated-values' });
+  }
+
   /**
    * Detectar formato do arquivo pela extensão
    * @param {File} file 
@@ -91,14 +127,18 @@ export class FileUploadManager {
   detectFileFormat(file) {
     const fileName = file.name.toLowerCase();
     
-    if (fileName.endsWith('.xlsx') || fileName.endsWith('.xls')) {
+    if (fileName.endsWith('.xlsx') || fileName.endsWith('.xls') || fileName.endsWith('.ods')) {
       return 'excel';
-    } else if (fileName.endsWith('.json')) {
+    } else if (fileName.endsWith('.json') || fileName.endsWith('.jsonl') || fileName.endsWith('.ndjson')) {
       return 'json';
     } else if (fileName.endsWith('.xml')) {
       return 'xml';
-    } else if (fileName.endsWith('.csv')) {
+    } else if (fileName.endsWith('.csv') || fileName.endsWith('.tsv')) {
       return 'csv';
+    } else if (fileName.endsWith('.parquet')) {
+      return 'parquet';
+    } else if (['.db', '.sqlite', '.sqlite3'].some(ext => fileName.endsWith(ext))) {
+      return 'sqlite';
     }
     
     return 'unknown';
@@ -114,10 +154,13 @@ export class FileUploadManager {
       excel: [
         'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
         'application/vnd.ms-excel',
+        'application/vnd.oasis.opendocument.spreadsheet',
       ],
       json: [
         'application/json',
-        'text/json'
+        'text/json',
+        'application/x-ndjson',
+        'application/jsonl'
       ],
       xml: [
         'application/xml',
@@ -126,7 +169,18 @@ export class FileUploadManager {
       csv: [
         'text/csv',
         'text/plain',
-        'application/csv'
+        'application/csv',
+        'text/tab-separated-values'
+      ],
+      parquet: [
+        'application/vnd.apache.parquet',
+        'application/x-parquet',
+        'application/octet-stream'
+      ],
+      sqlite: [
+        'application/vnd.sqlite3',
+        'application/x-sqlite3',
+        'application/octet-stream'
       ]
     };
     
@@ -180,9 +234,12 @@ export class FileUploadManager {
       // Ler arquivo baseado no formato
       let data;
       
-      if (this.currentFormat === 'excel') {
+      if (this.isStreamingFormat(this.currentFormat)) {
+        // O próprio File segue para o worker, que o lê em blocos
+        data = file;
+      } else if (['excel', 'parquet', 'sqlite'].includes(this.currentFormat)) {
         data = await this.readFile(file);
-      } else if (this.currentFormat === 'json' || this.currentFormat === 'xml' || this.currentFormat === 'csv') {
+      } else if (this.currentFormat === 'json' || this.currentFormat === 'xml') {
         data = await this.readFileAsText(file);
       } else {
         throw new Error('Formato de arquivo não suportado');
@@ -192,6 +249,7 @@ export class FileUploadManager {
         success: true,
         data: data,
         format: this.currentFormat,
+        streaming: this.isStreamingFormat(this.currentFormat),
         fileInfo: validation.fileInfo,
         warnings: validation.warnings,
       };
@@ -333,17 +391,17 @@ export class FileUploadManager {
     return [
       { 
         format: 'excel', 
-        extensions: ['.xlsx', '.xls'], 
+        extensions: ['.xlsx', '.xls', '.ods'], 
         icon: '📊', 
         name: 'Microsoft Excel',
-        description: 'Planilhas Excel (.xlsx, .xls)'
+        description: 'Planilhas Excel (.xlsx, .xls) e OpenDocument (.ods)'
       },
       { 
         format: 'json', 
-        extensions: ['.json'], 
+        extensions: ['.json', '.jsonl', '.ndjson'], 
         icon: '{ }', 
         name: 'JSON',
-        description: 'JavaScript Object Notation (.json)'
+        description: 'JavaScript Object Notation (.json) e JSON Lines (.jsonl, .ndjson)'
       },
       { 
         format: 'xml', 
@@ -354,10 +412,24 @@ export class FileUploadManager {
       },
       { 
         format: 'csv', 
-        extensions: ['.csv'], 
+        extensions: ['.csv', '.tsv'], 
         icon: '📄', 
         name: 'CSV',
-        description: 'Comma-Separated Values (.csv)'
+        description: 'Comma-Separated Values (.csv) e Tab-Separated Values (.tsv)'
+      },
+      { 
+        format: 'parquet', 
+        extensions: ['.parquet'], 
+        icon: '🧱', 
+        name: 'Parquet',
+        description: 'Apache Parquet (.parquet), sem compressão ou SNAPPY'
+      },
+      { 
+        format: 'sqlite', 
+        extensions: ['.db', '.sqlite', '.sqlite3'], 
+        icon: '🗄️', 
+        name: 'SQLite',
+        description: 'Banco SQLite (.db, .sqlite), com escolha da tabela'
       },
       { 
         format: 'google-sheets', 
@@ -148,6 +148,12 @@ export class FilterManager {
       case 'is_not_null':
         return value !== null && value !== undefined && value !== '';
 
+      case 'date_range': {
+        const date = this.parseDate(value);
+        if (!date) return false;
+        return date >= new Date(filter.value.start) && date <= new Date(filter.value.end);
+      }
+
       default:
         return true;
     }
@@ -161,20 +167,8 @@ export class FilterManager {
    * @returns {Array<Object>} Dados filtrados
    */
   filterByDateRange(dateField, startDate, endDate) {
-    this.addFilter(dateField, 'date_range', { start: startDate, end: endDate });
-    
-    // Aplicar filtro customizado de data
-    this.filteredData = this.originalData.filter(row => {
-      const dateStr = row[dateField];
-      if (!dateStr) return false;
-
-      const date = this.parseDate(dateStr);
-      if (!date) return false;
-
-      return date >= startDate && date <= endDate;
-    });
-
-    return this.filteredData;
+    // Registrado como filtro para combinar com os demais filtros ativos
+    return this.addFilter(dateField, 'date_range', { start: startDate, end: endDate });
   }
 
   /**
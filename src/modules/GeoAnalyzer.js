@@ -12,6 +12,11 @@
  * @property {Object} coordinates - Coordenadas (lat, lng) se disponível
  */
 
+import { ColumnType } from '../types/enums.js';
+
+// Tipos de coluna geográficos detectados pelo ColumnTypeDetector
+const GEO_TYPES = [ColumnType.STATE, ColumnType.CITY, ColumnType.POSTAL_CODE];
+
 export class GeoAnalyzer {
   constructor() {
     // Mapa de estados brasileiros
@@ -98,14 +103,14 @@ export class GeoAnalyzer {
   }
 
   /**
-   * Identifica colunas com informação geográfica
+   * Identifica colunas com informação geográfica (pelo tipo detectado ou pelo nome)
    */
   identifyGeoColumns(columnMetadata) {
     const geoKeywords = ['cidade', 'estado', 'uf', 'região', 'regiao', 'cep', 'localidade', 'municipio'];
     
     return columnMetadata.filter(col => {
       const name = col.name.toLowerCase();
-      return geoKeywords.some(keyword => name.includes(keyword));
+      return GEO_TYPES.includes(col.type) || geoKeywords.some(keyword => name.includes(keyword));
     });
   }
 
@@ -116,7 +121,7 @@ export class GeoAnalyzer {
     const stateData = new Map();
 
     // Tentar encontrar coluna de estado/UF
-    const stateCol = geoColumns.find(col => {
+    const stateCol = geoColumns.find(col => col.type === ColumnType.STATE) || geoColumns.find(col => {
       const name = col.name.toLowerCase();
       return name.includes('estado') || name.includes('uf');
     });
@@ -282,7 +287,7 @@ export class GeoAnalyzer {
    * Analisa dados por cidade
    */
   analyzeByCity(data, geoColumns, valueCol) {
-    const cityCol = geoColumns.find(col => {
+    const cityCol = geoColumns.find(col => col.type === ColumnType.CITY) || geoColumns.find(col => {
       const name = col.name.toLowerCase();
       return name.includes('cidade') || name.includes('municipio');
     });
@@ -19,6 +19,23 @@
  * @version 1.0.0
  */
 
+/**
+ * Valores numéricos dos KPIs do AnalyticsEngine, por id (formato esperado por calculateGoalsProgress)
+ * KPIs formatados ("R$ 1.234,56") usam o rawValue; KPIs sem valor numérico ficam de fora
+ * @param {Array<Object>} kpis - analytics.kpis
+ * @returns {Object} { [kpi.id]: número }
+ */
+export function kpiValuesById(kpis = []) {
+    const values = {};
+    kpis.forEach(kpi => {
+        const value = kpi.rawValue ?? kpi.value;
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            values[kpi.id] = value;
+        }
+    });
+    return values;
+}
+
 export class GoalsManager {
     constructor() {
         this.goals = [];
@@ -36,7 +53,7 @@ export class GoalsManager {
             name: goalConfig.name,
             description: goalConfig.description || '',
             type: goalConfig.type, // revenue, quantity, percentage, time
-            metric: goalConfig.metric, // nome da métrica (ex: 'receita_total')
+            metric: goalConfig.metric, // id do KPI (ex: 'total_Valor'), ver kpiValuesById
             target: goalConfig.target, // valor alvo
             current: 0, // valor atual
             period: goalConfig.period || 'month', // day, week, month, quarter, year
@@ -101,7 +118,7 @@ export class GoalsManager {
     /**
      * Calcular progresso de metas baseado em dados
      * @param {Array} data - Dados analisados
-     * @param {Object} kpis - KPIs calculados
+     * @param {Object} kpis - Valor numérico de cada KPI por id (kpiValuesById)
      */
     calculateGoalsProgress(data, kpis) {
         const results = [];
@@ -5,6 +5,8 @@
  * - Importar dados de Google Sheets públicas via URL
  * - Converter URL de visualização para URL de exportação CSV
  * - Processar CSV exportado do Google Sheets
+ * - Descobrir as abas da planilha e importar várias de uma vez
+ * - Comparar uma nova importação com a anterior (atualização automática)
  * - Validar permissões de acesso
  * 
  * Formatos de URL suportados:
@@ -12,16 +14,25 @@
  * 2. https://docs.google.com/spreadsheets/d/{ID}/edit#gid={SHEET_ID}
  * 3. URL de exportação direta (CSV)
  * 
+ * As abas são descobertas pela exportação XLSX (lida só até o cabeçalho); cada aba
+ * escolhida é importada como CSV pelo nome (endpoint gviz). O endereço base pode ser
+ * trocado por um servidor local que responda nos mesmos caminhos.
+ * 
  * @class GoogleSheetsParser
  * @author Carlos Antonio de Oliveira Piquet
  * @version 1.0.0
  */
 
 import Papa from 'papaparse';
+import { ExcelParser } from './ExcelParser.js';
 
 export class GoogleSheetsParser {
-    constructor() {
-        this.baseExportUrl = 'https://docs.google.com/spreadsheets/d/';
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - Endereço base das planilhas (padrão: Google Sheets)
+     */
+    constructor({ baseUrl = 'https://docs.google.com/spreadsheets/d/' } = {}) {
+        this.baseExportUrl = baseUrl;
         this.exportFormat = '/export?format=csv';
     }
 
@@ -79,6 +90,124 @@ export class GoogleSheetsParser {
         }
     }
 
+    /**
+     * Listar as abas da planilha
+     * @param {string} url - URL da planilha (visualização ou edição)
+     * @returns {Promise<Array<Object>>} [{ name, headers, rowCount }] (formato de ExcelParser.listSheets)
+     */
+    async listSheets(url) {
+        const spreadsheetId = this._extractSpreadsheetId(url);
+        if (!spreadsheetId) {
+            throw new Error('URL inválida do Google Sheets');
+        }
+
+        const response = await this._fetch(`${this.baseExportUrl}${spreadsheetId}/export?format=xlsx`);
+        const workbook = await response.arrayBuffer();
+
+        return new ExcelParser().listSheets(workbook)
+            .filter(sheet => sheet.rowCount > 0 && sheet.headers.length > 0);
+    }
+
+    /**
+     * Importar várias abas da planilha
+     * @param {string} url - URL da planilha (visualização ou edição)
+     * @param {Array<string>} sheetNames - Nomes das abas (ver listSheets)
+     * @returns {Promise<Object>} { success, sheets: [{ name, data }], metadata } ou { success: false, error }
+     */
+    async importSheets(url, sheetNames) {
+        try {
+            const spreadsheetId = this._extractSpreadsheetId(url);
+            if (!spreadsheetId) {
+                throw new Error('URL inválida do Google Sheets');
+            }
+            if (!sheetNames?.length) {
+                throw new Error('Nenhuma aba selecionada');
+            }
+
+            const sheets = [];
+            for (const name of sheetNames) {
+                const csvData = await this._fetchCsvData(this._buildSheetCsvUrl(spreadsheetId, name));
+                const parseResult = await this._parseCsv(csvData);
+
+                if (!parseResult.success || parseResult.data.length === 0) {
+                    throw new Error(`Nenhum dado encontrado na aba "${name}"`);
+                }
+                sheets.push({ name, data: parseResult.data });
+            }
+
+            return {
+                success: true,
+                sheets,
+                metadata: {
+                    format: 'google-sheets',
+                    rowCount: sheets.reduce((total, sheet) => total + sheet.data.length, 0),
+                    spreadsheetId,
+                    sheetNames,
+                    sourceUrl: url,
+                    importedAt: new Date().toISOString()
+                }
+            };
+
+        } catch (error) {
+            console.error('❌ Erro ao processar Google Sheets:', error);
+            return {
+                success: false,
+                error: error.message,
+                sheets: [],
+                metadata: null
+            };
+        }
+    }
+
+    /**
+     * Comparar duas importações da mesma aba
+     * As linhas são comparadas pelo conteúdo de todas as colunas (sem chave): uma linha
+     * editada aparece como uma removida e uma nova. Linhas repetidas contam uma a uma.
+     * @param {Array<Object>} previous - Linhas da importação anterior
+     * @param {Array<Object>} current - Linhas da nova importação
+     * @returns {Object} { added: [linhas], removed: [linhas], unchanged }
+     */
+    diffRows(previous = [], current = []) {
+        const remaining = new Map();
+        previous.forEach(row => {
+            const key = this._rowKey(row);
+            remaining.set(key, (remaining.get(key) || 0) + 1);
+        });
+
+        const added = [];
+        let unchanged = 0;
+        current.forEach(row => {
+            const key = this._rowKey(row);
+            const count = remaining.get(key) || 0;
+            if (count > 0) {
+                remaining.set(key, count - 1);
+                unchanged++;
+            } else {
+                added.push(row);
+            }
+        });
+
+        const removed = previous.filter(row => {
+            const key = this._rowKey(row);
+            const count = remaining.get(key) || 0;
+            if (count === 0) return false;
+            remaining.set(key, count - 1);
+            return true;
+        });
+
+        return { added, removed, unchanged };
+    }
+
+    /**
+     * Assinatura da linha (independe da ordem das colunas)
+     * @param {Object} row 
+     * @returns {string}
+     * @private
+     */
+    _rowKey(row) {
+        return JSON.stringify(Object.keys(row).sort().map(column => [column, row[column] ?? null]));
+    }
+
     /**
      * Extrair ID da planilha da URL
      * @param {string} url 
@@ -123,6 +252,17 @@ export class GoogleSheetsParser {
         return url;
     }
 
+    /**
+     * Construir URL de exportação CSV de uma aba pelo nome
+     * @param {string} spreadsheetId 
+     * @param {string} sheetName 
+     * @returns {string}
+     * @private
+     */
+    _buildSheetCsvUrl(spreadsheetId, sheetName) {
+        return `${this.baseExportUrl}${spreadsheetId}/gviz/tq?tqx=out:csv&headers=1&sheet=${encodeURIComponent(sheetName)}`;
+    }
+
     /**
      * Fazer requisição para obter dados CSV
      * @param {string} url 
@@ -130,6 +270,23 @@ export class GoogleSheetsParser {
      * @private
      */
     async _fetchCsvData(url) {
+        const response = await this._fetch(url);
+        const csvText = await response.text();
+        
+        if (!csvText || csvText.trim().length === 0) {
+            throw new Error('Planilha está vazia');
+        }
+
+        return csvText;
+    }
+
+    /**
+     * Fazer requisição à planilha, traduzindo os erros de acesso
+     * @param {string} url 
+     * @returns {Promise<Response>}
+     * @private
+     */
+    async _fetch(url) {
         try {
             const response = await fetch(url);
             
@@ -143,13 +300,7 @@ export class GoogleSheetsParser {
                 }
             }
 
-            const csvText = await response.text();
-            
-            if (!csvText || csvText.trim().length === 0) {
-                throw new Error('Planilha está vazia');
-            }
-
-            return csvText;
+            return response;
 
         } catch (error) {
             // Se é erro de CORS, sugerir alternativa
@@ -326,7 +477,7 @@ export class GoogleSheetsParser {
             realtime: {
                 title: 'Atualização em tempo real',
                 description: 'Os dados são importados no momento da requisição.',
-                note: 'Para ver alterações, reimporte a planilha.'
+                note: 'Com a atualização automática ligada no dashboard, a planilha é baixada de novo a cada intervalo e as linhas novas são destacadas.'
             }
         };
     }
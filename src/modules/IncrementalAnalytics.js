@@ -0,0 +1,199 @@
+/**
+ * 🧮 IncrementalAnalytics - KPIs e agrupamentos calculados em blocos
+ *
+ * Responsável por:
+ * - Acumular, bloco a bloco, os agregados usados pelo AnalyticsEngine
+ *   (somas, contagens, maiores valores, frequências, período, meses e rankings)
+ * - Produzir o mesmo resultado de AnalyticsEngine.analyzeAll() sem manter as linhas em memória
+ *
+ * Usado na leitura de CSV em streaming (AnalysisPipeline): cada bloco do Papa Parse
+ * é somado com add(rows) e descartado em seguida.
+ *
+ * Uso:
+ *   const engine = new IncrementalAnalytics(columnMetadata);
+ *   engine.add(bloco1);
+ *   engine.add(bloco2);
+ *   const analytics = engine.analyzeAll();
+ *
+ * @class IncrementalAnalytics
+ * @author Carlos Antonio de Oliveira Piquet
+ * @version 1.0.0
+ */
+
+import { AnalyticsEngine } from './AnalyticsEngine.js';
+import { ColumnType } from '../types/enums.js';
+
+export class IncrementalAnalytics extends AnalyticsEngine {
+  /**
+   * @param {Array<Object>} columnMetadata - Resultado do ColumnTypeDetector
+   */
+  constructor(columnMetadata) {
+    super([], columnMetadata);
+
+    const first = type => this.getColumnsByType(type)[0]?.name || null;
+    const currency = first(ColumnType.CURRENCY);
+
+    this.recordCount = 0;
+    this.typeColumn = this.getTransactionTypeColumn();
+
+    // Somatórios de todas as colunas monetárias (KPIs financeiros)
+    this.numeric = new Map(
+      this.getColumnsByType(ColumnType.CURRENCY).map(col => [col.name, { sum: 0, count: 0, max: -Infinity, byType: new Map() }])
+    );
+
+    // Frequências (valores únicos e mais frequentes)
+    this.frequencies = new Map(
+      [first(ColumnType.PRODUCT), first(ColumnType.EMPLOYEE), first(ColumnType.CLIENT)]
+        .filter(Boolean)
+        .map(name => [name, new Map()])
+    );
+
+    this.dateColumn = first(ColumnType.DATE);
+    this.dateRange = null;
+
+    // Agrupamentos calculados pelo performGroupings()
+    this.monthly = this.dateColumn && currency ? { dateColumn: this.dateColumn, valueColumn: currency, groups: new Map() } : null;
+    this.groups = new Map(
+      [first(ColumnType.CATEGORY), first(ColumnType.PRODUCT)]
+        .filter(name => name && currency)
+        .map(name => [name, { valueColumn: currency, groups: new Map() }])
+    );
+  }
+
+  /**
+   * Soma um bloco de linhas aos agregados
+   * @param {Array<Object>} rows
+   */
+  add(rows) {
+    rows.forEach(row => {
+      this.recordCount++;
+
+      this.numeric.forEach((stats, column) => {
+        const value = this.parseNumber(row[column]);
+        if (value === null) return;
+
+        stats.sum += value;
+        stats.count++;
+        if (value > stats.max) stats.max = value;
+
+        if (this.typeColumn) {
+          const type = String(row[this.typeColumn]).toLowerCase();
+          stats.byType.set(type, (stats.byType.get(type) || 0) + value);
+        }
+      });
+
+      this.frequencies.forEach((freq, column) => {
+        const value = row[column];
+        if (value) freq.set(String(value), (freq.get(String(value)) || 0) + 1);
+      });
+
+      if (this.dateColumn && row[this.dateColumn]) {
+        const date = new Date(row[this.dateColumn]);
+        if (!isNaN(date)) {
+          if (!this.dateRange) this.dateRange = { min: date, max: date };
+          else if (date < this.dateRange.min) this.dateRange.min = date;
+          else if (date > this.dateRange.max) this.dateRange.max = date;
+        }
+      }
+
+      if (this.monthly) {
+        const { dateColumn, valueColumn, groups } = this.monthly;
+        const date = row[dateColumn] ? new Date(row[dateColumn]) : null;
+        const value = this.parseNumber(row[valueColumn]);
+
+        if (date && !isNaN(date) && value !== null) {
+          const monthKey = date.getFullYear() + '-' + String(date.getMonth() + 1).padStart(2, '0');
+          this.accumulate(groups, monthKey, value);
+        }
+      }
+
+      this.groups.forEach(({ valueColumn, groups }, groupColumn) => {
+        const key = row[groupColumn];
+        const value = this.parseNumber(row[valueColumn]);
+        if (key && value !== null) this.accumulate(groups, String(key), value);
+      });
+    });
+  }
+
+  // ========== AGREGADOS NO LUGAR DAS LINHAS ==========
+
+  getRecordCount() {
+    return this.recordCount;
+  }
+
+  getNumericStats(columnName) {
+    const stats = this.numeric.get(columnName);
+    return stats && stats.count > 0 ? { sum: stats.sum, count: stats.count, max: stats.max } : null;
+  }
+
+  getUniqueCount(columnName) {
+    return this.frequencies.get(columnName)?.size ?? 0;
+  }
+
+  getDateRange(columnName) {
+    return columnName === this.dateColumn ? this.dateRange : null;
+  }
+
+  getFrequency(columnName) {
+    const freq = this.frequencies.get(columnName);
+    if (!freq) return [];
+
+    return [...freq.entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  sumWhere(valueColumn, filterColumn, filterValues) {
+    const stats = this.numeric.get(valueColumn);
+    if (!stats || filterColumn !== this.typeColumn) return 0;
+
+    let sum = 0;
+    stats.byType.forEach((value, type) => {
+      if (filterValues.some(fv => type.includes(fv.toLowerCase()))) sum += value;
+    });
+    return sum;
+  }
+
+  groupByMonth(dateColumn, valueColumn) {
+    if (!this.monthly || this.monthly.dateColumn !== dateColumn || this.monthly.valueColumn !== valueColumn) {
+      return [];
+    }
+
+    return [...this.monthly.groups.entries()]
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([month, data]) => ({
+        month,
+        label: this.formatMonthLabel(month),
+        total: data.sum,
+        average: data.sum / data.count,
+        count: data.count,
+      }));
+  }
+
+  groupBy(groupColumn, valueColumn) {
+    const grouping = this.groups.get(groupColumn);
+    if (!grouping || grouping.valueColumn !== valueColumn) return [];
+
+    return [...grouping.groups.entries()]
+      .map(([key, data]) => ({
+        label: key,
+        total: data.sum,
+        average: data.sum / data.count,
+        count: data.count,
+      }))
+      .sort((a, b) => b.total - a.total);
+  }
+
+  /**
+   * @private
+   */
+  accumulate(groups, key, value) {
+    const group = groups.get(key);
+    if (group) {
+      group.sum += value;
+      group.count++;
+    } else {
+      groups.set(key, { sum: value, count: 1 });
+    }
+  }
+}
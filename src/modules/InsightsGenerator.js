@@ -8,6 +8,7 @@
  */
 
 import { InsightType } from '../types/enums.js';
+import { parseLocaleNumber } from './DialectDetector.js';
 
 export class InsightsGenerator {
   constructor(data, columnMetadata, analytics) {
@@ -325,9 +326,6 @@ export class InsightsGenerator {
    * Parse número
    */
   parseNumber(value) {
-    if (value === null || value === '') return null;
-    const cleaned = String(value).replace(/[R$,%\s]/g, '').replace(',', '.');
-    const num = parseFloat(cleaned);
-    return isNaN(num) ? null : num;
+    return parseLocaleNumber(value);
   }
 }
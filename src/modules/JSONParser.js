@@ -11,6 +11,11 @@
  * 1. Array de objetos: [{"nome": "João", "idade": 30}, ...]
  * 2. Objeto com array: {"data": [...], "metadata": {...}}
  * 3. Arrays aninhados: {"vendas": {"2024": [...]}}
+ * 4. JSON Lines / NDJSON: um objeto por linha
+ * 
+ * Com vários arrays, o caminho dos registros pode ser escolhido (listArrays / options.path).
+ * Objetos aninhados viram colunas com ponto ("cliente.cidade") e arrays filhos
+ * podem ser expandidos em linhas (pedido → itens), como na análise de cesta de compras.
  * 
  * @class JSONParser
  * @author Carlos Antonio de Oliveira Piquet
@@ -30,38 +35,43 @@ export class JSONParser {
 
     /**
      * Parse arquivo JSON para formato tabular
-     * @param {File|string} input - Arquivo File ou string JSON
+     * @param {File|string} input - Arquivo File ou string JSON (ou JSON Lines)
+     * @param {Object} options
+     * @param {string} options.path - Caminho do array de registros, ex.: "$.pedidos" (padrão: primeiro array encontrado)
+     * @param {Array<string>} options.explode - Arrays filhos expandidos em linhas, ex.: ["itens"]
      * @returns {Promise<Object>} Dados processados
      */
-    async parseJSON(input) {
+    async parseJSON(input, { path = null, explode = [] } = {}) {
         try {
             let jsonData;
+            let format = 'json';
             
             // Se for File object, ler como texto
             if (input instanceof File) {
-                const text = await this._readFileAsText(input);
-                jsonData = JSON.parse(text);
+                ({ data: jsonData, format } = this.parseText(await this._readFileAsText(input)));
             } else if (typeof input === 'string') {
-                jsonData = JSON.parse(input);
+                ({ data: jsonData, format } = this.parseText(input));
             } else {
                 jsonData = input; // Já é objeto
             }
 
             // Detectar estrutura e extrair dados
-            const extractedData = this._extractTableData(jsonData);
+            const extracted = this._extractTableData(jsonData, path);
             
-            if (!extractedData || extractedData.length === 0) {
+            if (!extracted || extracted.records.length === 0) {
                 throw new Error('Nenhum dado tabular encontrado no JSON');
             }
 
             // Normalizar dados para formato tabular consistente
-            const normalizedData = this._normalizeData(extractedData);
+            const normalizedData = this._normalizeData(extracted.records, explode);
 
             return {
                 success: true,
                 data: normalizedData,
                 metadata: {
-                    format: 'json',
+                    format,
+                    path: extracted.path,
+                    explode,
                     rowCount: normalizedData.length,
                     columnCount: Object.keys(normalizedData[0] || {}).length,
                     columns: Object.keys(normalizedData[0] || {}),
@@ -80,6 +90,83 @@ export class JSONParser {
         }
     }
 
+    /**
+     * Converte o texto em objeto, aceitando JSON e JSON Lines (NDJSON: um objeto por linha)
+     * @param {string} text
+     * @returns {Object} { data, format: 'json' | 'ndjson' }
+     */
+    parseText(text) {
+        try {
+            return { data: JSON.parse(text), format: 'json' };
+        } catch (error) {
+            const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+            if (lines.length < 2) throw error;
+
+            const data = lines.map((line, index) => {
+                try {
+                    return JSON.parse(line);
+                } catch (lineError) {
+                    throw new Error(`JSON inválido na linha ${index + 1}: ${lineError.message}`);
+                }
+            });
+            return { data, format: 'ndjson' };
+        }
+    }
+
+    /**
+     * Lista os arrays de objetos do JSON, com caminhos no estilo JSONPath
+     * Arrays dentro de registros aparecem com [*] (ex.: "$.pedidos[*].itens") e
+     * informam o array pai e a coluna correspondente, para expansão em linhas
+     * @param {*} data - JSON já convertido
+     * @returns {Array<Object>} [{ path, count, columns, parent, column, childArrays }]
+     */
+    listArrays(data) {
+        const found = [];
+        this._collectArrays([data], '$', 0, found, { parent: null, column: null });
+
+        found.forEach(entry => {
+            entry.childArrays = found
+                .filter(child => child.parent === entry.path)
+                .map(child => ({ column: child.column, count: child.count }));
+        });
+
+        return found;
+    }
+
+    /**
+     * Registros do caminho JSONPath informado
+     * Aceita $, .chave, ['chave'], [n] e [*]
+     * @param {*} data - JSON já convertido
+     * @param {string} path - Ex.: "$.dados.vendas", "$.lojas[*].pedidos", "$['minhas vendas'][0]"
+     * @returns {Array<Object>}
+     */
+    selectPath(data, path) {
+        const tokens = String(path).trim().replace(/^\$/, '').match(/\.[^.[\]]+|\[\*\]|\[\d+\]|\['[^']*'\]|\["[^"]*"\]/g) || [];
+        if (tokens.join('') !== String(path).trim().replace(/^\$/, '')) {
+            throw new Error(`Caminho inválido: ${path}`);
+        }
+
+        let nodes = [data];
+        tokens.forEach(token => {
+            if (token === '[*]') {
+                nodes = nodes.filter(Array.isArray).flat();
+            } else if (/^\[\d+\]$/.test(token)) {
+                const index = Number(token.slice(1, -1));
+                nodes = nodes.filter(Array.isArray).map(node => node[index]);
+            } else {
+                const key = token.startsWith('.') ? token.slice(1) : token.slice(2, -2);
+                nodes = nodes.filter(node => this._isObject(node)).map(node => node[key]);
+            }
+            nodes = nodes.filter(node => node !== undefined && node !== null);
+        });
+
+        const records = nodes.flatMap(node => Array.isArray(node) ? node : [node]).filter(node => this._isObject(node));
+        if (records.length === 0) {
+            throw new Error(`Nenhum registro encontrado em ${path}`);
+        }
+        return records;
+    }
+
     /**
      * Ler arquivo como texto
      * @param {File} file 
@@ -98,45 +185,65 @@ export class JSONParser {
     /**
      * Extrair dados tabulares de estrutura JSON
      * @param {*} data - Dados JSON
-     * @returns {Array} Array de objetos
+     * @param {string} path - Caminho escolhido (padrão: primeiro array de objetos encontrado)
+     * @returns {Object|null} { path, records }
      * @private
      */
-    _extractTableData(data, depth = 0) {
-        // Proteção contra recursão infinita
-        if (depth > this.maxDepth) {
-            return null;
-        }
+    _extractTableData(data, path = null) {
+        const recordPath = path || this.listArrays(data)[0]?.path;
+        return recordPath ? { path: recordPath, records: this.selectPath(data, recordPath) } : null;
+    }
 
-        // Caso 1: Já é um array de objetos
-        if (Array.isArray(data) && data.length > 0) {
-            // Verificar se são objetos válidos
-            if (typeof data[0] === 'object' && data[0] !== null) {
-                return data;
-            }
+    /**
+     * Percorre o JSON em busca de arrays de objetos
+     * @param {Array} nodes - Valores encontrados no caminho (vários quando o caminho passa por [*])
+     * @param {string} path - Caminho JSONPath dos valores
+     * @param {number} depth - Profundidade (limitada por maxDepth)
+     * @param {Array} found - Arrays encontrados
+     * @param {Object} context - { parent: array de registros acima, column: caminho relativo a esses registros }
+     * @private
+     */
+    _collectArrays(nodes, path, depth, found, context) {
+        if (depth > this.maxDepth || nodes.length === 0) {
+            return;
         }
 
-        // Caso 2: É um objeto - procurar arrays dentro dele
-        if (typeof data === 'object' && data !== null && !Array.isArray(data)) {
-            // Procurar por arrays de objetos nas propriedades
-            for (const key in data) {
-                const value = data[key];
-                
-                // Se encontrou array de objetos, retornar
-                if (Array.isArray(value) && value.length > 0 && typeof value[0] === 'object') {
-                    return value;
-                }
-                
-                // Tentar recursivamente em objetos aninhados
-                if (typeof value === 'object' && value !== null) {
-                    const nested = this._extractTableData(value, depth + 1);
-                    if (nested) {
-                        return nested;
-                    }
-                }
+        if (nodes.every(Array.isArray)) {
+            const items = nodes.flat().filter(item => this._isObject(item));
+            if (items.length === 0) {
+                return;
             }
+
+            found.push({
+                path,
+                count: items.length,
+                columns: Object.keys(this._flattenRecord(items[0], '', [])[0]),
+                ...context
+            });
+            this._collectChildren(items, `${path}[*]`, depth + 1, found, { parent: path, column: '' });
+        } else if (nodes.every(node => this._isObject(node))) {
+            this._collectChildren(nodes, path, depth + 1, found, context);
         }
+    }
+
+    /**
+     * @private
+     */
+    _collectChildren(objects, path, depth, found, { parent, column }) {
+        const keys = new Set();
+        objects.forEach(object => Object.keys(object).forEach(key => keys.add(key)));
+
+        keys.forEach(key => {
+            const children = objects
+                .map(object => object[key])
+                .filter(value => typeof value === 'object' && value !== null);
 
-        return null;
+            if (children.length > 0) {
+                const childPath = /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}['${key}']`;
+                const childColumn = column === null ? null : (column ? `${column}.${key}` : key);
+                this._collectArrays(children, childPath, depth, found, { parent, column: childColumn });
+            }
+        });
     }
 
     /**
@@ -165,42 +272,80 @@ export class JSONParser {
 
     /**
      * Normalizar dados para formato consistente
+     * Todas as linhas recebem as mesmas colunas (ausentes ficam null)
      * @param {Array} data 
+     * @param {Array<string>} explode - Arrays filhos expandidos em linhas
      * @returns {Array}
      * @private
      */
-    _normalizeData(data) {
+    _normalizeData(data, explode = []) {
         if (!Array.isArray(data) || data.length === 0) {
             return [];
         }
 
-        // Achatar objetos aninhados (apenas 1 nível)
-        return data.map(row => {
-            const flatRow = {};
-            
-            for (const key in row) {
-                const value = row[key];
-                
-                // Se valor é objeto, achatar
-                if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-                    for (const nestedKey in value) {
-                        flatRow[`${key}_${nestedKey}`] = value[nestedKey];
-                    }
-                } 
-                // Se valor é array, converter para string
-                else if (Array.isArray(value)) {
-                    flatRow[key] = value.join(', ');
-                }
-                // Valor primitivo
-                else {
-                    flatRow[key] = value;
-                }
-            }
-            
-            return flatRow;
+        const rows = data.flatMap(row => this._flattenRecord(row, '', explode));
+
+        const columns = new Set();
+        rows.forEach(row => Object.keys(row).forEach(column => columns.add(column)));
+
+        return rows.map(row => {
+            const normalized = {};
+            columns.forEach(column => {
+                normalized[column] = row[column] !== undefined ? row[column] : null;
+            });
+            return normalized;
         });
     }
 
+    /**
+     * Achata um registro: objetos aninhados viram colunas com ponto ("cliente.endereco.cidade")
+     * Arrays de valores simples viram texto ("a, b"); arrays de objetos listados em explode
+     * geram uma linha por item, repetindo os campos do registro pai (pedido → itens);
+     * os demais arrays de objetos ficam como texto JSON
+     * @param {Object} record
+     * @param {string} prefix - Coluna do objeto pai
+     * @param {Array<string>} explode
+     * @returns {Array<Object>} Uma linha, ou várias quando há arrays expandidos
+     * @private
+     */
+    _flattenRecord(record, prefix, explode) {
+        let rows = [{}];
+        const combine = (children) => {
+            rows = rows.flatMap(row => children.map(child => ({ ...row, ...child })));
+        };
+
+        for (const key in record) {
+            const value = record[key];
+            const column = prefix ? `${prefix}.${key}` : key;
+
+            if (this._isObject(value)) {
+                combine(this._flattenRecord(value, column, explode));
+            } else if (Array.isArray(value) && explode.includes(column)) {
+                const children = value
+                    .filter(item => this._isObject(item))
+                    .flatMap(item => this._flattenRecord(item, column, explode));
+                // Sem itens, o registro pai é mantido (com as colunas dos itens vazias)
+                combine(children.length > 0 ? children : [{}]);
+            } else if (Array.isArray(value)) {
+                const text = value.every(item => typeof item !== 'object' || item === null)
+                    ? value.join(', ')
+                    : JSON.stringify(value);
+                rows.forEach(row => { row[column] = text; });
+            } else {
+                rows.forEach(row => { row[column] = value; });
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * @private
+     */
+    _isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
     /**
      * Validar arquivo JSON
      * @param {File} file 
@@ -211,8 +356,8 @@ export class JSONParser {
         const warnings = [];
 
         // Verificar extensão
-        if (!file.name.toLowerCase().endsWith('.json')) {
-            errors.push('Arquivo deve ter extensão .json');
+        if (!['.json', '.jsonl', '.ndjson'].some(ext => file.name.toLowerCase().endsWith(ext))) {
+            errors.push('Arquivo deve ter extensão .json, .jsonl ou .ndjson');
         }
 
         // Verificar tipo MIME
@@ -0,0 +1,438 @@
+/**
+ * 🔌 LLMProvider - Camada de Provedores de IA
+ *
+ * Responsável por:
+ * - Abstrair o formato de requisição/resposta de cada provedor de LLM
+ * - Selecionar o provedor a partir de configuração (.env ou objeto)
+ * - Padronizar erros HTTP (status disponível em error.status)
+ * - Streaming de respostas (SSE / NDJSON) como async iterator
+ *
+ * Provedores suportados:
+ * 1. OpenAI-compatible: DeepSeek, OpenAI, llama.cpp server, mock local
+ * 2. Ollama: API nativa /api/chat
+ * 3. Anthropic: API de mensagens /v1/messages
+ *
+ * @class LLMProvider
+ * @author Carlos Antonio de Oliveira Piquet
+ * @version 1.0.0
+ */
+
+/**
+ * Presets de provedores conhecidos
+ * - protocol: formato de API usado na comunicação
+ * - requiresKey: se a API exige chave de autenticação
+ * - contextTokens: janela de contexto padrão do modelo
+ */
+export const LLM_PROVIDER_PRESETS = {
+    deepseek: {
+        protocol: 'openai',
+        apiUrl: 'https://api.deepseek.com',
+        model: 'deepseek-chat',
+        requiresKey: true,
+        contextTokens: 64000
+    },
+    openai: {
+        protocol: 'openai',
+        apiUrl: 'https://api.openai.com/v1',
+        model: 'gpt-4o-mini',
+        requiresKey: true,
+        contextTokens: 128000
+    },
+    llamacpp: {
+        protocol: 'openai',
+        apiUrl: 'http://localhost:8080/v1',
+        model: 'local-model',
+        requiresKey: false,
+        contextTokens: 4096
+    },
+    ollama: {
+        protocol: 'ollama',
+        apiUrl: 'http://localhost:11434',
+        model: 'llama3',
+        requiresKey: false,
+        contextTokens: 8192
+    },
+    anthropic: {
+        protocol: 'anthropic',
+        apiUrl: 'https://api.anthropic.com',
+        model: 'claude-3-5-haiku-latest',
+        requiresKey: true,
+        contextTokens: 200000
+    },
+    mock: {
+        protocol: 'openai',
+        apiUrl: 'http://localhost:8787',
+        model: 'mock-model',
+        requiresKey: false,
+        contextTokens: 8192
+    }
+};
+
+/**
+ * Classe base - implementa o fluxo HTTP comum
+ */
+export class LLMProvider {
+    /**
+     * @param {Object} config
+     * @param {string} config.name - Nome do provedor (deepseek, openai, ollama...)
+     * @param {string} config.apiUrl - URL base da API
+     * @param {string} config.apiKey - Chave da API (opcional para locais)
+     * @param {string} config.model - Modelo a utilizar
+     * @param {boolean} config.requiresKey - Se exige chave
+     * @param {number} config.contextTokens - Janela de contexto do modelo (prompt + resposta)
+     */
+    constructor(config = {}) {
+        this.name = config.name || 'custom';
+        this.apiUrl = (config.apiUrl || '').replace(/\/+$/, '');
+        this.apiKey = config.apiKey || null;
+        this.model = config.model;
+        this.requiresKey = config.requiresKey !== false;
+        this.contextTokens = config.contextTokens || 8192;
+    }
+
+    /**
+     * Verifica se o provedor pode ser utilizado
+     * @returns {boolean}
+     */
+    isConfigured() {
+        if (!this.apiUrl || !this.model) return false;
+        if (!this.requiresKey) return true;
+        return Boolean(this.apiKey) && this.apiKey !== 'sua_chave_api_aqui';
+    }
+
+    /**
+     * Envia mensagens e retorna o texto gerado
+     * @param {Array<{role: string, content: string}>} messages
+     * @param {Object} options - { temperature, maxTokens, signal, json }
+     *   json: true (ou um JSON Schema) pede ao provedor uma resposta em JSON, quando suportado
+     * @returns {Promise<string>}
+     */
+    async complete(messages, options = {}) {
+        const response = await this._send(messages, { ...options, stream: false });
+
+        const data = await response.json();
+        const content = this.parseResponse(data);
+
+        if (typeof content !== 'string') {
+            throw new Error(`Resposta inesperada do provedor ${this.name}`);
+        }
+
+        return content;
+    }
+
+    /**
+     * Envia mensagens com stream: true e produz os trechos de texto recebidos
+     * @param {Array<{role: string, content: string}>} messages
+     * @param {Object} options - { temperature, maxTokens, signal }
+     * @yields {string} Trecho (delta) de texto
+     */
+    async *stream(messages, options = {}) {
+        const response = await this._send(messages, { ...options, stream: true });
+
+        if (!response.body) {
+            throw new Error(`Provedor ${this.name} não retornou stream`);
+        }
+
+        for await (const line of this._readLines(response.body)) {
+            const delta = this.parseStreamLine(line);
+            if (delta === null) return; // Fim do stream sinalizado pelo provedor
+            if (delta) yield delta;
+        }
+    }
+
+    /**
+     * Executa a requisição HTTP e normaliza erros
+     * @param {Array} messages
+     * @param {Object} options
+     * @returns {Promise<Response>}
+     * @private
+     */
+    async _send(messages, options) {
+        const request = this.buildRequest(messages, options);
+
+        const response = await fetch(request.url, {
+            method: 'POST',
+            headers: request.headers,
+            body: JSON.stringify(request.body),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            const error = new Error(`API Error: ${response.status} ${response.statusText} - ${errorText}`);
+            error.status = response.status;
+            error.provider = this.name;
+            throw error;
+        }
+
+        return response;
+    }
+
+    /**
+     * Lê um ReadableStream linha a linha
+     * @param {ReadableStream} body
+     * @yields {string} Linha não vazia
+     * @private
+     */
+    async *_readLines(body) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    if (line.trim()) yield line.trim();
+                }
+            }
+
+            buffer += decoder.decode();
+            if (buffer.trim()) yield buffer.trim();
+        } finally {
+            reader.releaseLock();
+        }
+    }
+
+    /**
+     * Monta URL, headers e body da requisição
+     * @abstract
+     */
+    buildRequest(_messages, _options) {
+        throw new Error('buildRequest() deve ser implementado pelo provedor');
+    }
+
+    /**
+     * Extrai o texto gerado da resposta JSON
+     * @abstract
+     */
+    parseResponse(_data) {
+        throw new Error('parseResponse() deve ser implementado pelo provedor');
+    }
+
+    /**
+     * Extrai o trecho de texto de uma linha do stream
+     * Retorna null quando a linha indica o fim do stream
+     * @abstract
+     */
+    parseStreamLine(_line) {
+        throw new Error('parseStreamLine() deve ser implementado pelo provedor');
+    }
+}
+
+/**
+ * Extrai o payload JSON de uma linha SSE ("data: {...}")
+ * @param {string} line
+ * @returns {Object|string|undefined} Objeto, '[DONE]' ou undefined
+ */
+function parseSSEData(line) {
+    if (!line.startsWith('data:')) return undefined;
+
+    const payload = line.slice(5).trim();
+    if (payload === '[DONE]') return payload;
+
+    try {
+        return JSON.parse(payload);
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Provedor compatível com OpenAI (/chat/completions)
+ * Atende DeepSeek, OpenAI, llama.cpp server e o mock local
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+    buildRequest(messages, options = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        return {
+            url: `${this.apiUrl}/chat/completions`,
+            headers,
+            body: {
+                model: this.model,
+                messages,
+                temperature: options.temperature ?? 0.7,
+                max_tokens: options.maxTokens ?? 2000,
+                stream: Boolean(options.stream),
+                response_format: options.json ? { type: 'json_object' } : undefined
+            }
+        };
+    }
+
+    parseResponse(data) {
+        return data?.choices?.[0]?.message?.content;
+    }
+
+    parseStreamLine(line) {
+        const data = parseSSEData(line);
+        if (data === '[DONE]') return null;
+        return data?.choices?.[0]?.delta?.content || '';
+    }
+}
+
+/**
+ * Provedor Ollama (API nativa /api/chat)
+ */
+export class OllamaProvider extends LLMProvider {
+    buildRequest(messages, options = {}) {
+        return {
+            url: `${this.apiUrl}/api/chat`,
+            headers: { 'Content-Type': 'application/json' },
+            body: {
+                model: this.model,
+                messages,
+                stream: Boolean(options.stream),
+                format: options.json ? (typeof options.json === 'object' ? options.json : 'json') : undefined,
+                options: {
+                    temperature: options.temperature ?? 0.7,
+                    num_predict: options.maxTokens ?? 2000,
+                    num_ctx: this.contextTokens
+                }
+            }
+        };
+    }
+
+    parseResponse(data) {
+        return data?.message?.content;
+    }
+
+    parseStreamLine(line) {
+        let data;
+        try {
+            data = JSON.parse(line);
+        } catch {
+            return '';
+        }
+        if (data.done) return null;
+        return data.message?.content || '';
+    }
+}
+
+/**
+ * Provedor estilo Anthropic (/v1/messages)
+ * O prompt de sistema vai em campo próprio, fora da lista de mensagens
+ * Não há modo JSON nativo: options.json depende apenas das instruções do prompt
+ */
+export class AnthropicProvider extends LLMProvider {
+    buildRequest(messages, options = {}) {
+        const system = messages
+            .filter(m => m.role === 'system')
+            .map(m => m.content)
+            .join('\n\n');
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'anthropic-version': '2023-06-01',
+            // Necessário para chamadas diretas do navegador
+            'anthropic-dangerous-direct-browser-access': 'true'
+        };
+        if (this.apiKey) {
+            headers['x-api-key'] = this.apiKey;
+        }
+
+        return {
+            url: `${this.apiUrl}/v1/messages`,
+            headers,
+            body: {
+                model: this.model,
+                system: system || undefined,
+                messages: messages.filter(m => m.role !== 'system'),
+                temperature: options.temperature ?? 0.7,
+                max_tokens: options.maxTokens ?? 2000,
+                stream: Boolean(options.stream)
+            }
+        };
+    }
+
+    parseResponse(data) {
+        if (!Array.isArray(data?.content)) return undefined;
+        return data.content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+    }
+
+    parseStreamLine(line) {
+        const data = parseSSEData(line);
+        if (data?.type === 'message_stop') return null;
+        if (data?.type === 'content_block_delta') return data.delta?.text || '';
+        return '';
+    }
+}
+
+const PROVIDER_CLASSES = {
+    openai: OpenAICompatibleProvider,
+    ollama: OllamaProvider,
+    anthropic: AnthropicProvider
+};
+
+/**
+ * Lê a configuração do provedor das variáveis de ambiente do Vite
+ * Mantém compatibilidade com VITE_DEEPSEEK_API_KEY / VITE_DEEPSEEK_API_URL
+ * @returns {Object}
+ */
+export function getLLMConfigFromEnv() {
+    const env = import.meta.env || {};
+    const name = (env.VITE_AI_PROVIDER || 'deepseek').toLowerCase();
+    const isDeepSeek = name === 'deepseek';
+
+    return {
+        name,
+        apiKey: env.VITE_AI_API_KEY || (isDeepSeek ? env.VITE_DEEPSEEK_API_KEY : undefined),
+        apiUrl: env.VITE_AI_API_URL || (isDeepSeek ? env.VITE_DEEPSEEK_API_URL : undefined),
+        model: env.VITE_AI_MODEL,
+        protocol: env.VITE_AI_PROTOCOL,
+        maxTokens: toNumber(env.VITE_AI_MAX_TOKENS),
+        contextTokens: toNumber(env.VITE_AI_CONTEXT_TOKENS),
+        maxPromptTokens: toNumber(env.VITE_AI_MAX_PROMPT_TOKENS),
+        piiRedaction: env.VITE_AI_PII_REDACTION !== 'false',
+        piiTypes: env.VITE_AI_PII_TYPES
+            ? env.VITE_AI_PII_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+            : undefined,
+        structuredOutput: env.VITE_AI_STRUCTURED_OUTPUT !== 'false'
+    };
+}
+
+/**
+ * Converte variáveis numéricas do .env (undefined quando ausentes ou inválidas)
+ */
+function toNumber(value) {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number > 0 ? number : undefined;
+}
+
+/**
+ * Cria o provedor a partir da configuração
+ * Campos ausentes são completados pelo preset do provedor
+ * @param {Object} config - { name, apiUrl, apiKey, model, protocol, contextTokens }
+ * @returns {LLMProvider}
+ */
+export function createLLMProvider(config = {}) {
+    const name = (config.name || 'deepseek').toLowerCase();
+    const preset = LLM_PROVIDER_PRESETS[name] || {};
+    const protocol = config.protocol || preset.protocol || 'openai';
+    const ProviderClass = PROVIDER_CLASSES[protocol];
+
+    if (!ProviderClass) {
+        throw new Error(`Protocolo de IA não suportado: ${protocol}`);
+    }
+
+    return new ProviderClass({
+        name,
+        apiUrl: config.apiUrl || preset.apiUrl,
+        apiKey: config.apiKey,
+        model: config.model || preset.model,
+        requiresKey: config.requiresKey ?? preset.requiresKey ?? true,
+        contextTokens: config.contextTokens ?? preset.contextTokens
+    });
+}
@@ -0,0 +1,838 @@
+/**
+ * 📝 LocalReportEngine - Relatório local baseado em regras
+ *
+ * Responsável por:
+ * - Escrever as seções do relatório IA sem provedor de IA (modo offline)
+ * - Extrair fatos numéricos de analytics, RFM, churn, coorte e série temporal
+ * - Aplicar regras de negócio (limiares) para classificar riscos e oportunidades
+ *
+ * Cada seção é gerada em Markdown, no mesmo formato das respostas da IA,
+ * e omite os blocos cujos dados não estão disponíveis na planilha.
+ *
+ * @class LocalReportEngine
+ * @author Carlos Antonio de Oliveira Piquet
+ * @version 1.0.0
+ */
+
+/**
+ * Limiares usados nas regras de classificação
+ */
+const THRESHOLDS = {
+    concentrationHigh: 50,   // % da receita nos 3 principais itens
+    tailShare: 1,            // % abaixo do qual um item é considerado cauda
+    monthlyChange: 5,        // % de variação mensal considerada relevante
+    churnHighRisk: 15,       // % de clientes em risco alto
+    retentionLow: 20,        // % de retenção no 1º período
+    volatilityHigh: 30       // coeficiente de variação mensal (%)
+};
+
+// Prazo (dias) de cada horizonte nas ações estruturadas
+const DEADLINE_DAYS = { curto: 30, medio: 180, longo: 365 };
+
+const PRIORITY_BY_LEVEL = { P0: 'critical', P1: 'high', P2: 'medium' };
+
+export class LocalReportEngine {
+    /**
+     * Gera o texto de uma seção do relatório
+     * @param {string} section - Identificador da seção (executive, trends, risks...)
+     * @param {Object} context - { data, analytics, advancedAnalytics }
+     * @returns {string} Markdown da seção
+     */
+    generate(section, context = {}) {
+        const writers = {
+            executive: facts => this.writeExecutive(facts),
+            trends: facts => this.writeTrends(facts),
+            opportunities: facts => this.writeOpportunities(facts),
+            risks: facts => this.writeRisks(facts),
+            performance: facts => this.writePerformance(facts),
+            recommendations: facts => this.writeRecommendations(facts),
+            predictions: facts => this.writePredictions(facts),
+            action_plan: facts => this.writeActionPlan(facts)
+        };
+
+        const writer = writers[section];
+        if (!writer) return 'Análise não disponível.';
+
+        return writer(this.extractFacts(context));
+    }
+
+    /**
+     * Gera as recomendações no formato estruturado (ActionPlanSchema)
+     * @param {Object} context - { data, analytics, advancedAnalytics }
+     * @param {Date} today - Base para os prazos
+     * @returns {{summary: string, actions: Array<Object>}}
+     */
+    generateActions(context = {}, today = new Date()) {
+        const facts = this.extractFacts(context);
+        const recommendations = this.buildRecommendations(facts);
+
+        const actions = recommendations.map(r => {
+            const deadline = new Date(today);
+            deadline.setDate(deadline.getDate() + DEADLINE_DAYS[r.horizon]);
+
+            return {
+                title: r.action,
+                owner: r.owner,
+                deadline: this.formatISODate(deadline),
+                priority: PRIORITY_BY_LEVEL[r.priority],
+                horizon: r.horizon,
+                kpi: {
+                    name: r.kpi,
+                    metric: r.goal.metric || null,
+                    target: Math.round(r.goal.target * 100) / 100,
+                    unit: r.goal.unit
+                },
+                expectedImpact: r.reason,
+                impactValue: null
+            };
+        });
+
+        const urgent = actions.filter(a => a.priority === 'critical').length;
+        const summary = `${this.pluralize(actions.length, 'ação sugerida', 'ações sugeridas')} a partir das regras de negócio` +
+            (urgent > 0 ? `, ${urgent} de prioridade crítica.` : '.');
+
+        return { summary, actions };
+    }
+
+    // ========== EXTRAÇÃO DE FATOS ==========
+
+    /**
+     * Normaliza os resultados das análises em fatos prontos para o texto
+     * @param {Object} context - { data, analytics, advancedAnalytics }
+     * @returns {Object}
+     */
+    extractFacts({ data = [], analytics = {}, advancedAnalytics = {} } = {}) {
+        const kpis = Array.isArray(analytics.kpis) ? analytics.kpis : [];
+        const groupings = analytics.groupings || {};
+        const advanced = advancedAnalytics || {};
+
+        return {
+            records: data.length,
+            kpis: this.extractKPIs(kpis),
+            monthly: this.extractMonthly(groupings.monthly),
+            trend: analytics.trends?.monthly || null,
+            projection: analytics.projections?.nextMonth || null,
+            products: this.extractRanking(groupings.byProduct),
+            categories: this.extractRanking(groupings.byCategory),
+            rfm: advanced.rfm?.available ? this.extractRFM(advanced.rfm) : null,
+            churn: advanced.churn?.available ? this.extractChurn(advanced.churn) : null,
+            cohort: advanced.cohort?.available ? advanced.cohort.metrics : null,
+            timeSeries: advanced.timeSeries?.available ? advanced.timeSeries : null,
+            basket: advanced.marketBasket?.available ? advanced.marketBasket : null,
+            geo: advanced.geo?.available ? advanced.geo.metrics : null
+        };
+    }
+
+    /**
+     * Extrai os KPIs relevantes pelo id
+     */
+    extractKPIs(kpis) {
+        const byId = id => kpis.find(kpi => kpi.id === id);
+        const total = kpis.find(kpi => kpi.category === 'financeiro' && kpi.id.startsWith('total_') &&
+            !['total_revenue', 'total_expense'].includes(kpi.id));
+        const average = kpis.find(kpi => kpi.category === 'financeiro' && kpi.id.startsWith('avg_'));
+
+        return {
+            total: total?.rawValue ?? null,
+            totalLabel: total?.title || null,
+            averageTicket: average?.rawValue ?? null,
+            revenue: byId('total_revenue')?.rawValue ?? null,
+            expense: byId('total_expense')?.rawValue ?? null,
+            profit: byId('profit')?.rawValue ?? null,
+            clients: byId('total_clients')?.value ?? null,
+            products: byId('total_products')?.value ?? null,
+            topProduct: byId('top_product') || null,
+            topEmployee: byId('top_employee') || null,
+            period: byId('date_range') || null
+        };
+    }
+
+    /**
+     * Resume a série mensal: melhor/pior mês, variação e volatilidade
+     */
+    extractMonthly(monthly) {
+        if (!Array.isArray(monthly) || monthly.length === 0) return null;
+
+        const totals = monthly.map(m => m.total);
+        const sum = totals.reduce((a, b) => a + b, 0);
+        const mean = sum / totals.length;
+        const variance = totals.reduce((acc, v) => acc + (v - mean) ** 2, 0) / totals.length;
+        const sorted = [...monthly].sort((a, b) => b.total - a.total);
+        const first = monthly[0];
+        const last = monthly[monthly.length - 1];
+        const previous = monthly.length > 1 ? monthly[monthly.length - 2] : null;
+
+        // Últimos 3 meses contra os 3 anteriores
+        let recentChange = null;
+        if (monthly.length >= 6) {
+            const recent = totals.slice(-3).reduce((a, b) => a + b, 0);
+            const before = totals.slice(-6, -3).reduce((a, b) => a + b, 0);
+            recentChange = this.percentChange(recent, before);
+        }
+
+        return {
+            months: monthly.length,
+            total: sum,
+            mean,
+            best: sorted[0],
+            worst: sorted[sorted.length - 1],
+            first,
+            last,
+            lastChange: previous ? this.percentChange(last.total, previous.total) : null,
+            overallChange: monthly.length > 1 ? this.percentChange(last.total, first.total) : null,
+            recentChange,
+            volatility: mean !== 0 ? (Math.sqrt(variance) / Math.abs(mean)) * 100 : 0,
+            belowAverage: monthly.filter(m => m.total < mean).length
+        };
+    }
+
+    /**
+     * Resume um agrupamento ordenado por total (produtos, categorias)
+     */
+    extractRanking(groups) {
+        if (!Array.isArray(groups) || groups.length === 0) return null;
+
+        const total = groups.reduce((acc, g) => acc + g.total, 0);
+        const share = g => (total !== 0 ? (g.total / total) * 100 : 0);
+        const items = groups.map(g => ({ ...g, share: share(g) }));
+        const top3 = items.slice(0, 3);
+
+        return {
+            count: items.length,
+            total,
+            items,
+            top: items[0],
+            top3,
+            top3Share: top3.reduce((acc, g) => acc + g.share, 0),
+            tail: items.filter(g => g.share < THRESHOLDS.tailShare),
+            bestTicket: [...items].sort((a, b) => b.average - a.average)[0]
+        };
+    }
+
+    /**
+     * Extrai segmentos RFM relevantes para retenção e upsell
+     */
+    extractRFM(rfm) {
+        const segments = rfm.segments || [];
+        const find = name => segments.find(s => s.name === name);
+        const atRiskNames = ['At Risk', 'Cannot Lose', 'About To Sleep'];
+        const atRisk = segments.filter(s => atRiskNames.includes(s.name));
+        const totalValue = segments.reduce((acc, s) => acc + s.totalValue, 0);
+
+        return {
+            metrics: rfm.metrics || {},
+            champions: find('Champions'),
+            loyal: find('Loyal Customers'),
+            potential: find('Potential Loyalists'),
+            atRisk,
+            atRiskCount: atRisk.reduce((acc, s) => acc + s.count, 0),
+            atRiskValue: atRisk.reduce((acc, s) => acc + s.totalValue, 0),
+            lost: find('Lost'),
+            hibernating: find('Hibernating'),
+            totalValue
+        };
+    }
+
+    /**
+     * Extrai clientes em risco e valor exposto ao churn
+     */
+    extractChurn(churn) {
+        const predictions = churn.predictions || [];
+        const highRisk = predictions.filter(p => p.riskLevel === 'ALTO');
+        const sortedByValue = [...highRisk].sort((a, b) => (b.totalValue || 0) - (a.totalValue || 0));
+
+        return {
+            metrics: churn.metrics || {},
+            highRisk,
+            valueAtRisk: highRisk.reduce((acc, p) => acc + (p.totalValue || 0), 0),
+            topAtRisk: sortedByValue.slice(0, 5)
+        };
+    }
+
+    // ========== SEÇÕES ==========
+
+    writeExecutive(facts) {
+        const { kpis, monthly, products, rfm, churn } = facts;
+        const lines = ['**Sumário Executivo (análise local)**', ''];
+
+        const overview = [`Foram analisados **${this.formatNumber(facts.records)} registros**`];
+        if (kpis.period) overview.push(`no período de ${kpis.period.subValue} (${kpis.period.value})`);
+        lines.push(`${overview.join(' ')}.`, '');
+
+        const numbers = [];
+        if (kpis.total !== null) numbers.push(`${kpis.totalLabel}: ${this.formatCurrency(kpis.total)}`);
+        if (kpis.averageTicket !== null) numbers.push(`Ticket médio: ${this.formatCurrency(kpis.averageTicket)}`);
+        if (kpis.profit !== null) {
+            numbers.push(`${kpis.profit >= 0 ? 'Lucro' : 'Prejuízo'}: ${this.formatCurrency(Math.abs(kpis.profit))} ` +
+                `(margem de ${this.formatPercent(this.safeRatio(kpis.profit, kpis.revenue) * 100)})`);
+        }
+        if (kpis.clients !== null) numbers.push(`Clientes únicos: ${this.formatNumber(kpis.clients)}`);
+        if (kpis.products !== null) numbers.push(`Produtos únicos: ${this.formatNumber(kpis.products)}`);
+
+        if (numbers.length > 0) {
+            lines.push('**Números-chave:**');
+            numbers.forEach(n => lines.push(`- ${n}`));
+            lines.push('');
+        }
+
+        const findings = [];
+        if (monthly?.lastChange !== null && monthly?.lastChange !== undefined) {
+            findings.push(`${monthly.last.label} fechou com ${this.formatCurrency(monthly.last.total)}, ` +
+                `${this.describeChange(monthly.lastChange)} em relação ao mês anterior`);
+        }
+        if (products) {
+            findings.push(`Os 3 principais produtos concentram ${this.formatPercent(products.top3Share)} da receita; ` +
+                `o líder é **${products.top.label}** com ${this.formatPercent(products.top.share)}`);
+        }
+        if (rfm?.champions) {
+            findings.push(`${rfm.champions.count} clientes Champions respondem por ` +
+                `${this.formatPercent(this.safeRatio(rfm.champions.totalValue, rfm.totalValue) * 100)} do valor`);
+        }
+        if (churn) {
+            findings.push(`${churn.metrics.highRiskCount || 0} clientes (${this.formatPercent(churn.metrics.highRiskPct)}) ` +
+                `estão em risco alto de churn, somando ${this.formatCurrency(churn.valueAtRisk)}`);
+        }
+
+        if (findings.length > 0) {
+            lines.push('**Principais descobertas:**');
+            findings.slice(0, 4).forEach(f => lines.push(`- ${f}`));
+            lines.push('');
+        }
+
+        const critical = this.buildRecommendations(facts)[0];
+        if (critical) {
+            lines.push(`**Recomendação crítica:** ${critical.action} — ${critical.reason}.`);
+        }
+
+        return lines.join('\n').trim();
+    }
+
+    writeTrends(facts) {
+        const { monthly, trend, timeSeries } = facts;
+        const lines = ['**Análise de Tendências (análise local)**', ''];
+
+        if (!monthly) {
+            lines.push('Não há coluna de data combinada com valores monetários para montar a série mensal.');
+            return lines.join('\n');
+        }
+
+        lines.push(`Série de **${monthly.months} meses** (${monthly.first.label} a ${monthly.last.label}), ` +
+            `com média mensal de ${this.formatCurrency(monthly.mean)}.`, '');
+
+        lines.push('**Evolução:**');
+        if (trend) {
+            lines.push(`- Último mês: ${trend.description.toLowerCase()} de ${this.formatPercent(Math.abs(Number(trend.change)))} ` +
+                `(tendência ${this.translateDirection(trend.direction)})`);
+        }
+        if (monthly.recentChange !== null) {
+            lines.push(`- Últimos 3 meses vs. 3 anteriores: ${this.describeChange(monthly.recentChange)}`);
+        }
+        if (monthly.overallChange !== null) {
+            lines.push(`- Do primeiro ao último mês: ${this.describeChange(monthly.overallChange)}`);
+        }
+        lines.push(`- Melhor mês: ${monthly.best.label} (${this.formatCurrency(monthly.best.total)})`);
+        lines.push(`- Pior mês: ${monthly.worst.label} (${this.formatCurrency(monthly.worst.total)})`);
+        lines.push('');
+
+        lines.push('**Estabilidade:**');
+        lines.push(`- Coeficiente de variação mensal: ${this.formatPercent(monthly.volatility)} ` +
+            `(${monthly.volatility > THRESHOLDS.volatilityHigh ? 'alta volatilidade' : 'variação controlada'})`);
+        lines.push(`- ${monthly.belowAverage} de ${monthly.months} meses ficaram abaixo da média`);
+
+        if (timeSeries) {
+            const { seasonality, metrics, patterns = [] } = timeSeries;
+            lines.push('');
+            lines.push('**Sazonalidade e padrões:**');
+            if (seasonality) {
+                lines.push(`- Pico sazonal em ${seasonality.peakMonth} e vale em ${seasonality.valleyMonth} ` +
+                    `(amplitude de ${this.formatPercent(seasonality.seasonalityStrength)})`);
+            }
+            if (metrics?.trendStrength) lines.push(`- Força da tendência: ${metrics.trendStrength}`);
+            patterns.slice(0, 3).forEach(p => lines.push(`- ${p.description}`));
+        }
+
+        return lines.join('\n').trim();
+    }
+
+    writeOpportunities(facts) {
+        const { products, categories, rfm, basket, kpis } = facts;
+        const opportunities = [];
+
+        const potentialAvg = rfm?.potential ? this.safeRatio(rfm.potential.totalValue, rfm.potential.count) : 0;
+        const championAvg = rfm?.champions ? this.safeRatio(rfm.champions.totalValue, rfm.champions.count) : 0;
+        if (rfm?.potential && championAvg > potentialAvg) {
+            const avg = potentialAvg;
+            opportunities.push({
+                title: 'Fidelizar Potential Loyalists',
+                detail: `${rfm.potential.count} clientes com valor médio de ${this.formatCurrency(avg)}; ` +
+                    `elevar 20% deles ao nível dos Champions (${this.formatCurrency(championAvg)}) ` +
+                    `adiciona cerca de ${this.formatCurrency((championAvg - avg) * rfm.potential.count * 0.2)}`,
+                priority: 'Alta'
+            });
+        }
+
+        if (rfm?.champions) {
+            opportunities.push({
+                title: 'Upsell para Champions',
+                detail: `${rfm.champions.count} clientes somam ${this.formatCurrency(rfm.champions.totalValue)}; ` +
+                    `um aumento de 10% no ticket representa ${this.formatCurrency(rfm.champions.totalValue * 0.1)}`,
+                priority: 'Alta'
+            });
+        }
+
+        if (basket?.topCombos?.length > 0) {
+            const combo = basket.topCombos[0];
+            opportunities.push({
+                title: 'Cross-sell por associação de produtos',
+                detail: `${combo.description} (lift ${combo.strength}); ` +
+                    `${basket.topCombos.length} combinações com associação positiva encontradas`,
+                priority: 'Média'
+            });
+        }
+
+        if (products?.bestTicket && products.bestTicket !== products.top) {
+            opportunities.push({
+                title: `Ampliar vendas de ${products.bestTicket.label}`,
+                detail: `maior ticket médio entre os produtos (${this.formatCurrency(products.bestTicket.average)}), ` +
+                    `mas apenas ${this.formatPercent(products.bestTicket.share)} da receita`,
+                priority: 'Média'
+            });
+        }
+
+        if (categories && categories.count > 1) {
+            const runnerUp = categories.items[1];
+            opportunities.push({
+                title: `Crescer a categoria ${runnerUp.label}`,
+                detail: `segunda maior categoria com ${this.formatPercent(runnerUp.share)} da receita; ` +
+                    `igualar metade da distância para ${categories.top.label} adiciona ` +
+                    `${this.formatCurrency((categories.top.total - runnerUp.total) / 2)}`,
+                priority: 'Média'
+            });
+        }
+
+        if (opportunities.length === 0 && kpis.averageTicket !== null && facts.records > 0) {
+            opportunities.push({
+                title: 'Aumentar o ticket médio',
+                detail: `com ${this.formatNumber(facts.records)} registros, +5% no ticket médio ` +
+                    `(${this.formatCurrency(kpis.averageTicket)}) representa ${this.formatCurrency(kpis.averageTicket * facts.records * 0.05)}`,
+                priority: 'Média'
+            });
+        }
+
+        const lines = ['**Oportunidades de Crescimento (análise local)**', ''];
+        if (opportunities.length === 0) {
+            lines.push('Os dados não possuem colunas de cliente, produto ou categoria suficientes para quantificar oportunidades.');
+            return lines.join('\n');
+        }
+
+        opportunities.forEach((o, i) => {
+            lines.push(`${i + 1}. **${o.title}** — ${o.detail}. Prioridade: ${o.priority}`);
+        });
+
+        return lines.join('\n').trim();
+    }
+
+    writeRisks(facts) {
+        const risks = this.buildRisks(facts);
+        const lines = ['**Análise de Riscos (análise local)**', ''];
+
+        if (risks.length === 0) {
+            lines.push('Nenhum risco ultrapassou os limiares configurados (concentração, queda de receita, churn, retenção, volatilidade).');
+            return lines.join('\n');
+        }
+
+        risks.forEach(r => {
+            lines.push(`- **Severidade ${r.severity}:** ${r.description}`);
+            lines.push(`  - Mitigação: ${r.mitigation}`);
+        });
+
+        return lines.join('\n').trim();
+    }
+
+    writePerformance(facts) {
+        const { products, categories, kpis, monthly, geo } = facts;
+        const lines = ['**Análise de Performance (análise local)**', ''];
+
+        if (products) {
+            lines.push('**Top produtos:**');
+            products.top3.forEach((p, i) => {
+                lines.push(`${i + 1}. ${p.label}: ${this.formatCurrency(p.total)} (${this.formatPercent(p.share)}, ${p.count} vendas)`);
+            });
+            if (products.tail.length > 0) {
+                lines.push(`- ${products.tail.length} de ${products.count} produtos ficam abaixo de ` +
+                    `${THRESHOLDS.tailShare}% da receita cada`);
+            }
+            lines.push('');
+        }
+
+        if (categories) {
+            lines.push('**Categorias:**');
+            categories.items.slice(0, 5).forEach(c => {
+                lines.push(`- ${c.label}: ${this.formatCurrency(c.total)} (${this.formatPercent(c.share)}), ticket médio ${this.formatCurrency(c.average)}`);
+            });
+            lines.push('');
+        }
+
+        if (kpis.topEmployee) {
+            lines.push(`**Equipe:** destaque para ${kpis.topEmployee.value} (${kpis.topEmployee.subValue}).`, '');
+        }
+
+        if (geo) {
+            lines.push(`**Geografia:** ${geo.topState} lidera com ${geo.topStatePercentage}; ${geo.statesCovered} estados atendidos.`, '');
+        }
+
+        if (monthly) {
+            const gap = this.percentChange(monthly.best.total, monthly.mean);
+            lines.push('**Benchmark interno:**');
+            lines.push(`- O melhor mês (${monthly.best.label}) superou a média em ${this.formatPercent(gap)}`);
+            lines.push(`- Meta sugerida: média mensal de ${this.formatCurrency(monthly.mean * 1.1)} (+10%) no próximo trimestre`);
+        }
+
+        if (lines.length === 2) {
+            lines.push('Não há colunas de produto, categoria ou data suficientes para comparar performance.');
+        }
+
+        return lines.join('\n').trim();
+    }
+
+    writeRecommendations(facts) {
+        const recommendations = this.buildRecommendations(facts);
+        const lines = ['**Recomendações Estratégicas (análise local)**', ''];
+
+        const horizons = [
+            { key: 'curto', label: 'CURTO PRAZO (0-3 meses)' },
+            { key: 'medio', label: 'MÉDIO PRAZO (3-6 meses)' },
+            { key: 'longo', label: 'LONGO PRAZO (6-12 meses)' }
+        ];
+
+        horizons.forEach(({ key, label }) => {
+            const items = recommendations.filter(r => r.horizon === key);
+            if (items.length === 0) return;
+
+            lines.push(`**${label}:**`);
+            items.forEach(r => lines.push(`- (${r.priority}) ${r.action} — ${r.reason}`));
+            lines.push('');
+        });
+
+        return lines.join('\n').trim();
+    }
+
+    writePredictions(facts) {
+        const { monthly, projection, timeSeries } = facts;
+        const lines = ['**Previsões e Projeções (análise local)**', ''];
+
+        if (!monthly || monthly.months < 3) {
+            lines.push('São necessários pelo menos 3 meses de dados para projetar a receita.');
+            return lines.join('\n');
+        }
+
+        const base = projection?.value ?? monthly.mean;
+        const slope = this.linearSlope(monthly);
+        const linear = Math.max(0, monthly.last.total + slope);
+        const spread = Math.min(monthly.volatility, 50) / 100;
+
+        lines.push('**Próximo mês:**');
+        lines.push(`- Média móvel (3 meses): ${this.formatCurrency(base)}`);
+        lines.push(`- Tendência linear: ${this.formatCurrency(linear)} (${slope >= 0 ? '+' : ''}${this.formatCurrency(slope)} por mês)`);
+        lines.push('');
+
+        lines.push('**Próximo trimestre:**');
+        lines.push(`- Base: ${this.formatCurrency(base * 3)}`);
+        lines.push(`- Otimista (+${this.formatPercent(spread * 100)}): ${this.formatCurrency(base * 3 * (1 + spread))}`);
+        lines.push(`- Pessimista (-${this.formatPercent(spread * 100)}): ${this.formatCurrency(base * 3 * (1 - spread))}`);
+        lines.push('');
+
+        const confidence = monthly.volatility < 15 ? 'alta' : monthly.volatility < THRESHOLDS.volatilityHigh ? 'média' : 'baixa';
+        lines.push(`**Confiança:** ${confidence} — baseada em ${monthly.months} meses com variação de ${this.formatPercent(monthly.volatility)}.`);
+
+        if (timeSeries?.seasonality) {
+            lines.push(`Considere o pico sazonal em ${timeSeries.seasonality.peakMonth} ao planejar estoque e equipe.`);
+        }
+
+        return lines.join('\n').trim();
+    }
+
+    writeActionPlan(facts) {
+        const recommendations = this.buildRecommendations(facts);
+        const lines = ['**Plano de Ação (análise local)**', ''];
+
+        const blocks = [
+            { horizon: 'curto', label: 'AÇÕES IMEDIATAS (Próximos 30 dias)' },
+            { horizon: 'medio', label: 'AÇÕES DE MÉDIO PRAZO (3-6 meses)' },
+            { horizon: 'longo', label: 'AÇÕES DE LONGO PRAZO (6-12 meses)' }
+        ];
+
+        blocks.forEach(({ horizon, label }) => {
+            const items = recommendations.filter(r => r.horizon === horizon);
+            if (items.length === 0) return;
+
+            lines.push(`**${label}:**`);
+            items.forEach((r, i) => {
+                lines.push(`${i + 1}. ${r.action}`);
+                lines.push(`   - Responsável sugerido: ${r.owner}`);
+                lines.push(`   - KPI: ${r.kpi}`);
+            });
+            lines.push('');
+        });
+
+        return lines.join('\n').trim();
+    }
+
+    // ========== REGRAS ==========
+
+    /**
+     * Aplica os limiares e lista os riscos encontrados, do mais grave ao menos grave
+     */
+    buildRisks(facts) {
+        const { monthly, products, churn, cohort, rfm, kpis } = facts;
+        const risks = [];
+
+        if (churn && parseFloat(churn.metrics.highRiskPct) >= THRESHOLDS.churnHighRisk) {
+            risks.push({
+                severity: 'Alta',
+                description: `${this.formatPercent(churn.metrics.highRiskPct)} dos clientes em risco alto de churn ` +
+                    `(${this.formatCurrency(churn.valueAtRisk)} em valor histórico)` +
+                    (churn.topAtRisk.length > 0 ? `; maiores: ${churn.topAtRisk.slice(0, 3).map(p => p.client).join(', ')}` : ''),
+                mitigation: 'contato ativo com os clientes de maior valor e oferta de retenção'
+            });
+        }
+
+        if (kpis.profit !== null && kpis.profit < 0) {
+            risks.push({
+                severity: 'Alta',
+                description: `resultado negativo de ${this.formatCurrency(Math.abs(kpis.profit))} (saídas superam entradas)`,
+                mitigation: 'revisar as maiores despesas e renegociar custos fixos'
+            });
+        }
+
+        if (monthly?.recentChange !== null && monthly?.recentChange < -THRESHOLDS.monthlyChange) {
+            risks.push({
+                severity: monthly.recentChange < -15 ? 'Alta' : 'Média',
+                description: `receita dos últimos 3 meses registrou ${this.describeChange(monthly.recentChange)} frente ao trimestre anterior`,
+                mitigation: 'investigar os produtos e clientes que mais contribuíram para a queda'
+            });
+        } else if (monthly?.lastChange !== null && monthly?.lastChange < -THRESHOLDS.monthlyChange) {
+            risks.push({
+                severity: 'Média',
+                description: `${monthly.last.label} registrou ${this.describeChange(monthly.lastChange)} em relação ao mês anterior`,
+                mitigation: 'acompanhar semanalmente para confirmar se é pontual ou tendência'
+            });
+        }
+
+        if (products && products.count > 3 && products.top3Share >= THRESHOLDS.concentrationHigh) {
+            risks.push({
+                severity: 'Média',
+                description: `concentração de ${this.formatPercent(products.top3Share)} da receita em 3 produtos ` +
+                    `(${products.top3.map(p => p.label).join(', ')})`,
+                mitigation: 'diversificar o mix e promover produtos de maior ticket'
+            });
+        }
+
+        if (rfm && rfm.atRiskCount > 0) {
+            risks.push({
+                severity: 'Média',
+                description: `${rfm.atRiskCount} clientes nos segmentos At Risk / Cannot Lose / About To Sleep, ` +
+                    `com ${this.formatCurrency(rfm.atRiskValue)} em valor histórico`,
+                mitigation: 'campanha de reativação segmentada por recência'
+            });
+        }
+
+        if (cohort && cohort.avgRetentionPeriod1 > 0 && cohort.avgRetentionPeriod1 < THRESHOLDS.retentionLow) {
+            risks.push({
+                severity: 'Média',
+                description: `apenas ${this.formatPercent(cohort.avgRetentionPeriod1)} dos novos clientes voltam no mês seguinte ` +
+                    `(tendência de retenção: ${cohort.retentionTrend})`,
+                mitigation: 'fluxo de onboarding e oferta de segunda compra'
+            });
+        }
+
+        if (monthly && monthly.months >= 3 && monthly.volatility > THRESHOLDS.volatilityHigh) {
+            risks.push({
+                severity: 'Baixa',
+                description: `alta volatilidade mensal (coeficiente de variação de ${this.formatPercent(monthly.volatility)})`,
+                mitigation: 'planejar caixa com base no cenário pessimista'
+            });
+        }
+
+        return risks;
+    }
+
+    /**
+     * Converte fatos e riscos em recomendações com horizonte, responsável, KPI e meta
+     */
+    buildRecommendations(facts) {
+        const { churn, rfm, products, basket, monthly, cohort, kpis } = facts;
+        const recommendations = [];
+
+        if (churn && churn.highRisk.length > 0) {
+            recommendations.push({
+                horizon: 'curto', priority: 'P0', owner: 'Comercial / Customer Success',
+                action: `Contatar os ${churn.highRisk.length} clientes em risco alto de churn`,
+                reason: `protege ${this.formatCurrency(churn.valueAtRisk)} em valor histórico`,
+                kpi: 'clientes reativados / clientes em risco alto',
+                goal: { unit: 'percentage', target: 20 }
+            });
+        } else if (rfm && rfm.atRiskCount > 0) {
+            recommendations.push({
+                horizon: 'curto', priority: 'P0', owner: 'Marketing',
+                action: `Campanha de reativação para ${rfm.atRiskCount} clientes em risco (RFM)`,
+                reason: `segmentos somam ${this.formatCurrency(rfm.atRiskValue)}`,
+                kpi: 'taxa de recompra em 30 dias',
+                goal: { unit: 'percentage', target: 15 }
+            });
+        }
+
+        if (kpis.profit !== null && kpis.profit < 0) {
+            recommendations.push({
+                horizon: 'curto', priority: 'P0', owner: 'Financeiro',
+                action: 'Revisar as maiores despesas do período',
+                reason: `o resultado está negativo em ${this.formatCurrency(Math.abs(kpis.profit))}`,
+                kpi: 'margem líquida mensal',
+                goal: { unit: 'percentage', target: 10 }
+            });
+        }
+
+        if (monthly?.recentChange !== null && monthly?.recentChange < -THRESHOLDS.monthlyChange) {
+            recommendations.push({
+                horizon: 'curto', priority: 'P1', owner: 'Gestão Comercial',
+                action: 'Diagnosticar a queda recente de receita por produto e cliente',
+                reason: `o último trimestre registrou ${this.describeChange(monthly.recentChange)}`,
+                kpi: 'receita mensal vs. média dos 3 meses anteriores',
+                goal: { unit: 'revenue', target: monthly.mean, metric: 'total_revenue' }
+            });
+        }
+
+        if (rfm?.champions) {
+            recommendations.push({
+                horizon: 'medio', priority: 'P1', owner: 'Marketing',
+                action: 'Criar programa de fidelidade para os Champions',
+                reason: `${rfm.champions.count} clientes com ${this.formatCurrency(rfm.champions.totalValue)}`,
+                kpi: 'ticket médio dos Champions',
+                goal: { unit: 'revenue', target: this.safeRatio(rfm.champions.totalValue, rfm.champions.count) * 1.1 }
+            });
+        }
+
+        if (basket?.topCombos?.length > 0) {
+            recommendations.push({
+                horizon: 'medio', priority: 'P1', owner: 'Produto / Vendas',
+                action: `Montar kits e ofertas casadas (${basket.topCombos[0].combo})`,
+                reason: basket.topCombos[0].description,
+                kpi: 'itens por pedido',
+                goal: { unit: 'quantity', target: 2 }
+            });
+        }
+
+        if (cohort && cohort.avgRetentionPeriod1 > 0 && cohort.avgRetentionPeriod1 < THRESHOLDS.retentionLow) {
+            recommendations.push({
+                horizon: 'medio', priority: 'P1', owner: 'Customer Success',
+                action: 'Implantar jornada de onboarding para novos clientes',
+                reason: `retenção no 1º mês de ${this.formatPercent(cohort.avgRetentionPeriod1)}`,
+                kpi: 'retenção no período 1 das coortes',
+                goal: { unit: 'percentage', target: THRESHOLDS.retentionLow }
+            });
+        }
+
+        if (products && products.count > 3 && products.top3Share >= THRESHOLDS.concentrationHigh) {
+            recommendations.push({
+                horizon: 'longo', priority: 'P2', owner: 'Produto',
+                action: 'Diversificar o portfólio de produtos',
+                reason: `3 produtos concentram ${this.formatPercent(products.top3Share)} da receita`,
+                kpi: 'participação dos 3 principais produtos',
+                goal: { unit: 'percentage', target: THRESHOLDS.concentrationHigh }
+            });
+        }
+
+        if (products && products.tail.length > 0) {
+            recommendations.push({
+                horizon: 'longo', priority: 'P2', owner: 'Produto',
+                action: `Revisar ${this.pluralize(products.tail.length, 'produto', 'produtos')} de baixa participação`,
+                reason: `cada um representa menos de ${THRESHOLDS.tailShare}% da receita`,
+                kpi: 'receita por SKU ativo',
+                goal: { unit: 'quantity', target: products.tail.length }
+            });
+        }
+
+        if (monthly) {
+            recommendations.push({
+                horizon: 'longo', priority: 'P2', owner: 'Diretoria',
+                action: `Estabelecer meta mensal de ${this.formatCurrency(monthly.mean * 1.1)}`,
+                reason: `10% acima da média atual de ${this.formatCurrency(monthly.mean)}`,
+                kpi: 'receita mensal',
+                goal: { unit: 'revenue', target: monthly.mean * 1.1, metric: 'total_revenue' }
+            });
+        }
+
+        if (recommendations.length === 0) {
+            recommendations.push({
+                horizon: 'curto', priority: 'P1', owner: 'Analista de Dados',
+                action: 'Incluir colunas de data, cliente, produto e valor na planilha',
+                reason: 'elas habilitam as análises de tendência, RFM, churn e coorte',
+                kpi: 'cobertura das análises avançadas',
+                goal: { unit: 'quantity', target: 4 }
+            });
+        }
+
+        return recommendations;
+    }
+
+    // ========== AUXILIARES ==========
+
+    /**
+     * Variação média por mês entre o primeiro e o último mês da série
+     */
+    linearSlope(monthly) {
+        const n = monthly.months;
+        if (n < 2) return 0;
+        return (monthly.last.total - monthly.first.total) / (n - 1);
+    }
+
+    percentChange(current, previous) {
+        if (!previous) return 0;
+        return ((current - previous) / Math.abs(previous)) * 100;
+    }
+
+    safeRatio(a, b) {
+        return b ? a / b : 0;
+    }
+
+    /**
+     * Data local no formato AAAA-MM-DD
+     */
+    formatISODate(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    describeChange(change) {
+        if (Math.abs(change) < 0.05) return 'estável';
+        return change > 0
+            ? `alta de ${this.formatPercent(change)}`
+            : `queda de ${this.formatPercent(Math.abs(change))}`;
+    }
+
+    pluralize(count, singular, plural) {
+        return `${count} ${count === 1 ? singular : plural}`;
+    }
+
+    translateDirection(direction) {
+        return { up: 'de alta', down: 'de queda', neutral: 'estável' }[direction] || 'estável';
+    }
+
+    formatCurrency(value) {
+        return new Intl.NumberFormat('pt-BR', {
+            style: 'currency',
+            currency: 'BRL'
+        }).format(value || 0);
+    }
+
+    /**
+     * Formata percentual; aceita número ou string já formatada ("12.5%")
+     */
+    formatPercent(value) {
+        return `${(parseFloat(value) || 0).toFixed(1).replace('.', ',')}%`;
+    }
+
+    formatNumber(value) {
+        return new Intl.NumberFormat('pt-BR').format(value || 0);
+    }
+}
@@ -3,6 +3,8 @@
  * Identifica produtos frequentemente comprados juntos (Associação)
  */
 
+import { ColumnType } from '../types/enums.js';
+
 /**
  * @typedef {Object} AssociationRule
  * @property {Array<string>} antecedent - Produtos que aparecem primeiro
@@ -26,8 +28,8 @@ export class MarketBasketAnalyzer {
    */
   analyze(data, columnMetadata) {
     // Identificar colunas necessárias
-    const productCol = columnMetadata.find(col => col.type === 'PRODUCT');
-    const transactionCol = this.findTransactionColumn(data, columnMetadata);
+    const productCol = columnMetadata.find(col => col.type === ColumnType.PRODUCT);
+    const transactionCols = this.findTransactionColumn(data, columnMetadata);
 
     if (!productCol) {
       return {
@@ -37,7 +39,7 @@ export class MarketBasketAnalyzer {
     }
 
     // Agrupar produtos por transação
-    const transactions = this.groupByTransaction(data, productCol.name, transactionCol);
+    const transactions = this.groupByTransaction(data, productCol.name, transactionCols);
 
     if (transactions.length < 10) {
       return {
@@ -70,13 +72,14 @@ export class MarketBasketAnalyzer {
       metrics,
       columnsUsed: {
         product: productCol.name,
-        transaction: transactionCol
+        transaction: transactionCols ? transactionCols.join(' + ') : null
       }
     };
   }
 
   /**
    * Encontra coluna que identifica transações
+   * @returns {Array<string>|null} Uma coluna (ex.: pedido) ou data + cliente
    */
   findTransactionColumn(data, columnMetadata) {
     // Procurar coluna explícita
@@ -85,16 +88,16 @@ export class MarketBasketAnalyzer {
     for (const col of columnMetadata) {
       const name = col.name.toLowerCase();
       if (candidates.some(c => name.includes(c))) {
-        return col.name;
+        return [col.name];
       }
     }
 
     // Se não encontrar, usar data + cliente como identificador
-    const dateCol = columnMetadata.find(col => col.type === 'DATE');
-    const clientCol = columnMetadata.find(col => col.type === 'CLIENT');
+    const dateCol = columnMetadata.find(col => col.type === ColumnType.DATE);
+    const clientCol = columnMetadata.find(col => col.type === ColumnType.CLIENT);
 
     if (dateCol && clientCol) {
-      return `${dateCol.name}_${clientCol.name}`;
+      return [dateCol.name, clientCol.name];
     }
 
     // Último recurso: agrupar por index
@@ -104,7 +107,7 @@ export class MarketBasketAnalyzer {
   /**
    * Agrupa produtos por transação
    */
-  groupByTransaction(data, productCol, transactionCol) {
+  groupByTransaction(data, productCol, transactionCols) {
     const transactionMap = new Map();
 
     data.forEach((row, index) => {
@@ -113,12 +116,9 @@ export class MarketBasketAnalyzer {
 
       // Determinar ID da transação
       let transactionId;
-      if (transactionCol && transactionCol.includes('_')) {
-        // Combinar colunas
-        const [col1, col2] = transactionCol.split('_');
-        transactionId = `${row[col1]}_${row[col2]}`;
-      } else if (transactionCol) {
-        transactionId = row[transactionCol];
+      if (transactionCols) {
+        // Combinar colunas (ex.: data + cliente)
+        transactionId = transactionCols.map(col => row[col]).join('_');
       } else {
         // Usar index como transação (cada linha = transação)
         transactionId = index;
@@ -0,0 +1,326 @@
+/**
+ * 🔒 PIIRedactor - Pseudonimização de dados pessoais enviados à IA
+ *
+ * Responsável por:
+ * - Substituir nomes de clientes e funcionários, e-mails, telefones, CPFs e CNPJs por
+ *   pseudônimos (ex.: CLIENTE_001) antes de o prompt sair do navegador
+ * - Restaurar os valores originais no texto devolvido pela IA, inclusive em streaming
+ *
+ * Os valores vêm das colunas detectadas pelo ColumnTypeDetector (client, employee,
+ * email, phone, cpf, cnpj). E-mails, telefones e CPFs/CNPJs válidos fora dessas colunas
+ * também são capturados por padrão. O CNPJ de empresário individual ou MEI identifica
+ * a pessoa e não se distingue dos demais pelo número, então todo CNPJ é pseudonimizado.
+ * A comparação ignora maiúsculas e minúsculas ("ANA PAULA" = "Ana Paula"), tanto nos valores
+ * quanto nos pseudônimos devolvidos pela IA ("Cliente_001").
+ *
+ * Uso:
+ *   redactor.learn(data, columnMetadata);
+ *   const prompt = redactor.redact(texto);
+ *   const resposta = redactor.rehydrate(textoDaIA);
+ *
+ * @class PIIRedactor
+ * @author Carlos Antonio de Oliveira Piquet
+ * @version 1.0.0
+ */
+
+import { ColumnType } from '../types/enums.js';
+import { isValidCPF, isValidCNPJ } from './SemanticFormats.js';
+
+/**
+ * Prefixo do pseudônimo por tipo de coluna
+ */
+export const PII_LABELS = {
+    [ColumnType.CLIENT]: 'CLIENTE',
+    [ColumnType.EMPLOYEE]: 'FUNCIONARIO',
+    [ColumnType.EMAIL]: 'EMAIL',
+    [ColumnType.PHONE]: 'TELEFONE',
+    [ColumnType.CPF]: 'CPF',
+    [ColumnType.CNPJ]: 'CNPJ'
+};
+
+export const DEFAULT_PII_TYPES = Object.keys(PII_LABELS);
+
+const LABELS = Object.values(PII_LABELS);
+const PSEUDONYM_PATTERN = new RegExp(`\\b(${LABELS.join('|')})_(\\d+)\\b`, 'gi');
+
+// Padrões para valores fora das colunas detectadas
+const EMAIL_PATTERN = /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+/gu;
+const PHONE_PATTERN = /(?:\+55\s?)?(?:\(\d{2}\)\s?|\b\d{2}[\s-])9?\d{4}-?\d{4}\b/g;
+// Só números com dígitos verificadores válidos são trocados (isValidCPF/isValidCNPJ)
+const CPF_PATTERN = /(?<![\d./-])(?:\d{3}\.\d{3}\.\d{3}-\d{2}|\d{11})(?![\d./-]?\d)/g;
+const CNPJ_PATTERN = /(?<![\d./-])(?:\d{2}\.\d{3}\.\d{3}\/\d{4}-\d{2}|\d{14})(?![\d./-]?\d)/g;
+
+// Valores muito curtos (ex.: "A", "1") gerariam substituições indevidas no texto
+const MIN_VALUE_LENGTH = 2;
+
+// Palavras (letras e números) do texto, usadas para localizar os valores conhecidos
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+export class PIIRedactor {
+    /**
+     * @param {Object} config
+     * @param {boolean} config.enabled - Ativa a pseudonimização (padrão: true)
+     * @param {Array<string>} config.types - Tipos de coluna a pseudonimizar (client, employee, email, phone, cpf, cnpj)
+     */
+    constructor(config = {}) {
+        this.setConfig(config);
+        this.reset();
+    }
+
+    /**
+     * @param {Object} config - { enabled, types }
+     */
+    setConfig({ enabled = true, types = DEFAULT_PII_TYPES } = {}) {
+        this.enabled = enabled !== false;
+        this.types = (types || DEFAULT_PII_TYPES).filter(type => PII_LABELS[type]);
+    }
+
+    /**
+     * Descarta os pseudônimos do conjunto de dados anterior
+     */
+    reset() {
+        this.valueToPseudonym = new Map();
+        this.pseudonymToValue = new Map();
+        this.counters = {};
+        // Árvore de palavras dos valores conhecidos (ver indexValue)
+        this.valueIndex = createNode();
+    }
+
+    /**
+     * Indica se há algo a pseudonimizar
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.enabled && this.types.length > 0;
+    }
+
+    /**
+     * Registra os valores sensíveis das colunas do conjunto de dados
+     * @param {Array<Object>} data
+     * @param {Array<Object>} columnMetadata - Resultado do ColumnTypeDetector
+     */
+    learn(data = [], columnMetadata = []) {
+        this.reset();
+
+        columnMetadata
+            .filter(col => this.types.includes(col.type))
+            .forEach(col => {
+                data.forEach(row => this.register(row[col.name], col.type));
+            });
+    }
+
+    /**
+     * Substitui os valores sensíveis por pseudônimos
+     * @param {string} text
+     * @returns {string}
+     */
+    redact(text) {
+        if (!this.isActive() || !text) return text;
+
+        let result = String(text);
+
+        if (this.valueIndex.children.size > 0) {
+            result = this.replaceKnownValues(result);
+        }
+
+        if (this.types.includes(ColumnType.EMAIL)) {
+            result = result.replace(EMAIL_PATTERN, value => this.register(value, ColumnType.EMAIL));
+        }
+        // Antes dos telefones: um CPF sem pontuação também tem 11 dígitos
+        if (this.types.includes(ColumnType.CNPJ)) {
+            result = result.replace(CNPJ_PATTERN, value => (isValidCNPJ(value) ? this.register(value, ColumnType.CNPJ) : value));
+        }
+        if (this.types.includes(ColumnType.CPF)) {
+            result = result.replace(CPF_PATTERN, value => (isValidCPF(value) ? this.register(value, ColumnType.CPF) : value));
+        }
+        if (this.types.includes(ColumnType.PHONE)) {
+            result = result.replace(PHONE_PATTERN, value => this.register(value, ColumnType.PHONE));
+        }
+
+        return result;
+    }
+
+    /**
+     * Restaura os valores originais no texto devolvido pela IA
+     * Aceita o número sem zeros à esquerda (CLIENTE_7 = CLIENTE_007) e outra caixa (Cliente_007)
+     * @param {string} text
+     * @returns {string}
+     */
+    rehydrate(text) {
+        if (!this.isActive() || !text) return text;
+
+        return String(text).replace(PSEUDONYM_PATTERN, (match, label, number) => {
+            return this.pseudonymToValue.get(`${label.toUpperCase()}_${parseInt(number, 10)}`) ?? match;
+        });
+    }
+
+    /**
+     * Envolve o onToken do streaming para entregar o texto já restaurado
+     * Um pseudônimo pode chegar partido entre dois trechos ("CLIEN" + "TE_001"), então
+     * o final do texto que ainda pode ser parte de um pseudônimo é retido até o próximo trecho.
+     * @param {Function} onToken - (delta, content) => void
+     * @returns {Function} (delta, rawContent) => void
+     */
+    wrapStream(onToken) {
+        if (!this.isActive()) return onToken;
+
+        let emitted = '';
+
+        return (_delta, rawContent) => {
+            const content = this.rehydrate(rawContent.slice(0, this.findPendingStart(rawContent)));
+            if (content.length <= emitted.length) return;
+
+            const delta = content.slice(emitted.length);
+            emitted = content;
+            onToken(delta, content);
+        };
+    }
+
+    /**
+     * Quantidade de valores pseudonimizados por tipo
+     * @returns {Object} { client: 12, employee: 3, ... }
+     */
+    getCounts() {
+        return { ...this.counters };
+    }
+
+    /**
+     * Resumo para exibição (vazio quando nada foi pseudonimizado)
+     * @returns {string}
+     */
+    getSummary() {
+        if (!this.isActive()) return '';
+
+        const names = {
+            [ColumnType.CLIENT]: 'clientes',
+            [ColumnType.EMPLOYEE]: 'funcionários',
+            [ColumnType.EMAIL]: 'e-mails',
+            [ColumnType.PHONE]: 'telefones',
+            [ColumnType.CPF]: 'CPFs',
+            [ColumnType.CNPJ]: 'CNPJs'
+        };
+
+        return Object.entries(this.counters)
+            .filter(([_, count]) => count > 0)
+            .map(([type, count]) => `${count} ${names[type]}`)
+            .join(', ');
+    }
+
+    /**
+     * Cria (ou reaproveita) o pseudônimo de um valor
+     * @private
+     */
+    register(rawValue, type) {
+        if (rawValue === null || rawValue === undefined) return rawValue;
+
+        const value = String(rawValue).trim();
+        if (value.length < MIN_VALUE_LENGTH) return rawValue;
+
+        const key = normalizeKey(value);
+        if (this.valueToPseudonym.has(key)) return this.valueToPseudonym.get(key);
+
+        const number = (this.counters[type] || 0) + 1;
+        this.counters[type] = number;
+
+        const label = PII_LABELS[type];
+        const pseudonym = `${label}_${String(number).padStart(3, '0')}`;
+
+        // A IA recebe o pseudônimo; a restauração devolve o valor como apareceu nos dados
+        this.valueToPseudonym.set(key, pseudonym);
+        this.pseudonymToValue.set(`${label}_${number}`, value);
+        this.indexValue(key);
+
+        return pseudonym;
+    }
+
+    /**
+     * Inclui o valor na árvore de palavras: cada nó é uma palavra e guarda os valores
+     * que terminam nela ({ key, offset da primeira palavra })
+     * Os valores registrados durante o redact (e-mails, telefones...) entram na árvore
+     * já montada, sem reconstruí-la
+     * @private
+     */
+    indexValue(key) {
+        const words = key.match(WORD_PATTERN);
+        if (!words) return;
+
+        const node = words.reduce((parent, word) => {
+            if (!parent.children.has(word)) parent.children.set(word, createNode());
+            return parent.children.get(word);
+        }, this.valueIndex);
+        node.values.push({ key, offset: key.indexOf(words[0]) });
+    }
+
+    /**
+     * Troca os valores conhecidos pelos pseudônimos
+     * A partir de cada palavra do texto, desce a árvore pelas palavras seguintes e fica com o
+     * valor mais longo que casa ("Ana Paula" antes de "Ana"), sem casar dentro de outras
+     * palavras e sem diferenciar maiúsculas de minúsculas
+     * @private
+     */
+    replaceKnownValues(text) {
+        const words = [...text.matchAll(WORD_PATTERN)];
+        const keys = words.map(([word]) => normalizeKey(word));
+        let result = '';
+        let end = 0;
+
+        words.forEach((word, index) => {
+            if (word.index < end) return;
+
+            let node = this.valueIndex;
+            let match = null;
+            for (let next = index; next < words.length; next++) {
+                node = node.children.get(keys[next]);
+                if (!node) break;
+                match = node.values.find(({ key, offset }) => {
+                    const start = word.index - offset;
+                    return start >= end &&
+                        normalizeKey(text.slice(start, start + key.length)) === key &&
+                        !WORD_CHAR.test(text[start - 1] || '') &&
+                        !WORD_CHAR.test(text[start + key.length] || '');
+                }) || match;
+            }
+            if (!match) return;
+
+            const start = word.index - match.offset;
+            result += text.slice(end, start) + this.valueToPseudonym.get(match.key);
+            end = start + match.key.length;
+        });
+
+        return result + text.slice(end);
+    }
+
+    /**
+     * Posição onde começa um possível pseudônimo incompleto no final do texto
+     * @private
+     */
+    findPendingStart(text) {
+        const match = text.match(/([A-Za-z]*)(_\d*)?$/);
+        const [tail, rawWord, suffix] = match;
+        if (!tail) return text.length;
+
+        const word = rawWord.toUpperCase();
+        const pending = suffix !== undefined
+            ? LABELS.includes(word)
+            : LABELS.some(label => label.startsWith(word));
+
+        return pending ? text.length - tail.length : text.length;
+    }
+}
+
+/**
+ * Nó da árvore de palavras dos valores conhecidos
+ * @private
+ */
+function createNode() {
+    return { children: new Map(), values: [] };
+}
+
+/**
+ * Chave de comparação dos valores: sem diferença de maiúsculas e minúsculas
+ * @private
+ */
+function normalizeKey(value) {
+    return value.toLocaleLowerCase('pt-BR');
+}
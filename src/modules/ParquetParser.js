@@ -0,0 +1,140 @@
+/**
+ * Módulo de Leitura de Arquivos Parquet
+ * Responsável por:
+ * - Ler arquivos Apache Parquet no navegador (hyparquet, sem servidor)
+ * - Converter os valores para o formato das demais fontes (números, textos e datas ISO)
+ * - Usar o tipo das colunas do esquema (inteiro, decimal, data) como indício de tipo
+ *   para o ColumnTypeDetector
+ *
+ * Compressões suportadas: sem compressão e SNAPPY (padrão do pandas, Spark e DuckDB).
+ * Não usa DOM: roda dentro do Web Worker, no AnalysisPipeline.
+ */
+
+import { parquetMetadata, parquetSchema, parquetReadObjects } from 'hyparquet';
+import { ColumnType } from '../types/enums.js';
+
+// Tipos físicos numéricos do Parquet
+const NUMERIC_TYPES = ['INT32', 'INT64', 'FLOAT', 'DOUBLE'];
+
+// Tipos lógicos/convertidos de data e hora
+const DATE_TYPES = ['DATE', 'TIMESTAMP', 'TIMESTAMP_MILLIS', 'TIMESTAMP_MICROS'];
+
+export class ParquetParser {
+  /**
+   * Esquema e quantidade de linhas, sem ler os dados
+   * @param {ArrayBuffer} buffer
+   * @returns {Object} { rowCount, headers, columnFormats }
+   */
+  readSchema(buffer) {
+    const metadata = this.readMetadata(buffer);
+    const columns = parquetSchema(metadata).children.map(child => child.element);
+
+    return {
+      rowCount: Number(metadata.num_rows),
+      headers: columns.map(column => column.name),
+      columnFormats: Object.fromEntries(columns
+        .map(column => [column.name, this.getColumnFormat(column)])
+        .filter(([, format]) => format.type)),
+    };
+  }
+
+  /**
+   * Lê todas as linhas do arquivo
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise<Object>} { data, metadata: { rowCount, columnCount, columns, columnFormats } }
+   *   columnFormats no formato de ExcelParser.getColumnFormats
+   */
+  async parseParquet(buffer) {
+    const { headers, columnFormats } = this.readSchema(buffer);
+
+    let rows;
+    try {
+      rows = await parquetReadObjects({ file: buffer });
+    } catch (error) {
+      throw new Error(`Erro ao ler o Parquet: ${error.message}`);
+    }
+
+    const data = rows.map(row => {
+      const record = {};
+      headers.forEach(header => {
+        record[header] = this.toValue(row[header]);
+      });
+      return record;
+    });
+
+    return {
+      data,
+      metadata: {
+        rowCount: data.length,
+        columnCount: headers.length,
+        columns: headers,
+        columnFormats,
+      },
+    };
+  }
+
+  /**
+   * @private
+   */
+  readMetadata(buffer) {
+    try {
+      return parquetMetadata(buffer);
+    } catch (error) {
+      throw new Error(`Arquivo Parquet inválido: ${error.message}`);
+    }
+  }
+
+  /**
+   * Indício de tipo pela definição da coluna no esquema
+   * @param {Object} element - SchemaElement do Parquet
+   * @returns {Object} { type, format } (type null quando o esquema não indica)
+   */
+  getColumnFormat(element) {
+    const logical = element.logical_type?.type;
+    const converted = element.converted_type;
+    const format = converted === 'DECIMAL'
+      ? `DECIMAL(${element.precision},${element.scale})`
+      : logical || converted || element.type;
+
+    if (element.type === 'INT96' || DATE_TYPES.includes(logical) || DATE_TYPES.includes(converted)) {
+      return { type: ColumnType.DATE, format };
+    }
+    if (converted === 'DECIMAL' || logical === 'DECIMAL') {
+      return { type: ColumnType.NUMBER, format };
+    }
+    // Horas do dia (TIME) também são gravadas como inteiros
+    if (NUMERIC_TYPES.includes(element.type) && logical !== 'TIME' && !/^TIME_/.test(converted || '')) {
+      return { type: ColumnType.NUMBER, format };
+    }
+    return { type: null, format };
+  }
+
+  /**
+   * Valor no formato das demais fontes
+   * - inteiros de 64 bits viram número (texto, se não couberem sem perda)
+   * - datas viram texto ISO (só a data, quando não há hora)
+   * - listas e estruturas aninhadas viram JSON; binários ficam vazios
+   * @private
+   */
+  toValue(value) {
+    if (value === undefined || value === null) return null;
+
+    if (typeof value === 'bigint') {
+      return Number.isSafeInteger(Number(value)) ? Number(value) : String(value);
+    }
+
+    if (value instanceof Date) {
+      if (Number.isNaN(value.getTime())) return null;
+      const iso = value.toISOString();
+      return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+    }
+
+    if (value instanceof Uint8Array) return null;
+
+    if (typeof value === 'object') {
+      return JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? String(item) : item));
+    }
+
+    return value;
+  }
+}
@@ -0,0 +1,219 @@
+/**
+ * 🧮 PromptBudget - Controle de tamanho dos prompts enviados à IA
+ *
+ * Responsável por:
+ * - Estimar a quantidade de tokens de um texto
+ * - Montar o prompt a partir de trechos fixos (instruções) e blocos de dados
+ * - Reduzir primeiro os maiores blocos de dados quando o orçamento estoura
+ * - Informar o que foi resumido ou omitido
+ *
+ * Estratégia de redução:
+ * 1. Corta linhas do maior bloco (até o tamanho do segundo maior, ou o necessário)
+ * 2. Repete até caber ou até todos os blocos chegarem ao mínimo de linhas
+ * 3. Se ainda não couber, omite blocos inteiros, do maior para o menor
+ * Trechos fixos (instruções da tarefa) nunca são cortados.
+ *
+ * Uso:
+ *   const prompt = new PromptBuilder({ maxTokens: 3000 })
+ *       .text('Você é um analista...')
+ *       .block('DADOS MENSAIS', linhas, { keep: 'tail' })
+ *       .text('TAREFA: ...')
+ *       .build();
+ *   // prompt.text, prompt.estimatedTokens, prompt.omitted
+ *
+ * @class PromptBuilder
+ * @author Carlos Antonio de Oliveira Piquet
+ * @version 1.0.0
+ */
+
+// Estimativa conservadora: textos em português ficam entre 3 e 4 caracteres por token
+const CHARS_PER_TOKEN = 3.5;
+
+/**
+ * Estima a quantidade de tokens de um texto
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+export class PromptBuilder {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxTokens - Orçamento de tokens para o prompt (Infinity = sem limite)
+     */
+    constructor({ maxTokens = Infinity } = {}) {
+        this.maxTokens = maxTokens;
+        this.parts = [];
+    }
+
+    /**
+     * Adiciona um trecho fixo (nunca é cortado)
+     * @param {string} content
+     * @returns {PromptBuilder}
+     */
+    text(content) {
+        this.parts.push({ type: 'text', content: String(content || '').trim() });
+        return this;
+    }
+
+    /**
+     * Adiciona um bloco de dados que pode ser reduzido
+     * @param {string} label - Título do bloco no prompt
+     * @param {string|Array<string>} content - Texto (uma informação por linha) ou lista de linhas
+     * @param {Object} options
+     * @param {'head'|'tail'} options.keep - Mantém as primeiras (rankings) ou as últimas linhas (séries)
+     * @param {number} options.minLines - Mínimo de linhas antes de omitir o bloco inteiro
+     * @param {Function} options.summarize - (inicio, fim) => string; resume as linhas omitidas
+     * @returns {PromptBuilder}
+     */
+    block(label, content, { keep = 'head', minLines = 3, summarize = null } = {}) {
+        const lines = Array.isArray(content)
+            ? content.map(String)
+            : String(content || '').trim().split('\n');
+
+        this.parts.push({
+            type: 'block',
+            label,
+            lines,
+            keep,
+            minLines,
+            summarize,
+            kept: lines.length,
+            dropped: false,
+            originalTokens: 0
+        });
+        return this;
+    }
+
+    /**
+     * Monta o prompt respeitando o orçamento
+     * @returns {{text: string, estimatedTokens: number, maxTokens: number, overBudget: boolean,
+     *           omitted: Array<Object>}}
+     */
+    build() {
+        const blocks = this.parts.filter(part => part.type === 'block');
+        blocks.forEach(block => {
+            block.originalTokens = estimateTokens(this.renderPart(block));
+        });
+
+        // Fase 1: corta linhas, sempre do maior bloco
+        let total = this.estimate();
+        while (total > this.maxTokens) {
+            const block = this.largest(blocks.filter(b => b.kept > b.minLines));
+            if (!block) break;
+
+            this.truncate(block, total - this.maxTokens, blocks);
+            total = this.estimate();
+        }
+
+        // Fase 2: omite blocos inteiros, do maior para o menor
+        while (total > this.maxTokens) {
+            const block = this.largest(blocks.filter(b => !b.dropped));
+            if (!block) break;
+
+            block.dropped = true;
+            total = this.estimate();
+        }
+
+        return {
+            text: this.render(),
+            estimatedTokens: total,
+            maxTokens: this.maxTokens,
+            overBudget: total > this.maxTokens,
+            omitted: blocks
+                .filter(block => block.dropped || block.kept < block.lines.length)
+                .map(block => ({
+                    label: block.label,
+                    action: block.dropped ? 'omitted' : (block.summarize ? 'summarized' : 'truncated'),
+                    totalLines: block.lines.length,
+                    keptLines: block.dropped ? 0 : block.kept,
+                    originalTokens: block.originalTokens,
+                    keptTokens: block.dropped ? 0 : estimateTokens(this.renderPart(block))
+                }))
+        };
+    }
+
+    /**
+     * Remove linhas do bloco até cobrir o excesso ou empatar com o segundo maior bloco
+     * Assim a redução é distribuída entre os blocos grandes, e não concentrada em um só
+     * @private
+     */
+    truncate(block, excess, blocks) {
+        const current = estimateTokens(this.renderPart(block));
+        const others = blocks
+            .filter(b => b !== block && b.kept > b.minLines)
+            .map(b => estimateTokens(this.renderPart(b)));
+        const target = Math.max(current - excess, ...others, 0);
+
+        let tokens = current;
+        do {
+            const index = block.keep === 'tail' ? block.lines.length - block.kept : block.kept - 1;
+            tokens -= estimateTokens(`${block.lines[index]}\n`);
+            block.kept--;
+        } while (block.kept > block.minLines && tokens > target);
+    }
+
+    /**
+     * @private
+     */
+    largest(blocks) {
+        let result = null;
+        let max = -1;
+
+        blocks.forEach(block => {
+            const tokens = estimateTokens(this.renderPart(block));
+            if (tokens > max) {
+                max = tokens;
+                result = block;
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    estimate() {
+        return estimateTokens(this.render());
+    }
+
+    /**
+     * @private
+     */
+    render() {
+        return this.parts
+            .map(part => this.renderPart(part))
+            .filter(Boolean)
+            .join('\n\n');
+    }
+
+    /**
+     * @private
+     */
+    renderPart(part) {
+        if (part.type === 'text') return part.content;
+
+        if (part.dropped) {
+            return `${part.label}:\n(bloco omitido por limite de tamanho - ${part.lines.length} linhas)`;
+        }
+
+        const omittedCount = part.lines.length - part.kept;
+        if (omittedCount === 0) {
+            return `${part.label}:\n${part.lines.join('\n')}`;
+        }
+
+        const isTail = part.keep === 'tail';
+        const start = isTail ? 0 : part.kept;
+        const end = isTail ? omittedCount : part.lines.length;
+        const kept = isTail ? part.lines.slice(omittedCount) : part.lines.slice(0, part.kept);
+        const note = part.summarize
+            ? part.summarize(start, end)
+            : `(... mais ${omittedCount} linhas omitidas por limite de tamanho)`;
+
+        return `${part.label}:\n${isTail ? [note, ...kept].join('\n') : [...kept, note].join('\n')}`;
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * 🔀 ReportDiff - Comparação entre duas versões de um relatório IA
+ *
+ * Responsável por:
+ * - Comparar seção a seção o texto de dois relatórios (diff por linha, via LCS)
+ * - Alinhar o resultado em linhas para exibição lado a lado
+ *
+ * Uso:
+ *   const diff = ReportDiff.compare(relatorioAntigo, relatorioNovo);
+ *   diff.sections.forEach(section => section.rows.forEach(({ left, right }) => ...));
+ *
+ * @class ReportDiff
+ * @author Carlos Antonio de Oliveira Piquet
+ * @version 1.0.0
+ */
+
+// Acima disso (linhas × linhas) a tabela do LCS fica pesada demais para o navegador
+const MAX_LCS_CELLS = 1000000;
+
+export class ReportDiff {
+    /**
+     * Compara dois relatórios
+     * @param {Object} oldReport
+     * @param {Object} newReport
+     * @returns {{sections: Array<Object>, summary: {changed: number, unchanged: number, added: number, removed: number}}}
+     */
+    static compare(oldReport, newReport) {
+        const oldSections = oldReport?.sections || {};
+        const newSections = newReport?.sections || {};
+        const keys = [...new Set([...Object.keys(oldSections), ...Object.keys(newSections)])];
+        const summary = { changed: 0, unchanged: 0, added: 0, removed: 0 };
+
+        const sections = keys.map(key => {
+            const before = oldSections[key];
+            const after = newSections[key];
+            const operations = ReportDiff.diffLines(
+                ReportDiff.toLines(before?.content),
+                ReportDiff.toLines(after?.content)
+            );
+
+            let status = 'unchanged';
+            if (!before) status = 'added';
+            else if (!after) status = 'removed';
+            else if (operations.some(op => op.type !== 'same')) status = 'changed';
+            summary[status]++;
+
+            return {
+                key,
+                title: after?.title || before?.title || key,
+                status,
+                rows: ReportDiff.toSideBySide(operations)
+            };
+        });
+
+        return { sections, summary };
+    }
+
+    /**
+     * Diff por linha (maior subsequência comum)
+     * @param {Array<string>} oldLines
+     * @param {Array<string>} newLines
+     * @returns {Array<{type: 'same'|'removed'|'added', text: string}>}
+     */
+    static diffLines(oldLines, newLines) {
+        const n = oldLines.length;
+        const m = newLines.length;
+
+        if (n * m > MAX_LCS_CELLS) {
+            return [
+                ...oldLines.map(text => ({ type: 'removed', text })),
+                ...newLines.map(text => ({ type: 'added', text }))
+            ];
+        }
+
+        // lcs[i][j] = tamanho da LCS entre oldLines[i..] e newLines[j..]
+        const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i][j] = oldLines[i] === newLines[j]
+                    ? lcs[i + 1][j + 1] + 1
+                    : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const operations = [];
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (oldLines[i] === newLines[j]) {
+                operations.push({ type: 'same', text: oldLines[i] });
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                operations.push({ type: 'removed', text: oldLines[i++] });
+            } else {
+                operations.push({ type: 'added', text: newLines[j++] });
+            }
+        }
+        while (i < n) operations.push({ type: 'removed', text: oldLines[i++] });
+        while (j < m) operations.push({ type: 'added', text: newLines[j++] });
+
+        return operations;
+    }
+
+    /**
+     * Alinha as operações em linhas (esquerda = versão antiga, direita = nova)
+     * Remoções e inclusões consecutivas são pareadas, como alterações da mesma linha
+     * @param {Array<Object>} operations - Resultado de diffLines()
+     * @returns {Array<{left: Object|null, right: Object|null}>}
+     */
+    static toSideBySide(operations) {
+        const rows = [];
+        let removed = [];
+        let added = [];
+
+        const flush = () => {
+            const length = Math.max(removed.length, added.length);
+            for (let i = 0; i < length; i++) {
+                rows.push({ left: removed[i] || null, right: added[i] || null });
+            }
+            removed = [];
+            added = [];
+        };
+
+        operations.forEach(op => {
+            if (op.type === 'removed') removed.push(op);
+            else if (op.type === 'added') added.push(op);
+            else {
+                flush();
+                rows.push({ left: op, right: op });
+            }
+        });
+        flush();
+
+        return rows;
+    }
+
+    /**
+     * Quebra o conteúdo em linhas não vazias, sem espaços nas pontas
+     * @private
+     */
+    static toLines(content) {
+        if (!content) return [];
+
+        return String(content)
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * Módulo de Leitura de Bancos SQLite
+ * Responsável por:
+ * - Abrir arquivos SQLite (.db, .sqlite) no navegador (sql.js, SQLite compilado para WebAssembly)
+ * - Listar as tabelas e views para o seletor de tabelas
+ * - Ler uma tabela como linhas, no formato das demais fontes
+ * - Usar o tipo declarado das colunas (INTEGER, REAL, DATE...) como indício de tipo
+ *   para o ColumnTypeDetector
+ *
+ * Roda na thread principal, como o XMLParser: o seletor de tabelas precisa do banco
+ * aberto, e as linhas seguem já convertidas para o AnalysisPipeline.
+ *
+ * Uso:
+ *   const parser = new SQLiteParser();
+ *   await parser.open(arrayBuffer);
+ *   const tables = parser.listTables();
+ *   const { data } = parser.readTable(tables[0].name);
+ *   parser.close();
+ */
+
+import initSqlJs from 'sql.js';
+import wasmUrl from 'sql.js/dist/sql-wasm-browser.wasm?url';
+import { ColumnType } from '../types/enums.js';
+
+// Tipos declarados (afinidade do SQLite) usados como indício de tipo
+const NUMERIC_DECLARED_TYPE = /INT|REAL|FLOA|DOUB|NUMERIC|DECIMAL/i;
+const DATE_DECLARED_TYPE = /DATE|TIME/i;
+
+// Módulo WebAssembly, carregado uma única vez
+let sqlModule = null;
+
+export class SQLiteParser {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Abre o banco a partir do conteúdo do arquivo
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise<void>}
+   */
+  async open(buffer) {
+    this.close();
+    sqlModule = sqlModule || initSqlJs({ locateFile: () => wasmUrl });
+    const SQL = await sqlModule;
+
+    try {
+      this.db = new SQL.Database(new Uint8Array(buffer));
+      // Valida o arquivo (o sql.js só lê o cabeçalho na primeira consulta)
+      this.db.exec('SELECT 1 FROM sqlite_master LIMIT 1');
+    } catch (error) {
+      this.close();
+      throw new Error(`Arquivo SQLite inválido: ${error.message}`);
+    }
+  }
+
+  /**
+   * Tabelas e views do banco (sem as tabelas internas do SQLite)
+   * @returns {Array<Object>} [{ name, kind: 'table'|'view', rowCount, headers }]
+   */
+  listTables() {
+    const objects = this.query(`
+      SELECT name, type FROM sqlite_master
+      WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%'
+      ORDER BY type, name
+    `);
+
+    return objects.map(({ name, type }) => ({
+      name,
+      kind: type,
+      rowCount: this.query(`SELECT COUNT(*) AS total FROM ${this.quote(name)}`)[0].total,
+      headers: this.getColumns(name).map(column => column.name),
+    }));
+  }
+
+  /**
+   * Lê todas as linhas de uma tabela ou view
+   * @param {string} table
+   * @returns {Object} { data, metadata: { table, rowCount, columnCount, columns, columnFormats } }
+   *   columnFormats no formato de ExcelParser.getColumnFormats
+   */
+  readTable(table) {
+    const columns = this.getColumns(table);
+    if (columns.length === 0) {
+      throw new Error(`Tabela não encontrada: ${table}`);
+    }
+
+    const data = this.query(`SELECT * FROM ${this.quote(table)}`);
+
+    return {
+      data,
+      metadata: {
+        table,
+        rowCount: data.length,
+        columnCount: columns.length,
+        columns: columns.map(column => column.name),
+        columnFormats: Object.fromEntries(columns
+          .map(column => [column.name, this.getColumnFormat(column.type)])
+          .filter(([, format]) => format.type)),
+      },
+    };
+  }
+
+  /**
+   * Fecha o banco e libera a memória
+   */
+  close() {
+    this.db?.close();
+    this.db = null;
+  }
+
+  /**
+   * Indício de tipo pelo tipo declarado da coluna
+   * @param {string} declaredType - Ex.: INTEGER, REAL, DATE, VARCHAR(50)
+   * @returns {Object} { type, format }
+   */
+  getColumnFormat(declaredType) {
+    const format = declaredType || null;
+    if (DATE_DECLARED_TYPE.test(declaredType)) return { type: ColumnType.DATE, format };
+    if (NUMERIC_DECLARED_TYPE.test(declaredType)) return { type: ColumnType.NUMBER, format };
+    return { type: null, format };
+  }
+
+  /**
+   * Colunas da tabela: [{ name, type }]
+   * @private
+   */
+  getColumns(table) {
+    return this.query(`PRAGMA table_info(${this.quote(table)})`)
+      .map(column => ({ name: column.name, type: column.type }));
+  }
+
+  /**
+   * Executa a consulta e devolve as linhas como objetos
+   * Valores binários (BLOB) ficam vazios
+   * @private
+   */
+  query(sql) {
+    if (!this.db) {
+      throw new Error('Nenhum banco SQLite aberto');
+    }
+
+    const [result] = this.db.exec(sql);
+    if (!result) return [];
+
+    return result.values.map(values => {
+      const row = {};
+      result.columns.forEach((column, index) => {
+        const value = values[index];
+        row[column] = value instanceof Uint8Array ? null : value;
+      });
+      return row;
+    });
+  }
+
+  /**
+   * Nome de tabela entre aspas duplas (identificador SQL)
+   * @private
+   */
+  quote(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * 🪪 SemanticFormats - Formatos de valores com significado próprio
+ *
+ * Responsável por:
+ * - Validar CPF e CNPJ (dígitos verificadores), CEP e UF
+ * - Reconhecer coordenadas (latitude/longitude), URLs e durações ("01:30:00", "2h30min", "PT1H30M")
+ *
+ * Funções puras, sem DOM: usadas pelo ColumnTypeDetector (no worker) para pontuar os tipos
+ * e pelo DataValidator para as regras de cada tipo.
+ */
+
+import { normalizeHeader } from '../utils/text.js';
+
+/**
+ * Siglas e nomes dos estados brasileiros
+ */
+export const BRAZILIAN_STATES = {
+  AC: 'Acre', AL: 'Alagoas', AP: 'Amapá', AM: 'Amazonas', BA: 'Bahia', CE: 'Ceará',
+  DF: 'Distrito Federal', ES: 'Espírito Santo', GO: 'Goiás', MA: 'Maranhão', MT: 'Mato Grosso',
+  MS: 'Mato Grosso do Sul', MG: 'Minas Gerais', PA: 'Pará', PB: 'Paraíba', PR: 'Paraná',
+  PE: 'Pernambuco', PI: 'Piauí', RJ: 'Rio de Janeiro', RN: 'Rio Grande do Norte',
+  RS: 'Rio Grande do Sul', RO: 'Rondônia', RR: 'Roraima', SC: 'Santa Catarina', SP: 'São Paulo',
+  SE: 'Sergipe', TO: 'Tocantins',
+};
+
+const STATE_NAMES = new Set(Object.values(BRAZILIAN_STATES).map(normalizeHeader));
+
+const CPF_PATTERN = /^(\d{3}\.\d{3}\.\d{3}-\d{2}|\d{11})$/;
+const CNPJ_PATTERN = /^(\d{2}\.\d{3}\.\d{3}\/\d{4}-\d{2}|\d{14})$/;
+const CEP_PATTERN = /^\d{5}-?\d{3}$/;
+// Coordenadas têm pelo menos 4 casas decimais (cerca de 10 m); com poucas casas, só pelo nome
+// da coluna (ColumnTypeDetector)
+const COORDINATE_PATTERN = /^[-+]?\d{1,3}[.,]\d{4,}$/;
+
+// Durações: "01:30" ou "01:30:15" (horas podem passar de 24), ISO 8601 e unidades por extenso.
+// As abreviações de uma letra (d, h, m, s) só valem ao lado de uma unidade por extenso ("2h30min"):
+// sozinhas, "5m" e "3s" podem ser metros, milhões ou tamanhos
+const CLOCK_DURATION = /^(\d+):([0-5]\d)(?::([0-5]\d))?$/;
+const ISO_DURATION = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i;
+const UNIT_DURATION = /(\d+(?:[.,]\d+)?)\s*(dias?|days?|d|horas?|hours?|hrs?|h|minutos?|minutes?|mins?|m|segundos?|seconds?|segs?|s)(?![a-zà-ú])/gi;
+const UNIT_SECONDS = { d: 86400, h: 3600, m: 60, s: 1 };
+
+/**
+ * CPF com dígitos verificadores válidos ("123.456.789-09" ou só os 11 dígitos)
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isValidCPF(value) {
+  const text = documentText(value, 11);
+  if (!CPF_PATTERN.test(text)) return false;
+  return hasValidCheckDigits(text.replace(/\D/g, ''), 9, index => index + 2);
+}
+
+/**
+ * CNPJ com dígitos verificadores válidos ("12.345.678/0001-95" ou só os 14 dígitos)
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isValidCNPJ(value) {
+  const text = documentText(value, 14);
+  if (!CNPJ_PATTERN.test(text)) return false;
+  // Pesos 2 a 9, da direita para a esquerda, recomeçando após o 9
+  return hasValidCheckDigits(text.replace(/\D/g, ''), 12, index => (index % 8) + 2);
+}
+
+/**
+ * CEP: "01310-100" ou "01310100"
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isValidCEP(value) {
+  return CEP_PATTERN.test(String(value).trim());
+}
+
+/**
+ * UF ou nome de estado brasileiro ("SP", "São Paulo", "sao paulo")
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isStateValue(value) {
+  const text = String(value).trim();
+  return Object.hasOwn(BRAZILIAN_STATES, text.toUpperCase()) || STATE_NAMES.has(normalizeHeader(text));
+}
+
+/**
+ * Coordenada em graus decimais, dentro do limite (90 para latitude, 180 para longitude)
+ * @param {*} value
+ * @param {number} limit
+ * @returns {boolean}
+ */
+export function isCoordinateValue(value, limit) {
+  const text = String(value).trim();
+  if (!COORDINATE_PATTERN.test(text)) return false;
+  return Math.abs(parseFloat(text.replace(',', '.'))) <= limit;
+}
+
+/**
+ * URL http(s), com ou sem o protocolo ("www.exemplo.com.br")
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isValidURL(value) {
+  const text = String(value).trim();
+  if (!/^(https?:\/\/|www\.)\S+$/i.test(text)) return false;
+
+  try {
+    const url = new URL(/^www\./i.test(text) ? `http://${text}` : text);
+    return /^https?:$/.test(url.protocol) && url.hostname.includes('.');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Duração em segundos
+ * Aceita "01:30", "01:30:15", "PT1H30M", "2h30min", "1 dia e 4 horas"; números puros e
+ * valores só com abreviações de uma letra ("5m", "3s", "1h30m") não contam
+ * @param {*} value
+ * @returns {number|null} null quando o valor não é uma duração
+ */
+export function parseDuration(value) {
+  const text = String(value).trim();
+
+  const clock = text.match(CLOCK_DURATION);
+  if (clock) {
+    return Number(clock[1]) * 3600 + Number(clock[2]) * 60 + Number(clock[3] || 0);
+  }
+
+  const iso = text.match(ISO_DURATION);
+  if (iso && text.length > 1 && !/T$/i.test(text)) {
+    const [, days = 0, hours = 0, minutes = 0, seconds = 0] = iso;
+    return Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  }
+
+  const parts = [...text.matchAll(UNIT_DURATION)];
+  // Só unidades, separadas por espaço, vírgula ou "e"
+  if (parts.length === 0 || text.replace(UNIT_DURATION, '').replace(/\s|,|\be\b/g, '') !== '') {
+    return null;
+  }
+  if (parts.every(([, , unit]) => unit.length === 1)) {
+    return null;
+  }
+  return parts.reduce((total, [, amount, unit]) => {
+    return total + parseFloat(amount.replace(',', '.')) * UNIT_SECONDS[unit[0].toLowerCase()];
+  }, 0);
+}
+
+/**
+ * Documento como texto; números perdem os zeros à esquerda (ex.: CPF lido do Excel)
+ * @private
+ */
+function documentText(value, length) {
+  return typeof value === 'number' ? String(value).padStart(length, '0') : String(value).trim();
+}
+
+/**
+ * Confere os dois dígitos verificadores (módulo 11)
+ * @private
+ * @param {string} digits - Somente os dígitos do documento
+ * @param {number} baseLength - Quantidade de dígitos antes dos verificadores
+ * @param {Function} weight - Peso do dígito pela posição, contada da direita (0 = mais à direita)
+ */
+function hasValidCheckDigits(digits, baseLength, weight) {
+  // Sequências repetidas (000.000.000-00) passam no cálculo, mas não são documentos
+  if (/^(\d)\1+$/.test(digits)) return false;
+
+  for (let length = baseLength; length < baseLength + 2; length++) {
+    const sum = [...digits.slice(0, length)]
+      .reverse()
+      .reduce((total, digit, index) => total + Number(digit) * weight(index), 0);
+    const remainder = sum % 11;
+    const check = remainder < 2 ? 0 : 11 - remainder;
+    if (check !== Number(digits[length])) return false;
+  }
+  return true;
+}
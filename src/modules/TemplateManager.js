@@ -5,6 +5,7 @@
  * - Gerenciar templates pré-configurados de análise
  * - Aplicar configurações específicas por tipo de negócio
  * - Mapear colunas automaticamente baseado no template
+ * - Aceitar o papel das colunas escolhido no assistente de mapeamento
  * - Sugerir KPIs relevantes para cada template
  * 
  * Templates disponíveis:
@@ -272,13 +273,29 @@ export class TemplateManager {
         return this.templates[templateId] || null;
     }
 
+    /**
+     * Papéis de coluna do template (data, valor, produto...)
+     * @param {string} templateId 
+     * @returns {Array<Object>} [{ role, required }]
+     */
+    getTemplateRoles(templateId) {
+        const template = this.getTemplate(templateId);
+        if (!template) return [];
+
+        return Object.keys(template.columnMapping).map(role => ({
+            role,
+            required: template.expectedColumns.required.includes(role)
+        }));
+    }
+
     /**
      * Aplicar template aos dados
      * @param {string} templateId 
      * @param {Array} data 
+     * @param {Object} roles - Papéis escolhidos pelo usuário { [papel]: coluna }; valem mais que os sinônimos
      * @returns {Object}
      */
-    applyTemplate(templateId, data) {
+    applyTemplate(templateId, data, roles = {}) {
         const template = this.getTemplate(templateId);
         if (!template) {
             return {
@@ -294,6 +311,11 @@ export class TemplateManager {
 
         // Mapear colunas do template para colunas dos dados
         const mappedColumns = this._mapColumns(template.columnMapping, availableColumns);
+        for (const [role, column] of Object.entries(roles)) {
+            if (template.columnMapping[role] && availableColumns.includes(column)) {
+                mappedColumns[role] = column;
+            }
+        }
 
         // Validar colunas obrigatórias
         const validation = this._validateRequiredColumns(template.expectedColumns.required, mappedColumns);
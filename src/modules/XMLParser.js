@@ -4,19 +4,112 @@
  * Responsável por:
  * - Importar e validar arquivos XML
  * - Converter estruturas XML para formato tabular
- * - Suportar diferentes estruturas XML (elementos, atributos)
- * - Extrair dados de tags repetidas
+ * - Suportar diferentes estruturas XML (elementos, atributos, namespaces)
+ * - Extrair dados de tags repetidas ou do elemento escolhido por XPath
+ * - Converter notas fiscais eletrônicas (NF-e) em linhas de venda (um item por linha)
  * 
  * Formatos suportados:
  * 1. Lista de elementos: <vendas><venda>...</venda></vendas>
  * 2. Elementos com atributos: <venda id="1" valor="100"/>
  * 3. Estruturas mistas: atributos + elementos filhos
+ * 4. Documentos com namespaces (<ns:venda>): as colunas usam o nome local (venda)
+ * 5. NF-e (nfeProc/NFe): preset com emitente, destinatário, itens e impostos
+ * 
+ * Caminhos XPath aceitos (subconjunto, sem considerar prefixos de namespace):
+ * /a/b, //b, a/b (relativo), *, .., @atributo (último passo),
+ * predicados [n], [@attr], [@attr='valor'], [filho='valor'] e alternativas com |
  * 
  * @class XMLParser
  * @author Carlos Antonio de Oliveira Piquet
  * @version 1.0.0
  */
 
+import { ColumnType } from '../types/enums.js';
+
+/**
+ * Presets de documentos conhecidos
+ * - records: XPath dos elementos que viram linhas
+ * - context: XPath, a partir de cada registro, do elemento com os campos comuns (ex.: a nota)
+ * - contextFields / fields: { coluna: XPath } avaliados no contexto / no registro
+ * - types: tipo de cada coluna, repassado ao ColumnTypeDetector como indício (números de
+ *   nota, CNPJ e CFOP são códigos, e não quantidades ou datas)
+ */
+export const XML_PRESETS = {
+    nfe: {
+        label: 'NF-e (nota fiscal eletrônica)',
+        detect: '//infNFe',
+        records: '//infNFe/det',
+        context: '..',
+        contextFields: {
+            'Nota': 'ide/nNF',
+            'Série': 'ide/serie',
+            'Data Emissão': 'ide/dhEmi | ide/dEmi',
+            'Natureza da Operação': 'ide/natOp',
+            'Emitente CNPJ/CPF': 'emit/CNPJ | emit/CPF',
+            'Emitente': 'emit/xNome',
+            'Emitente Município': 'emit/enderEmit/xMun',
+            'Emitente UF': 'emit/enderEmit/UF',
+            'Destinatário CNPJ/CPF': 'dest/CNPJ | dest/CPF',
+            'Cliente': 'dest/xNome',
+            'Município': 'dest/enderDest/xMun',
+            'UF': 'dest/enderDest/UF'
+        },
+        fields: {
+            'Item': '@nItem',
+            'Código': 'prod/cProd',
+            'Produto': 'prod/xProd',
+            'NCM': 'prod/NCM',
+            'CFOP': 'prod/CFOP',
+            'Unidade': 'prod/uCom',
+            'Quantidade': 'prod/qCom',
+            'Valor Unitário': 'prod/vUnCom',
+            'Valor Total': 'prod/vProd',
+            'Desconto': 'prod/vDesc',
+            'Frete': 'prod/vFrete',
+            'ICMS': 'imposto/ICMS/*/vICMS',
+            'ICMS ST': 'imposto/ICMS/*/vICMSST',
+            'IPI': 'imposto/IPI/*/vIPI',
+            'PIS': 'imposto/PIS/*/vPIS',
+            'COFINS': 'imposto/COFINS/*/vCOFINS',
+            'Tributos Aproximados': 'imposto/vTotTrib'
+        },
+        types: {
+            'Nota': ColumnType.TEXT,
+            'Série': ColumnType.CATEGORY,
+            'Data Emissão': ColumnType.DATE,
+            'Natureza da Operação': ColumnType.CATEGORY,
+            'Emitente CNPJ/CPF': ColumnType.TEXT,
+            'Emitente Município': ColumnType.CITY,
+            'Emitente UF': ColumnType.STATE,
+            'Destinatário CNPJ/CPF': ColumnType.TEXT,
+            'Município': ColumnType.CITY,
+            'UF': ColumnType.STATE,
+            'Item': ColumnType.TEXT,
+            'NCM': ColumnType.CATEGORY,
+            'CFOP': ColumnType.CATEGORY,
+            'Unidade': ColumnType.CATEGORY,
+            'Quantidade': ColumnType.NUMBER,
+            'Valor Unitário': ColumnType.CURRENCY,
+            'Valor Total': ColumnType.CURRENCY,
+            'Desconto': ColumnType.CURRENCY,
+            'Frete': ColumnType.CURRENCY,
+            'ICMS': ColumnType.CURRENCY,
+            'ICMS ST': ColumnType.CURRENCY,
+            'IPI': ColumnType.CURRENCY,
+            'PIS': ColumnType.CURRENCY,
+            'COFINS': ColumnType.CURRENCY,
+            'Tributos Aproximados': ColumnType.CURRENCY
+        }
+    }
+};
+
+// Elementos lidos de cada caminho para listar as suas colunas (listRecordPaths)
+const COLUMN_PREVIEW_RECORDS = 20;
+
+// Tipos de nó do DOM
+const DOCUMENT_NODE = 9;
+const ATTRIBUTE_NODE = 2;
+
 export class XMLParser {
     constructor() {
         this.parser = new DOMParser();
@@ -25,40 +118,48 @@ export class XMLParser {
 
     /**
      * Parse arquivo XML para formato tabular
-     * @param {File|string} input - Arquivo File ou string XML
+     * @param {File|string|Document} input - Arquivo File, string XML ou documento de parseDocument
+     * @param {Object} options
+     * @param {string|null} options.recordPath - XPath dos elementos que viram linhas
+     *   (padrão: detectado pelas tags repetidas; ver listRecordPaths)
+     * @param {string|null} options.preset - Chave de XML_PRESETS, 'auto' para detectar pelo
+     *   conteúdo (quando não há recordPath) ou null para não usar preset
      * @returns {Promise<Object>} Dados processados
      */
-    async parseXML(input) {
+    async parseXML(input, { recordPath = null, preset = 'auto' } = {}) {
         try {
-            let xmlText;
+            let xmlDoc;
             
             // Se for File object, ler como texto
             if (input instanceof File) {
-                xmlText = await this._readFileAsText(input);
+                xmlDoc = this.parseDocument(await this._readFileAsText(input));
             } else if (typeof input === 'string') {
-                xmlText = input;
+                xmlDoc = this.parseDocument(input);
+            } else if (input?.documentElement) {
+                xmlDoc = input;
             } else {
                 throw new Error('Formato de entrada inválido');
             }
 
-            // Parse XML
-            const xmlDoc = this.parser.parseFromString(xmlText, 'text/xml');
-            
-            // Verificar erros de parsing
-            const parserError = xmlDoc.querySelector('parsererror');
-            if (parserError) {
-                throw new Error('XML mal formatado: ' + parserError.textContent);
+            // O caminho escolhido pelo usuário tem prioridade sobre o preset detectado
+            const presetName = preset === 'auto'
+                ? (recordPath ? null : this.detectPreset(xmlDoc))
+                : preset;
+            if (presetName && !XML_PRESETS[presetName]) {
+                throw new Error(`Preset XML desconhecido: ${presetName}`);
             }
 
             // Detectar estrutura e extrair dados
-            const extractedData = this._extractTableData(xmlDoc);
+            const extracted = presetName
+                ? this._extractPresetData(xmlDoc, XML_PRESETS[presetName])
+                : this._extractTableData(xmlDoc, recordPath);
             
-            if (!extractedData || extractedData.length === 0) {
+            if (!extracted || extracted.records.length === 0) {
                 throw new Error('Nenhum dado tabular encontrado no XML');
             }
 
             // Normalizar dados
-            const normalizedData = this._normalizeData(extractedData);
+            const normalizedData = this._normalizeData(extracted.records);
 
             return {
                 success: true,
@@ -68,7 +169,11 @@ export class XMLParser {
                     rowCount: normalizedData.length,
                     columnCount: Object.keys(normalizedData[0] || {}).length,
                     columns: Object.keys(normalizedData[0] || {}),
-                    rootElement: xmlDoc.documentElement.nodeName
+                    rootElement: xmlDoc.documentElement.localName,
+                    namespace: xmlDoc.documentElement.namespaceURI || null,
+                    recordPath: extracted.path,
+                    preset: presetName || null,
+                    columnHints: extracted.columnHints || {}
                 }
             };
 
@@ -83,6 +188,69 @@ export class XMLParser {
         }
     }
 
+    /**
+     * Converte o texto em documento XML
+     * @param {string} xmlText
+     * @returns {Document}
+     */
+    parseDocument(xmlText) {
+        const xmlDoc = this.parser.parseFromString(xmlText, 'text/xml');
+        
+        // Verificar erros de parsing
+        const parserError = xmlDoc.querySelector('parsererror');
+        if (parserError) {
+            throw new Error('XML mal formatado: ' + parserError.textContent);
+        }
+
+        return xmlDoc;
+    }
+
+    /**
+     * Preset que se aplica ao documento (ex.: 'nfe')
+     * @param {Document} xmlDoc
+     * @returns {string|null} Chave de XML_PRESETS
+     */
+    detectPreset(xmlDoc) {
+        return Object.keys(XML_PRESETS)
+            .find(name => this._select(xmlDoc, XML_PRESETS[name].detect).length > 0) || null;
+    }
+
+    /**
+     * Caminhos de elementos repetidos, candidatos a linhas da tabela
+     * Ordenados dos mais próximos da raiz para os mais profundos (e, no mesmo nível,
+     * dos mais numerosos); o primeiro é o usado por padrão.
+     * @param {Document} xmlDoc
+     * @returns {Array<Object>} [{ path, count, columns }], path em XPath (ex.: /vendas/venda)
+     */
+    listRecordPaths(xmlDoc) {
+        const groups = new Map();
+
+        const visit = (element, path, depth) => {
+            for (const child of element.children) {
+                const childPath = `${path}/${child.localName}`;
+                if (this._isRecordLike(child)) {
+                    if (!groups.has(childPath)) {
+                        groups.set(childPath, { path: childPath, depth, elements: [] });
+                    }
+                    groups.get(childPath).elements.push(child);
+                }
+                visit(child, childPath, depth + 1);
+            }
+        };
+
+        const root = xmlDoc.documentElement;
+        visit(root, `/${root.localName}`, 1);
+
+        return [...groups.values()]
+            .filter(group => group.elements.length > 1)
+            .sort((a, b) => a.depth - b.depth || b.elements.length - a.elements.length)
+            .map(({ path, elements }) => ({
+                path,
+                count: elements.length,
+                columns: this._collectColumns(elements.slice(0, COLUMN_PREVIEW_RECORDS))
+            }));
+    }
+
     /**
      * Ler arquivo como texto
      * @param {File} file 
@@ -101,107 +269,177 @@ export class XMLParser {
     /**
      * Extrair dados tabulares de estrutura XML
      * @param {Document} xmlDoc 
-     * @returns {Array}
+     * @param {string|null} recordPath - XPath dos registros (null para detectar)
+     * @returns {Object|null} { path, records }
      * @private
      */
-    _extractTableData(xmlDoc) {
-        const root = xmlDoc.documentElement;
-        
-        // Procurar por elementos repetidos (linhas da tabela)
-        const repeatingElements = this._findRepeatingElements(root);
+    _extractTableData(xmlDoc, recordPath) {
+        const found = recordPath
+            ? { path: recordPath, elements: this._select(xmlDoc, recordPath).filter(node => node.nodeType !== ATTRIBUTE_NODE) }
+            : this._findRepeatingElements(xmlDoc);
         
-        if (!repeatingElements || repeatingElements.length === 0) {
+        if (recordPath && found.elements.length === 0) {
+            throw new Error(`Nenhum elemento encontrado em ${recordPath}`);
+        }
+        if (!found || found.elements.length === 0) {
             return null;
         }
 
         // Converter elementos para objetos
-        return Array.from(repeatingElements).map(element => 
-            this._elementToObject(element)
-        );
+        return {
+            path: found.path,
+            records: found.elements.map(element => this._elementToObject(element))
+        };
     }
 
     /**
      * Encontrar elementos repetidos (candidatos a linhas)
-     * @param {Element} root 
-     * @returns {NodeList}
+     * Usa o primeiro caminho de listRecordPaths; sem repetições, cada filho da raiz vira uma linha.
+     * @param {Document} xmlDoc 
+     * @returns {Object|null} { path, elements }
      * @private
      */
-    _findRepeatingElements(root) {
-        const childTags = new Map();
-        
-        // Contar tags filhas
-        for (const child of root.children) {
-            const tagName = child.tagName;
-            childTags.set(tagName, (childTags.get(tagName) || 0) + 1);
+    _findRepeatingElements(xmlDoc) {
+        const [candidate] = this.listRecordPaths(xmlDoc);
+        if (candidate) {
+            return { path: candidate.path, elements: this._select(xmlDoc, candidate.path) };
         }
 
-        // Encontrar tag mais repetida (provavelmente as "linhas")
-        let maxCount = 0;
-        let rowTagName = null;
-        
-        for (const [tagName, count] of childTags.entries()) {
-            if (count > maxCount) {
-                maxCount = count;
-                rowTagName = tagName;
-            }
+        const root = xmlDoc.documentElement;
+        if (root.children.length === 0) {
+            return null;
         }
+        return { path: `/${root.localName}/*`, elements: Array.from(root.children) };
+    }
 
-        // Retornar todos os elementos dessa tag
-        if (rowTagName && maxCount > 0) {
-            return root.getElementsByTagName(rowTagName);
-        }
+    /**
+     * Extrair as linhas de um preset (ex.: um item de NF-e por linha, com os dados da nota)
+     * Campos ausentes em todas as linhas (ex.: nenhum item com IPI) não viram colunas.
+     * @param {Document} xmlDoc
+     * @param {Object} preset - Entrada de XML_PRESETS
+     * @returns {Object} { path, records, columnHints }
+     *   columnHints: { [coluna]: { type } }, no formato de ExcelParser.getColumnFormats
+     * @private
+     */
+    _extractPresetData(xmlDoc, preset) {
+        const readFields = (node, fields = {}) => Object.fromEntries(
+            Object.entries(fields).map(([column, path]) => [column, this._selectValue(node, path)])
+        );
 
-        // Se não encontrou elementos repetidos, tentar recursivamente
-        if (root.children.length === 1) {
-            return this._findRepeatingElements(root.children[0]);
-        }
+        // Os campos do contexto (a nota) são lidos uma vez para todos os seus itens
+        const contexts = new Map();
+        const records = this._select(xmlDoc, preset.records).map(element => {
+            const context = preset.context ? this._select(element, preset.context)[0] : null;
+            if (context && !contexts.has(context)) {
+                contexts.set(context, readFields(context, preset.contextFields));
+            }
+            return { ...(context ? contexts.get(context) : {}), ...readFields(element, preset.fields) };
+        });
 
-        return null;
+        const columns = [...Object.keys(preset.contextFields || {}), ...Object.keys(preset.fields)]
+            .filter(column => records.some(record => record[column] !== null && record[column] !== undefined));
+
+        return {
+            path: preset.records,
+            records: records.map(record => Object.fromEntries(
+                columns.map(column => [column, record[column] ?? null])
+            )),
+            columnHints: Object.fromEntries(columns
+                .filter(column => preset.types?.[column])
+                .map(column => [column, { type: preset.types[column] }]))
+        };
     }
 
     /**
-     * Converter elemento XML para objeto JavaScript
+     * Converter elemento XML em registro plano
+     * Atributos e filhos viram colunas pelo nome local (sem prefixo de namespace);
+     * filhos aninhados usam ponto (cliente.cidade) e valores repetidos são unidos com ", ".
      * @param {Element} element 
+     * @param {string} prefix - Nome da coluna do elemento pai
+     * @param {Object} record - Registro em construção
+     * @param {number} depth - Nível de aninhamento (até maxDepth)
      * @returns {Object}
      * @private
      */
-    _elementToObject(element) {
-        const obj = {};
+    _elementToObject(element, prefix = '', record = {}, depth = 0) {
+        const column = (name) => (prefix ? `${prefix}.${name}` : name);
 
-        // 1. Adicionar atributos
-        if (element.attributes.length > 0) {
-            for (const attr of element.attributes) {
-                obj[attr.name] = attr.value;
-            }
+        // 1. Adicionar atributos (exceto declarações de namespace)
+        for (const attr of this._attributes(element)) {
+            this._setValue(record, column(attr.localName || attr.name), attr.value);
         }
 
         // 2. Processar elementos filhos
-        if (element.children.length > 0) {
-            for (const child of element.children) {
-                const tagName = child.tagName;
-                const textContent = child.textContent.trim();
-                
-                // Se tem filhos, recursivamente converter
-                if (child.children.length > 0) {
-                    obj[tagName] = this._elementToObject(child);
-                } else {
-                    obj[tagName] = textContent;
+        for (const child of element.children) {
+            const name = column(child.localName);
+            
+            if (this._isRecordLike(child) && depth < this.maxDepth) {
+                // Texto de um elemento com atributos: <valor moeda="BRL">3500</valor>
+                if (child.children.length === 0 && child.textContent.trim() !== '') {
+                    this._setValue(record, name, child.textContent.trim());
                 }
+                this._elementToObject(child, name, record, depth + 1);
+            } else {
+                this._setValue(record, name, child.textContent.trim());
             }
-        } 
-        // 3. Se não tem filhos, usar textContent
-        else {
+        }
+
+        // 3. Registro sem filhos: usar o texto
+        if (!prefix && element.children.length === 0) {
             const textContent = element.textContent.trim();
-            if (textContent && Object.keys(obj).length === 0) {
-                obj['value'] = textContent;
+            if (textContent && Object.keys(record).length === 0) {
+                record['value'] = textContent;
             }
         }
 
-        return obj;
+        return record;
+    }
+
+    /**
+     * Grava o valor na coluna, unindo com o valor já existente (elementos repetidos)
+     * @private
+     */
+    _setValue(record, column, value) {
+        const current = record[column];
+        if (current === undefined || current === '') {
+            record[column] = value;
+        } else if (value !== '') {
+            record[column] = `${current}, ${value}`;
+        }
+    }
+
+    /**
+     * Atributos do elemento, sem as declarações de namespace (xmlns, xmlns:*)
+     * @private
+     */
+    _attributes(element) {
+        return Array.from(element.attributes || [])
+            .filter(attr => attr.name !== 'xmlns' && !attr.name.startsWith('xmlns:'));
+    }
+
+    /**
+     * Elemento com estrutura própria (filhos ou atributos), e não apenas um valor
+     * @private
+     */
+    _isRecordLike(element) {
+        return element.children.length > 0 || this._attributes(element).length > 0;
+    }
+
+    /**
+     * Colunas dos registros, na ordem em que aparecem
+     * @private
+     */
+    _collectColumns(elements) {
+        const columns = new Set();
+        elements.forEach(element => {
+            Object.keys(this._elementToObject(element)).forEach(column => columns.add(column));
+        });
+        return [...columns];
     }
 
     /**
      * Normalizar dados para formato consistente
+     * Todas as linhas recebem todas as colunas (ausentes ficam null)
      * @param {Array} data 
      * @returns {Array}
      * @private
@@ -211,25 +449,244 @@ export class XMLParser {
             return [];
         }
 
-        // Achatar objetos aninhados (apenas 1 nível)
+        const columns = new Set();
+        data.forEach(row => Object.keys(row).forEach(column => columns.add(column)));
+
         return data.map(row => {
-            const flatRow = {};
+            const normalizedRow = {};
+            columns.forEach(column => {
+                normalizedRow[column] = row[column] !== undefined ? row[column] : null;
+            });
+            return normalizedRow;
+        });
+    }
+
+    /**
+     * Avaliar um caminho XPath (subconjunto descrito no cabeçalho do módulo)
+     * Os nomes são comparados pelo nome local, então prefixos e namespaces são ignorados.
+     * @param {Document|Element} context - Nó de partida dos caminhos relativos
+     * @param {string} path
+     * @returns {Array<Node>} Elementos (ou atributos, quando o último passo é @nome)
+     * @private
+     */
+    _select(context, path) {
+        const results = new Set();
+        
+        for (const alternative of this._splitOutside(path, '|')) {
+            const steps = this._parsePath(alternative.trim());
+            let nodes = [alternative.trim().startsWith('/') ? this._documentOf(context) : context];
             
-            for (const key in row) {
-                const value = row[key];
-                
-                // Se valor é objeto, achatar
-                if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-                    for (const nestedKey in value) {
-                        flatRow[`${key}_${nestedKey}`] = value[nestedKey];
-                    }
-                } else {
-                    flatRow[key] = value;
-                }
+            for (const step of steps) {
+                nodes = this._applyStep(nodes, step);
+            }
+            nodes.forEach(node => results.add(node));
+        }
+
+        return [...results];
+    }
+
+    /**
+     * Texto do primeiro nó não vazio encontrado no caminho
+     * @returns {string|null}
+     * @private
+     */
+    _selectValue(context, path) {
+        for (const node of this._select(context, path)) {
+            const value = node.nodeType === ATTRIBUTE_NODE ? node.value : node.textContent.trim();
+            if (value !== '') return value;
+        }
+        return null;
+    }
+
+    /**
+     * Passos de um caminho: /a/b, //b, a/b
+     * @returns {Array<Object>} [{ axis: 'child'|'descendant', attribute, name, predicates }]
+     * @private
+     */
+    _parsePath(path) {
+        const parts = this._splitOutside(path, '/');
+        if (!path || parts[parts.length - 1].trim() === '') {
+            throw new Error(`Caminho XPath inválido: ${path}`);
+        }
+
+        const steps = [];
+        let axis = 'child';
+        
+        parts.forEach((part, index) => {
+            // Parte vazia: início de um caminho absoluto (/a) ou "//"
+            if (part.trim() === '') {
+                if (index > 0) axis = 'descendant';
+                return;
             }
+            steps.push(this._parseStep(part.trim(), axis, path));
+            axis = 'child';
+        });
+
+        return steps;
+    }
+
+    /**
+     * @private
+     */
+    _parseStep(text, axis, path) {
+        const match = text.match(/^(@?)([^[\]@]+?)\s*((?:\[[^\]]*\])*)$/);
+        if (!match) {
+            throw new Error(`Caminho XPath inválido: ${path}`);
+        }
+
+        const [, at, name, predicates] = match;
+        return {
+            axis,
+            attribute: at === '@',
+            name: this._localName(name.trim()),
+            predicates: [...predicates.matchAll(/\[([^\]]*)\]/g)]
+                .map(([, predicate]) => this._parsePredicate(predicate.trim(), path))
+        };
+    }
+
+    /**
+     * Predicados: [n], [@attr], [@attr='valor'], [filho], [filho='valor']
+     * @private
+     */
+    _parsePredicate(text, path) {
+        if (/^\d+$/.test(text)) {
+            return { position: Number(text) };
+        }
+
+        const match = text.match(/^(@?)([^=\s'"]+)\s*(?:=\s*(['"])(.*)\3)?$/);
+        if (!match) {
+            throw new Error(`Predicado XPath não suportado: [${text}] em ${path}`);
+        }
+
+        const [, at, name, , value] = match;
+        return { attribute: at === '@', name: this._localName(name), value };
+    }
+
+    /**
+     * @private
+     */
+    _applyStep(nodes, step) {
+        const results = new Set();
+
+        nodes.forEach(node => {
+            let candidates;
             
-            return flatRow;
+            if (step.attribute) {
+                const elements = step.axis === 'descendant'
+                    ? [node, ...this._descendants(node)]
+                    : [node];
+                candidates = elements.flatMap(element => this._attributes(element))
+                    .filter(attr => step.name === '*' || (attr.localName || attr.name) === step.name);
+            } else if (step.name === '.') {
+                candidates = [node];
+            } else if (step.name === '..') {
+                const parent = node.nodeType === ATTRIBUTE_NODE ? node.ownerElement : node.parentElement;
+                candidates = parent ? [parent] : [];
+            } else {
+                candidates = (step.axis === 'descendant' ? this._descendants(node) : this._childElements(node))
+                    .filter(element => step.name === '*' || element.localName === step.name);
+            }
+
+            this._filterPredicates(candidates, step.predicates).forEach(candidate => results.add(candidate));
         });
+
+        return [...results];
+    }
+
+    /**
+     * @private
+     */
+    _filterPredicates(nodes, predicates) {
+        return predicates.reduce((current, predicate) => {
+            if (predicate.position) {
+                return current[predicate.position - 1] ? [current[predicate.position - 1]] : [];
+            }
+
+            return current.filter(node => {
+                const values = predicate.attribute
+                    ? this._attributes(node)
+                        .filter(attr => (attr.localName || attr.name) === predicate.name)
+                        .map(attr => attr.value)
+                    : this._childElements(node)
+                        .filter(child => child.localName === predicate.name)
+                        .map(child => child.textContent.trim());
+                return predicate.value === undefined ? values.length > 0 : values.includes(predicate.value);
+            });
+        }, nodes);
+    }
+
+    /**
+     * @private
+     */
+    _childElements(node) {
+        if (node.nodeType === DOCUMENT_NODE) {
+            return [node.documentElement];
+        }
+        return Array.from(node.children || []);
+    }
+
+    /**
+     * Elementos descendentes, na ordem do documento
+     * @private
+     */
+    _descendants(node) {
+        const result = [];
+        const stack = this._childElements(node).reverse();
+        
+        while (stack.length > 0) {
+            const element = stack.pop();
+            result.push(element);
+            for (let i = element.children.length - 1; i >= 0; i--) {
+                stack.push(element.children[i]);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    _documentOf(node) {
+        return node.nodeType === DOCUMENT_NODE ? node : node.ownerDocument;
+    }
+
+    /**
+     * Nome sem prefixo de namespace (nfe:det → det)
+     * @private
+     */
+    _localName(name) {
+        return name.includes(':') ? name.slice(name.indexOf(':') + 1) : name;
+    }
+
+    /**
+     * Divide o texto no separador, fora de predicados e aspas
+     * @private
+     */
+    _splitOutside(text, separator) {
+        const parts = [];
+        let depth = 0;
+        let quote = null;
+        let start = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '[') {
+                depth++;
+            } else if (char === ']') {
+                depth--;
+            } else if (char === separator && depth === 0) {
+                parts.push(text.slice(start, i));
+                start = i + 1;
+            }
+        }
+        parts.push(text.slice(start));
+
+        return parts;
     }
 
     /**
@@ -412,6 +869,23 @@ export class XMLParser {
     <valor moeda="BRL">3500</valor>
   </venda>
 </vendas>`
+            },
+            notaFiscal: {
+                description: 'NF-e (preset: um item por linha)',
+                example: `<?xml version="1.0" encoding="UTF-8"?>
+<nfeProc xmlns="http://www.portalfiscal.inf.br/nfe" versao="4.00">
+  <NFe>
+    <infNFe Id="NFe35240112345678000190550010000012341000012345" versao="4.00">
+      <ide><nNF>1234</nNF><serie>1</serie><dhEmi>2024-01-15T10:30:00-03:00</dhEmi></ide>
+      <emit><CNPJ>12345678000190</CNPJ><xNome>Loja Exemplo</xNome></emit>
+      <dest><CPF>12345678909</CPF><xNome>João Silva</xNome></dest>
+      <det nItem="1">
+        <prod><cProd>NB01</cProd><xProd>Notebook</xProd><qCom>1.0000</qCom><vUnCom>3500.00</vUnCom><vProd>3500.00</vProd></prod>
+        <imposto><ICMS><ICMS00><vICMS>630.00</vICMS></ICMS00></ICMS></imposto>
+      </det>
+    </infNFe>
+  </NFe>
+</nfeProc>`
             }
         };
     }
@@ -15,9 +15,47 @@ export const ColumnType = {
   BOOLEAN: 'boolean',
   EMAIL: 'email',
   PHONE: 'phone',
+  CPF: 'cpf',
+  CNPJ: 'cnpj',
+  POSTAL_CODE: 'postal_code',
+  STATE: 'state',
+  CITY: 'city',
+  LATITUDE: 'latitude',
+  LONGITUDE: 'longitude',
+  URL: 'url',
+  DURATION: 'duration',
   UNKNOWN: 'unknown'
 };
 
+/**
+ * Nomes dos tipos de colunas exibidos na interface
+ */
+export const ColumnTypeLabels = {
+  [ColumnType.DATE]: 'Data',
+  [ColumnType.NUMBER]: 'Número',
+  [ColumnType.CURRENCY]: 'Moeda',
+  [ColumnType.PERCENTAGE]: 'Percentual',
+  [ColumnType.TEXT]: 'Texto',
+  [ColumnType.CATEGORY]: 'Categoria',
+  [ColumnType.PRODUCT]: 'Produto',
+  [ColumnType.EMPLOYEE]: 'Funcionário/Vendedor',
+  [ColumnType.CLIENT]: 'Cliente',
+  [ColumnType.SKU]: 'Código/SKU',
+  [ColumnType.BOOLEAN]: 'Sim/Não',
+  [ColumnType.EMAIL]: 'E-mail',
+  [ColumnType.PHONE]: 'Telefone',
+  [ColumnType.CPF]: 'CPF',
+  [ColumnType.CNPJ]: 'CNPJ',
+  [ColumnType.POSTAL_CODE]: 'CEP',
+  [ColumnType.STATE]: 'UF',
+  [ColumnType.CITY]: 'Cidade',
+  [ColumnType.LATITUDE]: 'Latitude',
+  [ColumnType.LONGITUDE]: 'Longitude',
+  [ColumnType.URL]: 'URL',
+  [ColumnType.DURATION]: 'Duração',
+  [ColumnType.UNKNOWN]: 'Desconhecido'
+};
+
 /**
  * ChartType Enum - Tipos de gráficos disponíveis
  */
@@ -57,5 +95,6 @@ export const ProcessingStatus = {
   ANALYZING: 'analyzing',
   GENERATING_INSIGHTS: 'generating_insights',
   COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
   ERROR: 'error'
 };
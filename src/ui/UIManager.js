@@ -69,9 +69,11 @@ export class UIManager {
 
   /**
    * Atualiza progresso
+   * @param {number} percentage
+   * @param {string} elementId - Barra de upload ou da análise (analysis-progress)
    */
-  updateProgress(percentage) {
-    const progress = document.getElementById('upload-progress');
+  updateProgress(percentage, elementId = 'upload-progress') {
+    const progress = document.getElementById(elementId);
     const fill = progress?.querySelector('.progress-fill');
     
     if (progress && fill) {
@@ -96,13 +98,22 @@ export class UIManager {
 
   /**
    * Renderiza KPIs
+   * @param {Array<Object>} kpis
+   * @param {string} note - Aviso fixo sobre a origem dos valores (ex.: estimados sobre amostra)
    */
-  renderKPIs(kpis) {
+  renderKPIs(kpis, note = null) {
     const container = document.getElementById('kpis-container');
     if (!container) return;
     
     container.innerHTML = '<h2 class="section-title">📊 Principais Indicadores</h2>';
     
+    if (note) {
+      const badge = document.createElement('p');
+      badge.className = 'kpis-note';
+      badge.textContent = note;
+      container.appendChild(badge);
+    }
+    
     const grid = document.createElement('div');
     grid.className = 'kpis-grid';
     
@@ -200,6 +211,69 @@ export class UIManager {
     container.appendChild(grid);
   }
 
+  /**
+   * Renderiza a origem dos dados combinados (abas ou arquivos empilhados/cruzados)
+   * @param {Object|null} source - result.source do AnalysisPipeline { kind, mode, lineage }
+   */
+  renderLineage(source) {
+    const container = document.getElementById('lineage-container');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    if (!source?.lineage || source.lineage.length < 2) return;
+    
+    const label = source.kind === 'sheets' ? 'Aba' : 'Arquivo';
+    const isJoin = source.lineage.some(entry => entry.role);
+    const list = (items) => items.length > 0 ? items.join(', ') : '-';
+    const count = (value) => (value ?? 0).toLocaleString('pt-BR');
+    
+    const columns = isJoin
+      ? [label, 'Papel', 'Linhas', 'Correspondências', 'Colunas trazidas']
+      : [label, 'Linhas', 'Posição no conjunto', 'Colunas conciliadas', 'Colunas ausentes'];
+    
+    const rows = source.lineage.map(entry => isJoin
+      ? [
+        entry.name,
+        entry.role === 'principal' ? 'Principal' : `Consulta (${entry.key})`,
+        count(entry.rows),
+        entry.role === 'principal' ? '-' : `${count(entry.matched)} de ${count(entry.matched + entry.unmatched)}`,
+        entry.role === 'principal' ? '-' : list(entry.columns)
+      ]
+      : [
+        entry.name,
+        count(entry.rows),
+        entry.firstRow ? `${count(entry.firstRow)} a ${count(entry.lastRow)}` : '-',
+        list(entry.renamed.map(({ from, to }) => `${from} → ${to}`)),
+        list(entry.missing)
+      ]);
+    
+    container.innerHTML = '<h2 class="section-title">🗂️ Origem dos Dados</h2>';
+    
+    const wrapper = document.createElement('div');
+    wrapper.className = 'table-wrapper';
+    
+    const table = document.createElement('table');
+    table.className = 'data-table lineage-table';
+    
+    const headerRow = table.createTHead().insertRow();
+    columns.forEach(column => {
+      const th = document.createElement('th');
+      th.textContent = column;
+      headerRow.appendChild(th);
+    });
+    
+    const tbody = table.createTBody();
+    rows.forEach(cells => {
+      const tr = tbody.insertRow();
+      cells.forEach(cell => {
+        tr.insertCell().textContent = cell;
+      });
+    });
+    
+    wrapper.appendChild(table);
+    container.appendChild(wrapper);
+  }
+
   /**
    * Renderiza tabela de dados
    */
@@ -221,9 +295,13 @@ export class UIManager {
     
     columnMetadata.forEach(col => {
       const th = document.createElement('th');
+      // Tipo detectado com pouca confiança: sinalizado para revisão no assistente de mapeamento
+      const uncertain = col.lowConfidence
+        ? ` title="Tipo incerto (${Math.round(col.typeConfidence * 100)}%); 2ª opção: ${col.runnerUpType}"`
+        : '';
       th.innerHTML = `
         ${col.name}
-        <span class="column-type">${col.type}</span>
+        <span class="column-type${col.lowConfidence ? ' column-type-uncertain' : ''}"${uncertain}>${col.lowConfidence ? '⚠️ ' : ''}${col.type}</span>
       `;
       headerRow.appendChild(th);
     });
@@ -325,7 +403,7 @@ export class UIManager {
     this.showUploadSection();
     
     // Limpar containers
-    ['kpis-container', 'insights-container', 'charts-container', 'table-container'].forEach(id => {
+    ['kpis-container', 'insights-container', 'charts-container', 'lineage-container', 'table-container'].forEach(id => {
       const el = document.getElementById(id);
       if (el) el.innerHTML = '';
     });
@@ -338,12 +416,14 @@ export class UIManager {
     }
     
     // Resetar progress
-    const progress = document.getElementById('upload-progress');
-    if (progress) {
-      progress.classList.add('hidden');
-      const fill = progress.querySelector('.progress-fill');
-      if (fill) fill.style.width = '0%';
-    }
+    ['upload-progress', 'analysis-progress'].forEach(id => {
+      const progress = document.getElementById(id);
+      if (progress) {
+        progress.classList.add('hidden');
+        const fill = progress.querySelector('.progress-fill');
+        if (fill) fill.style.width = '0%';
+      }
+    });
     
     // Resetar steps
     for (let i = 1; i <= 5; i++) {
@@ -0,0 +1,18 @@
+/**
+ * Funções de texto compartilhadas entre os módulos
+ */
+
+/**
+ * Nome de coluna para comparação: sem acentos, maiúsculas, pontuação e espaços extras
+ * Ex.: "Valor Total", "valor_total" e "VALOR-TOTAL" viram "valor total"
+ * @param {string} header
+ * @returns {string}
+ */
+export function normalizeHeader(header) {
+  return String(header)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
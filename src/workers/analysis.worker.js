@@ -0,0 +1,34 @@
+/**
+ * 🧵 Worker de análise - Executa o AnalysisPipeline fora da thread principal
+ *
+ * Mensagens recebidas:
+ * - { type: 'start', input }  (input de AnalysisPipeline.run)
+ *
+ * Mensagens enviadas:
+ * - { type: 'progress', detail }  ({ step, status, message, progress, phase })
+ * - { type: 'result', result }
+ * - { type: 'error', error }      ({ name, message })
+ *
+ * O cancelamento é feito pelo AnalysisJob com worker.terminate().
+ *
+ * @author Carlos Antonio de Oliveira Piquet
+ * @version 1.0.0
+ */
+
+import { AnalysisPipeline } from '../modules/AnalysisPipeline.js';
+
+self.addEventListener('message', async (event) => {
+  const { type, input } = event.data || {};
+  if (type !== 'start') return;
+
+  const pipeline = new AnalysisPipeline({
+    onProgress: detail => self.postMessage({ type: 'progress', detail })
+  });
+
+  try {
+    const result = await pipeline.run(input);
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', error: { name: error.name, message: error.message } });
+  }
+});
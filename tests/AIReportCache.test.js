@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { AIReportCache, fingerprintDataset } from '../src/modules/AIReportCache.js';
+import { AIReportGenerator, PROMPT_VERSION } from '../src/modules/AIReportGenerator.js';
+import { AnalysisPipeline } from '../src/modules/AnalysisPipeline.js';
+import { ColumnType } from '../src/types/enums.js';
+
+function createRows() {
+  const clients = ['Ana Paula', 'Bruno Lima', 'Carla Dias', 'Diego Souza', 'Elisa Rocha'];
+  const products = ['Notebook', 'Mouse', 'Teclado', 'Monitor'];
+  return Array.from({ length: 120 }, (_, index) => ({
+    Data: `2024-${String((index % 12) + 1).padStart(2, '0')}-${String((index % 27) + 1).padStart(2, '0')}`,
+    Cliente: clients[index % clients.length],
+    Produto: products[index % products.length],
+    Quantidade: (index % 7) + 1,
+    Valor: 100 + ((index * 37) % 900),
+  }));
+}
+
+const analyze = () => new AnalysisPipeline().run({ data: createRows(), cleaningSteps: [] });
+
+describe('AIReportCache.buildKey', () => {
+  const cache = new AIReportCache();
+  const generator = new AIReportGenerator({ name: 'mock', apiUrl: 'http://localhost:8787', model: 'mock-model' });
+  const keyFor = (result) => cache.buildKey({
+    data: result.data,
+    columnMetadata: result.columnMetadata,
+    analytics: result.analytics,
+    promptConfig: generator.getPromptConfig(),
+    promptVersion: PROMPT_VERSION,
+  });
+
+  it('gera a mesma chave em duas execuções sobre as mesmas linhas', async () => {
+    const first = await analyze();
+    const second = await analyze();
+
+    expect(keyFor(second).cacheKey).toBe(keyFor(first).cacheKey);
+  });
+
+  it('muda a chave quando os dados, os tipos ou a versão dos prompts mudam', async () => {
+    const result = await analyze();
+    const key = keyFor(result).cacheKey;
+
+    const changedData = result.data.map((row, index) => (index === 0 ? { ...row, Valor: row.Valor + 1 } : row));
+    expect(keyFor({ ...result, data: changedData }).cacheKey).not.toBe(key);
+
+    const changedTypes = result.columnMetadata.map(col => (col.name === 'Produto' ? { ...col, type: ColumnType.TEXT } : col));
+    expect(keyFor({ ...result, columnMetadata: changedTypes }).cacheKey).not.toBe(key);
+
+    const otherVersion = cache.buildKey({ data: result.data, columnMetadata: result.columnMetadata, promptVersion: PROMPT_VERSION + 1 });
+    expect(otherVersion.cacheKey).not.toBe(key);
+  });
+
+  it('muda a chave quando as análises mudam sem mudar as linhas', async () => {
+    const result = await analyze();
+    const key = keyFor(result).cacheKey;
+
+    // Ex.: papel "Valor" atribuído a Quantidade no template: outros KPIs sobre as mesmas linhas
+    const columnTypes = { Valor: ColumnType.NUMBER, Quantidade: ColumnType.CURRENCY };
+    const remapped = await new AnalysisPipeline().run({ data: createRows(), cleaningSteps: [], columnTypes });
+    const sameTypes = { ...remapped, columnMetadata: result.columnMetadata };
+    expect(keyFor(sameTypes).cacheKey).not.toBe(key);
+
+    const kpis = result.analytics.kpis.map(kpi => ({ ...kpi, timestamp: new Date(0) }));
+    expect(keyFor({ ...result, analytics: { ...result.analytics, kpis } }).cacheKey).toBe(key);
+  });
+
+  it('ignora a ordem das propriedades da configuração dos prompts', () => {
+    const data = createRows();
+    const a = cache.buildKey({ data, promptConfig: { maxTokens: 2000, structuredOutput: true }, promptVersion: 1 });
+    const b = cache.buildKey({ data, promptConfig: { structuredOutput: true, maxTokens: 2000 }, promptVersion: 1 });
+    expect(a.cacheKey).toBe(b.cacheKey);
+    expect(a.datasetFingerprint).toBe(fingerprintDataset(data));
+  });
+});
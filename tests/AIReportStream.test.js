@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { AIReportStream } from '../src/modules/AIReportStream.js';
+
+/**
+ * Gerador falso: cada seção resolve quando liberada pelo teste
+ */
+function createGenerator(keys = ['executive', 'trends']) {
+  const pending = new Map();
+  const generator = {
+    generateReportId: () => 'report_test',
+    getSections: () => keys.map(key => ({ key, title: key, method: `generate_${key}` })),
+    buildReport: (sections) => ({ sections }),
+    release: (key, content = `texto ${key}`) => pending.get(key)({ title: key, content }),
+  };
+  keys.forEach(key => {
+    generator[`generate_${key}`] = (_data, _analytics, _advanced, { signal }) => new Promise((resolve, reject) => {
+      pending.set(key, resolve);
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('abort'), { name: 'AbortError' })));
+    });
+  });
+  return generator;
+}
+
+const collect = async (iterable) => {
+  const types = [];
+  for await (const { type } of iterable) types.push(type);
+  return types;
+};
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('AIReportStream', () => {
+  it('encerra a iteração no complete', async () => {
+    const generator = createGenerator();
+    const stream = new AIReportStream(generator, {}).start();
+    const consumed = collect(stream);
+
+    generator.release('executive');
+    generator.release('trends');
+
+    const types = await consumed;
+    expect(types.at(-1)).toBe('complete');
+    expect(types.filter(type => type === 'section-complete')).toHaveLength(2);
+  });
+
+  it('encerra a iteração quando todas as seções são canceladas', async () => {
+    const stream = new AIReportStream(createGenerator(), {}).start();
+    const consumed = collect(stream);
+
+    stream.cancel();
+
+    const types = await consumed;
+    expect(types.filter(type => type === 'section-cancelled')).toHaveLength(2);
+    expect(types.at(-1)).toBe('complete');
+  });
+
+  it('acompanha um retry iniciado após o complete a partir do ponto do retry', async () => {
+    const generator = createGenerator();
+    const stream = new AIReportStream(generator, {}).start();
+    generator.release('executive');
+    generator.release('trends');
+    await collect(stream);
+
+    const from = stream.history.length;
+    stream.retrySection('trends');
+    const consumed = collect(stream.events(from));
+    await tick();
+    generator.release('trends', 'novo texto');
+
+    expect(await consumed).toEqual(['section-start', 'section-complete', 'complete']);
+    expect(stream.report.sections.trends.content).toBe('novo texto');
+  });
+
+  it('continua após um complete antigo enquanto o retry está em andamento', async () => {
+    const generator = createGenerator();
+    const stream = new AIReportStream(generator, {}).start();
+    generator.release('executive');
+    generator.release('trends');
+    await stream.done;
+    await tick();
+
+    stream.retrySection('executive');
+    const consumed = collect(stream);
+    await tick();
+    generator.release('executive');
+
+    const types = await consumed;
+    expect(types.filter(type => type === 'complete')).toHaveLength(2);
+  });
+
+  it('termina a leitura pendente ao fechar o stream', async () => {
+    const stream = new AIReportStream(createGenerator(), {}).start();
+    const consumed = collect(stream);
+
+    stream.close();
+
+    expect((await consumed).at(-1)).toBe('close');
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'node:http';
+import { APIConnector, PaginationType } from '../src/modules/APIConnector.js';
+
+// 7 pedidos servidos em páginas de até 3 registros
+const ORDERS = Array.from({ length: 7 }, (_, index) => ({ id: index + 1, cliente: { nome: `Cliente ${index + 1}` } }));
+const PAGE_SIZE = 3;
+
+let server;
+let baseUrl;
+const requests = [];
+
+function send(res, body, headers = {}) {
+  res.writeHead(200, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Uma rota por tipo de paginação
+const ROUTES = {
+  '/page': (url, res) => {
+    const page = Number(url.searchParams.get('pagina'));
+    const size = Number(url.searchParams.get('por_pagina'));
+    send(res, { data: ORDERS.slice((page - 1) * size, page * size) });
+  },
+  '/offset': (url, res) => {
+    const offset = Number(url.searchParams.get('offset'));
+    send(res, { data: ORDERS.slice(offset, offset + Number(url.searchParams.get('limit'))) });
+  },
+  '/cursor': (url, res) => {
+    const start = Number(url.searchParams.get('cursor') || 0);
+    const next = start + PAGE_SIZE < ORDERS.length ? String(start + PAGE_SIZE) : null;
+    send(res, { data: ORDERS.slice(start, start + PAGE_SIZE), meta: { next_cursor: next } });
+  },
+  '/link': (url, res) => {
+    const page = Number(url.searchParams.get('p') || 1);
+    const headers = page * PAGE_SIZE < ORDERS.length ? { Link: `</link?p=${page + 1}>; rel="next"` } : {};
+    send(res, ORDERS.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE), headers);
+  },
+  '/repeat': (url, res) => {
+    send(res, { data: ORDERS.slice(0, PAGE_SIZE), meta: { next_cursor: `c${requests.length}` } });
+  },
+  '/private': (url, res, req) => {
+    if (req.headers['x-api-key'] !== 'segredo') {
+      res.writeHead(401);
+      res.end();
+      return;
+    }
+    send(res, { data: ORDERS.slice(0, 1) });
+  },
+};
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url.pathname + url.search);
+    const route = ROUTES[url.pathname];
+    if (!route) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    route(url, res, req);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+async function fetchAll(path, pagination, config = {}) {
+  requests.length = 0;
+  const result = await new APIConnector().fetchData({ url: `${baseUrl}${path}`, pagination, ...config });
+  return { result, requests: [...requests] };
+}
+
+describe('APIConnector: paginação', () => {
+  it('page: avança o número da página até uma página menor que pageSize', async () => {
+    const { result, requests: sent } = await fetchAll('/page', {
+      type: PaginationType.PAGE, pageParam: 'pagina', sizeParam: 'por_pagina', pageSize: PAGE_SIZE,
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data.map(row => row.id)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    expect(result.data[0]['cliente.nome']).toBe('Cliente 1');
+    expect(result.metadata).toMatchObject({ pages: 3, recordPath: '$.data', truncated: false });
+    expect(sent).toEqual(['/page?pagina=1&por_pagina=3', '/page?pagina=2&por_pagina=3', '/page?pagina=3&por_pagina=3']);
+  });
+
+  it('offset: soma ao offset os registros recebidos', async () => {
+    const { result, requests: sent } = await fetchAll('/offset', {
+      type: PaginationType.OFFSET, sizeParam: 'limit', pageSize: PAGE_SIZE,
+    });
+
+    expect(result.data).toHaveLength(7);
+    expect(sent).toEqual(['/offset?offset=0&limit=3', '/offset?offset=3&limit=3', '/offset?offset=6&limit=3']);
+  });
+
+  it('cursor: lê o próximo cursor da resposta até ele vir vazio', async () => {
+    const { result, requests: sent } = await fetchAll('/cursor', {
+      type: PaginationType.CURSOR, cursorPath: '$.meta.next_cursor',
+    }, { recordPath: '$.data' });
+
+    expect(result.data.map(row => row.id)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    expect(sent).toEqual(['/cursor', '/cursor?cursor=3', '/cursor?cursor=6']);
+  });
+
+  it('link: segue o rel="next" do cabeçalho Link', async () => {
+    const { result, requests: sent } = await fetchAll('/link', { type: PaginationType.LINK });
+
+    expect(result.data).toHaveLength(7);
+    expect(result.metadata.pages).toBe(3);
+    expect(sent).toEqual(['/link', '/link?p=2', '/link?p=3']);
+  });
+
+  it('para no limite de páginas e marca o resultado como truncado', async () => {
+    const { result } = await fetchAll('/repeat', {
+      type: PaginationType.CURSOR, cursorPath: 'meta.next_cursor', maxPages: 4,
+    });
+
+    expect(result.metadata).toMatchObject({ pages: 4, truncated: true });
+    expect(result.data).toHaveLength(12);
+  });
+});
+
+describe('APIConnector: autenticação e erros', () => {
+  it('envia o token no cabeçalho configurado', async () => {
+    const { result } = await fetchAll('/private', undefined, { authToken: 'segredo', authHeader: 'X-API-Key' });
+
+    expect(result.success).toBe(true);
+    expect(result.data).toHaveLength(1);
+  });
+
+  it('traduz o acesso negado', async () => {
+    const { result } = await fetchAll('/private', undefined, { authToken: 'errado' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/Acesso negado pela API \(401\)/);
+  });
+
+  it('valida a configuração antes de consultar', () => {
+    const connector = new APIConnector();
+
+    expect(connector.validateConfig({ url: 'ftp://exemplo.com' }).valid).toBe(false);
+    expect(connector.validateConfig({ url: 'https://exemplo.com', pagination: { type: 'cursor' } }).errors)
+      .toEqual(['Informe onde está o próximo cursor na resposta (ex.: $.meta.next_cursor)']);
+  });
+});
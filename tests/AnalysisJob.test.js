@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AnalysisJob } from '../src/modules/AnalysisJob.js';
+
+// Worker substituto: registra as mensagens e só responde quando o teste chama emit
+class FakeWorker extends EventTarget {
+  constructor(url, options) {
+    super();
+    this.url = String(url);
+    this.options = options;
+    this.messages = [];
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  emit(data) {
+    this.dispatchEvent(new MessageEvent('message', { data }));
+  }
+}
+
+const INPUT = { data: [{ Produto: 'Mouse', Valor: 10 }, { Produto: 'Teclado', Valor: 20 }], cleaningSteps: [] };
+
+beforeEach(() => {
+  FakeWorker.instances = [];
+  vi.stubGlobal('Worker', FakeWorker);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('AnalysisJob: Web Worker', () => {
+  it('envia a entrada ao worker e repassa o progresso e o resultado', async () => {
+    const job = new AnalysisJob(INPUT).start();
+    const [worker] = FakeWorker.instances;
+    const progress = [];
+    job.addEventListener('progress', event => progress.push(event.detail.step));
+
+    expect(worker.url).toMatch(/workers\/analysis\.worker\.js$/);
+    expect(worker.options).toEqual({ type: 'module' });
+    expect(worker.messages).toEqual([{ type: 'start', input: INPUT }]);
+
+    worker.emit({ type: 'progress', detail: { step: 1, status: 'processing' } });
+    worker.emit({ type: 'result', result: { ok: true } });
+
+    await expect(job.done).resolves.toEqual({ ok: true });
+    expect(progress).toEqual([1]);
+    expect(job.status).toBe('completed');
+    expect(worker.terminated).toBe(true);
+  });
+
+  it('cancel rejeita done com AbortError e encerra o worker', async () => {
+    const job = new AnalysisJob(INPUT).start();
+    const [worker] = FakeWorker.instances;
+    const cancelled = vi.fn();
+    job.addEventListener('cancelled', cancelled);
+
+    worker.emit({ type: 'progress', detail: { step: 2, status: 'processing' } });
+    job.cancel();
+
+    await expect(job.done).rejects.toMatchObject({ name: 'AbortError', message: 'Análise cancelada pelo usuário' });
+    expect(worker.terminated).toBe(true);
+    expect(job.worker).toBeNull();
+    expect(job.status).toBe('cancelled');
+    expect(job.isRunning()).toBe(false);
+    expect(cancelled).toHaveBeenCalledTimes(1);
+  });
+
+  it('ignora as mensagens que chegam depois do cancelamento', async () => {
+    const job = new AnalysisJob(INPUT).start();
+    const [worker] = FakeWorker.instances;
+    const complete = vi.fn();
+    job.addEventListener('complete', complete);
+
+    job.cancel();
+    job.cancel();
+    worker.emit({ type: 'result', result: { ok: true } });
+
+    await expect(job.done).rejects.toThrow('Análise cancelada pelo usuário');
+    expect(complete).not.toHaveBeenCalled();
+  });
+
+  it('repassa o erro do pipeline com o nome original', async () => {
+    const job = new AnalysisJob(INPUT).start();
+    FakeWorker.instances[0].emit({ type: 'error', error: { name: 'TypeError', message: 'Nenhum dado encontrado no arquivo' } });
+
+    await expect(job.done).rejects.toMatchObject({ name: 'TypeError', message: 'Nenhum dado encontrado no arquivo' });
+    expect(job.status).toBe('error');
+  });
+});
+
+describe('AnalysisJob: thread principal', () => {
+  it('processa sem worker e interrompe o pipeline ao cancelar', async () => {
+    const completed = await new AnalysisJob(INPUT, { useWorker: false }).start().done;
+    expect(completed.data).toHaveLength(2);
+
+    const job = new AnalysisJob(INPUT, { useWorker: false }).start();
+    const { signal } = job.controller;
+    job.cancel();
+
+    await expect(job.done).rejects.toMatchObject({ name: 'AbortError' });
+    expect(signal.aborted).toBe(true);
+    expect(FakeWorker.instances).toHaveLength(0);
+  });
+});
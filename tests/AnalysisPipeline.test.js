@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import Papa from 'papaparse';
+import { AnalysisPipeline, MAX_SAMPLE_ROWS } from '../src/modules/AnalysisPipeline.js';
+import { AnalyticsEngine } from '../src/modules/AnalyticsEngine.js';
+import { csvParseOptions } from '../src/modules/DialectDetector.js';
+import { DataValidator, CleaningAction } from '../src/modules/DataValidator.js';
+import { headerSignature } from '../src/modules/ColumnMappingProfiles.js';
+
+// CSV maior que a amostra, lido em vários blocos
+const TOTAL_ROWS = MAX_SAMPLE_ROWS + 5000;
+const CHUNK_SIZE = 256 * 1024;
+
+function buildCSV() {
+  const lines = ['Data,Produto,Cliente,Valor,Quantidade'];
+  for (let index = 0; index < TOTAL_ROWS; index++) {
+    const month = String(index % 12 + 1).padStart(2, '0');
+    const day = String(index % 28 + 1).padStart(2, '0');
+    lines.push(`2024-${month}-${day},Produto ${index % 7},Cliente ${index % 50},${(index % 97) * 1.5 + 10},${index % 5 + 1}`);
+  }
+  return lines.join('\n');
+}
+
+// O Node não tem FileReader: o Papa Parse lê cada fatia do Blob por este substituto
+class NodeFileReader {
+  readAsText(blob, encoding) {
+    blob.arrayBuffer().then(buffer => {
+      this.result = new TextDecoder(encoding || 'utf-8').decode(buffer);
+      this.onload({ target: this });
+    }, error => {
+      this.error = error;
+      this.onerror(error);
+    });
+  }
+}
+
+let csv;
+let chunkSize;
+
+beforeAll(() => {
+  vi.stubGlobal('FileReader', NodeFileReader);
+  chunkSize = Papa.LocalChunkSize;
+  Papa.LocalChunkSize = CHUNK_SIZE;
+  csv = buildCSV();
+});
+
+afterAll(() => {
+  vi.unstubAllGlobals();
+  Papa.LocalChunkSize = chunkSize;
+});
+
+// Mesma leitura do pipeline, com todas as linhas em memória
+function parseAll(text, dialect) {
+  return Papa.parse(text, { header: true, skipEmptyLines: 'greedy', ...csvParseOptions(dialect) }).data;
+}
+
+// Valor numérico do KPI (contagens e períodos só têm o valor formatado)
+function kpiValues(analytics) {
+  return analytics.kpis.map(({ id, value, rawValue }) => ({ id, value: rawValue ?? value }));
+}
+
+function expectSameKPIs(actual, expected) {
+  const kpis = kpiValues(actual);
+  expect(kpis.map(kpi => kpi.id)).toEqual(kpiValues(expected).map(kpi => kpi.id));
+  kpiValues(expected).forEach(({ value }, index) => {
+    if (typeof value === 'number') expect(kpis[index].value).toBeCloseTo(value, 6);
+    else expect(kpis[index].value).toEqual(value);
+  });
+}
+
+describe('AnalysisPipeline: CSV em blocos', () => {
+  it('acumula os KPIs de todas as linhas e mantém a amostra no limite', async () => {
+    const file = new Blob([csv], { type: 'text/csv' });
+    const chunks = [];
+    const pipeline = new AnalysisPipeline({
+      onProgress: ({ message }) => {
+        if (message.startsWith('Lendo arquivo... ')) chunks.push(message);
+      },
+    });
+
+    const result = await pipeline.run({ format: 'csv', payload: file });
+    const rows = parseAll(csv, result.dialect);
+    const expected = new AnalyticsEngine(rows, result.columnMetadata).analyzeAll();
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(rows).toHaveLength(TOTAL_ROWS);
+    expect(result.sampling).toMatchObject({ sampled: true, totalRows: TOTAL_ROWS, sampleRows: MAX_SAMPLE_ROWS });
+    expect(result.data).toHaveLength(MAX_SAMPLE_ROWS);
+    expect(result.analytics.kpis.map(kpi => kpi.id)).toEqual(expect.arrayContaining(['total_records', 'total_Valor', 'avg_Valor', 'max_Valor']));
+    expectSameKPIs(result.analytics, expected);
+    expect(result.analytics.groupings).toEqual(expected.groupings);
+  }, 120000);
+});
+
+describe('AnalysisPipeline: limpeza do CSV em blocos', () => {
+  // Receita só com etapas linha a linha; as linhas repetidas ficam em blocos diferentes
+  const HEADERS = ['Data', 'Produto', 'Cliente', 'Valor', 'Quantidade'];
+  const STEPS = [
+    { action: CleaningAction.REPLACE_VALUES, column: 'Produto', from: 'Produto 0', to: 'Produto Zero' },
+    { action: CleaningAction.REMOVE_DUPLICATES },
+  ];
+  const RECIPE = { id: 'r1', name: 'Vendas', signature: headerSignature(HEADERS), headers: HEADERS, steps: STEPS, autoApply: true };
+
+  function withDuplicates() {
+    return `${csv}\n${csv.split('\n').slice(1, 3001).join('\n')}`;
+  }
+
+  it('reaplica a receita a cada bloco e mantém os KPIs exatos', async () => {
+    const text = withDuplicates();
+    const result = await new AnalysisPipeline().run({ format: 'csv', payload: new Blob([text]), recipes: [RECIPE] });
+    const rows = new DataValidator().cleanData(parseAll(text, result.dialect), STEPS);
+    const expected = new AnalyticsEngine(rows, result.columnMetadata).analyzeAll();
+
+    expect(rows).toHaveLength(TOTAL_ROWS);
+    expect(result.cleaning.recipe).toEqual({ id: 'r1', name: 'Vendas', skipped: [] });
+    expect(result.sampling).toMatchObject({ totalRows: TOTAL_ROWS, sampleRows: MAX_SAMPLE_ROWS, cleaned: true, estimated: false });
+    expect(result.data.some(row => row.Produto === 'Produto 0')).toBe(false);
+    expectSameKPIs(result.analytics, expected);
+    expect(result.analytics.groupings).toEqual(expected.groupings);
+  }, 120000);
+
+  it('etapa que depende de todas as linhas limpa só a amostra e marca os KPIs como estimados', async () => {
+    const result = await new AnalysisPipeline().run({
+      format: 'csv',
+      payload: new Blob([csv]),
+      cleaningSteps: [{ action: CleaningAction.CAP_OUTLIERS, column: 'Valor' }],
+    });
+
+    expect(result.sampling).toMatchObject({ totalRows: TOTAL_ROWS, sampleRows: MAX_SAMPLE_ROWS, cleaned: true, estimated: true });
+    expect(result.analytics.kpis.find(kpi => kpi.id === 'total_records').value).toBe(MAX_SAMPLE_ROWS);
+  }, 120000);
+});
@@ -0,0 +1,90 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CleaningRecipes, findRecipe, parseRecipe, RECIPE_VERSION } from '../src/modules/CleaningRecipes.js';
+import { CleaningAction, CaseMode } from '../src/modules/DataValidator.js';
+import { AnalysisPipeline } from '../src/modules/AnalysisPipeline.js';
+import { headerSignature } from '../src/modules/ColumnMappingProfiles.js';
+
+const STEPS = [
+  { action: CleaningAction.TRIM, columns: ['Cliente'] },
+  { action: CleaningAction.NORMALIZE_CASE, column: 'Cliente', mode: CaseMode.TITLE },
+  { action: CleaningAction.REPLACE_VALUES, column: 'Status', from: 'cancelado', to: '' },
+  { action: CleaningAction.REMOVE_DUPLICATES },
+];
+
+function sales(clients) {
+  return clients.map((cliente, index) => ({
+    Data: `2024-03-${String(index + 1).padStart(2, '0')}`,
+    Cliente: cliente,
+    Status: index % 2 === 0 ? 'pago' : 'cancelado',
+    Valor: 100 * (index + 1),
+  }));
+}
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('CleaningRecipes: ida e volta', () => {
+  it('salva a limpeza de um arquivo e a reaplica no próximo com os mesmos cabeçalhos', async () => {
+    const first = await new AnalysisPipeline().run({ data: sales(['  ana souza ', 'BRUNO lima', 'carla dias']), cleaningSteps: STEPS });
+    const recipes = new CleaningRecipes();
+    const recipe = recipes.save({ name: 'Vendas mensais', headers: first.cleaning.headers, steps: first.cleaning.steps });
+
+    const next = sales([' diego rocha', 'elisa ramos  ', 'elisa ramos  ']);
+    next[2] = { ...next[1] };
+    const result = await new AnalysisPipeline().run({ data: next, recipes: recipes.list() });
+
+    expect(result.cleaning.recipe).toEqual({ id: recipe.id, name: 'Vendas mensais', skipped: [] });
+    expect(result.cleaning.steps).toEqual(STEPS);
+    expect(result.data.map(row => [row.Cliente, row.Status])).toEqual([['Diego Rocha', 'pago'], ['Elisa Ramos', null]]);
+  });
+
+  it('pula e informa as etapas cujas colunas não existem no novo arquivo', async () => {
+    const recipe = new CleaningRecipes().save({ name: 'Vendas', headers: ['Data', 'Cliente', 'Status', 'Valor'], steps: STEPS });
+    const data = sales(['ana', 'bruno']).map(({ Status, ...row }) => row);
+
+    const result = await new AnalysisPipeline().run({ data, recipes: [recipe], recipeId: recipe.id });
+
+    expect(result.cleaning.recipe.skipped).toEqual([
+      { description: 'Substituir "cancelado" por "" em "Status"', reason: expect.stringContaining('Status') },
+    ]);
+    expect(result.data.map(row => row.Cliente)).toEqual(['Ana', 'Bruno']);
+  });
+
+  it('exporta e importa a receita como nova receita', () => {
+    const recipes = new CleaningRecipes();
+    const saved = recipes.save({ name: 'Vendas', headers: ['Cliente', 'Status'], steps: STEPS, autoApply: false });
+    const json = recipes.export(saved);
+
+    expect(JSON.parse(json)).toEqual({ version: RECIPE_VERSION, name: 'Vendas', headers: ['Cliente', 'Status'], steps: STEPS, autoApply: false });
+
+    const imported = recipes.import(json);
+    expect(imported.id).not.toBe(saved.id);
+    expect(imported.signature).toBe(saved.signature);
+    expect(recipes.list()).toHaveLength(2);
+  });
+});
+
+describe('CleaningRecipes: escolha e validação', () => {
+  const recipe = (id, headers, autoApply = true) => ({ id, headers, autoApply, steps: STEPS, signature: headerSignature(headers) });
+
+  it('prefere a mesma assinatura e aceita receitas com pelo menos metade das colunas', () => {
+    const exact = recipe('exata', ['Cliente', 'Status']);
+    const partial = recipe('parcial', ['Cliente', 'Status', 'Valor', 'Desconto']);
+
+    expect(findRecipe([partial, exact], ['status', 'CLIENTE']).id).toBe('exata');
+    expect(findRecipe([partial], ['Cliente', 'Status', 'Data']).id).toBe('parcial');
+    expect(findRecipe([partial], ['Cliente', 'Data'])).toBeNull();
+    expect(findRecipe([recipe('manual', ['Cliente', 'Status'], false)], ['Cliente', 'Status'])).toBeNull();
+  });
+
+  it('valida o JSON editado', () => {
+    expect(parseRecipe(['remove_duplicates'])).toEqual({
+      name: '', headers: [], steps: [{ action: 'remove_duplicates' }], autoApply: true,
+    });
+    expect(() => parseRecipe('{')).toThrow('Receita inválida: o conteúdo não é um JSON válido');
+    expect(() => parseRecipe({ steps: [] })).toThrow('Receita inválida: nenhuma etapa encontrada');
+    expect(() => parseRecipe({ steps: [{ action: 'apagar_tudo' }] })).toThrow('ação desconhecida na etapa 1 (apagar_tudo)');
+  });
+});
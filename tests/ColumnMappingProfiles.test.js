@@ -0,0 +1,79 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ColumnMappingProfiles, headerSignature, findProfile, matchProfileColumns } from '../src/modules/ColumnMappingProfiles.js';
+import { AnalysisPipeline } from '../src/modules/AnalysisPipeline.js';
+import { ColumnType } from '../src/types/enums.js';
+
+const HEADERS = ['Data da Venda', 'Código', 'Valor (R$)'];
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('ColumnMappingProfiles: assinatura dos cabeçalhos', () => {
+  it('ignora maiúsculas, acentos, pontuação e ordem das colunas', () => {
+    const signature = headerSignature(HEADERS);
+
+    expect(signature).toBe('codigo|data da venda|valor r');
+    expect(headerSignature(['VALOR R$', 'codigo', 'data_da_venda'])).toBe(signature);
+    expect(headerSignature(['Data da Venda', 'Código'])).not.toBe(signature);
+  });
+
+  it('encontra o perfil só quando todas as colunas coincidem', () => {
+    const profile = { id: 'p1', signature: headerSignature(HEADERS) };
+
+    expect(findProfile([profile], ['codigo', 'valor (r$)', 'DATA DA VENDA'])).toBe(profile);
+    expect(findProfile([profile], [...HEADERS, 'Vendedor'])).toBeNull();
+  });
+
+  it('renomeia os tipos e papéis do perfil para os cabeçalhos atuais', () => {
+    const profile = {
+      id: 'p1',
+      signature: headerSignature(HEADERS),
+      columnTypes: { Código: ColumnType.TEXT },
+      roles: { date: 'Data da Venda', value: 'Valor (R$)' },
+    };
+
+    expect(matchProfileColumns(profile, ['data_da_venda', 'CODIGO', 'valor r$'])).toMatchObject({
+      id: 'p1',
+      columnTypes: { CODIGO: ColumnType.TEXT },
+      roles: { date: 'data_da_venda', value: 'valor r$' },
+    });
+  });
+});
+
+describe('ColumnMappingProfiles: perfis salvos', () => {
+  it('substitui o perfil de mesma assinatura', () => {
+    const profiles = new ColumnMappingProfiles();
+    const first = profiles.save({ name: 'Vendas', headers: HEADERS, columnTypes: { Código: ColumnType.TEXT } });
+    const second = profiles.save({ name: '', headers: ['valor (r$)', 'codigo', 'data da venda'], roles: { value: 'valor (r$)' } });
+
+    expect(second.id).toBe(first.id);
+    expect(second.name).toBe('Vendas');
+    expect(profiles.list()).toHaveLength(1);
+    expect(profiles.findByHeaders(HEADERS).roles).toEqual({ value: 'valor (r$)' });
+
+    profiles.delete(first.id);
+    expect(profiles.findByHeaders(HEADERS)).toBeNull();
+  });
+
+  it('define os tipos das colunas no próximo upload do mesmo relatório', async () => {
+    const profile = new ColumnMappingProfiles().save({
+      name: 'Vendas',
+      headers: HEADERS,
+      columnTypes: { Código: ColumnType.TEXT, 'Valor (R$)': ColumnType.CURRENCY },
+    });
+    const data = Array.from({ length: 20 }, (_, index) => ({
+      'valor (r$)': 100 + index,
+      'Data da Venda': `2024-01-${String(index + 1).padStart(2, '0')}`,
+      codigo: 1000 + index,
+    }));
+
+    const result = await new AnalysisPipeline().run({ data, cleaningSteps: [], mappingProfiles: [profile] });
+    const typeOf = (name) => result.columnMetadata.find(col => col.name === name).type;
+
+    expect(result.mappingProfile).toEqual({ id: profile.id, name: 'Vendas' });
+    expect(typeOf('codigo')).toBe(ColumnType.TEXT);
+    expect(typeOf('valor (r$)')).toBe(ColumnType.CURRENCY);
+  });
+});
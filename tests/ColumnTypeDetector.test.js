@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { ColumnTypeDetector, LOW_CONFIDENCE } from '../src/modules/ColumnTypeDetector.js';
+import { ColumnType } from '../src/types/enums.js';
+
+const detector = new ColumnTypeDetector();
+const series = (length, value) => Array.from({ length }, (_, index) => value(index));
+const detect = (name, values, hint, override) => (
+  detector.detectColumnType(values.map(value => ({ [name]: value })), name, hint, override)
+);
+
+describe('ColumnTypeDetector: pontuação e confiança', () => {
+  it('confiança alta quando valores e nome concordam', () => {
+    const column = detect('email', series(30, i => `cliente${i}@exemplo.com.br`));
+
+    expect(column).toMatchObject({ type: ColumnType.EMAIL, lowConfidence: false });
+    expect(column.typeConfidence).toBeGreaterThan(0.9);
+  });
+
+  it('pontua todos os tipos, do mais provável ao menos provável, com confiança somando 1', () => {
+    const scores = detector.scoreTypes(series(30, i => (i * 13.5).toFixed(2)), 'valor');
+
+    expect(scores.map(item => item.type).slice(0, 2)).toEqual([ColumnType.CURRENCY, ColumnType.NUMBER]);
+    expect(scores.every((item, index) => index === 0 || item.score <= scores[index - 1].score)).toBe(true);
+    expect(scores.reduce((sum, item) => sum + item.confidence, 0)).toBeCloseTo(1);
+  });
+
+  it('marca baixa confiança quando dois tipos dividem a pontuação', () => {
+    // Números sequenciais em coluna "codigo": número ou código (SKU)
+    const column = detect('codigo', series(30, i => String(1000 + i)));
+
+    expect(column.typeConfidence).toBeLessThan(LOW_CONFIDENCE);
+    expect(column).toMatchObject({ type: ColumnType.NUMBER, lowConfidence: true, runnerUpType: ColumnType.SKU });
+    expect(column.typeScores[ColumnType.SKU]).toBe(column.runnerUpConfidence);
+  });
+
+  it('tipo escolhido pelo usuário vale mais que a detecção', () => {
+    const column = detect('valor', series(30, i => String(i)), null, ColumnType.TEXT);
+
+    expect(column).toMatchObject({
+      type: ColumnType.TEXT,
+      detectedType: ColumnType.CURRENCY,
+      typeOverride: true,
+      typeConfidence: 1,
+      lowConfidence: false,
+      runnerUpConfidence: null,
+    });
+  });
+
+  it('códigos de texto indicados pela origem não viram números', () => {
+    const column = detect('cfop', series(30, i => String(5100 + i)), { type: ColumnType.TEXT });
+
+    expect(column).toMatchObject({ type: ColumnType.TEXT, typeConfidence: 1, typeHint: ColumnType.TEXT });
+  });
+});
+
+describe('ColumnTypeDetector: durações', () => {
+  it('não trata números puros como duração só pelo nome da coluna', () => {
+    expect(detect('tempo_casa', series(30, i => (i % 12) + 1)).type).toBe(ColumnType.NUMBER);
+    expect(detect('tempo_entrega_dias', series(30, i => String((i % 9) + 2))).type).toBe(ColumnType.NUMBER);
+  });
+
+  it('não trata medidas com abreviações de uma letra como duração', () => {
+    expect(detect('distancia', series(30, i => `${i + 1}m`)).type).not.toBe(ColumnType.DURATION);
+    expect(detect('faturamento', series(30, i => `${(i % 9) + 1}s`)).type).not.toBe(ColumnType.DURATION);
+  });
+
+  it('reconhece valores com formato de duração', () => {
+    expect(detect('duracao', series(30, i => `0${i % 9}:${10 + i}`)).type).toBe(ColumnType.DURATION);
+    expect(detect('tempo_atendimento', series(30, i => `${(i % 5) + 1}h${10 + i}min`)).type).toBe(ColumnType.DURATION);
+  });
+
+  it('aceita números ao lado de valores com formato de duração', () => {
+    const values = series(30, i => (i % 2 ? `0${i % 9}:${10 + i}` : String(30 + i)));
+    expect(detect('duracao', values).type).toBe(ColumnType.DURATION);
+  });
+});
+
+describe('ColumnTypeDetector: coordenadas', () => {
+  it('aceita poucas casas decimais quando o nome da coluna indica coordenada', () => {
+    expect(detect('lat', series(30, i => (-22.91 + i / 100).toFixed(2))).type).toBe(ColumnType.LATITUDE);
+    expect(detect('lon', series(30, i => (-43.17 - i / 100).toFixed(2))).type).toBe(ColumnType.LONGITUDE);
+  });
+
+  it('não trata como coordenada valores fora da faixa', () => {
+    expect(detect('lat', series(30, i => (120.5 + i).toFixed(2))).type).not.toBe(ColumnType.LATITUDE);
+  });
+
+  it('sem nome de coordenada, números com duas casas continuam números', () => {
+    expect(detect('temperatura', series(30, i => (-22.91 + i / 100).toFixed(2))).type).toBe(ColumnType.NUMBER);
+  });
+});
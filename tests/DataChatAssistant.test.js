@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { DataChatAssistant } from '../src/modules/DataChatAssistant.js';
+import { ColumnType } from '../src/types/enums.js';
+
+const COLUMNS = [
+  { name: 'Data', type: ColumnType.DATE },
+  { name: 'Vendedor', type: ColumnType.EMPLOYEE },
+  { name: 'Valor', type: ColumnType.CURRENCY },
+];
+
+// Fevereiro (período pedido) contra janeiro (período anterior)
+function createAssistant(sales) {
+  const data = sales.flatMap(([seller, january, february]) => [
+    { Data: '2024-01-15', Vendedor: seller, Valor: january },
+    { Data: '2024-02-15', Vendedor: seller, Valor: february },
+  ]);
+  const assistant = new DataChatAssistant();
+  assistant.initialize(data, COLUMNS);
+  return assistant;
+}
+
+const growthPlan = (order) => ({
+  operation: 'growth',
+  groupBy: 'Vendedor',
+  metric: 'Valor',
+  aggregate: 'sum',
+  order,
+  limit: 5,
+  filters: [],
+  dateRange: { start: '2024-02-01T00:00:00', end: '2024-02-29T23:59:59', label: 'fevereiro de 2024' },
+});
+
+describe('DataChatAssistant.executeGrowth', () => {
+  it('anuncia o maior crescimento quando o líder cresceu', () => {
+    const answer = createAssistant([['Ana', 100, 150], ['Bruno', 100, 90]]).executePlan(growthPlan('desc'));
+    expect(answer.text).toMatch(/^Maior crescimento .*\*\*Ana\*\*/);
+  });
+
+  it('não fala em crescimento quando todos os grupos caíram', () => {
+    const answer = createAssistant([['Ana', 100, 80], ['Bruno', 100, 60]]).executePlan(growthPlan('desc'));
+    expect(answer.text).toMatch(/^Nenhum grupo cresceu\. Menor queda .*\*\*Ana\*\*/);
+    expect(answer.text).not.toContain('Maior crescimento');
+  });
+
+  it('não fala em queda quando todos os grupos cresceram', () => {
+    const answer = createAssistant([['Ana', 100, 120], ['Bruno', 100, 110]]).executePlan(growthPlan('asc'));
+    expect(answer.text).toMatch(/^Nenhum grupo caiu\. Menor crescimento .*\*\*Bruno\*\*/);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { DataValidator, CleaningAction, FillMethod, CaseMode } from '../src/modules/DataValidator.js';
+import { DateOrder } from '../src/modules/DialectDetector.js';
+import { ColumnType } from '../src/types/enums.js';
+
+function createRows() {
+  return [
+    { Cliente: '  ana  paula ', Cidade: 'rio de janeiro', Valor: '100' },
+    { Cliente: 'Bruno', Cidade: 'niterói', Valor: null },
+    { Cliente: 'Bruno', Cidade: 'niterói', Valor: null },
+    { Cliente: 'Carla', Cidade: 'RIO DE JANEIRO', Valor: '300' },
+  ];
+}
+
+const STEPS = [
+  { action: CleaningAction.TRIM, columns: ['Cliente'] },
+  { action: CleaningAction.REMOVE_DUPLICATES },
+  { action: CleaningAction.COERCE_TYPE, column: 'Valor', type: ColumnType.NUMBER },
+  { action: CleaningAction.FILL_NULL_VALUES, column: 'Valor', method: FillMethod.MEAN },
+];
+
+describe('DataValidator: pré-visualização da limpeza', () => {
+  it('resume cada etapa e mostra as linhas alteradas sem mudar os dados', () => {
+    const data = createRows();
+    const snapshot = JSON.parse(JSON.stringify(data));
+
+    const preview = new DataValidator().previewCleaning(data, STEPS);
+
+    expect(data).toEqual(snapshot);
+    expect(preview).toMatchObject({ rowCount: 3, removedRows: 1, columns: ['Cliente', 'Cidade', 'Valor'] });
+    expect(preview.steps).toEqual([
+      { description: 'Remover espaços extras de "Cliente"', changedRows: 1, removedRows: 0 },
+      { description: 'Remover linhas duplicadas', changedRows: 0, removedRows: 1 },
+      { description: 'Converter "Valor" para Número', changedRows: 2, removedRows: 0 },
+      { description: 'Preencher vazios de "Valor" com a média', changedRows: 1, removedRows: 0 },
+    ]);
+    // Número da linha na planilha (cabeçalho na linha 1)
+    expect(preview.changedRows.map(change => change.row)).toEqual([2, 3, 5]);
+    expect(preview.changedRows[0].before).toBe(data[0]);
+    // A origem da linha fica fora das colunas (não vai para o JSON)
+    expect(JSON.parse(JSON.stringify(preview.changedRows[0].after)))
+      .toEqual({ Cliente: 'ana paula', Cidade: 'rio de janeiro', Valor: 100 });
+    expect(preview.changedRows[1].after.Valor).toBe(200);
+  });
+
+  it('limita as linhas alteradas exibidas', () => {
+    const preview = new DataValidator().previewCleaning(createRows(), STEPS, 1);
+
+    expect(preview.changedRows).toHaveLength(1);
+  });
+
+  it('interrompe a pré-visualização em etapa inválida', () => {
+    const steps = [{ action: CleaningAction.NORMALIZE_CASE, column: 'Estado', mode: CaseMode.UPPER }];
+
+    expect(() => new DataValidator().previewCleaning(createRows(), steps)).toThrow('Coluna não encontrada: Estado');
+  });
+});
+
+describe('DataValidator: reaplicação de receitas', () => {
+  it('pula as etapas que não se aplicam e continua as seguintes', () => {
+    const steps = [
+      { action: CleaningAction.NORMALIZE_CASE, column: 'Estado', mode: CaseMode.UPPER },
+      { action: CleaningAction.NORMALIZE_CASE, column: 'Cidade', mode: CaseMode.TITLE },
+      { action: CleaningAction.CAP_OUTLIERS, column: 'Valor' },
+      { action: CleaningAction.REMOVE_DUPLICATES },
+    ];
+
+    const result = new DataValidator().replayCleaning(createRows(), steps);
+
+    expect(result.applied).toEqual([steps[1], steps[3]]);
+    expect(result.skipped).toEqual([
+      { step: steps[0], description: 'Converter "Estado" para MAIÚSCULAS', reason: 'Coluna não encontrada: Estado' },
+      {
+        step: steps[2],
+        description: 'Limitar outliers de "Valor" (IQR × 1,5)',
+        reason: 'Coluna "Valor" precisa de pelo menos 4 valores numéricos para limitar outliers',
+      },
+    ]);
+    expect(result.data.map(row => row.Cidade)).toEqual(['Rio De Janeiro', 'Niterói', 'Rio De Janeiro']);
+  });
+
+  it('aplica a mesma limpeza que cleanData quando todas as etapas se aplicam', () => {
+    const validator = new DataValidator();
+    const result = validator.replayCleaning(createRows(), STEPS);
+
+    expect(result.skipped).toEqual([]);
+    expect(result.data).toEqual(validator.cleanData(createRows(), STEPS));
+  });
+});
+
+describe('DataValidator: conversão para data', () => {
+  const toDate = { action: CleaningAction.COERCE_TYPE, column: 'Data', type: ColumnType.DATE };
+  const dates = rows => rows.map(row => row.Data);
+
+  it('lê datas curtas na ordem do dialeto detectado (padrão: dia/mês)', () => {
+    const rows = [{ Data: '05/01/2024' }, { Data: '12/31/2024' }];
+    const validator = new DataValidator();
+
+    expect(dates(validator.cleanData(rows, [toDate]))).toEqual(['2024-01-05', null]);
+    expect(dates(validator.cleanData(rows, [toDate], { dateOrder: DateOrder.MDY }))).toEqual(['2024-05-01', '2024-12-31']);
+  });
+
+  it('converte números em data só nas células de data do Excel', () => {
+    const rows = [{ Data: 45296 }, { Data: 2024 }];
+    const validator = new DataValidator();
+    const excel = { columnHints: { Data: { type: ColumnType.DATE, format: 'dd/mm/yyyy' } } };
+
+    expect(dates(validator.cleanData(rows, [toDate]))).toEqual([null, null]);
+    expect(dates(validator.cleanData(rows, [toDate], excel))).toEqual(['2024-01-05', '1905-07-16']);
+  });
+
+  it('a pré-visualização e a receita usam as mesmas opções', () => {
+    const rows = [{ Data: '01/25/2024' }];
+    const options = { dateOrder: DateOrder.MDY };
+    const validator = new DataValidator();
+
+    expect(validator.previewCleaning(rows, [toDate], 20, options).changedRows[0].after.Data).toBe('2024-01-25');
+    expect(dates(validator.replayCleaning(rows, [toDate], options).data)).toEqual(['2024-01-25']);
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import * as XLSX from 'xlsx';
+import { DataWorkspace } from '../src/modules/DataWorkspace.js';
+import { FileUploadManager } from '../src/modules/FileUploadManager.js';
+import { ExcelParser } from '../src/modules/ExcelParser.js';
+import { AnalysisPipeline } from '../src/modules/AnalysisPipeline.js';
+import { CombineMode, JoinType } from '../src/modules/DatasetCombiner.js';
+
+// O Node não tem FileReader: o FileUploadManager e o Papa Parse leem os arquivos por este substituto
+class NodeFileReader {
+  readAsText(blob, encoding) {
+    this.read(blob, buffer => new TextDecoder(encoding || 'utf-8').decode(buffer));
+  }
+
+  readAsArrayBuffer(blob) {
+    this.read(blob, buffer => buffer);
+  }
+
+  read(blob, convert) {
+    blob.arrayBuffer().then(buffer => {
+      this.result = convert(buffer);
+      this.onload({ target: this });
+    }, error => {
+      this.error = error;
+      this.onerror(error);
+    });
+  }
+}
+
+function workbookFile(name, rows) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Planilha1');
+  return new File([XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })], name);
+}
+
+const FILES = () => [
+  new File(['Pedido;Cliente;Valor\n1;Ana;100\n2;Bruno;200\n3;Carla;300\n'], 'vendas_jan.csv', { type: 'text/csv' }),
+  new File([JSON.stringify([{ pedido: 4, cliente: 'Ana', valor: 150 }])], 'vendas_fev.json', { type: 'application/json' }),
+  workbookFile('clientes.xlsx', [['Nome', 'Cidade'], ['Ana', 'Recife'], ['Bruno', 'Natal']]),
+];
+
+function createWorkspace() {
+  return new DataWorkspace({ uploadManager: new FileUploadManager(), excelParser: new ExcelParser(), xmlParser: null });
+}
+
+beforeAll(() => {
+  vi.stubGlobal('FileReader', NodeFileReader);
+});
+
+afterAll(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('DataWorkspace: arquivos', () => {
+  it('lê os cabeçalhos de cada formato e informa os arquivos com erro', async () => {
+    const workspace = createWorkspace();
+    const { added, errors } = await workspace.addFiles([...FILES(), new File(['x'], 'notas.txt')]);
+
+    expect(added.map(({ name, format, headers, rowCount }) => ({ name, format, headers, rowCount }))).toEqual([
+      { name: 'vendas_jan.csv', format: 'csv', headers: ['Pedido', 'Cliente', 'Valor'], rowCount: null },
+      { name: 'vendas_fev.json', format: 'json', headers: ['pedido', 'cliente', 'valor'], rowCount: 1 },
+      { name: 'clientes.xlsx', format: 'excel', headers: ['Nome', 'Cidade'], rowCount: 2 },
+    ]);
+    expect(added[0].input.dialect.delimiter).toBe(';');
+    expect(added[1].input.data).toEqual([{ pedido: 4, cliente: 'Ana', valor: 150 }]);
+    expect(errors).toEqual([{ name: 'notas.txt', error: expect.stringMatching(/Formato inválido/) }]);
+  });
+
+  it('exige dois arquivos e as chaves de cada consulta', async () => {
+    const workspace = createWorkspace();
+    const [csv, , xlsx] = FILES();
+    await workspace.addFiles([csv]);
+    expect(() => workspace.toPipelineInput()).toThrow('Adicione pelo menos dois arquivos');
+
+    await workspace.addFiles([xlsx]);
+    expect(() => workspace.toPipelineInput({ mode: CombineMode.JOIN })).toThrow('Escolha as colunas-chave de "clientes.xlsx"');
+  });
+});
+
+describe('DataWorkspace: linhagem no AnalysisPipeline', () => {
+  it('empilha os arquivos conciliando as colunas e registra a origem das linhas', async () => {
+    const workspace = createWorkspace();
+    const [csv, json] = FILES();
+    await workspace.addFiles([csv, json]);
+
+    const result = await new AnalysisPipeline().run({ ...workspace.toPipelineInput({ mode: CombineMode.APPEND }), cleaningSteps: [] });
+
+    // O CSV chega como texto; o JSON mantém os números
+    expect(result.data.map(row => [row.Pedido, row.Arquivo])).toEqual([
+      ['1', 'vendas_jan.csv'], ['2', 'vendas_jan.csv'], ['3', 'vendas_jan.csv'], [4, 'vendas_fev.json'],
+    ]);
+    expect(result.source).toMatchObject({ kind: 'files', mode: CombineMode.APPEND });
+    expect(result.source.lineage[1]).toMatchObject({
+      name: 'vendas_fev.json',
+      rows: 1,
+      firstRow: 4,
+      lastRow: 4,
+      renamed: [{ from: 'pedido', to: 'Pedido' }, { from: 'cliente', to: 'Cliente' }, { from: 'valor', to: 'Valor' }],
+    });
+  });
+
+  it('cruza o arquivo principal com a consulta pela chave escolhida', async () => {
+    const workspace = createWorkspace();
+    const [csv, , xlsx] = FILES();
+    await workspace.addFiles([xlsx, csv]);
+    const [clients, sales] = workspace.getEntries();
+
+    const input = workspace.toPipelineInput({
+      mode: CombineMode.JOIN,
+      mainId: sales.id,
+      keys: { [clients.id]: { leftKey: 'Cliente', rightKey: 'Nome' } },
+      type: JoinType.INNER,
+    });
+    const result = await new AnalysisPipeline().run({ ...input, cleaningSteps: [] });
+
+    expect(input.files.map(file => file.name)).toEqual(['vendas_jan.csv', 'clientes.xlsx']);
+    expect(result.data.map(row => [row.Cliente, row.Cidade])).toEqual([['Ana', 'Recife'], ['Bruno', 'Natal']]);
+    expect(result.source.lineage).toEqual([
+      { name: 'vendas_jan.csv', role: 'principal', rows: 3, columns: ['Pedido', 'Cliente', 'Valor'] },
+      { name: 'clientes.xlsx', role: 'consulta', rows: 2, key: 'Cliente = Nome', matched: 2, unmatched: 1, columns: ['Cidade'] },
+    ]);
+  });
+});
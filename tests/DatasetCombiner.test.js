@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import { DatasetCombiner, JoinType } from '../src/modules/DatasetCombiner.js';
+
+const JAN = {
+  name: 'Jan',
+  data: [
+    { Produto: 'Mouse', 'Valor Total': 50 },
+    { Produto: 'Teclado', 'Valor Total': 120 },
+  ],
+};
+const FEV = {
+  name: 'Fev',
+  data: [{ produto: 'Monitor', valor_total: 900, Vendedor: 'Ana' }],
+};
+
+const SALES = {
+  name: 'Vendas',
+  data: [
+    { Pedido: 1, Cliente: 'Ana', Valor: 100 },
+    { Pedido: 2, Cliente: ' BRUNO ', Valor: 200 },
+    { Pedido: 3, Cliente: 'Carla', Valor: 300 },
+    { Pedido: 4, Cliente: null, Valor: 400 },
+  ],
+};
+const CLIENTS = {
+  name: 'Clientes',
+  data: [
+    { Nome: 'Ana', Cidade: 'Recife', Valor: 'limite 5000' },
+    { Nome: 'Bruno', Cidade: 'Natal' },
+    { Nome: 'ana', Cidade: 'Olinda' },
+    { Nome: '', Cidade: 'Sem nome' },
+  ],
+};
+
+describe('DatasetCombiner.append', () => {
+  it('une as colunas das tabelas e deixa null as ausentes', () => {
+    const { data, columns, lineage } = new DatasetCombiner().append([JAN, FEV]);
+
+    expect(columns).toEqual(['Produto', 'Valor Total', 'produto', 'valor_total', 'Vendedor', 'Origem']);
+    expect(data[2]).toEqual({ Produto: null, 'Valor Total': null, produto: 'Monitor', valor_total: 900, Vendedor: 'Ana', Origem: 'Fev' });
+    expect(lineage[0]).toEqual({
+      name: 'Jan', rows: 2, firstRow: 1, lastRow: 2, renamed: [], missing: ['produto', 'valor_total', 'Vendedor'],
+    });
+  });
+
+  it('concilia colunas de nomes equivalentes com o nome da primeira tabela', () => {
+    const { data, columns, lineage } = new DatasetCombiner().append([JAN, FEV], { reconcile: true, sourceColumn: 'Arquivo' });
+
+    expect(columns).toEqual(['Produto', 'Valor Total', 'Vendedor', 'Arquivo']);
+    expect(data.map(row => row['Valor Total'])).toEqual([50, 120, 900]);
+    expect(data[0].Vendedor).toBeNull();
+    expect(lineage[1]).toEqual({
+      name: 'Fev',
+      rows: 1,
+      firstRow: 3,
+      lastRow: 3,
+      renamed: [{ from: 'produto', to: 'Produto' }, { from: 'valor_total', to: 'Valor Total' }],
+      missing: [],
+    });
+  });
+});
+
+describe('DatasetCombiner.join', () => {
+  const options = { leftKey: 'Cliente', rightKey: 'Nome' };
+
+  it('left: mantém as linhas sem correspondência e usa a primeira ocorrência da chave repetida', () => {
+    const { data, columns, stats } = new DatasetCombiner().join(SALES, CLIENTS, options);
+
+    expect(columns).toEqual(['Pedido', 'Cliente', 'Valor', 'Cidade', 'Valor (Clientes)']);
+    expect(data.map(row => row.Cidade)).toEqual(['Recife', 'Natal', null, null]);
+    expect(data[0]['Valor (Clientes)']).toBe('limite 5000');
+    expect(data[1]['Valor (Clientes)']).toBeNull();
+    expect(stats).toEqual({ matched: 2, unmatched: 2, duplicateKeys: 1 });
+  });
+
+  it('inner: descarta as linhas sem correspondência ou com chave vazia', () => {
+    const { data, stats } = new DatasetCombiner().join(SALES, CLIENTS, { ...options, type: JoinType.INNER });
+
+    expect(data.map(row => row.Pedido)).toEqual([1, 2]);
+    expect(stats).toEqual({ matched: 2, unmatched: 2, duplicateKeys: 1 });
+  });
+
+  it('valida as colunas-chave', () => {
+    const combiner = new DatasetCombiner();
+
+    expect(() => combiner.join(SALES, CLIENTS, { leftKey: 'Cliente' })).toThrow(/coluna-chave/);
+    expect(() => combiner.join(SALES, CLIENTS, { leftKey: 'Cliente', rightKey: 'Email' }))
+      .toThrow('Coluna "Email" não encontrada em "Clientes"');
+  });
+
+  it('joinAll registra a linhagem de cada consulta', () => {
+    const regions = { name: 'Regiões', data: [{ Cidade: 'Recife', Região: 'Nordeste' }] };
+    const { data, lineage } = new DatasetCombiner().joinAll(SALES, [
+      { dataset: CLIENTS, ...options },
+      { dataset: regions, leftKey: 'Cidade', rightKey: 'Cidade' },
+    ]);
+
+    expect(data[0]).toMatchObject({ Pedido: 1, Cidade: 'Recife', Região: 'Nordeste' });
+    expect(lineage).toEqual([
+      { name: 'Vendas', role: 'principal', rows: 4, columns: ['Pedido', 'Cliente', 'Valor'] },
+      { name: 'Clientes', role: 'consulta', rows: 4, key: 'Cliente = Nome', matched: 2, unmatched: 2, columns: ['Cidade', 'Valor (Clientes)'] },
+      { name: 'Regiões', role: 'consulta', rows: 1, key: 'Cidade = Cidade', matched: 1, unmatched: 3, columns: ['Região'] },
+    ]);
+  });
+
+  it('sugere chaves pelos nomes equivalentes', () => {
+    expect(new DatasetCombiner().suggestJoinKeys(['Código Cliente', 'Valor'], ['codigo_cliente', 'Nome']))
+      .toEqual([{ leftKey: 'Código Cliente', rightKey: 'codigo_cliente' }]);
+  });
+});
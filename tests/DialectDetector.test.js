@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { DialectDetector, DateOrder, parseLocaleNumber, createValueTransform } from '../src/modules/DialectDetector.js';
+
+const detector = new DialectDetector();
+const detect = text => detector.detect(new TextEncoder().encode(text));
+
+describe('DialectDetector: delimitador', () => {
+  it('detecta ponto e vírgula, vírgula e tabulação', () => {
+    expect(detect('Produto;Valor;Data\nMouse;10,50;05/01/2024\nTeclado;120,00;06/01/2024\n').delimiter).toBe(';');
+    expect(detect('Produto,Valor,Data\nMouse,10.50,2024-01-05\nTeclado,120.00,2024-01-06\n').delimiter).toBe(',');
+    expect(detect('Produto\tValor\tData\nMouse\t10,50\t05/01/2024\nTeclado\t120,00\t06/01/2024\n').delimiter).toBe('\t');
+  });
+
+  it('não confunde a vírgula decimal com o delimitador', () => {
+    const dialect = detect('Produto;Valor\nMouse;10,50\nTeclado;1.234,56\nMonitor;899,90\n');
+
+    expect(dialect).toMatchObject({ delimiter: ';', decimalSeparator: ',', thousandsSeparator: '.' });
+  });
+});
+
+describe('DialectDetector: números', () => {
+  it('distingue vírgula decimal de ponto de milhar', () => {
+    expect(detector.detectDecimalSeparator(['1.234,56', '10,5', '3'], ',')).toBe(',');
+    expect(detector.detectDecimalSeparator(['1,234.56', '10.5', '3'], ';')).toBe('.');
+    // "1.234.567" só pode ser milhar
+    expect(detector.detectDecimalSeparator(['1.234.567', '2.000.000'], ',')).toBe(',');
+    // Sem valores decisivos, segue o delimitador
+    expect(detector.detectDecimalSeparator(['1.234', '10'], ';')).toBe(',');
+    expect(detector.detectDecimalSeparator(['1.234', '10'], ',')).toBe('.');
+  });
+
+  it('converte textos numéricos em número', () => {
+    expect(parseLocaleNumber('R$ 1.234,56')).toBe(1234.56);
+    expect(parseLocaleNumber('1,234.56')).toBe(1234.56);
+    expect(parseLocaleNumber('10,5')).toBe(10.5);
+    expect(parseLocaleNumber('1.234.567')).toBe(1234567);
+    expect(parseLocaleNumber('-R$ 10')).toBe(-10);
+    expect(parseLocaleNumber('50%')).toBe(50);
+    expect(parseLocaleNumber('1.234', ',')).toBe(1234);
+    expect(parseLocaleNumber('1.234', '.')).toBe(1.234);
+  });
+
+  it('recusa valores que só começam com número', () => {
+    expect(parseLocaleNumber('12abc')).toBeNull();
+    expect(parseLocaleNumber('2024-01-05')).toBeNull();
+    expect(parseLocaleNumber('10 unidades')).toBeNull();
+    expect(parseLocaleNumber('')).toBeNull();
+  });
+});
+
+describe('DialectDetector: datas', () => {
+  it('detecta dia/mês ou mês/dia pelo valor acima de 12', () => {
+    expect(detector.detectDateOrder(['05/01/2024', '25/01/2024'], '.')).toBe(DateOrder.DMY);
+    expect(detector.detectDateOrder(['01/05/2024', '01/25/2024'], ',')).toBe(DateOrder.MDY);
+    expect(detector.detectDateOrder(['2024-01-05'], ',')).toBe(DateOrder.YMD);
+  });
+
+  it('sem datas decisivas, segue o separador decimal', () => {
+    expect(detector.detectDateOrder(['05/01/2024'], ',')).toBe(DateOrder.DMY);
+    expect(detector.detectDateOrder(['05/01/2024'], '.')).toBe(DateOrder.MDY);
+  });
+
+  it('normaliza datas e números com o dialeto', () => {
+    const brazilian = createValueTransform({ decimalSeparator: ',', dateOrder: DateOrder.DMY });
+    const american = createValueTransform({ decimalSeparator: '.', dateOrder: DateOrder.MDY });
+
+    expect(brazilian('05/01/2024')).toBe('2024-01-05');
+    expect(american('05/01/2024')).toBe('2024-05-01');
+    expect(brazilian('R$ 1.234,56')).toBe('1234.56');
+    expect(american('1,234.56')).toBe('1234.56');
+    expect(brazilian('')).toBeNull();
+  });
+});
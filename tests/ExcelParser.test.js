@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import * as XLSX from 'xlsx';
+import { ExcelParser } from '../src/modules/ExcelParser.js';
+import { ColumnType } from '../src/types/enums.js';
+
+// Relatório com título, cabeçalho em dois níveis (Vendas e Custos mesclados) e total no fim
+const REPORT = [
+  ['Relatório de Vendas 2024', null, null, null, null],
+  ['Emitido em: 01/02/2024', null, null, null, null],
+  ['Produto', 'Vendas', null, 'Custos', null],
+  [null, 'Qtd', 'Valor', 'Qtd', 'Valor'],
+  ['Mouse', 10, 500, 10, 300],
+  ['Teclado', 5, 600, 5, 350],
+  ['Monitor', 2, 1800, 2, 1200],
+  ['Total', 17, 2900, 17, 1850],
+  ['Fonte: ERP', null, null, null, null],
+];
+
+function workbook(sheets) {
+  const book = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([name, sheet]) => XLSX.utils.book_append_sheet(book, sheet, name));
+  return XLSX.write(book, { type: 'array', bookType: 'xlsx' });
+}
+
+function reportSheet() {
+  const sheet = XLSX.utils.aoa_to_sheet(REPORT);
+  sheet['!merges'] = [
+    { s: { r: 0, c: 0 }, e: { r: 0, c: 4 } },
+    { s: { r: 2, c: 0 }, e: { r: 3, c: 0 } },
+    { s: { r: 2, c: 1 }, e: { r: 2, c: 2 } },
+    { s: { r: 2, c: 3 }, e: { r: 2, c: 4 } },
+  ];
+  return sheet;
+}
+
+// Lançamentos com uma linha oculta, um subtotal por fórmula e valores em reais
+function entriesSheet() {
+  const sheet = XLSX.utils.aoa_to_sheet([
+    ['Data', 'Cliente', 'Valor'],
+    [new Date(Date.UTC(2024, 0, 5)), 'Ana', 100],
+    [new Date(Date.UTC(2024, 0, 6)), 'Bruno', 200],
+    [new Date(Date.UTC(2024, 0, 7)), 'Carla', 300],
+    [null, 'Subtotal Janeiro', 600],
+    [new Date(Date.UTC(2024, 1, 1)), 'Diego', 400],
+  ], { cellDates: true });
+  sheet.C5 = { t: 'n', v: 600, f: 'SUBTOTAL(9,C2:C4)' };
+  ['C2', 'C3', 'C4', 'C5', 'C6'].forEach(address => { sheet[address].z = 'R$ #,##0.00'; });
+  sheet['!rows'] = [null, null, { hidden: true }];
+  return sheet;
+}
+
+function parse(sheet, options = {}) {
+  const parser = new ExcelParser(options);
+  parser.readWorkbook(workbook({ Planilha: sheet }));
+  return parser.processSheet('Planilha');
+}
+
+describe('ExcelParser: layout da planilha', () => {
+  it('pula os títulos e achata o cabeçalho em dois níveis', () => {
+    const result = parse(reportSheet());
+
+    expect(result.titleRows).toEqual(['Relatório de Vendas 2024', 'Emitido em: 01/02/2024']);
+    expect(result.headerRowCount).toBe(2);
+    expect(result.headers).toEqual(['Produto', 'Vendas - Qtd', 'Vendas - Valor', 'Custos - Qtd', 'Custos - Valor']);
+  });
+
+  it('remove a linha de total e a nota de rodapé', () => {
+    const result = parse(reportSheet());
+
+    expect(result.footerRowCount).toBe(2);
+    expect(result.data.map(row => row.Produto)).toEqual(['Mouse', 'Teclado', 'Monitor']);
+    expect(result.data[0]).toMatchObject({ 'Vendas - Valor': '500', 'Custos - Valor': '300' });
+  });
+
+  it('lista a aba com os mesmos cabeçalhos sem processar os dados', () => {
+    const [sheet] = new ExcelParser().listSheets(workbook({ Relatorio: reportSheet() }));
+
+    expect(sheet.name).toBe('Relatorio');
+    expect(sheet.headers).toEqual(['Produto', 'Vendas - Qtd', 'Vendas - Valor', 'Custos - Qtd', 'Custos - Valor']);
+  });
+});
+
+describe('ExcelParser: linhas ocultas, subtotais e formatos', () => {
+  it('mantém todas as linhas com as opções desligadas', () => {
+    const result = parse(entriesSheet());
+
+    expect(result.data.map(row => row.Cliente)).toEqual(['Ana', 'Bruno', 'Carla', 'Subtotal Janeiro', 'Diego']);
+    expect(result.excludedRows).toEqual({ hidden: 0, subtotal: 0 });
+  });
+
+  it('ignora a linha oculta e o subtotal quando as opções estão ligadas', () => {
+    const result = parse(entriesSheet(), { excludeHiddenRows: true, excludeSubtotalRows: true });
+
+    expect(result.data.map(row => row.Cliente)).toEqual(['Ana', 'Carla', 'Diego']);
+    expect(result.excludedRows).toEqual({ hidden: 1, subtotal: 1 });
+  });
+
+  it('usa o formato das células como indício de tipo', () => {
+    const result = parse(entriesSheet());
+
+    expect(result.columnFormats.Valor).toEqual({ type: ColumnType.CURRENCY, format: 'R$ #,##0.00', formulaCount: 1 });
+    expect(result.columnFormats.Data.type).toBe(ColumnType.DATE);
+    expect(result.columnFormats.Cliente).toBeUndefined();
+    expect(result.data[0].Data).toBe('2024-01-05');
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { FileUploadManager } from '../src/modules/FileUploadManager.js';
+import { DialectDetector } from '../src/modules/DialectDetector.js';
+import { AnalysisPipeline } from '../src/modules/AnalysisPipeline.js';
+import { ColumnType } from '../src/types/enums.js';
+
+// Intervalo copiado do Excel em português: tabulação entre as colunas, vírgula decimal e CRLF
+const PASTED = 'Produto\tValor\tData\r\nMouse\t10,50\t05/01/2024\r\nTeclado\t1.234,56\t06/01/2024\r\nMonitor\t899,90\t07/01/2024\r\n';
+
+// O Node não tem FileReader: o Papa Parse lê cada fatia do Blob por este substituto
+class NodeFileReader {
+  readAsText(blob, encoding) {
+    blob.arrayBuffer().then(buffer => {
+      this.result = new TextDecoder(encoding || 'utf-8').decode(buffer);
+      this.onload({ target: this });
+    }, error => {
+      this.error = error;
+      this.onerror(error);
+    });
+  }
+}
+
+beforeAll(() => {
+  vi.stubGlobal('FileReader', NodeFileReader);
+});
+
+afterAll(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('FileUploadManager: dados colados', () => {
+  it('transforma o texto colado em um arquivo TSV lido em blocos', async () => {
+    const manager = new FileUploadManager();
+    const file = manager.createPastedFile(PASTED);
+    const upload = await manager.uploadFile(file);
+
+    expect(file.name).toBe('dados-colados.tsv');
+    expect(upload).toMatchObject({ success: true, format: 'csv', streaming: true });
+    expect(upload.data).toBe(file);
+  });
+
+  it('detecta a tabulação e a vírgula decimal e analisa as linhas coladas', async () => {
+    const file = new FileUploadManager().createPastedFile(PASTED);
+    const dialect = await new DialectDetector().detectFile(file);
+
+    expect(dialect).toMatchObject({ delimiter: '\t', decimalSeparator: ',' });
+
+    const result = await new AnalysisPipeline().run({ format: 'csv', payload: file, dialect, cleaningSteps: [] });
+
+    expect(result.data).toEqual([
+      { Produto: 'Mouse', Valor: '10.50', Data: '2024-01-05' },
+      { Produto: 'Teclado', Valor: '1234.56', Data: '2024-01-06' },
+      { Produto: 'Monitor', Valor: '899.90', Data: '2024-01-07' },
+    ]);
+    expect(result.columnMetadata.find(column => column.name === 'Data').type).toBe(ColumnType.DATE);
+  });
+});
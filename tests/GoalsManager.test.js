@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { GoalsManager, kpiValuesById } from '../src/modules/GoalsManager.js';
+import { actionToGoalConfig } from '../src/modules/ActionPlanSchema.js';
+import { AnalysisPipeline } from '../src/modules/AnalysisPipeline.js';
+
+const ROWS = Array.from({ length: 40 }, (_, index) => ({
+  Data: `2024-0${(index % 9) + 1}-1${index % 9}`,
+  Produto: ['Notebook', 'Mouse', 'Teclado'][index % 3],
+  Valor: 100 + index * 10,
+}));
+
+describe('kpiValuesById', () => {
+  it('usa o id do KPI e o valor numérico em vez do texto formatado', () => {
+    const values = kpiValuesById([
+      { id: 'total_Valor', value: 'R$ 1.234,56', rawValue: 1234.56 },
+      { id: 'total_records', value: 40 },
+      { id: 'top_product', value: 'Notebook' },
+    ]);
+
+    expect(values).toEqual({ total_Valor: 1234.56, total_records: 40 });
+  });
+});
+
+describe('metas criadas a partir de ações da IA', () => {
+  it('acompanham o valor do KPI escolhido em kpi.metric', async () => {
+    const { analytics } = await new AnalysisPipeline().run({ data: ROWS, cleaningSteps: [] });
+    const total = analytics.kpis.find(kpi => kpi.id === 'total_Valor');
+    expect(total).toBeDefined();
+
+    const goals = new GoalsManager();
+    const goal = goals.createGoal(actionToGoalConfig({
+      title: 'Aumentar a receita',
+      owner: 'Comercial',
+      deadline: '2030-12-31',
+      priority: 'high',
+      expectedImpact: 'Receita 10% maior',
+      kpi: { name: 'Receita total', metric: 'total_Valor', target: total.rawValue * 2, unit: 'revenue' },
+    }, new Date('2030-01-01')));
+
+    const [result] = goals.calculateGoalsProgress(ROWS, kpiValuesById(analytics.kpis));
+
+    expect(result.goal.id).toBe(goal.id);
+    expect(result.goal.current).toBe(total.rawValue);
+    expect(result.goal.progress).toBeCloseTo(50);
+  });
+});
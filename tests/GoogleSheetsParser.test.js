@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'node:http';
+import * as XLSX from 'xlsx';
+import { GoogleSheetsParser } from '../src/modules/GoogleSheetsParser.js';
+
+const SPREADSHEET_ID = 'planilha-teste';
+const URL_PLANILHA = `https://docs.google.com/spreadsheets/d/${SPREADSHEET_ID}/edit#gid=0`;
+
+// Abas servidas pelo servidor local (a aba "Vazia" não tem linhas)
+const SHEETS = {
+  Vendas: [['Produto', 'Valor'], ['Mouse', 50], ['Teclado', 120], ['Monitor', 900]],
+  Metas: [['Mes', 'Meta'], ['2024-01', 1000]],
+  Vazia: [],
+};
+
+function buildWorkbook() {
+  const workbook = XLSX.utils.book_new();
+  Object.entries(SHEETS).forEach(([name, rows]) => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name);
+  });
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+// Responde nos mesmos caminhos do Google Sheets: /{id}/export?format=xlsx e /{id}/gviz/tq?sheet=
+let server;
+let baseUrl;
+let sales = SHEETS.Vendas;
+
+beforeAll(async () => {
+  const workbook = buildWorkbook();
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === `/${SPREADSHEET_ID}/export` && url.searchParams.get('format') === 'xlsx') {
+      res.writeHead(200, { 'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+      res.end(workbook);
+      return;
+    }
+    const name = url.searchParams.get('sheet');
+    if (url.pathname === `/${SPREADSHEET_ID}/gviz/tq` && SHEETS[name]) {
+      const rows = name === 'Vendas' ? sales : SHEETS[name];
+      res.writeHead(200, { 'Content-Type': 'text/csv' });
+      res.end(rows.map(row => row.join(',')).join('\n'));
+      return;
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+describe('GoogleSheetsParser: abas', () => {
+  it('descobre as abas com dados pela exportação XLSX', async () => {
+    const sheets = await new GoogleSheetsParser({ baseUrl }).listSheets(URL_PLANILHA);
+
+    expect(sheets).toEqual([
+      { name: 'Vendas', headers: ['Produto', 'Valor'], rowCount: 3 },
+      { name: 'Metas', headers: ['Mes', 'Meta'], rowCount: 1 },
+    ]);
+  });
+
+  it('importa as abas escolhidas como CSV', async () => {
+    const result = await new GoogleSheetsParser({ baseUrl }).importSheets(URL_PLANILHA, ['Vendas', 'Metas']);
+
+    expect(result.success).toBe(true);
+    expect(result.sheets.map(sheet => sheet.name)).toEqual(['Vendas', 'Metas']);
+    expect(result.sheets[0].data[1]).toEqual({ Produto: 'Teclado', Valor: 120 });
+    expect(result.metadata).toMatchObject({ spreadsheetId: SPREADSHEET_ID, rowCount: 4 });
+  });
+
+  it('informa o erro de planilha não encontrada', async () => {
+    const parser = new GoogleSheetsParser({ baseUrl });
+    const result = await parser.importSheets(URL_PLANILHA.replace(SPREADSHEET_ID, 'outra'), ['Vendas']);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/não encontrada/);
+    await expect(parser.listSheets('https://exemplo.com/planilha')).rejects.toThrow(/URL inválida/);
+  });
+});
+
+describe('GoogleSheetsParser: atualização', () => {
+  it('compara a nova importação com a anterior', async () => {
+    const parser = new GoogleSheetsParser({ baseUrl });
+    const previous = (await parser.importSheets(URL_PLANILHA, ['Vendas'])).sheets[0].data;
+
+    sales = [['Produto', 'Valor'], ['Mouse', 50], ['Teclado', 150], ['Monitor', 900], ['Webcam', 300]];
+    const current = (await parser.importSheets(URL_PLANILHA, ['Vendas'])).sheets[0].data;
+    sales = SHEETS.Vendas;
+
+    expect(parser.diffRows(previous, current)).toEqual({
+      added: [{ Produto: 'Teclado', Valor: 150 }, { Produto: 'Webcam', Valor: 300 }],
+      removed: [{ Produto: 'Teclado', Valor: 120 }],
+      unchanged: 2,
+    });
+  });
+
+  it('conta linhas repetidas uma a uma e ignora a ordem das colunas', () => {
+    const parser = new GoogleSheetsParser();
+    const row = { Produto: 'Mouse', Valor: 50 };
+
+    expect(parser.diffRows([row, row], [{ Valor: 50, Produto: 'Mouse' }])).toEqual({
+      added: [],
+      removed: [row],
+      unchanged: 1,
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, vi } from 'vitest';
+import { JSONParser } from '../src/modules/JSONParser.js';
+
+const ORDERS = {
+  loja: { nome: 'Centro' },
+  dados: {
+    pedidos: [
+      {
+        id: 1,
+        cliente: { nome: 'Ana', endereco: { cidade: 'Recife' } },
+        tags: ['novo', 'vip'],
+        itens: [{ produto: 'Mouse', valor: 50 }, { produto: 'Teclado', valor: 120 }],
+      },
+      { id: 2, cliente: { nome: 'Bruno' }, tags: [], itens: [] },
+    ],
+  },
+};
+
+describe('JSONParser: JSON Lines', () => {
+  it('lê um objeto por linha, ignorando linhas em branco', async () => {
+    const result = await new JSONParser().parseJSON('{"id": 1, "valor": 10}\n\n{"id": 2, "valor": 20}\r\n');
+
+    expect(result.success).toBe(true);
+    expect(result.metadata.format).toBe('ndjson');
+    expect(result.data).toEqual([{ id: 1, valor: 10 }, { id: 2, valor: 20 }]);
+  });
+
+  it('informa a linha inválida', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const result = await new JSONParser().parseJSON('{"id": 1}\n{"id": 2,}\n{"id": 3}');
+    error.mockRestore();
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/^JSON inválido na linha 2:/);
+  });
+});
+
+describe('JSONParser: caminho dos registros', () => {
+  it('encontra o primeiro array de objetos e lista os arrays filhos', () => {
+    const parser = new JSONParser();
+    const arrays = parser.listArrays(ORDERS);
+
+    expect(arrays.map(({ path, count, parent, column }) => ({ path, count, parent, column }))).toEqual([
+      { path: '$.dados.pedidos', count: 2, parent: null, column: null },
+      { path: '$.dados.pedidos[*].itens', count: 2, parent: '$.dados.pedidos', column: 'itens' },
+    ]);
+    expect(arrays[0].childArrays).toEqual([{ column: 'itens', count: 2 }]);
+  });
+
+  it('segue o caminho com ponto, [*] e índices', async () => {
+    const parser = new JSONParser();
+
+    const result = await parser.parseJSON(JSON.stringify(ORDERS), { path: '$.dados.pedidos[*].itens' });
+    expect(result.metadata.path).toBe('$.dados.pedidos[*].itens');
+    expect(result.data.map(row => row.produto)).toEqual(['Mouse', 'Teclado']);
+
+    expect(parser.selectPath(ORDERS, "$['dados'].pedidos[1]")).toEqual([ORDERS.dados.pedidos[1]]);
+    expect(() => parser.selectPath(ORDERS, '$.dados..pedidos')).toThrow('Caminho inválido: $.dados..pedidos');
+    expect(() => parser.selectPath(ORDERS, '$.loja.filiais')).toThrow('Nenhum registro encontrado em $.loja.filiais');
+  });
+});
+
+describe('JSONParser: achatamento', () => {
+  it('transforma objetos aninhados em colunas com ponto e completa as ausentes', async () => {
+    const result = await new JSONParser().parseJSON(ORDERS);
+
+    expect(result.metadata.path).toBe('$.dados.pedidos');
+    expect(result.data).toEqual([
+      {
+        id: 1,
+        'cliente.nome': 'Ana',
+        'cliente.endereco.cidade': 'Recife',
+        tags: 'novo, vip',
+        itens: JSON.stringify(ORDERS.dados.pedidos[0].itens),
+      },
+      { id: 2, 'cliente.nome': 'Bruno', 'cliente.endereco.cidade': null, tags: '', itens: '' },
+    ]);
+  });
+
+  it('expande o array filho em uma linha por item, mantendo o pedido sem itens', async () => {
+    const result = await new JSONParser().parseJSON(ORDERS, { explode: ['itens'] });
+
+    expect(result.data.map(row => [row.id, row['cliente.nome'], row['itens.produto'], row['itens.valor']])).toEqual([
+      [1, 'Ana', 'Mouse', 50],
+      [1, 'Ana', 'Teclado', 120],
+      [2, 'Bruno', null, null],
+    ]);
+    expect(result.metadata.explode).toEqual(['itens']);
+  });
+});
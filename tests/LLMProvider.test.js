@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { createLLMProvider, OpenAICompatibleProvider, OllamaProvider, AnthropicProvider } from '../src/modules/LLMProvider.js';
+
+// Servidor mock (scripts/mock-llm-server.js) em porta própria, sem atraso no streaming
+const PORT = 18787;
+const API_URL = `http://localhost:${PORT}`;
+const SERVER = fileURLToPath(new URL('../scripts/mock-llm-server.js', import.meta.url));
+
+const MESSAGES = [
+  { role: 'system', content: 'Responda em português.' },
+  { role: 'user', content: 'Você é um ANALISTA DE RISCOS. Clientes: CLIENTE_001, CLIENTE_002.' },
+];
+
+const PROTOCOLS = [
+  { protocol: 'openai', apiUrl: API_URL, ProviderClass: OpenAICompatibleProvider },
+  { protocol: 'ollama', apiUrl: API_URL, ProviderClass: OllamaProvider },
+  { protocol: 'anthropic', apiUrl: API_URL, ProviderClass: AnthropicProvider },
+];
+
+let server;
+
+beforeAll(async () => {
+  server = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, MOCK_LLM_PORT: String(PORT), MOCK_LLM_DELAY: '0' },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.once('exit', code => reject(new Error(`Servidor mock encerrou (código ${code})`)));
+    server.stdout.on('data', chunk => {
+      if (String(chunk).includes('ouvindo')) resolve();
+    });
+  });
+});
+
+afterAll(() => {
+  server?.kill();
+});
+
+describe('LLMProvider: montagem das requisições', () => {
+  it('usa o protocolo do preset e completa os campos ausentes', () => {
+    const provider = createLLMProvider({ name: 'ollama' });
+    expect(provider).toBeInstanceOf(OllamaProvider);
+    expect(provider.apiUrl).toBe('http://localhost:11434');
+    expect(provider.isConfigured()).toBe(true);
+
+    expect(createLLMProvider({ name: 'deepseek' }).isConfigured()).toBe(false);
+    expect(() => createLLMProvider({ name: 'x', protocol: 'soap' })).toThrow(/não suportado/);
+  });
+
+  it('OpenAI: token no Authorization e modo JSON por response_format', () => {
+    const provider = createLLMProvider({ name: 'openai', apiKey: 'chave' });
+    const request = provider.buildRequest(MESSAGES, { json: true, maxTokens: 500 });
+
+    expect(request.url).toBe('https://api.openai.com/v1/chat/completions');
+    expect(request.headers.Authorization).toBe('Bearer chave');
+    expect(request.body).toMatchObject({ messages: MESSAGES, max_tokens: 500, response_format: { type: 'json_object' } });
+  });
+
+  it('Ollama: janela de contexto e schema JSON em format', () => {
+    const schema = { type: 'object' };
+    const request = createLLMProvider({ name: 'ollama', contextTokens: 4096 }).buildRequest(MESSAGES, { json: schema });
+
+    expect(request.url).toBe('http://localhost:11434/api/chat');
+    expect(request.body.format).toBe(schema);
+    expect(request.body.options).toMatchObject({ num_ctx: 4096, num_predict: 2000 });
+  });
+
+  it('Anthropic: prompt de sistema fora da lista de mensagens', () => {
+    const request = createLLMProvider({ name: 'anthropic', apiKey: 'chave' }).buildRequest(MESSAGES);
+
+    expect(request.url).toBe('https://api.anthropic.com/v1/messages');
+    expect(request.headers['x-api-key']).toBe('chave');
+    expect(request.body.system).toBe('Responda em português.');
+    expect(request.body.messages).toEqual([MESSAGES[1]]);
+  });
+});
+
+describe.each(PROTOCOLS)('LLMProvider ($protocol) com o servidor mock', ({ protocol, apiUrl, ProviderClass }) => {
+  const provider = createLLMProvider({ name: 'mock', protocol, apiUrl, model: 'mock-model' });
+
+  it('cria o provedor do protocolo', () => {
+    expect(provider).toBeInstanceOf(ProviderClass);
+  });
+
+  it('lê a resposta completa', async () => {
+    const content = await provider.complete(MESSAGES);
+
+    expect(content).toContain('Riscos (mock)');
+    expect(content).toContain('CLIENTE_001, CLIENTE_002');
+  });
+
+  it('junta os trechos do streaming no mesmo texto da resposta completa', async () => {
+    const chunks = [];
+    for await (const chunk of provider.stream(MESSAGES)) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.join('')).toBe(await provider.complete(MESSAGES));
+  });
+});
+
+describe('LLMProvider: erros HTTP', () => {
+  it('expõe o status e o provedor no erro', async () => {
+    const provider = createLLMProvider({ name: 'mock', apiUrl: `${API_URL}/rota-inexistente` });
+
+    await expect(provider.complete(MESSAGES)).rejects.toMatchObject({ status: 404, provider: 'mock' });
+  });
+});
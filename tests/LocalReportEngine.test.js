@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { LocalReportEngine } from '../src/modules/LocalReportEngine.js';
+
+const brl = value => new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(value);
+
+const MONTHS = [
+  ['Jan/2024', 20000], ['Fev/2024', 22000], ['Mar/2024', 24000],
+  ['Abr/2024', 12000], ['Mai/2024', 10500], ['Jun/2024', 11500],
+];
+
+// Resultado fixo do AnalyticsEngine e das análises avançadas: queda no último trimestre,
+// receita concentrada em 3 produtos e 20% dos clientes em risco alto de churn
+const CONTEXT = {
+  data: new Array(400).fill({}),
+  analytics: {
+    kpis: [
+      { id: 'total_valor', category: 'financeiro', title: 'Total Valor', rawValue: 100000 },
+      { id: 'avg_valor', category: 'financeiro', title: 'Média Valor', rawValue: 250 },
+      { id: 'total_clients', category: 'clientes', value: 10 },
+      { id: 'date_range', category: 'tempo', value: '6 meses', subValue: '01/01/2024 a 30/06/2024' },
+    ],
+    groupings: {
+      monthly: MONTHS.map(([label, total]) => ({ label, total })),
+      byProduct: [
+        { label: 'Monitor', total: 50000, count: 50, average: 1000 },
+        { label: 'Notebook', total: 30000, count: 10, average: 3000 },
+        { label: 'Teclado', total: 15000, count: 100, average: 150 },
+        { label: 'Mouse', total: 4500, count: 150, average: 30 },
+        { label: 'Cabo', total: 500, count: 90, average: 5.56 },
+      ],
+    },
+  },
+  advancedAnalytics: {
+    churn: {
+      available: true,
+      metrics: { highRiskCount: 2, highRiskPct: '20.0' },
+      predictions: [
+        { client: 'Ana', riskLevel: 'ALTO', totalValue: 8000 },
+        { client: 'Bruno', riskLevel: 'ALTO', totalValue: 2000 },
+        { client: 'Carla', riskLevel: 'BAIXO', totalValue: 9000 },
+      ],
+    },
+    rfm: { available: false },
+  },
+};
+
+describe('LocalReportEngine: fatos', () => {
+  it('resume KPIs, série mensal, ranking de produtos e churn', () => {
+    const facts = new LocalReportEngine().extractFacts(CONTEXT);
+
+    expect(facts.records).toBe(400);
+    expect(facts.kpis).toMatchObject({ total: 100000, totalLabel: 'Total Valor', averageTicket: 250, clients: 10, profit: null });
+    expect(facts.monthly).toMatchObject({ months: 6, total: 100000, best: { label: 'Mar/2024' }, worst: { label: 'Mai/2024' }, belowAverage: 3 });
+    expect(facts.monthly.recentChange).toBeCloseTo((34000 - 66000) / 66000 * 100);
+    expect(facts.products).toMatchObject({ count: 5, top3Share: 95, top: { label: 'Monitor', share: 50 } });
+    expect(facts.products.tail.map(item => item.label)).toEqual(['Cabo']);
+    expect(facts.churn).toMatchObject({ valueAtRisk: 10000 });
+    expect(facts.rfm).toBeNull();
+  });
+});
+
+describe('LocalReportEngine: seções', () => {
+  const engine = new LocalReportEngine();
+
+  it('escreve o sumário executivo com os números da planilha', () => {
+    const text = engine.generate('executive', CONTEXT);
+
+    expect(text).toContain('Foram analisados **400 registros** no período de 01/01/2024 a 30/06/2024 (6 meses).');
+    expect(text).toContain(`- Total Valor: ${brl(100000)}`);
+    expect(text).toContain(`- Ticket médio: ${brl(250)}`);
+    expect(text).toContain('o líder é **Monitor** com 50,0%');
+    expect(text).toContain(`2 clientes (20,0%) estão em risco alto de churn, somando ${brl(10000)}`);
+    expect(text).toContain(`**Recomendação crítica:** Contatar os 2 clientes em risco alto de churn — protege ${brl(10000)} em valor histórico.`);
+  });
+
+  it('classifica os riscos pelos limiares', () => {
+    const text = engine.generate('risks', CONTEXT);
+
+    expect(text).toContain('- **Severidade Alta:** 20,0% dos clientes em risco alto de churn');
+    expect(text).toContain('maiores: Ana, Bruno');
+    expect(text).toContain('- **Severidade Alta:** receita dos últimos 3 meses registrou queda de 48,5% frente ao trimestre anterior');
+    expect(text).toContain('concentração de 95,0% da receita em 3 produtos (Monitor, Notebook, Teclado)');
+    expect(text).toContain('alta volatilidade mensal');
+  });
+
+  it('distribui o plano de ação por horizonte', () => {
+    const text = engine.generate('action_plan', CONTEXT);
+    const immediate = text.indexOf('**AÇÕES IMEDIATAS (Próximos 30 dias):**');
+    const longTerm = text.indexOf('**AÇÕES DE LONGO PRAZO (6-12 meses):**');
+
+    expect(immediate).toBeGreaterThan(-1);
+    expect(longTerm).toBeGreaterThan(immediate);
+    expect(text.slice(immediate, longTerm)).toContain('1. Contatar os 2 clientes em risco alto de churn');
+    expect(text.slice(longTerm)).toContain('Diversificar o portfólio de produtos');
+    expect(text).not.toContain('MÉDIO PRAZO');
+  });
+
+  it('explica a falta de dados em vez de inventar números', () => {
+    expect(engine.generate('trends', {})).toContain('Não há coluna de data combinada com valores monetários');
+    expect(engine.generate('predictions', {})).toContain('São necessários pelo menos 3 meses de dados');
+    expect(engine.generate('risks', {})).toContain('Nenhum risco ultrapassou os limiares configurados');
+    expect(engine.generate('desconhecida', CONTEXT)).toBe('Análise não disponível.');
+  });
+});
+
+describe('LocalReportEngine: ações estruturadas', () => {
+  it('gera as ações com prazo, prioridade e meta', () => {
+    const { summary, actions } = new LocalReportEngine().generateActions(CONTEXT, new Date(2024, 6, 1));
+
+    expect(summary).toBe(`${actions.length} ações sugeridas a partir das regras de negócio, 1 de prioridade crítica.`);
+    expect(actions[0]).toMatchObject({
+      title: 'Contatar os 2 clientes em risco alto de churn',
+      deadline: '2024-07-31',
+      priority: 'critical',
+      horizon: 'curto',
+      kpi: { name: 'clientes reativados / clientes em risco alto', target: 20, unit: 'percentage' },
+    });
+    expect(actions[1]).toMatchObject({ priority: 'high', kpi: { metric: 'total_revenue', target: 16666.67, unit: 'revenue' } });
+    expect(actions.map(action => action.horizon)).toEqual(['curto', 'curto', 'longo', 'longo', 'longo']);
+  });
+});
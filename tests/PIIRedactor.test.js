@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { PIIRedactor } from '../src/modules/PIIRedactor.js';
+import { ColumnType } from '../src/types/enums.js';
+
+const COLUMNS = [
+  { name: 'Cliente', type: ColumnType.CLIENT },
+  { name: 'Vendedor', type: ColumnType.EMPLOYEE },
+  { name: 'Email', type: ColumnType.EMAIL },
+  { name: 'Valor', type: ColumnType.CURRENCY },
+];
+
+const ROWS = [
+  { Cliente: 'Ana Paula', Vendedor: 'Carlos Souza', Email: 'ana@exemplo.com.br', Valor: 100 },
+  { Cliente: 'Ana', Vendedor: 'Carlos Souza', Email: 'ana.s@exemplo.com.br', Valor: 200 },
+  { Cliente: 'Bruno Lima', Vendedor: 'Diana Reis', Email: null, Valor: 300 },
+];
+
+function createRedactor(config) {
+  const redactor = new PIIRedactor(config);
+  redactor.learn(ROWS, COLUMNS);
+  return redactor;
+}
+
+describe('PIIRedactor', () => {
+  it('pseudonimiza e restaura os valores (ida e volta)', () => {
+    const redactor = createRedactor();
+    const text = 'Ana Paula comprou com Carlos Souza; Ana respondeu de ana@exemplo.com.br. Telefone: (21) 99876-5432.';
+
+    const redacted = redactor.redact(text);
+    expect(redacted).not.toMatch(/Ana|Carlos|exemplo|99876/);
+    expect(redacted).toContain('CLIENTE_001');
+    expect(redactor.rehydrate(redacted)).toBe(text);
+  });
+
+  it('prefere o valor mais longo e não casa dentro de outras palavras', () => {
+    const redactor = createRedactor();
+    expect(redactor.redact('Ana Paula e Ana; Anastácia não')).toBe('CLIENTE_001 e CLIENTE_002; Anastácia não');
+  });
+
+  it('ignora maiúsculas e minúsculas nos valores e nos pseudônimos', () => {
+    const redactor = createRedactor();
+    const redacted = redactor.redact('ANA PAULA e bruno lima');
+
+    expect(redacted).toBe('CLIENTE_001 e CLIENTE_003');
+    expect(redactor.rehydrate('Cliente_001 e cliente_3')).toBe('Ana Paula e Bruno Lima');
+  });
+
+  it('restaura pseudônimos partidos entre trechos do streaming', () => {
+    const redactor = createRedactor();
+    const tokens = [];
+    const onToken = redactor.wrapStream((delta, content) => tokens.push(content));
+
+    let raw = '';
+    ['Destaque: CLIEN', 'TE_00', '1 comprou.'].forEach(delta => {
+      raw += delta;
+      onToken(delta, raw);
+    });
+
+    expect(tokens.at(-1)).toBe('Destaque: Ana Paula comprou.');
+    expect(tokens.some(content => content.includes('CLIEN'))).toBe(false);
+  });
+
+  it('pseudonimiza CPFs e CNPJs das colunas detectadas e restaura na resposta', () => {
+    const redactor = new PIIRedactor();
+    redactor.learn(
+      [{ Documento: '529.982.247-25', Fornecedor: '11.222.333/0001-81' }, { Documento: 52998224725, Fornecedor: null }],
+      [{ name: 'Documento', type: ColumnType.CPF }, { name: 'Fornecedor', type: ColumnType.CNPJ }]
+    );
+    const text = 'Cliente 529.982.247-25 comprou do fornecedor 11.222.333/0001-81.';
+
+    const redacted = redactor.redact(text);
+    expect(redacted).toBe('Cliente CPF_001 comprou do fornecedor CNPJ_001.');
+    expect(redactor.rehydrate(redacted)).toBe(text);
+    expect(redactor.getSummary()).toBe('2 CPFs, 1 CNPJs');
+  });
+
+  it('captura CPFs e CNPJs válidos fora das colunas e mantém números inválidos', () => {
+    const redactor = createRedactor();
+    const redacted = redactor.redact('Pedidos de 52998224725 e 11222333000181; protocolo 12345678901.');
+
+    expect(redacted).toBe('Pedidos de CPF_001 e CNPJ_001; protocolo 12345678901.');
+    expect(redactor.rehydrate(redacted)).toBe('Pedidos de 52998224725 e 11222333000181; protocolo 12345678901.');
+  });
+
+  it('localiza valores que começam com pontuação e valores vizinhos', () => {
+    const redactor = new PIIRedactor();
+    redactor.learn(
+      [{ Cliente: '(Matriz) Comercial Silva' }, { Cliente: 'Silva' }, { Cliente: 'Comercial Silva Ltda' }],
+      [{ name: 'Cliente', type: ColumnType.CLIENT }]
+    );
+
+    expect(redactor.redact('Pedidos: (matriz) comercial silva, Silva/Comercial Silva Ltda e Silvana.'))
+      .toBe('Pedidos: CLIENTE_001, CLIENTE_002/CLIENTE_003 e Silvana.');
+  });
+
+  it('usa uma árvore de palavras com muitos valores e inclui os registrados durante o redact', () => {
+    const rows = Array.from({ length: 20000 }, (_, index) => ({ Cliente: `Cliente Teste ${index}` }));
+    const redactor = new PIIRedactor();
+    redactor.learn(rows, [{ name: 'Cliente', type: ColumnType.CLIENT }]);
+    const index = redactor.valueIndex;
+    const node = path => path.reduce((parent, word) => parent?.children.get(word), index);
+
+    expect(node(['cliente', 'teste']).children.size).toBe(20000);
+    expect(redactor.redact('Cliente Teste 19999 e Cliente Teste 7 (cliente.7@exemplo.com)'))
+      .toBe('CLIENTE_20000 e CLIENTE_008 (EMAIL_001)');
+    expect(redactor.valueIndex).toBe(index);
+    expect(node(['cliente', '7', 'exemplo', 'com']).values).toEqual([{ key: 'cliente.7@exemplo.com', offset: 0 }]);
+  });
+
+  it('respeita os tipos configurados', () => {
+    const redactor = createRedactor({ types: [ColumnType.CLIENT] });
+    expect(redactor.redact('Ana Paula, CPF 529.982.247-25')).toBe('CLIENTE_001, CPF 529.982.247-25');
+  });
+
+  it('não altera o texto quando desativado', () => {
+    const redactor = createRedactor({ enabled: false });
+    expect(redactor.redact('Ana Paula')).toBe('Ana Paula');
+    expect(redactor.isActive()).toBe(false);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { parquetWriteBuffer } from 'hyparquet-writer';
+import { ParquetParser } from '../src/modules/ParquetParser.js';
+import { AnalysisPipeline } from '../src/modules/AnalysisPipeline.js';
+import { ColumnType } from '../src/types/enums.js';
+
+const date = (...parts) => new Date(Date.UTC(...parts));
+
+// Vendas com os tipos mais comuns de pandas, Spark e DuckDB (compressão SNAPPY, padrão do hyparquet-writer)
+const COLUMNS = [
+  { name: 'Produto', data: ['Mouse', 'Teclado', null], element: { type: 'BYTE_ARRAY', converted_type: 'UTF8' } },
+  { name: 'Quantidade', data: [2, 1, 3], element: { type: 'INT32' } },
+  { name: 'Codigo', data: [1n, 9007199254740993n, 3n], element: { type: 'INT64' } },
+  { name: 'Valor', data: [100.5, 120, 899.9], element: { type: 'DOUBLE' } },
+  { name: 'Preco', data: [50, 120, 899.9], element: { type: 'INT32', converted_type: 'DECIMAL', precision: 9, scale: 2 } },
+  { name: 'Emissao', data: [date(2024, 0, 15), date(2024, 0, 16), date(2024, 0, 17)], element: { type: 'INT32', converted_type: 'DATE' } },
+  { name: 'Registro', data: [date(2024, 0, 15, 10, 30), date(2024, 0, 16), null], element: { type: 'INT64', converted_type: 'TIMESTAMP_MILLIS' } },
+  { name: 'Detalhes', data: [{ cor: 'preto' }, null, null], element: { type: 'BYTE_ARRAY', converted_type: 'JSON' } },
+];
+
+function parquetFile(columns = COLUMNS) {
+  return parquetWriteBuffer({
+    columnData: columns.map(({ name, data }) => ({ name, data })),
+    schema: [
+      { name: 'root', num_children: columns.length },
+      ...columns.map(({ name, element }) => ({ name, repetition_type: 'OPTIONAL', ...element })),
+    ],
+  });
+}
+
+describe('ParquetParser: esquema', () => {
+  it('lê os cabeçalhos, a quantidade de linhas e os tipos das colunas', () => {
+    const { rowCount, headers, columnFormats } = new ParquetParser().readSchema(parquetFile());
+
+    expect(rowCount).toBe(3);
+    expect(headers).toEqual(COLUMNS.map(column => column.name));
+    expect(columnFormats).toEqual({
+      Quantidade: { type: ColumnType.NUMBER, format: 'INT32' },
+      Codigo: { type: ColumnType.NUMBER, format: 'INT64' },
+      Valor: { type: ColumnType.NUMBER, format: 'DOUBLE' },
+      Preco: { type: ColumnType.NUMBER, format: 'DECIMAL(9,2)' },
+      Emissao: { type: ColumnType.DATE, format: 'DATE' },
+      Registro: { type: ColumnType.DATE, format: 'TIMESTAMP_MILLIS' },
+    });
+  });
+
+  it('não trata horas do dia nem textos como número', () => {
+    const parser = new ParquetParser();
+
+    expect(parser.getColumnFormat({ type: 'INT32', converted_type: 'TIME_MILLIS' })).toEqual({ type: null, format: 'TIME_MILLIS' });
+    expect(parser.getColumnFormat({ type: 'INT64', logical_type: { type: 'TIME' } })).toEqual({ type: null, format: 'TIME' });
+    expect(parser.getColumnFormat({ type: 'INT96' })).toEqual({ type: ColumnType.DATE, format: 'INT96' });
+    expect(parser.getColumnFormat({ type: 'BYTE_ARRAY', converted_type: 'UTF8' })).toEqual({ type: null, format: 'UTF8' });
+  });
+
+  it('recusa arquivos que não são Parquet', () => {
+    const buffer = new TextEncoder().encode('Produto,Valor\nMouse,10\n').buffer;
+
+    expect(() => new ParquetParser().readSchema(buffer)).toThrow(/^Arquivo Parquet inválido:/);
+  });
+});
+
+describe('ParquetParser: valores', () => {
+  it('converte inteiros de 64 bits, datas e estruturas para o formato das demais fontes', async () => {
+    const { data, metadata } = await new ParquetParser().parseParquet(parquetFile());
+
+    expect(metadata).toMatchObject({ rowCount: 3, columnCount: 8 });
+    expect(data[0]).toEqual({
+      Produto: 'Mouse',
+      Quantidade: 2,
+      Codigo: 1,
+      Valor: 100.5,
+      Preco: 50,
+      Emissao: '2024-01-15',
+      Registro: '2024-01-15T10:30:00.000Z',
+      Detalhes: '{"cor":"preto"}',
+    });
+    // Inteiro acima de Number.MAX_SAFE_INTEGER fica como texto; meia-noite vira só a data
+    expect(data[1]).toMatchObject({ Codigo: '9007199254740993', Registro: '2024-01-16', Detalhes: null });
+    expect(data[2]).toMatchObject({ Produto: null, Registro: null });
+  });
+
+  it('passa o tipo do esquema como indício de tipo no AnalysisPipeline', async () => {
+    const result = await new AnalysisPipeline().run({ format: 'parquet', payload: parquetFile(), cleaningSteps: [] });
+    const column = name => result.columnMetadata.find(item => item.name === name);
+
+    expect(result.data).toHaveLength(3);
+    expect(column('Quantidade')).toMatchObject({ type: ColumnType.NUMBER, typeHint: ColumnType.NUMBER, numberFormat: 'INT32' });
+    expect(column('Preco')).toMatchObject({ typeHint: ColumnType.NUMBER, numberFormat: 'DECIMAL(9,2)' });
+    expect(column('Emissao')).toMatchObject({ type: ColumnType.DATE, typeHint: ColumnType.DATE });
+    expect(column('Produto').typeHint).toBeUndefined();
+  });
+});
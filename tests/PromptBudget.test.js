@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { PromptBuilder, estimateTokens } from '../src/modules/PromptBudget.js';
+
+const lines = (label, count) => Array.from({ length: count }, (_, index) => `${label} ${index + 1}: R$ ${(index + 1) * 1000},00`);
+
+describe('PromptBuilder', () => {
+  it('sem limite, monta o prompt sem cortes', () => {
+    const prompt = new PromptBuilder()
+      .text('Você é um analista.')
+      .block('PRODUTOS', lines('Produto', 5))
+      .build();
+
+    expect(prompt.text).toBe(`Você é um analista.\n\nPRODUTOS:\n${lines('Produto', 5).join('\n')}`);
+    expect(prompt.estimatedTokens).toBe(estimateTokens(prompt.text));
+    expect(prompt.omitted).toEqual([]);
+  });
+
+  it('corta primeiro o maior bloco e informa as linhas omitidas', () => {
+    const prompt = new PromptBuilder({ maxTokens: 150 })
+      .text('Você é um analista.')
+      .block('PRODUTOS', lines('Produto', 40))
+      .block('REGIÕES', lines('Região', 4))
+      .text('TAREFA: resuma.')
+      .build();
+
+    expect(prompt.overBudget).toBe(false);
+    expect(prompt.estimatedTokens).toBeLessThanOrEqual(150);
+    expect(prompt.text).toMatch(/^Você é um analista\./);
+    expect(prompt.text).toMatch(/TAREFA: resuma\.$/);
+    expect(prompt.text).toContain('Produto 1:');
+    expect(prompt.text).toMatch(/\(\.\.\. mais \d+ linhas omitidas por limite de tamanho\)/);
+    expect(prompt.text).toContain(lines('Região', 4).join('\n'));
+    expect(prompt.omitted).toEqual([expect.objectContaining({ label: 'PRODUTOS', action: 'truncated', totalLines: 40 })]);
+  });
+
+  it('mantém as últimas linhas das séries e usa o resumo informado', () => {
+    const prompt = new PromptBuilder({ maxTokens: 60 })
+      .block('MESES', lines('Mês', 30), { keep: 'tail', summarize: (start, end) => `(meses ${start + 1} a ${end} resumidos)` })
+      .build();
+
+    expect(prompt.text).toContain('Mês 30:');
+    expect(prompt.text).not.toContain('Mês 1:');
+    expect(prompt.text).toMatch(/^MESES:\n\(meses 1 a \d+ resumidos\)/);
+    expect(prompt.omitted[0].action).toBe('summarized');
+  });
+
+  it('omite blocos inteiros quando cortar linhas não basta, sem cortar o texto fixo', () => {
+    const instructions = 'Instruções '.repeat(30).trim();
+    const prompt = new PromptBuilder({ maxTokens: 120 })
+      .text(instructions)
+      .block('PRODUTOS', lines('Produto', 20), { minLines: 5 })
+      .block('CLIENTES', lines('Cliente', 20), { minLines: 5 })
+      .build();
+
+    expect(prompt.text).toContain(instructions);
+    expect(prompt.text).toContain('(bloco omitido por limite de tamanho - 20 linhas)');
+    expect(prompt.omitted.some(block => block.action === 'omitted' && block.keptLines === 0)).toBe(true);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { ReportDiff } from '../src/modules/ReportDiff.js';
+
+const report = (sections) => ({
+  sections: Object.fromEntries(Object.entries(sections).map(([key, content]) => [key, { title: key.toUpperCase(), content }])),
+});
+
+describe('ReportDiff.compare', () => {
+  it('classifica as seções e resume as mudanças', () => {
+    const diff = ReportDiff.compare(
+      report({ resumo: 'Vendas subiram\nMouse lidera', riscos: 'Estoque baixo', antiga: 'Removida' }),
+      report({ resumo: 'Vendas subiram\nTeclado lidera', riscos: '  Estoque baixo  \n\n', nova: 'Incluída' })
+    );
+
+    expect(diff.sections.map(({ key, title, status }) => ({ key, title, status }))).toEqual([
+      { key: 'resumo', title: 'RESUMO', status: 'changed' },
+      { key: 'riscos', title: 'RISCOS', status: 'unchanged' },
+      { key: 'antiga', title: 'ANTIGA', status: 'removed' },
+      { key: 'nova', title: 'NOVA', status: 'added' },
+    ]);
+    expect(diff.summary).toEqual({ changed: 1, unchanged: 1, added: 1, removed: 1 });
+  });
+
+  it('pareia remoções e inclusões consecutivas na mesma linha', () => {
+    const [section] = ReportDiff.compare(
+      report({ resumo: 'A\nB\nC\nD' }),
+      report({ resumo: 'A\nX\nC\nD\nE' })
+    ).sections;
+
+    expect(section.rows.map(({ left, right }) => [left?.text ?? null, right?.text ?? null])).toEqual([
+      ['A', 'A'],
+      ['B', 'X'],
+      ['C', 'C'],
+      ['D', 'D'],
+      [null, 'E'],
+    ]);
+    expect(section.rows[1].left.type).toBe('removed');
+    expect(section.rows[1].right.type).toBe('added');
+  });
+
+  it('diffLines mantém a maior subsequência comum', () => {
+    expect(ReportDiff.diffLines(['a', 'b', 'c'], ['b', 'c', 'd'])).toEqual([
+      { type: 'removed', text: 'a' },
+      { type: 'same', text: 'b' },
+      { type: 'same', text: 'c' },
+      { type: 'added', text: 'd' },
+    ]);
+  });
+});
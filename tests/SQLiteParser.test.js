@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import initSqlJs from 'sql.js';
+import { SQLiteParser } from '../src/modules/SQLiteParser.js';
+import { ColumnType } from '../src/types/enums.js';
+
+// No Node, o WebAssembly é lido do disco (no navegador, a URL vem do Vite)
+vi.mock('sql.js/dist/sql-wasm-browser.wasm?url', () => ({
+  default: new URL('../node_modules/sql.js/dist/sql-wasm.wasm', import.meta.url).pathname,
+}));
+
+let database;
+
+beforeAll(async () => {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.run(`
+    CREATE TABLE vendas (id INTEGER PRIMARY KEY, "Data Venda" DATE, cliente VARCHAR(50), valor REAL, foto BLOB);
+    INSERT INTO vendas VALUES (1, '2024-01-05', 'Ana', 100.5, x'00ff'), (2, '2024-01-06', 'Bruno', 200, NULL);
+    CREATE VIEW "resumo ""mensal""" AS SELECT cliente, SUM(valor) AS total FROM vendas GROUP BY cliente;
+  `);
+  database = db.export().buffer;
+  db.close();
+});
+
+describe('SQLiteParser', () => {
+  it('lista as tabelas e views com a quantidade de linhas e os cabeçalhos', async () => {
+    const parser = new SQLiteParser();
+    await parser.open(database);
+
+    expect(parser.listTables()).toEqual([
+      { name: 'vendas', kind: 'table', rowCount: 2, headers: ['id', 'Data Venda', 'cliente', 'valor', 'foto'] },
+      { name: 'resumo "mensal"', kind: 'view', rowCount: 2, headers: ['cliente', 'total'] },
+    ]);
+    parser.close();
+  });
+
+  it('lê a tabela com os tipos declarados como indício de tipo e sem os binários', async () => {
+    const parser = new SQLiteParser();
+    await parser.open(database);
+    const { data, metadata } = parser.readTable('vendas');
+    parser.close();
+
+    expect(data).toEqual([
+      { id: 1, 'Data Venda': '2024-01-05', cliente: 'Ana', valor: 100.5, foto: null },
+      { id: 2, 'Data Venda': '2024-01-06', cliente: 'Bruno', valor: 200, foto: null },
+    ]);
+    expect(metadata.columnFormats).toEqual({
+      id: { type: ColumnType.NUMBER, format: 'INTEGER' },
+      'Data Venda': { type: ColumnType.DATE, format: 'DATE' },
+      valor: { type: ColumnType.NUMBER, format: 'REAL' },
+    });
+  });
+
+  it('lê views com aspas no nome', async () => {
+    const parser = new SQLiteParser();
+    await parser.open(database);
+
+    expect(parser.readTable('resumo "mensal"').data).toEqual([{ cliente: 'Ana', total: 100.5 }, { cliente: 'Bruno', total: 200 }]);
+    expect(() => parser.readTable('clientes')).toThrow('Tabela não encontrada: clientes');
+    parser.close();
+    expect(() => parser.listTables()).toThrow('Nenhum banco SQLite aberto');
+  });
+
+  it('recusa arquivos que não são bancos SQLite', async () => {
+    const parser = new SQLiteParser();
+    const buffer = new TextEncoder().encode('Produto,Valor\nMouse,10\n').buffer;
+
+    await expect(parser.open(buffer)).rejects.toThrow(/^Arquivo SQLite inválido:/);
+    expect(parser.db).toBeNull();
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { isValidCPF, isValidCNPJ, isCoordinateValue, parseDuration } from '../src/modules/SemanticFormats.js';
+
+describe('SemanticFormats: dígitos verificadores', () => {
+  it('aceita CPF válido com ou sem máscara', () => {
+    expect(isValidCPF('529.982.247-25')).toBe(true);
+    expect(isValidCPF('52998224725')).toBe(true);
+    // Planilhas guardam o CPF como número e perdem o zero à esquerda
+    expect(isValidCPF(1234567890)).toBe(true);
+  });
+
+  it('recusa CPF com dígito verificador errado, sequência repetida ou tamanho errado', () => {
+    expect(isValidCPF('529.982.247-24')).toBe(false);
+    expect(isValidCPF('529.982.247-35')).toBe(false);
+    expect(isValidCPF('111.111.111-11')).toBe(false);
+    expect(isValidCPF('5299822472')).toBe(false);
+  });
+
+  it('aceita CNPJ válido com ou sem máscara', () => {
+    expect(isValidCNPJ('11.222.333/0001-81')).toBe(true);
+    expect(isValidCNPJ('11222333000181')).toBe(true);
+  });
+
+  it('recusa CNPJ com dígito verificador errado ou sequência repetida', () => {
+    expect(isValidCNPJ('11.222.333/0001-82')).toBe(false);
+    expect(isValidCNPJ('11.222.333/0001-91')).toBe(false);
+    expect(isValidCNPJ('00.000.000/0000-00')).toBe(false);
+    // CPF válido não passa como CNPJ
+    expect(isValidCNPJ('529.982.247-25')).toBe(false);
+  });
+});
+
+describe('SemanticFormats: coordenadas e durações', () => {
+  it('exige 4 casas decimais e o limite da coordenada', () => {
+    expect(isCoordinateValue('-22.9068', 90)).toBe(true);
+    expect(isCoordinateValue('-43,1729', 180)).toBe(true);
+    expect(isCoordinateValue('-22.91', 90)).toBe(false);
+    expect(isCoordinateValue('120.1234', 90)).toBe(false);
+  });
+
+  it('converte durações em segundos e ignora números puros', () => {
+    expect(parseDuration('01:30')).toBe(5400);
+    expect(parseDuration('PT1H30M')).toBe(5400);
+    expect(parseDuration('2h30min')).toBe(9000);
+    expect(parseDuration('45')).toBeNull();
+  });
+
+  it('exige uma unidade por extenso ao lado das abreviações de uma letra', () => {
+    expect(parseDuration('90 min')).toBe(5400);
+    expect(parseDuration('2 horas')).toBe(7200);
+    expect(parseDuration('1 dia e 4 horas')).toBe(100800);
+    expect(parseDuration('1h 15 segundos')).toBe(3615);
+    // Metros, milhões, tamanhos de roupa
+    expect(parseDuration('5m')).toBeNull();
+    expect(parseDuration('3s')).toBeNull();
+    expect(parseDuration('2h')).toBeNull();
+    expect(parseDuration('1h30m')).toBeNull();
+  });
+});
@@ -0,0 +1,114 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { XMLParser } from '../src/modules/XMLParser.js';
+import { ColumnType } from '../src/types/enums.js';
+
+// Pedidos com namespace padrão e prefixado
+const ORDERS = `<?xml version="1.0" encoding="UTF-8"?>
+<loja:pedidos xmlns:loja="http://exemplo.com/loja" xmlns="http://exemplo.com/padrao">
+  <loja:pedido id="1" status="pago">
+    <cliente><nome>Ana</nome><cidade>Recife</cidade></cliente>
+    <valor moeda="BRL">100.50</valor>
+  </loja:pedido>
+  <loja:pedido id="2" status="pendente">
+    <cliente><nome>Bruno</nome><cidade>Natal</cidade></cliente>
+    <valor moeda="BRL">200</valor>
+  </loja:pedido>
+  <loja:pedido id="3" status="pago">
+    <cliente><nome>Carla</nome><cidade>Recife</cidade></cliente>
+    <valor moeda="USD">300</valor>
+  </loja:pedido>
+</loja:pedidos>`;
+
+// NF-e mínima: uma nota com dois itens (o segundo sem IPI)
+const NFE = `<?xml version="1.0" encoding="UTF-8"?>
+<nfeProc xmlns="http://www.portalfiscal.inf.br/nfe" versao="4.00">
+  <NFe>
+    <infNFe Id="NFe35240100000000000100550010000012341000012345" versao="4.00">
+      <ide><natOp>VENDA</natOp><serie>1</serie><nNF>1234</nNF><dhEmi>2024-01-15T10:30:00-03:00</dhEmi></ide>
+      <emit><CNPJ>00000000000100</CNPJ><xNome>Loja Exemplo</xNome><enderEmit><xMun>Sao Paulo</xMun><UF>SP</UF></enderEmit></emit>
+      <dest><CPF>12345678909</CPF><xNome>Ana Souza</xNome><enderDest><xMun>Recife</xMun><UF>PE</UF></enderDest></dest>
+      <det nItem="1">
+        <prod><cProd>001</cProd><xProd>Mouse</xProd><NCM>84716053</NCM><CFOP>6102</CFOP><uCom>UN</uCom><qCom>2.0000</qCom><vUnCom>50.00</vUnCom><vProd>100.00</vProd></prod>
+        <imposto><ICMS><ICMS00><vICMS>12.00</vICMS></ICMS00></ICMS><IPI><IPITrib><vIPI>5.00</vIPI></IPITrib></IPI></imposto>
+      </det>
+      <det nItem="2">
+        <prod><cProd>002</cProd><xProd>Teclado</xProd><NCM>84716052</NCM><CFOP>6102</CFOP><uCom>UN</uCom><qCom>1.0000</qCom><vUnCom>120.00</vUnCom><vProd>120.00</vProd></prod>
+        <imposto><ICMS><ICMS00><vICMS>14.40</vICMS></ICMS00></ICMS></imposto>
+      </det>
+    </infNFe>
+  </NFe>
+</nfeProc>`;
+
+describe('XMLParser: XPath com namespaces', () => {
+  const parser = new XMLParser();
+  const doc = parser.parseDocument(ORDERS);
+  const ids = (path) => parser._select(doc, path).map(node => node.getAttribute('id'));
+
+  it('compara os passos pelo nome local, com ou sem prefixo', () => {
+    expect(ids('/pedidos/pedido')).toEqual(['1', '2', '3']);
+    expect(ids('/loja:pedidos/outro:pedido')).toEqual(['1', '2', '3']);
+    expect(ids('//pedido')).toEqual(['1', '2', '3']);
+  });
+
+  it('aplica predicados de posição, atributo e filho', () => {
+    expect(ids('//pedido[2]')).toEqual(['2']);
+    expect(ids("//pedido[@status='pago']")).toEqual(['1', '3']);
+    expect(ids("//pedido[valor='200']")).toEqual(['2']);
+    expect(ids("//pedido[@status='pago'][2]")).toEqual(['3']);
+  });
+
+  it('seleciona atributos, o pai e alternativas com |', () => {
+    expect(parser._select(doc, '//valor/@moeda').map(attr => attr.value)).toEqual(['BRL', 'BRL', 'USD']);
+    expect(parser._select(doc, '//cidade/..').map(node => node.localName)).toEqual(['cliente', 'cliente', 'cliente']);
+    expect(parser._select(doc, "//pedido[1]/cliente/nome | //pedido[3]/cliente/nome").map(node => node.textContent))
+      .toEqual(['Ana', 'Carla']);
+    expect(() => parser._select(doc, '//pedido/')).toThrow('Caminho XPath inválido: //pedido/');
+  });
+
+  it('converte os registros do caminho escolhido, sem as declarações de namespace', async () => {
+    const result = await parser.parseXML(ORDERS, { recordPath: "//pedido[@status='pago']" });
+
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual([
+      { id: '1', status: 'pago', 'cliente.nome': 'Ana', 'cliente.cidade': 'Recife', valor: '100.50', 'valor.moeda': 'BRL' },
+      { id: '3', status: 'pago', 'cliente.nome': 'Carla', 'cliente.cidade': 'Recife', valor: '300', 'valor.moeda': 'USD' },
+    ]);
+    expect(result.metadata).toMatchObject({ rootElement: 'pedidos', namespace: 'http://exemplo.com/loja', preset: null });
+  });
+});
+
+describe('XMLParser: NF-e', () => {
+  it('detecta o preset e gera uma linha por item (det/prod) com os dados da nota', async () => {
+    const result = await new XMLParser().parseXML(NFE);
+
+    expect(result.success).toBe(true);
+    expect(result.metadata).toMatchObject({ preset: 'nfe', recordPath: '//infNFe/det', rowCount: 2 });
+    expect(result.data.map(row => [row.Item, row['Código'], row.Produto, row.Quantidade, row['Valor Total'], row.ICMS, row.IPI])).toEqual([
+      ['1', '001', 'Mouse', '2.0000', '100.00', '12.00', '5.00'],
+      ['2', '002', 'Teclado', '1.0000', '120.00', '14.40', null],
+    ]);
+    expect(result.data[1]).toMatchObject({
+      Nota: '1234',
+      'Data Emissão': '2024-01-15T10:30:00-03:00',
+      Emitente: 'Loja Exemplo',
+      'Destinatário CNPJ/CPF': '12345678909',
+      Cliente: 'Ana Souza',
+      UF: 'PE',
+      CFOP: '6102',
+    });
+  });
+
+  it('deixa de fora as colunas vazias em todos os itens e informa os tipos', async () => {
+    const result = await new XMLParser().parseXML(NFE);
+
+    expect(result.metadata.columns).not.toContain('Desconto');
+    expect(result.metadata.columns).not.toContain('COFINS');
+    expect(result.metadata.columnHints).toMatchObject({
+      Nota: { type: ColumnType.TEXT },
+      CFOP: { type: ColumnType.CATEGORY },
+      'Valor Total': { type: ColumnType.CURRENCY },
+    });
+    expect(result.metadata.columnHints.Desconto).toBeUndefined();
+  });
+});